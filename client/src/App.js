@@ -6,11 +6,20 @@ import { AuthProvider } from './contexts/AuthContext';
 import { EventProvider } from './contexts/EventContext';
 import Navbar from './components/Navbar';
 import ProtectedRoute from './components/ProtectedRoute';
+import VerifyEmailBanner from './components/VerifyEmailBanner';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
+import Unsubscribe from './pages/Unsubscribe';
 import Home from './pages/Home';
 import EventDetail from './pages/EventDetail';
 import Dashboard from './pages/Dashboard';
+import Profile from './pages/Profile';
+import CheckIn from './pages/CheckIn';
+import AdminUsers from './pages/AdminUsers';
+import AdminOrganizerRequests from './pages/AdminOrganizerRequests';
 import StudentRegistrations from './components/StudentRegistrations';
 
 const toastSettings = {
@@ -45,9 +54,14 @@ function App() {
             <Navbar />
             
             <main className="container mx-auto px-4 py-8">
+              <VerifyEmailBanner />
               <Routes>
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/unsubscribe" element={<Unsubscribe />} />
                 
                 <Route path="/" element={
                   <ProtectedRoute>
@@ -61,6 +75,12 @@ function App() {
                   </ProtectedRoute>
                 } />
                 
+                <Route path="/events/:id/check-in" element={
+                  <ProtectedRoute allowedRoles={['organizer', 'admin']}>
+                    <CheckIn />
+                  </ProtectedRoute>
+                } />
+                
                 <Route path="/dashboard" element={
                   <ProtectedRoute allowedRoles={['organizer', 'admin']}>
                     <Dashboard />
@@ -73,6 +93,24 @@ function App() {
                   </ProtectedRoute>
                 } />
                 
+                <Route path="/admin/users" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <AdminUsers />
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/admin/organizer-requests" element={
+                  <ProtectedRoute allowedRoles={['admin']}>
+                    <AdminOrganizerRequests />
+                  </ProtectedRoute>
+                } />
+                
+                <Route path="/profile" element={
+                  <ProtectedRoute>
+                    <Profile />
+                  </ProtectedRoute>
+                } />
+                
                 
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { MonitorSmartphone, LogOut, Loader2 } from 'lucide-react';
+import { authAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import toast from 'react-hot-toast';
+
+// Rough "Chrome on Windows" label from a user agent string
+const describeDevice = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'],
+    ['OPR/', 'Opera'],
+    ['Firefox/', 'Firefox'],
+    ['Chrome/', 'Chrome'],
+    ['Safari/', 'Safari']
+  ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+  const os = [
+    ['Windows', 'Windows'],
+    ['Android', 'Android'],
+    ['iPhone', 'iOS'],
+    ['iPad', 'iPadOS'],
+    ['Mac OS X', 'macOS'],
+    ['Linux', 'Linux']
+  ].find(([marker]) => userAgent.includes(marker))?.[1];
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+const ActiveSessions = () => {
+  const { logoutEverywhere } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data.sessions);
+    } catch (error) {
+      toast.error('Failed to load active sessions');
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (session) => {
+    if (session.current) return;
+
+    setRevokingId(session.id);
+    try {
+      await authAPI.revokeSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success('Device signed out');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    const confirmed = window.confirm(
+      'Sign out of every device, including this one?'
+    );
+
+    if (!confirmed) return;
+
+    const result = await logoutEverywhere();
+    if (result.success) {
+      navigate('/login');
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div className="card">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+          <MonitorSmartphone className="h-5 w-5 mr-2" />
+          Active Sessions
+        </h2>
+        <button onClick={handleLogoutEverywhere} className="btn-secondary btn-sm">
+          <LogOut className="h-4 w-4 mr-1" />
+          Log out everywhere
+        </button>
+      </div>
+
+      {!sessions ? (
+        <div className="flex items-center text-gray-600">
+          <Loader2 className="animate-spin h-4 w-4 mr-2" />
+          Loading sessions...
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200">
+          {sessions.map(session => (
+            <li key={session.id} className="py-3 flex justify-between items-center">
+              <div>
+                <div className="text-sm font-medium text-gray-900">
+                  {describeDevice(session.user_agent)}
+                  {session.current && (
+                    <span className="badge badge-success ml-2">This device</span>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {session.ip_address || 'Unknown IP'} · signed in {formatDate(session.created_at)} · last active {formatDate(session.last_used_at)}
+                </div>
+              </div>
+              {!session.current && (
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={revokingId === session.id}
+                  className="text-sm font-medium text-gray-600 hover:text-gray-900"
+                >
+                  {revokingId === session.id ? <Loader2 className="animate-spin h-4 w-4" /> : 'Sign out'}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ActiveSessions;
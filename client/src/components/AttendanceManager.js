@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ClipboardCheck, Loader2, Save, UserCheck } from 'lucide-react';
+import { eventsAPI, registrationsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ATTENDANCE_OPTIONS = [
+  { value: 'attended', label: 'Attended' },
+  { value: 'no_show', label: 'No-show' },
+  { value: 'excused', label: 'Excused' }
+];
+
+const AttendanceManager = () => {
+  // null until the organizer's events have loaded
+  const [pastEvents, setPastEvents] = useState(null);
+  const [selectedEventId, setSelectedEventId] = useState('');
+  const [attendance, setAttendance] = useState(null);
+  const [changes, setChanges] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    eventsAPI.getMyEvents({ limit: 100, publication: 'published' })
+      .then((response) => {
+        const events = response.data.data.events
+          .filter(event => event.status === 'past')
+          .reverse();
+        setPastEvents(events);
+        if (events.length > 0) {
+          setSelectedEventId(String(events[0].id));
+        }
+      })
+      .catch(() => {
+        setPastEvents([]);
+        toast.error('Failed to load past events');
+      });
+  }, []);
+
+  const loadAttendance = useCallback(async (eventId) => {
+    setIsLoading(true);
+    try {
+      const response = await registrationsAPI.getAttendance(eventId);
+      setAttendance(response.data.data);
+      setChanges({});
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load attendance');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (selectedEventId) {
+      loadAttendance(selectedEventId);
+    }
+  }, [selectedEventId, loadAttendance]);
+
+  const handleSave = async (finalize) => {
+    if (finalize) {
+      const confirmed = window.confirm(
+        'Finalize attendance? Attendees without a record will be marked attended if they checked in, otherwise no-show.'
+      );
+      if (!confirmed) return;
+    }
+
+    setIsSaving(true);
+    try {
+      const records = Object.entries(changes).map(([registrationId, attendanceStatus]) => ({
+        registration_id: parseInt(registrationId),
+        attendance_status: attendanceStatus
+      }));
+
+      const response = await registrationsAPI.updateAttendance(selectedEventId, { records, finalize });
+      setAttendance(response.data.data);
+      setChanges({});
+      toast.success(response.data.message);
+
+      if (finalize) {
+        setPastEvents(prev => prev.map(event => (
+          String(event.id) === selectedEventId
+            ? { ...event, attendance_finalized_at: response.data.data.event.attendance_finalized_at }
+            : event
+        )));
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save attendance');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (!pastEvents) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <Loader2 className="animate-spin h-6 w-6 text-primary-600" />
+      </div>
+    );
+  }
+
+  if (pastEvents.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <ClipboardCheck className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">
+          No past events yet
+        </h3>
+        <p className="text-gray-600">
+          Attendance can be recorded once one of your events has started
+        </p>
+      </div>
+    );
+  }
+
+  const summary = attendance?.summary;
+  const recorded = summary ? summary.attended + summary.no_show + summary.excused : 0;
+  const isFinalized = Boolean(attendance?.event.attendance_finalized_at);
+  const hasChanges = Object.keys(changes).length > 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <select
+          value={selectedEventId}
+          onChange={(e) => setSelectedEventId(e.target.value)}
+          className="input"
+        >
+          {pastEvents.map(event => (
+            <option key={event.id} value={event.id}>
+              {event.title} - {formatDate(event.date)}{event.attendance_finalized_at ? '' : ' (not finalized)'}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {isLoading || !attendance ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="flex items-center space-x-2">
+            <Loader2 className="animate-spin h-6 w-6 text-primary-600" />
+            <span className="text-gray-600">Loading attendance...</span>
+          </div>
+        </div>
+      ) : (
+        <>
+          {/* Summary */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+            <div className="card text-center">
+              <div className="text-2xl font-bold text-primary-600 mb-2">
+                {summary.checked_in} / {summary.approved}
+              </div>
+              <div className="text-sm text-gray-600">Checked In</div>
+            </div>
+            {ATTENDANCE_OPTIONS.map(option => (
+              <div key={option.value} className="card text-center">
+                <div className="text-2xl font-bold text-gray-900 mb-2">
+                  {summary[option.value]}
+                </div>
+                <div className="text-sm text-gray-600">
+                  {option.label}
+                  {option.value === 'no_show' && recorded > 0 && (
+                    <span className="ml-1">({Math.round((summary.no_show / recorded) * 100)}%)</span>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="card overflow-hidden">
+            <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4 mb-4">
+              <p className="text-sm text-gray-600">
+                {isFinalized
+                  ? `Finalized ${formatDate(attendance.event.attendance_finalized_at)}. You can still correct individual records.`
+                  : `${summary.unrecorded} attendee(s) without a record. Finalizing marks them from their check-in.`}
+              </p>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => handleSave(false)}
+                  disabled={isSaving || !hasChanges}
+                  className="btn-secondary btn-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Save className="h-4 w-4 mr-1" />
+                  Save
+                </button>
+                {!isFinalized && (
+                  <button
+                    onClick={() => handleSave(true)}
+                    disabled={isSaving}
+                    className="btn-primary btn-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <ClipboardCheck className="h-4 w-4 mr-1" />
+                    Finalize Attendance
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {attendance.attendees.length === 0 ? (
+              <p className="text-sm text-gray-600 py-6 text-center">
+                This event had no approved attendees.
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Attendee
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Checked In
+                      </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Attendance
+                      </th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {attendance.attendees.map(attendee => (
+                      <tr key={attendee.id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="text-sm font-medium text-gray-900">{attendee.username}</div>
+                          <div className="text-sm text-gray-500">{attendee.email}</div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {attendee.checked_in_at ? (
+                            <span className="flex items-center">
+                              <UserCheck className="h-4 w-4 mr-1 text-primary-600" />
+                              {formatDate(attendee.checked_in_at)}
+                            </span>
+                          ) : '-'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <select
+                            value={changes[attendee.id] || attendee.attendance_status || ''}
+                            onChange={(e) => setChanges(prev => ({ ...prev, [attendee.id]: e.target.value }))}
+                            className="input"
+                          >
+                            {!attendee.attendance_status && !changes[attendee.id] && (
+                              <option value="" disabled>Not recorded</option>
+                            )}
+                            {ATTENDANCE_OPTIONS.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AttendanceManager;
@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+import { CalendarPlus, Copy, RefreshCw, Loader2 } from 'lucide-react';
+import { calendarAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const CalendarFeed = () => {
+  const [feedToken, setFeedToken] = useState(null);
+  const [isRegenerating, setIsRegenerating] = useState(false);
+
+  useEffect(() => {
+    calendarAPI.getFeedToken()
+      .then(response => setFeedToken(response.data.data.token))
+      .catch(() => toast.error('Failed to load calendar feed'));
+  }, []);
+
+  const feedUrl = feedToken ? calendarAPI.getFeedUrl(feedToken) : '';
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feedUrl);
+      toast.success('Feed link copied');
+    } catch (error) {
+      toast.error('Could not copy the link');
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const confirmed = window.confirm(
+      'Generate a new link? Calendars subscribed to the current link will stop updating.'
+    );
+    
+    if (!confirmed) return;
+    
+    setIsRegenerating(true);
+    try {
+      const response = await calendarAPI.regenerateFeedToken();
+      setFeedToken(response.data.data.token);
+      toast.success(response.data.message || 'Calendar feed link regenerated');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to regenerate calendar feed');
+    } finally {
+      setIsRegenerating(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <CalendarPlus className="h-5 w-5 mr-2" />
+        Calendar Feed
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Subscribe to this private link in Google Calendar, Outlook or Apple Calendar to see your
+        approved registrations and the events you organize. Keep it secret - anyone with the link can see your schedule.
+      </p>
+      
+      {!feedToken ? (
+        <div className="flex items-center text-gray-600">
+          <Loader2 className="animate-spin h-4 w-4 mr-2" />
+          Loading feed link...
+        </div>
+      ) : (
+        <div className="space-y-3">
+          <input
+            type="text"
+            value={feedUrl}
+            readOnly
+            onFocus={(e) => e.target.select()}
+            className="input font-mono text-xs"
+          />
+          <div className="flex flex-wrap gap-2">
+            <button onClick={handleCopy} className="btn-secondary btn-sm">
+              <Copy className="h-4 w-4 mr-1" />
+              Copy Link
+            </button>
+            <a href={feedUrl.replace(/^https?:/, 'webcal:')} className="btn-secondary btn-sm">
+              <CalendarPlus className="h-4 w-4 mr-1" />
+              Subscribe
+            </a>
+            <button
+              onClick={handleRegenerate}
+              disabled={isRegenerating}
+              className="btn-secondary btn-sm"
+            >
+              <RefreshCw className={`h-4 w-4 mr-1 ${isRegenerating ? 'animate-spin' : ''}`} />
+              Regenerate
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CalendarFeed;
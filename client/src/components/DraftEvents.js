@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { FileText, Loader2, Send, Clock, Repeat } from 'lucide-react';
+import { eventsAPI } from '../services/api';
+import { useEvents } from '../contexts/EventContext';
+import toast from 'react-hot-toast';
+
+// The organizer's unpublished events, with controls to publish or schedule them
+const DraftEvents = () => {
+  const { publishEvent, unschedulePublish } = useEvents();
+  // null until the drafts have loaded
+  const [drafts, setDrafts] = useState(null);
+  const [scheduleTimes, setScheduleTimes] = useState({});
+  const [busyEventId, setBusyEventId] = useState(null);
+
+  const loadDrafts = useCallback(async () => {
+    try {
+      const response = await eventsAPI.getMyEvents({ limit: 100 });
+      const unpublished = response.data.data.events.filter(event => !event.published_at);
+
+      // A series is published as a whole, so list it once by its first occurrence
+      const seenSeries = new Map();
+      const listed = [];
+      for (const event of unpublished) {
+        if (event.series_id && seenSeries.has(event.series_id)) {
+          seenSeries.get(event.series_id).occurrence_count += 1;
+          continue;
+        }
+
+        const draft = { ...event, occurrence_count: 1 };
+        if (event.series_id) {
+          seenSeries.set(event.series_id, draft);
+        }
+        listed.push(draft);
+      }
+
+      setDrafts(listed);
+    } catch (error) {
+      setDrafts([]);
+      toast.error('Failed to load drafts');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts]);
+
+  const runAction = async (eventId, action) => {
+    setBusyEventId(eventId);
+    try {
+      const result = await action();
+      if (result.success) {
+        loadDrafts();
+      }
+    } finally {
+      setBusyEventId(null);
+    }
+  };
+
+  const handleSchedule = (draft) => {
+    const publishAt = scheduleTimes[draft.id];
+    if (!publishAt) {
+      toast.error('Choose when to publish the event');
+      return;
+    }
+
+    runAction(draft.id, () => publishEvent(draft.id, new Date(publishAt).toISOString()));
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (drafts === null) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="flex items-center space-x-2">
+          <Loader2 className="animate-spin h-6 w-6 text-primary-600" />
+          <span className="text-gray-600">Loading drafts...</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (drafts.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <FileText className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">
+          No drafts
+        </h3>
+        <p className="text-gray-600">
+          Events saved as drafts stay hidden from students until you publish them
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-4">
+      {drafts.map(draft => {
+        const isBusy = busyEventId === draft.id;
+
+        return (
+          <div key={draft.id} className="card">
+            <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+              <div className="flex-1">
+                <h3 className="text-lg font-semibold text-gray-900">{draft.title}</h3>
+                <p className="text-sm text-gray-500">
+                  {formatDate(draft.date)}
+                  {draft.occurrence_count > 1 && (
+                    <span className="ml-2">
+                      <Repeat className="h-3 w-3 inline mr-1" />
+                      {draft.occurrence_count} occurrences
+                    </span>
+                  )}
+                </p>
+                <div className="mt-2">
+                  {draft.publish_at ? (
+                    <span className="badge-primary">
+                      <Clock className="h-3 w-3 inline mr-1" />
+                      Publishes {formatDate(draft.publish_at)}
+                    </span>
+                  ) : (
+                    <span className="badge-secondary">Draft</span>
+                  )}
+                </div>
+              </div>
+
+              <div className="flex flex-col items-stretch md:items-end gap-2">
+                <div className="flex items-center space-x-2">
+                  <Link to={`/events/${draft.id}`} className="btn-secondary btn-sm">
+                    Preview
+                  </Link>
+                  {draft.publish_at && (
+                    <button
+                      onClick={() => runAction(draft.id, () => unschedulePublish(draft.id))}
+                      disabled={isBusy}
+                      className="btn-secondary btn-sm disabled:opacity-50"
+                    >
+                      Cancel Schedule
+                    </button>
+                  )}
+                  <button
+                    onClick={() => runAction(draft.id, () => publishEvent(draft.id))}
+                    disabled={isBusy}
+                    className="btn-primary btn-sm disabled:opacity-50"
+                  >
+                    <Send className="h-4 w-4 mr-1" />
+                    Publish Now
+                  </button>
+                </div>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="datetime-local"
+                    value={scheduleTimes[draft.id] || ''}
+                    onChange={(e) => setScheduleTimes(prev => ({ ...prev, [draft.id]: e.target.value }))}
+                    className="input"
+                  />
+                  <button
+                    onClick={() => handleSchedule(draft)}
+                    disabled={isBusy}
+                    className="btn-secondary btn-sm whitespace-nowrap disabled:opacity-50"
+                  >
+                    {draft.publish_at ? 'Reschedule' : 'Schedule'}
+                  </button>
+                </div>
+              </div>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default DraftEvents;
@@ -1,15 +1,79 @@
-import React, { useState, useEffect } from 'react';
-import { Calendar, MapPin, Users, Loader2, Save, X } from 'lucide-react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Calendar, MapPin, Users, Loader2, Save, X, Folder, Tag, Repeat, Send, ClipboardList, Plus, Trash2, BellRing } from 'lucide-react';
+import { useEvents } from '../contexts/EventContext';
+
+// "Music, outdoor ,music" -> ['music', 'outdoor']
+const parseTags = (tagsInput) => [
+  ...new Set(
+    tagsInput
+      .split(',')
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean)
+  )
+];
+
+const QUESTION_TYPES = [
+  ['short_text', 'Short text'],
+  ['long_text', 'Long text'],
+  ['single_choice', 'Single choice'],
+  ['multiple_choice', 'Multiple choice']
+];
+
+// Minutes before the event
+const REMINDER_OPTIONS = [10080, 2880, 1440, 180, 60, 15];
+const DEFAULT_REMINDER_OFFSETS = [1440, 60];
+
+// 1440 -> '1 day before', 90 -> '90 minutes before'
+const formatReminder = (minutes) => {
+  const [amount, unit] = minutes % 1440 === 0 ? [minutes / 1440, 'day']
+    : minutes % 60 === 0 ? [minutes / 60, 'hour']
+      : [minutes, 'minute'];
+
+  return `${amount} ${unit}${amount === 1 ? '' : 's'} before`;
+};
+
+const isChoiceType = (type) => type === 'single_choice' || type === 'multiple_choice';
+
+// "S, M ,L, M" -> ['S', 'M', 'L']
+const parseOptions = (optionsInput) => [
+  ...new Set(
+    optionsInput
+      .split(',')
+      .map(option => option.trim())
+      .filter(Boolean)
+  )
+];
 
 const EventForm = ({ event, onSave, onCancel, loading = false }) => {
+  const { categories, fetchCategories } = useEvents();
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     date: '',
     location: '',
-    max_attendees: 100
+    max_attendees: 100,
+    category_id: '',
+    tags: ''
   });
   
+  const [recurrence, setRecurrence] = useState({
+    enabled: false,
+    frequency: 'weekly',
+    interval: 1,
+    endType: 'count',
+    count: 10,
+    until: '',
+    exception_dates: ''
+  });
+  const [scope, setScope] = useState('this');
+  // 'now', 'draft' or 'scheduled'; edits go through the publish buttons instead
+  const [publishMode, setPublishMode] = useState('now');
+  const [publishAt, setPublishAt] = useState('');
+  // Options are edited as comma separated text; `key` only identifies rows in the list
+  const [questions, setQuestions] = useState([]);
+  const nextQuestionKey = useRef(0);
+  const [reminderOffsets, setReminderOffsets] = useState(DEFAULT_REMINDER_OFFSETS);
+  
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
 
@@ -20,11 +84,23 @@ const EventForm = ({ event, onSave, onCancel, loading = false }) => {
         description: event.description || '',
         date: event.date ? new Date(event.date).toISOString().slice(0, 16) : '',
         location: event.location || '',
-        max_attendees: event.max_attendees || 100
+        max_attendees: event.max_attendees || 100,
+        category_id: event.category_id || '',
+        tags: (event.tags || []).join(', ')
       });
+      setQuestions((event.registration_questions || []).map(question => ({
+        ...question,
+        key: question.id,
+        options: (question.options || []).join(', ')
+      })));
+      setReminderOffsets(event.reminder_offsets || DEFAULT_REMINDER_OFFSETS);
     }
   }, [event]);
 
+  useEffect(() => {
+    fetchCategories();
+  }, [fetchCategories]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({
@@ -40,6 +116,66 @@ const EventForm = ({ event, onSave, onCancel, loading = false }) => {
     }
   };
 
+  const handleRecurrenceChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setRecurrence(prev => ({
+      ...prev,
+      [name]: type === 'checkbox' ? checked : value
+    }));
+    
+    if (errors.recurrence) {
+      setErrors(prev => ({
+        ...prev,
+        recurrence: ''
+      }));
+    }
+  };
+
+  const addQuestion = () => {
+    nextQuestionKey.current += 1;
+    setQuestions(prev => [
+      ...prev,
+      { key: `new-${nextQuestionKey.current}`, label: '', type: 'short_text', required: false, options: '' }
+    ]);
+  };
+
+  const updateQuestion = (key, changes) => {
+    setQuestions(prev => prev.map(question => (
+      question.key === key ? { ...question, ...changes } : question
+    )));
+
+    if (errors.questions) {
+      setErrors(prev => ({
+        ...prev,
+        questions: ''
+      }));
+    }
+  };
+
+  const removeQuestion = (key) => {
+    setQuestions(prev => prev.filter(question => question.key !== key));
+  };
+
+  const buildQuestions = () => questions.map(question => ({
+    ...(question.id && { id: question.id }),
+    label: question.label.trim(),
+    type: question.type,
+    required: question.required,
+    ...(isChoiceType(question.type) && { options: parseOptions(question.options) })
+  }));
+
+  const buildRecurrence = () => ({
+    frequency: recurrence.frequency,
+    interval: parseInt(recurrence.interval),
+    ...(recurrence.endType === 'count'
+      ? { count: parseInt(recurrence.count) }
+      : { until: `${recurrence.until}T23:59:59` }),
+    exception_dates: recurrence.exception_dates
+      .split(',')
+      .map(exceptionDate => exceptionDate.trim())
+      .filter(Boolean)
+  });
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -65,6 +201,47 @@ const EventForm = ({ event, onSave, onCancel, loading = false }) => {
       newErrors.max_attendees = 'Maximum attendees must be at least 1';
     }
 
+    const tags = parseTags(formData.tags);
+    if (tags.length > 10) {
+      newErrors.tags = 'An event can have at most 10 tags';
+    } else if (tags.some(tag => tag.length > 30)) {
+      newErrors.tags = 'Tags must be at most 30 characters long';
+    }
+
+    if (questions.length > 20) {
+      newErrors.questions = 'An event can have at most 20 registration questions';
+    } else if (questions.some(question => !question.label.trim())) {
+      newErrors.questions = 'Every registration question needs a label';
+    } else if (questions.some(question => isChoiceType(question.type) && parseOptions(question.options).length < 2)) {
+      newErrors.questions = 'Choice questions need at least 2 options';
+    }
+
+    if (reminderOffsets.length > 5) {
+      newErrors.reminders = 'An event can have at most 5 reminders';
+    }
+
+    if (!event && recurrence.enabled) {
+      if (!recurrence.interval || recurrence.interval < 1) {
+        newErrors.recurrence = 'Repeat interval must be at least 1';
+      } else if (recurrence.endType === 'count' && (recurrence.count < 1 || recurrence.count > 100)) {
+        newErrors.recurrence = 'A series can have between 1 and 100 occurrences';
+      } else if (recurrence.endType === 'until' && !recurrence.until) {
+        newErrors.recurrence = 'Choose when the series ends';
+      } else if (recurrence.endType === 'until' && new Date(recurrence.until) <= new Date(formData.date)) {
+        newErrors.recurrence = 'The series must end after the first occurrence';
+      }
+    }
+
+    if (!event && publishMode === 'scheduled') {
+      if (!publishAt) {
+        newErrors.publish_at = 'Choose when to publish the event';
+      } else if (new Date(publishAt) <= new Date()) {
+        newErrors.publish_at = 'Publish time must be in the future';
+      } else if (formData.date && new Date(publishAt) >= new Date(formData.date)) {
+        newErrors.publish_at = 'Publish time must be before the event starts';
+      }
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -79,7 +256,18 @@ const EventForm = ({ event, onSave, onCancel, loading = false }) => {
     setIsSubmitting(true);
     
     try {
-      await onSave(formData);
+      await onSave({
+        ...formData,
+        category_id: formData.category_id ? parseInt(formData.category_id) : null,
+        tags: parseTags(formData.tags),
+        registration_questions: buildQuestions(),
+        reminder_offsets: [...reminderOffsets].sort((a, b) => b - a),
+        // New events may repeat; edits to an occurrence choose how far they apply
+        ...(!event && recurrence.enabled && { recurrence: buildRecurrence() }),
+        ...(!event && publishMode === 'draft' && { draft: true }),
+        ...(!event && publishMode === 'scheduled' && { publish_at: new Date(publishAt).toISOString() }),
+        ...(event?.series_id && { scope })
+      });
     } finally {
       setIsSubmitting(false);
     }
@@ -201,6 +389,324 @@ const EventForm = ({ event, onSave, onCancel, loading = false }) => {
             )}
           </div>
 
+          {/* Category */}
+          <div>
+            <label htmlFor="category_id" className="block text-sm font-medium text-gray-700 mb-1">
+              <Folder className="h-4 w-4 inline mr-1" />
+              Category
+            </label>
+            <select
+              id="category_id"
+              name="category_id"
+              value={formData.category_id}
+              onChange={handleChange}
+              className="input"
+            >
+              <option value="">No category</option>
+              {categories.map(category => (
+                <option key={category.id} value={category.id}>
+                  {category.name}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {/* Tags */}
+          <div>
+            <label htmlFor="tags" className="block text-sm font-medium text-gray-700 mb-1">
+              <Tag className="h-4 w-4 inline mr-1" />
+              Tags
+            </label>
+            <input
+              type="text"
+              id="tags"
+              name="tags"
+              value={formData.tags}
+              onChange={handleChange}
+              className={`input ${errors.tags ? 'input-error' : ''}`}
+              placeholder="e.g. workshop, free food, outdoor"
+            />
+            {errors.tags ? (
+              <p className="mt-1 text-sm text-red-600">{errors.tags}</p>
+            ) : (
+              <p className="mt-1 text-xs text-gray-500">Separate tags with commas</p>
+            )}
+          </div>
+
+          {/* Reminders */}
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              <BellRing className="h-4 w-4 inline mr-1" />
+              Reminders
+            </span>
+            <div className="grid grid-cols-2 gap-1">
+              {/* Offsets set through the API are listed too, so saving keeps them */}
+              {[...new Set([...REMINDER_OPTIONS, ...reminderOffsets])].sort((a, b) => b - a).map(minutes => (
+                <label key={minutes} className="flex items-center text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={reminderOffsets.includes(minutes)}
+                    onChange={(e) => setReminderOffsets(prev => (
+                      e.target.checked ? [...prev, minutes] : prev.filter(offset => offset !== minutes)
+                    ))}
+                    className="mr-2"
+                  />
+                  {formatReminder(minutes)}
+                </label>
+              ))}
+            </div>
+            {errors.reminders ? (
+              <p className="mt-1 text-sm text-red-600">{errors.reminders}</p>
+            ) : (
+              <p className="mt-1 text-xs text-gray-500">Approved attendees are notified at these times</p>
+            )}
+          </div>
+
+          {/* Registration questions */}
+          <div>
+            <span className="block text-sm font-medium text-gray-700 mb-1">
+              <ClipboardList className="h-4 w-4 inline mr-1" />
+              Registration Questions
+            </span>
+            <div className="space-y-3">
+              {questions.map(question => (
+                <div key={question.key} className="border border-gray-200 rounded-md p-3 space-y-2">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={question.label}
+                      onChange={(e) => updateQuestion(question.key, { label: e.target.value })}
+                      className="input"
+                      placeholder="e.g. T-shirt size"
+                      maxLength={200}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => removeQuestion(question.key)}
+                      className="text-gray-400 hover:text-red-600 transition-colors"
+                      title="Remove question"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={question.type}
+                      onChange={(e) => updateQuestion(question.key, { type: e.target.value })}
+                      className="input"
+                    >
+                      {QUESTION_TYPES.map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <label className="flex items-center text-sm text-gray-700 whitespace-nowrap">
+                      <input
+                        type="checkbox"
+                        checked={question.required}
+                        onChange={(e) => updateQuestion(question.key, { required: e.target.checked })}
+                        className="mr-2"
+                      />
+                      Required
+                    </label>
+                  </div>
+                  {isChoiceType(question.type) && (
+                    <input
+                      type="text"
+                      value={question.options}
+                      onChange={(e) => updateQuestion(question.key, { options: e.target.value })}
+                      className="input"
+                      placeholder="Options, e.g. S, M, L, XL"
+                    />
+                  )}
+                </div>
+              ))}
+
+              <button
+                type="button"
+                onClick={addQuestion}
+                className="btn-secondary btn-sm"
+              >
+                <Plus className="h-4 w-4 mr-1" />
+                Add Question
+              </button>
+            </div>
+            {errors.questions ? (
+              <p className="mt-1 text-sm text-red-600">{errors.questions}</p>
+            ) : questions.length > 0 && (
+              <p className="mt-1 text-xs text-gray-500">Students answer these when they register</p>
+            )}
+          </div>
+
+          {/* Recurrence (new events only) */}
+          {!event && (
+            <div className="space-y-3">
+              <label className="flex items-center text-sm font-medium text-gray-700">
+                <input
+                  type="checkbox"
+                  name="enabled"
+                  checked={recurrence.enabled}
+                  onChange={handleRecurrenceChange}
+                  className="mr-2"
+                />
+                <Repeat className="h-4 w-4 inline mr-1" />
+                Repeat this event
+              </label>
+
+              {recurrence.enabled && (
+                <div className="space-y-3 pl-6">
+                  <div className="flex items-center gap-2">
+                    <span className="text-sm text-gray-700">Every</span>
+                    <input
+                      type="number"
+                      name="interval"
+                      value={recurrence.interval}
+                      onChange={handleRecurrenceChange}
+                      min="1"
+                      max="52"
+                      className="input w-20"
+                    />
+                    <select
+                      name="frequency"
+                      value={recurrence.frequency}
+                      onChange={handleRecurrenceChange}
+                      className="input"
+                    >
+                      <option value="daily">day(s)</option>
+                      <option value="weekly">week(s)</option>
+                      <option value="monthly">month(s)</option>
+                    </select>
+                  </div>
+
+                  <div className="flex items-center gap-2">
+                    <select
+                      name="endType"
+                      value={recurrence.endType}
+                      onChange={handleRecurrenceChange}
+                      className="input"
+                    >
+                      <option value="count">Ends after</option>
+                      <option value="until">Ends on</option>
+                    </select>
+                    {recurrence.endType === 'count' ? (
+                      <>
+                        <input
+                          type="number"
+                          name="count"
+                          value={recurrence.count}
+                          onChange={handleRecurrenceChange}
+                          min="1"
+                          max="100"
+                          className="input w-20"
+                        />
+                        <span className="text-sm text-gray-700">occurrences</span>
+                      </>
+                    ) : (
+                      <input
+                        type="date"
+                        name="until"
+                        value={recurrence.until}
+                        onChange={handleRecurrenceChange}
+                        className="input"
+                      />
+                    )}
+                  </div>
+
+                  <div>
+                    <input
+                      type="text"
+                      name="exception_dates"
+                      value={recurrence.exception_dates}
+                      onChange={handleRecurrenceChange}
+                      className="input"
+                      placeholder="Skip dates, e.g. 2025-12-24, 2025-12-31"
+                    />
+                  </div>
+
+                  {errors.recurrence && (
+                    <p className="text-sm text-red-600">{errors.recurrence}</p>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Edit scope for series occurrences */}
+          {event?.series_id && (
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                <Repeat className="h-4 w-4 inline mr-1" />
+                Apply changes to
+              </span>
+              <div className="space-y-1">
+                {[
+                  ['this', 'This event'],
+                  ['following', 'This and following events'],
+                  ['all', 'All events in the series']
+                ].map(([value, label]) => (
+                  <label key={value} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="scope"
+                      value={value}
+                      checked={scope === value}
+                      onChange={(e) => setScope(e.target.value)}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Publishing (new events only) */}
+          {!event && (
+            <div>
+              <span className="block text-sm font-medium text-gray-700 mb-1">
+                <Send className="h-4 w-4 inline mr-1" />
+                Publishing
+              </span>
+              <div className="space-y-1">
+                {[
+                  ['now', 'Publish now'],
+                  ['draft', 'Save as draft'],
+                  ['scheduled', 'Publish later']
+                ].map(([value, label]) => (
+                  <label key={value} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="radio"
+                      name="publishMode"
+                      value={value}
+                      checked={publishMode === value}
+                      onChange={(e) => {
+                        setPublishMode(e.target.value);
+                        setErrors(prev => ({ ...prev, publish_at: '' }));
+                      }}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
+              {publishMode === 'scheduled' && (
+                <input
+                  type="datetime-local"
+                  value={publishAt}
+                  onChange={(e) => {
+                    setPublishAt(e.target.value);
+                    setErrors(prev => ({ ...prev, publish_at: '' }));
+                  }}
+                  className={`input mt-2 ${errors.publish_at ? 'input-error' : ''}`}
+                />
+              )}
+              {errors.publish_at ? (
+                <p className="mt-1 text-sm text-red-600">{errors.publish_at}</p>
+              ) : publishMode !== 'now' && (
+                <p className="mt-1 text-xs text-gray-500">Drafts are only visible to you and admins</p>
+              )}
+            </div>
+          )}
+
           {/* Buttons */}
           <div className="flex items-center space-x-3 pt-4">
             <button
@@ -216,7 +722,7 @@ const EventForm = ({ event, onSave, onCancel, loading = false }) => {
               ) : (
                 <>
                   <Save className="h-4 w-4 mr-2" />
-                  {event ? 'Update Event' : 'Create Event'}
+                  {event ? 'Update Event' : publishMode === 'now' ? 'Create Event' : 'Save Draft'}
                 </>
               )}
             </button>
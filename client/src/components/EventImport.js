@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { Upload, Download, Loader2, CheckCircle, AlertCircle } from 'lucide-react';
+import { eventsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+// Files larger than this are rejected by the server anyway
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+// Import wizard: choose a CSV or .ics file, review the dry-run preview, then import
+const EventImport = ({ onImported }) => {
+  // { name, format, content } once a file has been chosen
+  const [file, setFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+  const [isWorking, setIsWorking] = useState(false);
+
+  const reset = () => {
+    setFile(null);
+    setPreview(null);
+    setResult(null);
+  };
+
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    e.target.value = '';
+    if (!chosen) return;
+
+    if (chosen.size > MAX_FILE_BYTES) {
+      toast.error('Import files can be at most 2 MB');
+      return;
+    }
+
+    const selected = {
+      name: chosen.name,
+      format: chosen.name.toLowerCase().endsWith('.ics') ? 'ics' : 'csv',
+      content: await chosen.text()
+    };
+
+    setIsWorking(true);
+    try {
+      const response = await eventsAPI.importEvents(selected.format, selected.content);
+      setFile(selected);
+      setPreview(response.data.data);
+      setResult(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to read the file');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const handleImport = async () => {
+    setIsWorking(true);
+    try {
+      const response = await eventsAPI.importEvents(file.format, file.content, {
+        dryRun: false,
+        skipInvalid: preview.invalid_count > 0
+      });
+      setResult(response.data);
+      toast.success(response.data.message);
+      if (onImported) {
+        onImported();
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to import events');
+    } finally {
+      setIsWorking(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    const date = new Date(dateString);
+    if (Number.isNaN(date.getTime())) return dateString;
+
+    return date.toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  if (result) {
+    return (
+      <div className="card text-center py-12">
+        <CheckCircle className="h-12 w-12 text-green-500 mx-auto mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">{result.message}</h3>
+        {result.data.skipped_rows.length > 0 && (
+          <p className="text-gray-600 mb-4">
+            Skipped row(s) {result.data.skipped_rows.join(', ')}
+          </p>
+        )}
+        <button onClick={reset} className="btn-secondary">
+          Import Another File
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="card">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Import Events</h3>
+            <p className="text-sm text-gray-600">
+              Upload a CSV file based on the template, or an .ics file exported from a calendar.
+              Nothing is created until you confirm the preview.
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <a href={eventsAPI.getImportTemplateUrl()} className="btn-secondary whitespace-nowrap">
+              <Download className="h-4 w-4 mr-2" />
+              CSV Template
+            </a>
+            <label className={`btn-primary whitespace-nowrap cursor-pointer ${isWorking ? 'opacity-50 pointer-events-none' : ''}`}>
+              {isWorking && !preview ? (
+                <Loader2 className="animate-spin h-4 w-4 mr-2" />
+              ) : (
+                <Upload className="h-4 w-4 mr-2" />
+              )}
+              Choose File
+              <input
+                type="file"
+                accept=".csv,.ics,text/csv,text/calendar"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+            </label>
+          </div>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="card overflow-hidden">
+          <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
+            <div>
+              <h3 className="font-semibold text-gray-900">{file.name}</h3>
+              <p className="text-sm text-gray-600">
+                {preview.valid_count} of {preview.rows.length} event(s) ready to import
+                {preview.invalid_count > 0 && `, ${preview.invalid_count} with errors`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button onClick={reset} disabled={isWorking} className="btn-secondary">
+                Cancel
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={isWorking || preview.valid_count === 0}
+                className="btn-primary disabled:opacity-50"
+              >
+                {isWorking ? (
+                  <Loader2 className="animate-spin h-4 w-4 mr-2" />
+                ) : (
+                  <Upload className="h-4 w-4 mr-2" />
+                )}
+                {preview.invalid_count > 0
+                  ? `Import ${preview.valid_count} Valid Event(s)`
+                  : `Import ${preview.valid_count} Event(s)`}
+              </button>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Row
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Event
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Date
+                  </th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Result
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {preview.rows.map(row => (
+                  <tr key={row.row} className={row.errors.length > 0 ? 'bg-red-50' : ''}>
+                    <td className="px-4 py-3 text-sm text-gray-500">{row.row}</td>
+                    <td className="px-4 py-3 text-sm text-gray-900">
+                      {row.title || <span className="text-gray-400">Untitled</span>}
+                      {row.event?.draft && <span className="badge-secondary ml-2">Draft</span>}
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-500 whitespace-nowrap">
+                      {row.date ? formatDate(row.date) : '—'}
+                    </td>
+                    <td className="px-4 py-3 text-sm">
+                      {row.errors.length > 0 ? (
+                        <ul className="text-red-600 space-y-1">
+                          {row.errors.map(error => (
+                            <li key={error} className="flex items-start">
+                              <AlertCircle className="h-4 w-4 mr-1 mt-0.5 flex-shrink-0" />
+                              {error}
+                            </li>
+                          ))}
+                        </ul>
+                      ) : (
+                        <span className="text-green-600 flex items-center">
+                          <CheckCircle className="h-4 w-4 mr-1" />
+                          Ready
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EventImport;
@@ -7,6 +7,7 @@ import {
   X
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const { user, isAuthenticated, logout } = useAuth();
@@ -16,8 +17,8 @@ const Navbar = () => {
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isUserMenuOpen, setIsUserMenuOpen] = useState(false);
 
-  const handleLogout = () => {
-    logout();
+  const handleLogout = async () => {
+    await logout();
     navigate('/login');
   };
 
@@ -94,49 +95,69 @@ const Navbar = () => {
             {user && user.role === 'student' && (
               <NavLink to="/my-registrations">My Registrations</NavLink>
             )}
+            
+            {user && user.role === 'admin' && (
+              <NavLink to="/admin/users">Users</NavLink>
+            )}
+            
+            {user && user.role === 'admin' && (
+              <NavLink to="/admin/organizer-requests">Organizer Requests</NavLink>
+            )}
           </div>
 
-          {/* User Menu */}
-          <div className="hidden md:flex items-center space-x-4">
-            <div className="relative">
+          <div className="flex items-center space-x-2">
+            <NotificationBell />
+
+            {/* User Menu */}
+            <div className="hidden md:flex items-center space-x-4">
+              <div className="relative">
+                <button
+                  onClick={() => setIsUserMenuOpen(!isUserMenuOpen)}
+                  className="flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors duration-200"
+                >
+                  <User className="h-5 w-5" />
+                  <span>{user?.username}</span>
+                  <span className="text-xs text-gray-500">
+                    {user?.role}
+                  </span>
+                </button>
+
+                {isUserMenuOpen && (
+                  <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 border border-gray-200">
+                    <Link
+                      to="/profile"
+                      onClick={() => setIsUserMenuOpen(false)}
+                      className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <User className="h-4 w-4 mr-2" />
+                      Profile
+                    </Link>
+                    <button
+                      onClick={handleLogout}
+                      className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
+                    >
+                      <LogOut className="h-4 w-4 mr-2" />
+                      Logout
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Mobile menu button */}
+            <div className="md:hidden">
               <button
-                onClick={() => setIsUserMenuOpen(!isUserMenuOpen)}
-                className="flex items-center space-x-2 px-3 py-2 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-100 transition-colors duration-200"
+                onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                className="p-2 rounded-md text-gray-600 hover:text-gray-900 hover:bg-gray-100"
               >
-                <User className="h-5 w-5" />
-                <span>{user?.username}</span>
-                <span className="text-xs text-gray-500">
-                  {user?.role}
-                </span>
+                {isMobileMenuOpen ? (
+                  <X className="h-6 w-6" />
+                ) : (
+                  <Menu className="h-6 w-6" />
+                )}
               </button>
-
-              {isUserMenuOpen && (
-                <div className="absolute right-0 mt-2 w-48 bg-white rounded-md shadow-lg py-1 z-50 border border-gray-200">
-                  <button
-                    onClick={handleLogout}
-                    className="flex items-center w-full px-4 py-2 text-sm text-gray-700 hover:bg-gray-100"
-                  >
-                    <LogOut className="h-4 w-4 mr-2" />
-                    Logout
-                  </button>
-                </div>
-              )}
             </div>
           </div>
-
-          {/* Mobile menu button */}
-          <div className="md:hidden">
-            <button
-              onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-              className="p-2 rounded-md text-gray-600 hover:text-gray-900 hover:bg-gray-100"
-            >
-              {isMobileMenuOpen ? (
-                <X className="h-6 w-6" />
-              ) : (
-                <Menu className="h-6 w-6" />
-              )}
-            </button>
-          </div>
         </div>
 
         {/* Mobile Navigation Menu */}
@@ -153,6 +174,15 @@ const Navbar = () => {
                 <NavLink to="/my-registrations">My Registrations</NavLink>
               )}
               
+              {user && user.role === 'admin' && (
+                <NavLink to="/admin/users">Users</NavLink>
+              )}
+              
+              {user && user.role === 'admin' && (
+                <NavLink to="/admin/organizer-requests">Organizer Requests</NavLink>
+              )}
+              
+              <NavLink to="/profile">Profile</NavLink>
               
               <button
                 onClick={handleLogout}
@@ -0,0 +1,205 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, BellOff, CheckCheck, Loader2 } from 'lucide-react';
+import { notificationsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import socketService from '../services/socket';
+import toast from 'react-hot-toast';
+
+const PAGE_SIZE = 10;
+
+const formatTimeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Bell with an unread badge; the dropdown lists notifications newest first
+const NotificationBell = () => {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [pagination, setPagination] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const containerRef = useRef(null);
+
+  const fetchNotifications = useCallback(async (page = 1) => {
+    setIsLoading(true);
+    try {
+      const response = await notificationsAPI.getAll({ page, limit: PAGE_SIZE });
+      const { notifications: fetched, unread_count, pagination: fetchedPagination } = response.data.data;
+
+      setNotifications(prev => (page === 1 ? fetched : [...prev, ...fetched]));
+      setUnreadCount(unread_count);
+      setPagination(fetchedPagination);
+    } catch (error) {
+      console.error('Failed to load notifications:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications, user?.id]);
+
+  // New notifications arrive through the user's own socket room
+  useEffect(() => {
+    const handleNotification = ({ notification }) => {
+      setNotifications(prev => [notification, ...prev.filter(existing => existing.id !== notification.id)]);
+      setUnreadCount(prev => prev + 1);
+
+      // Cancellations already get a toast from the event_cancelled broadcast
+      if (notification.type !== 'event_cancelled') {
+        toast(notification.message);
+      }
+    };
+
+    // Reads made in another tab or on another device
+    const handleNotificationsRead = ({ notificationIds, unreadCount: remaining, timestamp }) => {
+      setNotifications(prev => prev.map(notification => (
+        notificationIds.includes(notification.id) && !notification.read_at
+          ? { ...notification, read_at: timestamp }
+          : notification
+      )));
+      setUnreadCount(remaining);
+    };
+
+    socketService.onNotification(handleNotification);
+    socketService.onNotificationsRead(handleNotificationsRead);
+
+    return () => {
+      socketService.removeListener('notification', handleNotification);
+      socketService.removeListener('notifications_read', handleNotificationsRead);
+    };
+  }, [user?.id]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleOpen = (notification) => {
+    setIsOpen(false);
+
+    if (!notification.read_at) {
+      setNotifications(prev => prev.map(existing => (
+        existing.id === notification.id ? { ...existing, read_at: new Date().toISOString() } : existing
+      )));
+      notificationsAPI.markRead(notification.id)
+        .then(response => setUnreadCount(response.data.data.unread_count))
+        .catch(error => console.error('Failed to mark notification as read:', error));
+    }
+
+    if (notification.event_id) {
+      navigate(`/events/${notification.event_id}`);
+    }
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await notificationsAPI.markAllRead();
+      const readAt = new Date().toISOString();
+      setNotifications(prev => prev.map(notification => ({ ...notification, read_at: notification.read_at || readAt })));
+      setUnreadCount(0);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to mark notifications as read');
+    }
+  };
+
+  const hasMore = pagination && pagination.page < pagination.pages;
+
+  return (
+    <div className="relative" ref={containerRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 rounded-md text-gray-600 hover:text-gray-900 hover:bg-gray-100 transition-colors duration-200"
+        aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+      >
+        <Bell className="h-5 w-5" />
+        {unreadCount > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-medium flex items-center justify-center">
+            {unreadCount > 99 ? '99+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 bg-white rounded-md shadow-lg z-50 border border-gray-200">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unreadCount > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                className="flex items-center text-xs text-blue-600 hover:text-blue-800"
+              >
+                <CheckCheck className="h-4 w-4 mr-1" />
+                Mark all as read
+              </button>
+            )}
+          </div>
+
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 && !isLoading ? (
+              <div className="px-4 py-8 text-center text-sm text-gray-500">
+                <BellOff className="h-8 w-8 text-gray-300 mx-auto mb-2" />
+                No notifications yet
+              </div>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {notifications.map(notification => (
+                  <li key={notification.id}>
+                    <button
+                      onClick={() => handleOpen(notification)}
+                      className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${notification.read_at ? '' : 'bg-blue-50'}`}
+                    >
+                      <div className="flex items-start justify-between gap-2">
+                        <p className={`text-sm ${notification.read_at ? 'text-gray-700' : 'text-gray-900 font-medium'}`}>
+                          {notification.title}
+                        </p>
+                        <span className="text-xs text-gray-400 whitespace-nowrap">
+                          {formatTimeAgo(notification.created_at)}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-600 mt-0.5">{notification.message}</p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {isLoading && (
+              <div className="flex justify-center py-3">
+                <Loader2 className="animate-spin h-5 w-5 text-gray-400" />
+              </div>
+            )}
+
+            {hasMore && !isLoading && (
+              <button
+                onClick={() => fetchNotifications(pagination.page + 1)}
+                className="w-full px-4 py-2 text-sm text-blue-600 hover:bg-gray-50 border-t border-gray-100"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationBell;
@@ -0,0 +1,121 @@
+import React, { useState, useEffect } from 'react';
+import { BellRing, Save, Loader2 } from 'lucide-react';
+import { notificationsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const CHANNEL_LABELS = {
+  in_app: 'In-app',
+  email: 'Email',
+  digest: 'Daily digest'
+};
+
+// One row per notification type, one checkbox per channel
+const NotificationPreferences = () => {
+  const [preferences, setPreferences] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [changes, setChanges] = useState({});
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    notificationsAPI.getPreferences()
+      .then(response => {
+        setPreferences(response.data.data.preferences);
+        setChannels(response.data.data.channels);
+      })
+      .catch(() => toast.error('Failed to load notification settings'));
+  }, []);
+
+  const isEnabled = (preference, channel) =>
+    changes[preference.type]?.[channel] ?? preference.channels[channel];
+
+  const handleToggle = (preference, channel) => {
+    setChanges(prev => ({
+      ...prev,
+      [preference.type]: { ...prev[preference.type], [channel]: !isEnabled(preference, channel) }
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    try {
+      const response = await notificationsAPI.updatePreferences(changes);
+      setPreferences(response.data.data.preferences);
+      setChanges({});
+      toast.success(response.data.message || 'Notification settings saved');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save notification settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <BellRing className="h-5 w-5 mr-2" />
+        Notifications
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Choose where each kind of notification reaches you. The daily digest collects everything
+        ticked for it into one email a day.
+      </p>
+
+      {!preferences ? (
+        <div className="flex items-center text-gray-600">
+          <Loader2 className="animate-spin h-4 w-4 mr-2" />
+          Loading notification settings...
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="py-2 pr-4 text-left font-medium text-gray-700">Notify me when</th>
+                  {channels.map(channel => (
+                    <th key={channel} className="py-2 px-2 text-center font-medium text-gray-700 whitespace-nowrap">
+                      {CHANNEL_LABELS[channel] || channel}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {preferences.map(preference => (
+                  <tr key={preference.type}>
+                    <td className="py-2 pr-4 text-gray-900">{preference.label}</td>
+                    {channels.map(channel => (
+                      <td key={channel} className="py-2 px-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={isEnabled(preference, channel)}
+                          onChange={() => handleToggle(preference, channel)}
+                          aria-label={`${preference.label}: ${CHANNEL_LABELS[channel] || channel}`}
+                          className="h-4 w-4"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <button
+            onClick={handleSave}
+            disabled={isSaving || Object.keys(changes).length === 0}
+            className="btn-primary btn-sm"
+          >
+            {isSaving ? (
+              <Loader2 className="animate-spin h-4 w-4 mr-1" />
+            ) : (
+              <Save className="h-4 w-4 mr-1" />
+            )}
+            Save Notification Settings
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import { Megaphone, Loader2, Send } from 'lucide-react';
+import { organizerRequestsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import socketService from '../services/socket';
+import toast from 'react-hot-toast';
+
+// Lets a student ask an admin for organizer access and follow the decision
+const OrganizerRequestCard = () => {
+  const { isEmailVerified, refreshUser } = useAuth();
+  // undefined while loading, null when the student never asked
+  const [request, setRequest] = useState(undefined);
+  const [formData, setFormData] = useState({ club_name: '', justification: '' });
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    organizerRequestsAPI.getMine()
+      .then(response => setRequest(response.data.data.request))
+      .catch(() => {
+        setRequest(null);
+        toast.error('Failed to load your organizer request');
+      });
+  }, []);
+
+  // The decision may arrive while this page is open
+  useEffect(() => {
+    const handleUpdate = (update) => {
+      setRequest(prev => (
+        prev && prev.id === update.requestId
+          ? { ...prev, status: update.status, review_note: update.note, reviewed_at: update.timestamp }
+          : prev
+      ));
+
+      // The toast comes with the notification
+      if (update.status === 'approved') {
+        refreshUser();
+      }
+    };
+
+    socketService.onOrganizerRequestUpdate(handleUpdate);
+    return () => socketService.removeListener('organizer_request_update', handleUpdate);
+  }, [refreshUser]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    setIsSubmitting(true);
+    try {
+      const response = await organizerRequestsAPI.create(formData);
+      setRequest(response.data.data.request);
+      setFormData({ club_name: '', justification: '' });
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to submit request');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  const canRequest = request === null || request?.status === 'rejected';
+
+  return (
+    <div className="card">
+      <h2 className="text-xl font-semibold text-gray-900 mb-2 flex items-center">
+        <Megaphone className="h-5 w-5 mr-2" />
+        Organizer Access
+      </h2>
+      <p className="text-sm text-gray-600 mb-4">
+        Organizers can create and manage events. Tell us which club or group you represent and an
+        admin will review your request.
+      </p>
+
+      {request === undefined ? (
+        <div className="flex items-center text-gray-600">
+          <Loader2 className="animate-spin h-4 w-4 mr-2" />
+          Loading...
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {request && (
+            <div className="p-3 bg-gray-50 rounded-lg text-sm">
+              <div className="flex items-center justify-between">
+                <span className="font-medium text-gray-900">{request.club_name}</span>
+                <span className={`capitalize ${
+                  request.status === 'pending' ? 'badge-warning' : request.status === 'approved' ? 'badge-success' : 'badge-danger'
+                }`}>
+                  {request.status}
+                </span>
+              </div>
+              <p className="text-gray-500 mt-1">
+                Requested {formatDate(request.created_at)}
+                {request.reviewed_at && `, reviewed ${formatDate(request.reviewed_at)}`}
+              </p>
+              {request.review_note && (
+                <p className="text-gray-700 mt-2">Reviewer's note: {request.review_note}</p>
+              )}
+            </div>
+          )}
+
+          {canRequest && (
+            isEmailVerified() ? (
+              <form onSubmit={handleSubmit} className="space-y-3">
+                <div>
+                  <label htmlFor="club_name" className="block text-sm font-medium text-gray-700">
+                    Club or group
+                  </label>
+                  <input
+                    id="club_name"
+                    type="text"
+                    value={formData.club_name}
+                    onChange={(e) => setFormData(prev => ({ ...prev, club_name: e.target.value }))}
+                    maxLength={100}
+                    className="input mt-1"
+                    required
+                  />
+                </div>
+                <div>
+                  <label htmlFor="justification" className="block text-sm font-medium text-gray-700">
+                    What events do you plan to run?
+                  </label>
+                  <textarea
+                    id="justification"
+                    rows={4}
+                    value={formData.justification}
+                    onChange={(e) => setFormData(prev => ({ ...prev, justification: e.target.value }))}
+                    maxLength={2000}
+                    className="input mt-1"
+                    required
+                  />
+                </div>
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  {isSubmitting ? (
+                    <Loader2 className="animate-spin h-4 w-4 mr-2" />
+                  ) : (
+                    <Send className="h-4 w-4 mr-2" />
+                  )}
+                  {request ? 'Request Again' : 'Request Organizer Access'}
+                </button>
+              </form>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Verify your email address to request organizer access.
+              </p>
+            )
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OrganizerRequestCard;
@@ -0,0 +1,97 @@
+import React from 'react';
+
+const isBlank = (answer) =>
+  answer === undefined || answer === null ||
+  (typeof answer === 'string' && answer.trim() === '') ||
+  (Array.isArray(answer) && answer.length === 0);
+
+// Labels of required questions that have no answer yet
+export const unansweredQuestions = (questions = [], answers = {}) => questions
+  .filter(question => question.required && isBlank(answers[question.id]))
+  .map(question => question.label);
+
+// Inputs for an event's registration questions; `answers` is keyed by question id
+const RegistrationQuestions = ({ questions, answers, onChange, disabled = false }) => {
+  const setAnswer = (questionId, value) => {
+    onChange({ ...answers, [questionId]: value });
+  };
+
+  const toggleOption = (question, option, checked) => {
+    const chosen = answers[question.id] || [];
+    setAnswer(question.id, checked ? [...chosen, option] : chosen.filter(choice => choice !== option));
+  };
+
+  return (
+    <div className="space-y-3 text-left">
+      {questions.map(question => {
+        const inputId = `question-${question.id}`;
+
+        return (
+          <div key={question.id}>
+            <label htmlFor={inputId} className="block text-sm font-medium text-gray-700 mb-1">
+              {question.label}{question.required && ' *'}
+            </label>
+
+            {question.type === 'short_text' && (
+              <input
+                type="text"
+                id={inputId}
+                value={answers[question.id] || ''}
+                onChange={(e) => setAnswer(question.id, e.target.value)}
+                disabled={disabled}
+                maxLength={200}
+                className="input"
+              />
+            )}
+
+            {question.type === 'long_text' && (
+              <textarea
+                id={inputId}
+                value={answers[question.id] || ''}
+                onChange={(e) => setAnswer(question.id, e.target.value)}
+                disabled={disabled}
+                maxLength={2000}
+                rows={3}
+                className="input"
+              />
+            )}
+
+            {question.type === 'single_choice' && (
+              <select
+                id={inputId}
+                value={answers[question.id] || ''}
+                onChange={(e) => setAnswer(question.id, e.target.value)}
+                disabled={disabled}
+                className="input"
+              >
+                <option value="">Choose...</option>
+                {question.options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            )}
+
+            {question.type === 'multiple_choice' && (
+              <div id={inputId} className="space-y-1">
+                {question.options.map(option => (
+                  <label key={option} className="flex items-center text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={(answers[question.id] || []).includes(option)}
+                      onChange={(e) => toggleOption(question, option, e.target.checked)}
+                      disabled={disabled}
+                      className="mr-2"
+                    />
+                    {option}
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RegistrationQuestions;
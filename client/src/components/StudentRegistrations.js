@@ -1,13 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { Calendar, MapPin, Users, Clock, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import { Calendar, MapPin, Users, Clock, CheckCircle, XCircle, AlertCircle, Hourglass, CalendarPlus, QrCode, Ban } from 'lucide-react';
+import { QRCodeSVG } from 'qrcode.react';
 import { useEvents } from '../contexts/EventContext';
+import { eventsAPI } from '../services/api';
+
+const ATTENDANCE_LABELS = {
+  attended: 'Attended',
+  no_show: 'No-show',
+  excused: 'Excused'
+};
 
 const StudentRegistrations = () => {
   const { registrations, fetchRegistrations, loading } = useEvents();
   const [statusFilter, setStatusFilter] = useState('all');
+  const [openTicketId, setOpenTicketId] = useState(null);
+  const [attendanceSummary, setAttendanceSummary] = useState(null);
 
   useEffect(() => {
-    fetchRegistrations({ limit: 50 });
+    fetchRegistrations({ limit: 50 }).then((result) => {
+      if (result.success) {
+        setAttendanceSummary(result.data.attendance_summary || null);
+      }
+    });
   }, [fetchRegistrations]);
 
   const filteredRegistrations = registrations.filter(reg => {
@@ -23,6 +37,8 @@ const StudentRegistrations = () => {
         return <XCircle className="h-4 w-4 text-gray-600" />;
       case 'pending':
         return <AlertCircle className="h-4 w-4 text-gray-600" />;
+      case 'waitlisted':
+        return <Hourglass className="h-4 w-4 text-gray-600" />;
       default:
         return <Clock className="h-4 w-4 text-gray-500" />;
     }
@@ -32,6 +48,10 @@ const StudentRegistrations = () => {
     return 'bg-gray-100 text-gray-700';
   };
 
+  const attendanceTotal = attendanceSummary
+    ? attendanceSummary.attended + attendanceSummary.no_show + attendanceSummary.excused
+    : 0;
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       year: 'numeric',
@@ -71,10 +91,25 @@ const StudentRegistrations = () => {
           <option value="all">All Status</option>
           <option value="pending">Pending</option>
           <option value="approved">Approved</option>
+          <option value="waitlisted">Waitlisted</option>
           <option value="rejected">Rejected</option>
         </select>
       </div>
 
+      {/* Attendance history */}
+      {attendanceTotal > 0 && (
+        <div className="grid grid-cols-3 gap-4">
+          {Object.entries(ATTENDANCE_LABELS).map(([status, label]) => (
+            <div key={status} className="card text-center">
+              <div className="text-2xl font-bold text-gray-900 mb-1">
+                {attendanceSummary[status]}
+              </div>
+              <div className="text-sm text-gray-600">{label}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Registrations List */}
       {filteredRegistrations.length === 0 ? (
         <div className="text-center py-12">
@@ -93,36 +128,62 @@ const StudentRegistrations = () => {
         <div className="grid gap-4">
           {filteredRegistrations.map((registration) => (
             <div key={registration.id} className="card hover:shadow-md transition-shadow">
+              {registration.event.cancelled_at && (
+                <div className="flex items-start space-x-2 mb-3 p-3 bg-gray-50 rounded-md">
+                  <Ban className="h-4 w-4 text-gray-600 mt-0.5" />
+                  <div className="text-sm">
+                    <span className="font-medium text-gray-900">Cancelled</span>
+                    {registration.event.cancellation_reason && (
+                      <span className="text-gray-600"> - {registration.event.cancellation_reason}</span>
+                    )}
+                  </div>
+                </div>
+              )}
+              
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <div className="flex items-center space-x-3 mb-2">
                     <h3 className="text-lg font-semibold text-gray-900">
-                      {registration.event_title}
+                      {registration.event.title}
                     </h3>
                     <span className={`badge ${getStatusColor(registration.status)}`}>
                       {getStatusIcon(registration.status)}
                       <span className="ml-1 capitalize">{registration.status}</span>
+                      {registration.status === 'waitlisted' && registration.waitlist_position && (
+                        <span className="ml-1">#{registration.waitlist_position}</span>
+                      )}
                     </span>
+                    {registration.attendance_status && (
+                      <span className={`badge ${registration.attendance_status === 'attended' ? 'badge-success' : 'badge-secondary'}`}>
+                        {ATTENDANCE_LABELS[registration.attendance_status]}
+                      </span>
+                    )}
                   </div>
                   
+                  {registration.status === 'waitlisted' && registration.waitlist_position && !registration.event.cancelled_at && (
+                    <p className="text-sm text-gray-700 mb-2">
+                      You are #{registration.waitlist_position} on the waitlist and will be approved automatically when a seat frees up.
+                    </p>
+                  )}
+                  
                   <p className="text-gray-600 text-sm mb-3 line-clamp-2">
-                    {registration.event_description}
+                    {registration.event.description}
                   </p>
                   
                   <div className="flex items-center space-x-6 text-sm text-gray-500">
                     <div className="flex items-center">
                       <Calendar className="h-4 w-4 mr-1" />
-                      {formatDate(registration.event_date)}
+                      {formatDate(registration.event.date)}
                     </div>
                     
                     <div className="flex items-center">
                       <MapPin className="h-4 w-4 mr-1" />
-                      {registration.event_location}
+                      {registration.event.location}
                     </div>
                     
                     <div className="flex items-center">
                       <Users className="h-4 w-4 mr-1" />
-                      {registration.event_attendees || 0} / {registration.max_attendees} attendees
+                      {registration.event.max_attendees} spots
                     </div>
                   </div>
                 </div>
@@ -130,8 +191,41 @@ const StudentRegistrations = () => {
                 <div className="text-right text-sm text-gray-500">
                   <div>Registered:</div>
                   <div>{formatDate(registration.registered_at)}</div>
+                  {registration.status === 'approved' && !registration.event.cancelled_at && new Date(registration.event.date) > new Date() && (
+                    <a
+                      href={eventsAPI.getCalendarUrl(registration.event.id)}
+                      className="btn-secondary btn-sm mt-3"
+                    >
+                      <CalendarPlus className="h-4 w-4 mr-1" />
+                      Add to Calendar
+                    </a>
+                  )}
+                  {registration.ticket && !registration.event.cancelled_at && (
+                    <button
+                      onClick={() => setOpenTicketId(openTicketId === registration.id ? null : registration.id)}
+                      className="btn-secondary btn-sm mt-2"
+                    >
+                      <QrCode className="h-4 w-4 mr-1" />
+                      {openTicketId === registration.id ? 'Hide Ticket' : 'Show Ticket'}
+                    </button>
+                  )}
                 </div>
               </div>
+              
+              {/* Ticket */}
+              {registration.ticket && !registration.event.cancelled_at && openTicketId === registration.id && (
+                <div className="mt-4 pt-4 border-t border-gray-200 flex flex-col items-center text-center">
+                  <QRCodeSVG value={registration.ticket.token} size={180} includeMargin />
+                  <div className="mt-2 font-mono text-lg tracking-wider text-gray-900">
+                    {registration.ticket.code}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1">
+                    {registration.checked_in_at
+                      ? `Checked in ${formatDate(registration.checked_in_at)}`
+                      : 'Show this code at the entrance to check in'}
+                  </p>
+                </div>
+              )}
             </div>
           ))}
         </div>
@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { MailWarning, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmailBanner = () => {
+  const { user, isAuthenticated, isEmailVerified, resendVerification } = useAuth();
+  const [isSending, setIsSending] = useState(false);
+
+  if (!isAuthenticated() || isEmailVerified()) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setIsSending(true);
+    await resendVerification();
+    setIsSending(false);
+  };
+
+  return (
+    <div className="card bg-yellow-50 border-yellow-200 mb-6 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+      <div className="flex items-center text-sm text-gray-800">
+        <MailWarning className="h-5 w-5 mr-2 text-yellow-600 flex-shrink-0" />
+        <span>
+          Verify your email address to register for events. We sent a link to <strong>{user.email}</strong>.
+        </span>
+      </div>
+      <button
+        onClick={handleResend}
+        disabled={isSending}
+        className="btn-secondary btn-sm whitespace-nowrap"
+      >
+        {isSending ? <Loader2 className="animate-spin h-4 w-4" /> : 'Resend link'}
+      </button>
+    </div>
+  );
+};
+
+export default VerifyEmailBanner;
@@ -18,15 +18,42 @@ export const AuthProvider = ({ children }) => {
   const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
 
-  const logout = useCallback(() => {
+  const clearSession = useCallback(() => {
     setUser(null);
     setToken(null);
     localStorage.removeItem('token');
     localStorage.removeItem('user');
     socketService.disconnect();
-    toast.success('Logged out successfully');
   }, []);
 
+  const logout = useCallback(async () => {
+    // Closed first, so the server dropping it on revoke is not taken for a lost session
+    socketService.disconnect();
+    try {
+      // Revokes this device's refresh token on the server
+      await authAPI.logout();
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+    clearSession();
+    toast.success('Logged out successfully');
+  }, [clearSession]);
+
+  const logoutEverywhere = useCallback(async () => {
+    try {
+      socketService.disconnect();
+      const response = await authAPI.logoutEverywhere();
+      clearSession();
+      toast.success(response.data.message || 'Logged out of all devices');
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to log out of all devices';
+      toast.error(errorMessage);
+      socketService.connect(localStorage.getItem('token'));
+      return { success: false, error: errorMessage };
+    }
+  }, [clearSession]);
+
   useEffect(() => {
     const checkExistingLogin = async () => {
       try {
@@ -45,29 +72,32 @@ export const AuthProvider = ({ children }) => {
           }
           
           try {
+            // An expired access token is refreshed by the api interceptor
             const response = await authAPI.getProfile();
             if (response.data.success) {
+              const currentToken = localStorage.getItem('token');
+              setToken(currentToken);
               setUser(response.data.data.user);
               localStorage.setItem('user', JSON.stringify(response.data.data.user));
               socketService.resetConnectionAttempts();
-              socketService.connect(savedToken);
+              socketService.connect(currentToken);
             } else {
               throw new Error('Invalid token');
             }
           } catch (error) {
-            logout();
+            clearSession();
           }
         }
       } catch (error) {
         console.error('Auth initialization error:', error);
-        logout();
+        clearSession();
       } finally {
         setLoading(false);
       }
     };
 
     checkExistingLogin();
-  }, [logout]);
+  }, [clearSession]);
 
   const login = useCallback(async (loginCredentials) => {
     try {
@@ -113,13 +143,13 @@ export const AuthProvider = ({ children }) => {
         socketService.resetConnectionAttempts();
         socketService.connect(authToken);
         
-        toast.success(`Welcome to Campus Events, ${newUser.username}!`);
+        toast.success(`Welcome to Campus Events, ${newUser.username}! Check your email to verify your account.`);
         return { success: true };
       } else {
         throw new Error(response.data.message || 'Registration failed');
       }
     } catch (error) {
-      const errorMessage = error.response?.data?.message || error.message || 'Registration failed';
+      const errorMessage = error.response?.data?.errors?.[0] || error.response?.data?.message || error.message || 'Registration failed';
       toast.error(errorMessage);
       return { success: false, error: errorMessage };
     } finally {
@@ -137,7 +167,7 @@ export const AuthProvider = ({ children }) => {
         const updatedUser = response.data.data.user;
         setUser(updatedUser);
         localStorage.setItem('user', JSON.stringify(updatedUser));
-        toast.success('Profile updated successfully');
+        toast.success(response.data.message || 'Profile updated successfully');
         return { success: true };
       } else {
         throw new Error(response.data.message || 'Profile update failed');
@@ -151,6 +181,19 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  // Picks up changes made elsewhere, e.g. an admin granting organizer access
+  const refreshUser = useCallback(async () => {
+    try {
+      const response = await authAPI.getProfile();
+      const currentUser = response.data.data.user;
+      setUser(currentUser);
+      localStorage.setItem('user', JSON.stringify(currentUser));
+      return { success: true, user: currentUser };
+    } catch (error) {
+      return { success: false, error: error.response?.data?.message || 'Failed to refresh profile' };
+    }
+  }, []);
+
   const changePassword = useCallback(async (passwordChangeData) => {
     try {
       setLoading(true);
@@ -171,7 +214,41 @@ export const AuthProvider = ({ children }) => {
     }
   }, []);
 
+  const verifyEmail = useCallback(async (verificationToken) => {
+    try {
+      const response = await authAPI.verifyEmail(verificationToken);
+      const verifiedUser = response.data.data.user;
+
+      // The link may be opened in a browser where another account is signed in
+      setUser(currentUser => {
+        if (!currentUser || currentUser.id !== verifiedUser.id) return currentUser;
+
+        const updatedUser = { ...currentUser, email_verified_at: verifiedUser.email_verified_at };
+        localStorage.setItem('user', JSON.stringify(updatedUser));
+        return updatedUser;
+      });
+
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0] || error.response?.data?.message || 'Email verification failed';
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const resendVerification = useCallback(async () => {
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to send verification email';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
   const isAuthenticated = () => !!user && !!token;
+  const isEmailVerified = () => !!user?.email_verified_at;
   
   const hasRole = (requiredRole) => {
     if (!user) return false;
@@ -195,9 +272,14 @@ export const AuthProvider = ({ children }) => {
     login,
     register,
     logout,
+    logoutEverywhere,
     updateProfile,
+    refreshUser,
     changePassword,
+    verifyEmail,
+    resendVerification,
     isAuthenticated,
+    isEmailVerified,
     hasRole,
     hasAnyRole,
     isAdmin,
@@ -1,5 +1,5 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
-import { eventsAPI, registrationsAPI } from '../services/api';
+import { eventsAPI, registrationsAPI, categoriesAPI } from '../services/api';
 import socketService from '../services/socket';
 import { useAuth } from './AuthContext';
 import toast from 'react-hot-toast';
@@ -19,6 +19,8 @@ export const EventProvider = ({ children }) => {
   const [events, setEvents] = useState([]);
   const [currentEvent, setCurrentEvent] = useState(null);
   const [registrations, setRegistrations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [facets, setFacets] = useState({ categories: [], tags: [] });
   const [loading, setLoading] = useState(false);
   const [pagination, setPagination] = useState({
     page: 1,
@@ -36,6 +38,7 @@ export const EventProvider = ({ children }) => {
       if (response.data.success) {
         setEvents(response.data.data.events);
         setPagination(response.data.data.pagination);
+        setFacets(response.data.data.facets || { categories: [], tags: [] });
         return { success: true, data: response.data.data };
       } else {
         throw new Error(response.data.message || 'Failed to fetch events');
@@ -56,7 +59,11 @@ export const EventProvider = ({ children }) => {
       
       if (response.data.success) {
         setCurrentEvent(response.data.data.event);
-        socketService.joinEvent(eventId);
+        socketService.joinEvent(eventId).then((joinResult) => {
+          if (!joinResult.success) {
+            console.warn(`Live updates unavailable for event ${eventId}:`, joinResult.message);
+          }
+        });
         
         return { success: true, data: response.data.data };
       } else {
@@ -71,6 +78,88 @@ export const EventProvider = ({ children }) => {
     }
   }, []);
 
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await categoriesAPI.getAll();
+      
+      if (response.data.success) {
+        setCategories(response.data.data.categories);
+        return { success: true, data: response.data.data.categories };
+      } else {
+        throw new Error(response.data.message || 'Failed to fetch categories');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch categories';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  // Category management (admins only)
+  const createCategory = useCallback(async (name) => {
+    try {
+      const response = await categoriesAPI.create({ name });
+      
+      if (response.data.success) {
+        const newCategory = { ...response.data.data.category, event_count: 0 };
+        setCategories(prevCategories => 
+          [...prevCategories, newCategory].sort((a, b) => a.name.localeCompare(b.name))
+        );
+        toast.success('Category created successfully');
+        return { success: true, data: newCategory };
+      } else {
+        throw new Error(response.data.message || 'Failed to create category');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to create category';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const updateCategory = useCallback(async (categoryId, name) => {
+    try {
+      const response = await categoriesAPI.update(categoryId, { name });
+      
+      if (response.data.success) {
+        const updatedCategory = response.data.data.category;
+        setCategories(prevCategories => 
+          prevCategories
+            .map(category => 
+              category.id === categoryId ? { ...category, ...updatedCategory } : category
+            )
+            .sort((a, b) => a.name.localeCompare(b.name))
+        );
+        toast.success('Category updated successfully');
+        return { success: true, data: updatedCategory };
+      } else {
+        throw new Error(response.data.message || 'Failed to update category');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to update category';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const deleteCategory = useCallback(async (categoryId) => {
+    try {
+      const response = await categoriesAPI.delete(categoryId);
+      
+      if (response.data.success) {
+        setCategories(prevCategories => prevCategories.filter(category => category.id !== categoryId));
+        toast.success('Category deleted successfully');
+        return { success: true };
+      } else {
+        throw new Error(response.data.message || 'Failed to delete category');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to delete category';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
   // Function to create a new event
   const createEvent = useCallback(async (newEventData) => {
     try {
@@ -79,12 +168,15 @@ export const EventProvider = ({ children }) => {
       
       if (response.data.success) {
         const newEvent = response.data.data.event;
-        setEvents(prevEvents => [newEvent, ...prevEvents]);
-        
-        // Notify other users about the new event
-        socketService.emitEventCreated(newEvent);
+        // Recurring events come back with every generated occurrence
+        const newEvents = response.data.data.occurrences || [newEvent];
+        // Drafts stay out of the event list until they are published; the
+        // server announces published events to other users itself
+        if (newEvent.published_at) {
+          setEvents(prevEvents => [...newEvents, ...prevEvents]);
+        }
         
-        toast.success('Event created successfully');
+        toast.success(response.data.message || 'Event created successfully');
         return { success: true, data: newEvent };
       } else {
         throw new Error(response.data.message || 'Failed to create event');
@@ -106,9 +198,11 @@ export const EventProvider = ({ children }) => {
       
       if (response.data.success) {
         const updatedEvent = response.data.data.event;
+        // Series edits can change several occurrences at once
+        const updatedEvents = response.data.data.events || [updatedEvent];
         setEvents(prevEvents => 
           prevEvents.map(event => 
-            event.id === eventId ? updatedEvent : event
+            updatedEvents.find(updated => updated.id === event.id) || event
           )
         );
         
@@ -117,7 +211,7 @@ export const EventProvider = ({ children }) => {
           setCurrentEvent(updatedEvent);
         }
         
-        toast.success('Event updated successfully');
+        toast.success(response.data.message || 'Event updated successfully');
         return { success: true, data: updatedEvent };
       } else {
         throw new Error(response.data.message || 'Failed to update event');
@@ -131,6 +225,70 @@ export const EventProvider = ({ children }) => {
     }
   }, [currentEvent]);
 
+  // Publishes a draft (and the rest of its series) now, or schedules it for publishAt
+  const publishEvent = useCallback(async (eventId, publishAt = null) => {
+    try {
+      const response = await eventsAPI.publish(eventId, publishAt);
+      const publishedEvent = response.data.data.event;
+
+      setCurrentEvent(prevEvent => (
+        prevEvent && prevEvent.id === publishedEvent.id ? { ...prevEvent, ...publishedEvent } : prevEvent
+      ));
+
+      toast.success(response.data.message || 'Event published successfully');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to publish event';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  const unschedulePublish = useCallback(async (eventId) => {
+    try {
+      const response = await eventsAPI.unschedule(eventId);
+      const draftEvent = response.data.data.event;
+
+      setCurrentEvent(prevEvent => (
+        prevEvent && prevEvent.id === draftEvent.id ? { ...prevEvent, ...draftEvent } : prevEvent
+      ));
+
+      toast.success(response.data.message || 'Scheduled publishing cancelled');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to cancel scheduled publishing';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
+  // Cancels the event (scope 'following' or 'all' for more of a series); registered students are notified
+  const cancelEvent = useCallback(async (eventId, reason, scope = 'this') => {
+    try {
+      const response = await eventsAPI.cancel(eventId, reason, scope);
+      const cancelledEvents = response.data.data.events;
+      const findCancelled = (event) => cancelledEvents.find(cancelled => cancelled.id === event.id);
+
+      setEvents(prevEvents =>
+        prevEvents.map(event => {
+          const cancelled = findCancelled(event);
+          return cancelled ? { ...event, ...cancelled, status: 'cancelled' } : event;
+        })
+      );
+      setCurrentEvent(prevEvent => {
+        const cancelled = prevEvent && findCancelled(prevEvent);
+        return cancelled ? { ...prevEvent, ...cancelled, status: 'cancelled' } : prevEvent;
+      });
+
+      toast.success(response.data.message || 'Event cancelled');
+      return { success: true, data: response.data.data };
+    } catch (error) {
+      const errorMessage = error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to cancel event';
+      toast.error(errorMessage);
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
   // Function to delete an event
   const deleteEvent = useCallback(async (eventId) => {
     try {
@@ -160,16 +318,15 @@ export const EventProvider = ({ children }) => {
   }, [currentEvent]);
 
   // Function to register for an event
-  const registerForEvent = useCallback(async (eventId) => {
+  // Pass { series: true } to register for every upcoming occurrence of a recurring event
+  const registerForEvent = useCallback(async (eventId, registrationOptions = {}) => {
     try {
       setLoading(true);
-      const response = await registrationsAPI.create(eventId);
+      const response = await registrationsAPI.create(eventId, registrationOptions);
       
       if (response.data.success) {
-        // Notify organizers about the new registration
-        socketService.emitNewRegistration(eventId, response.data.data.registration.user_id);
-        
-        toast.success('Successfully registered for the event');
+        // Message differs when the student lands on the waitlist
+        toast.success(response.data.message || 'Successfully registered for the event');
         return { success: true, data: response.data.data };
       } else {
         throw new Error(response.data.message || 'Failed to register for event');
@@ -183,6 +340,22 @@ export const EventProvider = ({ children }) => {
     }
   }, []);
 
+  // Function to get the current student's registration for an event (with waitlist position)
+  const fetchMyEventRegistration = useCallback(async (eventId) => {
+    try {
+      const response = await registrationsAPI.getForEvent(eventId);
+      
+      if (response.data.success) {
+        return { success: true, data: response.data.data.registration };
+      } else {
+        throw new Error(response.data.message || 'Failed to fetch registration');
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || error.message || 'Failed to fetch registration';
+      return { success: false, error: errorMessage };
+    }
+  }, []);
+
   // Function to cancel a registration
   const cancelRegistration = useCallback(async (registrationId) => {
     try {
@@ -272,23 +445,53 @@ export const EventProvider = ({ children }) => {
       toast.success(`New event: ${newEventData.event.title}`);
     };
 
-    const handleRegistrationNotification = (registrationData) => {
+    // Marks the cancelled events wherever they are shown
+    const handleEventCancelled = (cancellation) => {
+      const cancelledFields = {
+        status: 'cancelled',
+        cancelled_at: cancellation.timestamp,
+        cancellation_reason: cancellation.reason
+      };
+      const isCancelled = (eventId) => cancellation.eventIds.includes(eventId);
+
+      setEvents(prevEvents =>
+        prevEvents.map(event => (isCancelled(event.id) ? { ...event, ...cancelledFields } : event))
+      );
+      setCurrentEvent(prevEvent =>
+        prevEvent && isCancelled(prevEvent.id) ? { ...prevEvent, ...cancelledFields } : prevEvent
+      );
+      setRegistrations(prevRegistrations =>
+        prevRegistrations.map(registration => (
+          registration.event && isCancelled(registration.event.id)
+            ? { ...registration, event: { ...registration.event, ...cancelledFields } }
+            : registration
+        ))
+      );
+
+      if (cancellation.cancelledBy !== user?.username) {
+        toast.error(`${cancellation.title} has been cancelled`);
+      }
+    };
+
+    // The organizer's toast comes with the notification, if they want one in-app
+    const handleRegistrationNotification = () => {
       if (window.location.pathname.includes('/dashboard')) {
         fetchRegistrations();
       }
-      toast.success(`New registration for event ${registrationData.eventId}`);
     };
 
     socketService.onAttendeeUpdate(handleAttendeeUpdate);
     socketService.onNewEvent(handleNewEvent);
+    socketService.onEventCancelled(handleEventCancelled);
     socketService.onRegistrationNotification(handleRegistrationNotification);
 
     return () => {
       socketService.removeListener('attendee_update', handleAttendeeUpdate);
       socketService.removeListener('new_event', handleNewEvent);
+      socketService.removeListener('event_cancelled', handleEventCancelled);
       socketService.removeListener('registration_notification', handleRegistrationNotification);
     };
-  }, [fetchRegistrations]);
+  }, [fetchRegistrations, user?.username]);
 
   // Function to update registration status (organizers and admins only)
   const updateRegistrationStatus = useCallback(async (registrationId, newStatus) => {
@@ -297,21 +500,21 @@ export const EventProvider = ({ children }) => {
       const response = await registrationsAPI.updateStatus(registrationId, newStatus);
       
       if (response.data.success) {
-        // Send real-time update notification
-        const registration = registrations.find(reg => reg.id === registrationId);
-        if (registration) {
-          socketService.emitRegistrationUpdate(registration.event_id, registrationId, newStatus);
-        }
-        
+        // The server may waitlist an approval when the event is already full
+        const updatedRegistration = response.data.data.registration;
         setRegistrations(prevRegistrations => 
           prevRegistrations.map(registration => 
             registration.id === registrationId 
-              ? { ...registration, status: newStatus }
+              ? { 
+                  ...registration, 
+                  status: updatedRegistration.status,
+                  waitlist_position: updatedRegistration.waitlist_position
+                }
               : registration
           )
         );
         
-        toast.success(`Registration ${newStatus} successfully`);
+        toast.success(response.data.message || `Registration ${newStatus} successfully`);
         return { success: true };
       } else {
         throw new Error(response.data.message || 'Failed to update registration status');
@@ -323,7 +526,7 @@ export const EventProvider = ({ children }) => {
     } finally {
       setLoading(false);
     }
-  }, [registrations]);
+  }, []);
 
   // Function to leave an event room (for real-time updates)
   const leaveEventRoom = useCallback((eventId) => {
@@ -335,14 +538,24 @@ export const EventProvider = ({ children }) => {
     events,
     currentEvent,
     registrations,
+    categories,
+    facets,
     loading,
     pagination,
     fetchEvents,
     fetchEvent,
+    fetchCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory,
     createEvent,
     updateEvent,
+    publishEvent,
+    unschedulePublish,
+    cancelEvent,
     deleteEvent,
     registerForEvent,
+    fetchMyEventRegistration,
     cancelRegistration,
     fetchRegistrations,
     updateRegistrationStatus,
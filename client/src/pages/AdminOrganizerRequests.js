@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { CheckCircle, XCircle, Inbox, Loader2 } from 'lucide-react';
+import { adminAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' }
+];
+
+const AdminOrganizerRequests = () => {
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [currentPage, setCurrentPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [reviewingId, setReviewingId] = useState(null);
+
+  const loadRequests = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await adminAPI.getOrganizerRequests({ status: statusFilter, page: currentPage });
+      setRequests(response.data.data.requests);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load organizer requests');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [statusFilter, currentPage]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const selectTab = (status) => {
+    setStatusFilter(status);
+    setCurrentPage(1);
+  };
+
+  const handleReview = async (request, approve) => {
+    const note = window.prompt(
+      approve
+        ? `Approve ${request.user.username} as an organizer for ${request.club_name}? Optionally add a note for them:`
+        : `Reject the request from ${request.user.username}? Optionally tell them why:`
+    );
+    if (note === null) return;
+
+    setReviewingId(request.id);
+    try {
+      const response = approve
+        ? await adminAPI.approveOrganizerRequest(request.id, note)
+        : await adminAPI.rejectOrganizerRequest(request.id, note);
+      toast.success(response.data.message);
+      loadRequests();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review request');
+      // Someone else may have reviewed it first
+      if (error.response?.status === 409) {
+        loadRequests();
+      }
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Organizer Requests</h1>
+        <p className="text-gray-600 mt-2">
+          Students asking to create events. Approving a request makes the student an organizer.
+        </p>
+      </div>
+
+      {/* Tabs */}
+      <div className="border-b border-gray-200">
+        <nav className="-mb-px flex space-x-8">
+          {STATUS_TABS.map(tab => (
+            <button
+              key={tab.value}
+              onClick={() => selectTab(tab.value)}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                statusFilter === tab.value
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              {tab.label}
+              {statusFilter === tab.value && !isLoading && ` (${pagination.total})`}
+            </button>
+          ))}
+        </nav>
+      </div>
+
+      {isLoading ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="flex items-center space-x-2">
+            <Loader2 className="animate-spin h-6 w-6 text-primary-600" />
+            <span className="text-gray-600">Loading requests...</span>
+          </div>
+        </div>
+      ) : requests.length === 0 ? (
+        <div className="text-center py-12">
+          <Inbox className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">
+            No {statusFilter} requests
+          </h3>
+          <p className="text-gray-600">
+            {statusFilter === 'pending' ? 'The queue is empty.' : 'Reviewed requests will show up here.'}
+          </p>
+        </div>
+      ) : (
+        <div className="grid gap-4">
+          {requests.map(request => (
+            <div key={request.id} className="card">
+              <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                <div className="flex-1">
+                  <h3 className="text-lg font-semibold text-gray-900">{request.club_name}</h3>
+                  <p className="text-sm text-gray-500">
+                    {request.user.username} ({request.user.email}) - requested {formatDate(request.created_at)}
+                  </p>
+                  <p className="text-gray-700 mt-3 whitespace-pre-line">{request.justification}</p>
+
+                  {request.reviewed_at && (
+                    <p className="text-sm text-gray-500 mt-3">
+                      {request.status === 'approved' ? 'Approved' : 'Rejected'}
+                      {request.reviewed_by_username && ` by ${request.reviewed_by_username}`}
+                      {' '}on {formatDate(request.reviewed_at)}
+                      {request.review_note && ` - "${request.review_note}"`}
+                    </p>
+                  )}
+                </div>
+
+                {request.status === 'pending' && (
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => handleReview(request, true)}
+                      disabled={reviewingId === request.id}
+                      className="btn-success btn-sm disabled:opacity-50"
+                    >
+                      <CheckCircle className="h-4 w-4 mr-1" />
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReview(request, false)}
+                      disabled={reviewingId === request.id}
+                      className="btn-danger btn-sm disabled:opacity-50"
+                    >
+                      <XCircle className="h-4 w-4 mr-1" />
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination.pages > 1 && (
+        <div className="flex justify-center items-center space-x-2">
+          <button
+            onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+            disabled={currentPage === 1}
+            className="btn-secondary btn-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+
+          <span className="text-sm text-gray-600">
+            Page {currentPage} of {pagination.pages}
+          </span>
+
+          <button
+            onClick={() => setCurrentPage(Math.min(pagination.pages, currentPage + 1))}
+            disabled={currentPage === pagination.pages}
+            className="btn-secondary btn-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminOrganizerRequests;
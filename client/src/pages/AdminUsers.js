@@ -0,0 +1,325 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Search, Users, Loader2, Ban, RotateCcw, KeyRound, Trash2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+import { adminAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ROLES = ['student', 'organizer', 'admin'];
+const PAGE_SIZE = 20;
+
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [searchTerm, setSearchTerm] = useState('');
+  const [roleFilter, setRoleFilter] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  // Id of the user an action is running for, to disable their row meanwhile
+  const [busyUserId, setBusyUserId] = useState(null);
+
+  const loadUsers = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const response = await adminAPI.getUsers({
+        page: currentPage,
+        limit: PAGE_SIZE,
+        search: searchTerm || undefined,
+        role: roleFilter || undefined,
+        status: statusFilter || undefined,
+      });
+      setUsers(response.data.data.users);
+      setPagination(response.data.data.pagination);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load users');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [currentPage, searchTerm, roleFilter, statusFilter]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const updateFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setCurrentPage(1);
+  };
+
+  // Runs an admin action and swaps the returned user into the list
+  const runAction = async (targetUser, action) => {
+    setBusyUserId(targetUser.id);
+    try {
+      const response = await action();
+      toast.success(response.data.message);
+
+      const updatedUser = response.data.data?.user;
+      if (updatedUser) {
+        setUsers(prev => prev.map(user => (
+          user.id === updatedUser.id ? { ...user, ...updatedUser } : user
+        )));
+      }
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Action failed');
+      return false;
+    } finally {
+      setBusyUserId(null);
+    }
+  };
+
+  const handleRoleChange = (targetUser, role) => {
+    if (!window.confirm(`Change ${targetUser.username}'s role to ${role}?`)) return;
+    runAction(targetUser, () => adminAPI.changeRole(targetUser.id, role));
+  };
+
+  const handleSuspend = (targetUser) => {
+    const reason = window.prompt(
+      `Suspend ${targetUser.username}? They will be signed out everywhere. Optionally give a reason:`
+    );
+    if (reason === null) return;
+    runAction(targetUser, () => adminAPI.suspendUser(targetUser.id, reason));
+  };
+
+  const handleReactivate = (targetUser) => {
+    runAction(targetUser, () => adminAPI.reactivateUser(targetUser.id));
+  };
+
+  const handleForcePasswordReset = (targetUser) => {
+    const confirmed = window.confirm(
+      `Force ${targetUser.username} to choose a new password? They will be signed out and emailed a reset link.`
+    );
+    if (!confirmed) return;
+    runAction(targetUser, () => adminAPI.forcePasswordReset(targetUser.id));
+  };
+
+  const handleDelete = async (targetUser) => {
+    const confirmed = window.confirm(
+      `Permanently delete ${targetUser.username}? Their ${targetUser.events_count} event(s) and ${targetUser.registrations_count} registration(s) will be deleted too. This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    const deleted = await runAction(targetUser, () => adminAPI.deleteUser(targetUser.id));
+    if (deleted) {
+      loadUsers();
+    }
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+    });
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+        <p className="text-gray-600 mt-2">
+          Manage roles and account access. Every action is recorded in the audit log.
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="flex flex-col md:flex-row gap-4">
+          <div className="relative flex-1">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-5 w-5 text-gray-400" />
+            <input
+              type="text"
+              value={searchTerm}
+              onChange={updateFilter(setSearchTerm)}
+              placeholder="Search by username or email..."
+              className="input pl-10"
+            />
+          </div>
+          <select value={roleFilter} onChange={updateFilter(setRoleFilter)} className="input md:w-48">
+            <option value="">All Roles</option>
+            {ROLES.map(role => (
+              <option key={role} value={role} className="capitalize">{role}</option>
+            ))}
+          </select>
+          <select value={statusFilter} onChange={updateFilter(setStatusFilter)} className="input md:w-48">
+            <option value="">All Accounts</option>
+            <option value="active">Active</option>
+            <option value="suspended">Suspended</option>
+            <option value="unverified">Unverified Email</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Users */}
+      {isLoading && users.length === 0 ? (
+        <div className="flex items-center justify-center py-12">
+          <div className="flex items-center space-x-2">
+            <Loader2 className="animate-spin h-6 w-6 text-primary-600" />
+            <span className="text-gray-600">Loading users...</span>
+          </div>
+        </div>
+      ) : users.length === 0 ? (
+        <div className="text-center py-12">
+          <Users className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No users found</h3>
+          <p className="text-gray-600">Try adjusting your search terms or filters</p>
+        </div>
+      ) : (
+        <div className="card overflow-hidden">
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    User
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Role
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Activity
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {users.map(user => {
+                  const isSelf = user.id === currentUser?.id;
+                  const isBusy = busyUserId === user.id;
+
+                  return (
+                    <tr key={user.id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <div className="text-sm font-medium text-gray-900">
+                          {user.username}{isSelf && <span className="text-gray-500 font-normal"> (you)</span>}
+                        </div>
+                        <div className="text-sm text-gray-500">{user.email}</div>
+                        <div className="text-xs text-gray-400">Joined {formatDate(user.created_at)}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <select
+                          value={user.role}
+                          onChange={(e) => handleRoleChange(user, e.target.value)}
+                          disabled={isSelf || isBusy}
+                          className="input capitalize disabled:opacity-50"
+                        >
+                          {ROLES.map(role => (
+                            <option key={role} value={role}>{role}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-6 py-4">
+                        <div className="flex flex-wrap gap-1">
+                          {user.suspended_at ? (
+                            <span className="badge-danger" title={user.suspension_reason || undefined}>
+                              Suspended
+                            </span>
+                          ) : (
+                            <span className="badge-success">Active</span>
+                          )}
+                          {!user.email_verified_at && (
+                            <span className="badge-warning">Unverified</span>
+                          )}
+                          {user.password_reset_required_at && (
+                            <span className="badge-secondary">Reset pending</span>
+                          )}
+                        </div>
+                        {user.suspended_at && user.suspension_reason && (
+                          <div className="text-xs text-gray-500 mt-1 max-w-xs truncate">
+                            {user.suspension_reason}
+                          </div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        <div>{user.events_count} event(s), {user.registrations_count} registration(s)</div>
+                        <div className="text-xs text-gray-400">
+                          {user.last_active_at ? `Last active ${formatDate(user.last_active_at)}` : 'Never signed in'}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {!isSelf && (
+                          <div className="flex justify-end items-center space-x-2">
+                            {user.suspended_at ? (
+                              <button
+                                onClick={() => handleReactivate(user)}
+                                disabled={isBusy}
+                                className="btn-secondary btn-sm disabled:opacity-50"
+                                title="Reactivate"
+                              >
+                                <RotateCcw className="h-4 w-4" />
+                              </button>
+                            ) : (
+                              <button
+                                onClick={() => handleSuspend(user)}
+                                disabled={isBusy}
+                                className="btn-secondary btn-sm disabled:opacity-50"
+                                title="Suspend"
+                              >
+                                <Ban className="h-4 w-4" />
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleForcePasswordReset(user)}
+                              disabled={isBusy}
+                              className="btn-secondary btn-sm disabled:opacity-50"
+                              title="Force password reset"
+                            >
+                              <KeyRound className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(user)}
+                              disabled={isBusy}
+                              className="btn-danger btn-sm disabled:opacity-50"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Pagination */}
+      {pagination.pages > 1 && (
+        <div className="flex justify-center items-center space-x-2">
+          <button
+            onClick={() => setCurrentPage(Math.max(1, currentPage - 1))}
+            disabled={currentPage === 1}
+            className="btn-secondary btn-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Previous
+          </button>
+
+          <span className="text-sm text-gray-600">
+            Page {currentPage} of {pagination.pages} ({pagination.total} users)
+          </span>
+
+          <button
+            onClick={() => setCurrentPage(Math.min(pagination.pages, currentPage + 1))}
+            disabled={currentPage === pagination.pages}
+            className="btn-secondary btn-sm disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminUsers;
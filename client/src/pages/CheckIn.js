@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Camera,
+  CameraOff,
+  CheckCircle,
+  XCircle,
+  Loader2,
+  UserCheck
+} from 'lucide-react';
+import { useEvents } from '../contexts/EventContext';
+import { registrationsAPI } from '../services/api';
+import socketService from '../services/socket';
+
+// Ignore the same QR code while it is still in front of the camera
+const RESCAN_DELAY_MS = 3000;
+
+const CheckIn = () => {
+  const { id } = useParams();
+  const eventId = parseInt(id);
+  const { currentEvent, fetchEvent, leaveEventRoom } = useEvents();
+
+  const [manualCode, setManualCode] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [lastResult, setLastResult] = useState(null);
+  const [counts, setCounts] = useState(null);
+  const [recentCheckIns, setRecentCheckIns] = useState([]);
+  const [isScanning, setIsScanning] = useState(false);
+  const [cameraError, setCameraError] = useState('');
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const lastScanRef = useRef({ value: null, at: 0 });
+
+  const scannerSupported = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+  useEffect(() => {
+    fetchEvent(eventId).then((result) => {
+      if (result.success) {
+        const { event } = result.data;
+        setCounts({ checkedIn: event.checked_in_count, approved: event.current_attendees });
+      }
+    });
+
+    return () => leaveEventRoom(eventId);
+  }, [eventId, fetchEvent, leaveEventRoom]);
+
+  // Live counts from every scanner working this event
+  useEffect(() => {
+    const handleCheckInUpdate = (update) => {
+      if (update.eventId !== eventId) return;
+
+      setCounts({ checkedIn: update.checkedInCount, approved: update.approvedCount });
+      setRecentCheckIns(prev => [
+        { registrationId: update.registrationId, username: update.username, at: update.timestamp },
+        ...prev.filter(entry => entry.registrationId !== update.registrationId)
+      ].slice(0, 10));
+    };
+
+    socketService.onCheckInUpdate(handleCheckInUpdate);
+    return () => socketService.removeListener('check_in_update', handleCheckInUpdate);
+  }, [eventId]);
+
+  const submitTicket = useCallback(async (ticket) => {
+    setIsSubmitting(true);
+    try {
+      const response = await registrationsAPI.checkIn(eventId, ticket);
+      const { data } = response.data;
+
+      setLastResult({ success: true, message: response.data.message });
+      setCounts({ checkedIn: data.checked_in_count, approved: data.approved_count });
+      setRecentCheckIns(prev => [
+        { registrationId: data.registration.id, username: data.registration.username, at: data.registration.checked_in_at },
+        ...prev.filter(entry => entry.registrationId !== data.registration.id)
+      ].slice(0, 10));
+      return true;
+    } catch (error) {
+      setLastResult({
+        success: false,
+        message: error.response?.data?.message || 'Check-in failed'
+      });
+      return false;
+    } finally {
+      setIsSubmitting(false);
+    }
+  }, [eventId]);
+
+  const stopScanning = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach(track => track.stop());
+      streamRef.current = null;
+    }
+    setIsScanning(false);
+  }, []);
+
+  const startScanning = async () => {
+    setCameraError('');
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'environment' }
+      });
+      streamRef.current = stream;
+      setIsScanning(true);
+    } catch (error) {
+      setCameraError('Camera access was denied or is unavailable. Enter the ticket code instead.');
+    }
+  };
+
+  // Poll the video feed for QR codes while the camera is on
+  useEffect(() => {
+    if (!isScanning || !videoRef.current) return undefined;
+
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play().catch(() => {});
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    let busy = false;
+
+    const interval = setInterval(async () => {
+      if (busy || video.readyState < 2) return;
+
+      busy = true;
+      try {
+        const codes = await detector.detect(video);
+        const value = codes[0]?.rawValue;
+        const now = Date.now();
+
+        if (value && (value !== lastScanRef.current.value || now - lastScanRef.current.at > RESCAN_DELAY_MS)) {
+          lastScanRef.current = { value, at: now };
+          await submitTicket(value);
+        }
+      } catch (error) {
+        console.error('QR detection error:', error);
+      } finally {
+        busy = false;
+      }
+    }, 400);
+
+    return () => clearInterval(interval);
+  }, [isScanning, submitTicket]);
+
+  useEffect(() => stopScanning, [stopScanning]);
+
+  const handleManualSubmit = async (e) => {
+    e.preventDefault();
+    if (!manualCode.trim()) return;
+
+    const checkedIn = await submitTicket(manualCode.trim());
+    if (checkedIn) {
+      setManualCode('');
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto space-y-6">
+      <Link
+        to={`/events/${eventId}`}
+        className="inline-flex items-center text-gray-600 hover:text-gray-900 transition-colors"
+      >
+        <ArrowLeft className="h-4 w-4 mr-2" />
+        Back to Event
+      </Link>
+
+      <div className="card">
+        <h1 className="text-2xl font-bold text-gray-900">
+          Check-in{currentEvent?.id === eventId ? `: ${currentEvent.title}` : ''}
+        </h1>
+        {counts && (
+          <div className="mt-4 flex items-center space-x-3">
+            <UserCheck className="h-6 w-6 text-primary-600" />
+            <div className="text-3xl font-bold text-primary-600">{counts.checkedIn}</div>
+            <div className="text-sm text-gray-600">of {counts.approved} approved attendees checked in</div>
+          </div>
+        )}
+      </div>
+
+      {/* Result of the last scan */}
+      {lastResult && (
+        <div className={`card flex items-center space-x-3 ${
+          lastResult.success ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'
+        }`}>
+          {lastResult.success ? (
+            <CheckCircle className="h-6 w-6 text-green-600" />
+          ) : (
+            <XCircle className="h-6 w-6 text-red-600" />
+          )}
+          <span className="font-medium text-gray-900">{lastResult.message}</span>
+        </div>
+      )}
+
+      {/* Camera scanner */}
+      <div className="card space-y-4">
+        <h2 className="text-lg font-semibold text-gray-900">Scan Ticket</h2>
+
+        {!scannerSupported ? (
+          <p className="text-sm text-gray-600">
+            This browser cannot scan QR codes. Enter the code printed under the ticket instead.
+          </p>
+        ) : isScanning ? (
+          <>
+            <video ref={videoRef} className="w-full rounded-lg bg-black" muted playsInline />
+            <button onClick={stopScanning} className="btn-secondary">
+              <CameraOff className="h-4 w-4 mr-2" />
+              Stop Camera
+            </button>
+          </>
+        ) : (
+          <button onClick={startScanning} className="btn-primary">
+            <Camera className="h-4 w-4 mr-2" />
+            Start Camera
+          </button>
+        )}
+
+        {cameraError && (
+          <p className="text-sm text-red-600">{cameraError}</p>
+        )}
+      </div>
+
+      {/* Manual entry */}
+      <form onSubmit={handleManualSubmit} className="card space-y-3">
+        <h2 className="text-lg font-semibold text-gray-900">Enter Code</h2>
+        <div className="flex gap-3">
+          <input
+            type="text"
+            value={manualCode}
+            onChange={(e) => setManualCode(e.target.value)}
+            placeholder="e.g. R42-9F3A2C1B"
+            className="input flex-1 font-mono uppercase"
+          />
+          <button
+            type="submit"
+            disabled={isSubmitting || !manualCode.trim()}
+            className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {isSubmitting ? <Loader2 className="animate-spin h-4 w-4" /> : 'Check In'}
+          </button>
+        </div>
+      </form>
+
+      {/* Recent check-ins */}
+      {recentCheckIns.length > 0 && (
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Recent Check-ins</h2>
+          <ul className="divide-y divide-gray-200">
+            {recentCheckIns.map(entry => (
+              <li key={entry.registrationId} className="py-2 flex justify-between text-sm">
+                <span className="font-medium text-gray-900">{entry.username}</span>
+                <span className="text-gray-500">
+                  {new Date(entry.at).toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' })}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CheckIn;
@@ -7,9 +7,21 @@ import {
   Edit,
   Trash2,
   Loader2,
-  Search
+  Search,
+  Folder,
+  Check,
+  X,
+  Ban,
+  Download,
+  FileSpreadsheet
 } from 'lucide-react';
 import { useEvents } from '../contexts/EventContext';
+import { useAuth } from '../contexts/AuthContext';
+import { registrationsAPI } from '../services/api';
+import toast from 'react-hot-toast';
+import AttendanceManager from '../components/AttendanceManager';
+import DraftEvents from '../components/DraftEvents';
+import EventImport from '../components/EventImport';
 
 const Dashboard = () => {
   const { 
@@ -18,14 +30,24 @@ const Dashboard = () => {
     fetchEvents, 
     fetchRegistrations, 
     deleteEvent,
+    cancelEvent,
     updateRegistrationStatus,
+    categories,
+    fetchCategories,
+    createCategory,
+    updateCategory,
+    deleteCategory,
     loading 
   } = useEvents();
+  const { isAdmin } = useAuth();
   
   const [activeTab, setActiveTab] = useState('events');
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState('all');
   const [currentEventId, setCurrentEventId] = useState(null);
+  const [newCategoryName, setNewCategoryName] = useState('');
+  const [editingCategory, setEditingCategory] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
 
   const handleCreateEvent = useCallback(() => {
     console.log('Create event functionality removed');
@@ -62,6 +84,15 @@ const Dashboard = () => {
     }
   };
 
+  const handleCancelEvent = async (event) => {
+    const reason = window.prompt(
+      `Cancel "${event.title}"? Everyone registered will be notified. Please give a reason:`
+    );
+    if (!reason?.trim()) return;
+    
+    await cancelEvent(event.id, reason.trim());
+  };
+
   const handleUpdateRegistrationStatus = async (registrationId, status) => {
     const result = await updateRegistrationStatus(registrationId, status);
     if (result.success) {
@@ -70,6 +101,69 @@ const Dashboard = () => {
   };
 
 
+  useEffect(() => {
+    if (activeTab === 'categories') {
+      fetchCategories();
+    }
+  }, [activeTab, fetchCategories]);
+
+  const handleCreateCategory = async (e) => {
+    e.preventDefault();
+    if (!newCategoryName.trim()) return;
+    
+    const result = await createCategory(newCategoryName.trim());
+    if (result.success) {
+      setNewCategoryName('');
+    }
+  };
+
+  const handleRenameCategory = async () => {
+    if (!editingCategory.name.trim()) return;
+    
+    const result = await updateCategory(editingCategory.id, editingCategory.name.trim());
+    if (result.success) {
+      setEditingCategory(null);
+    }
+  };
+
+  const handleDeleteCategory = async (category) => {
+    const confirmed = window.confirm(
+      `Delete the "${category.name}" category? ${category.event_count} event(s) will become uncategorised.`
+    );
+    
+    if (!confirmed) return;
+    
+    await deleteCategory(category.id);
+  };
+
+  // Exports every registration matching the event and status filters; the
+  // search box only narrows the table
+  const handleExport = async (format) => {
+    setIsExporting(true);
+    try {
+      const response = await registrationsAPI.exportManage({
+        format,
+        ...(currentEventId && { event_id: currentEventId }),
+        ...(statusFilter !== 'all' && { status: statusFilter })
+      });
+
+      const url = URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${currentEventId ? `event-${currentEventId}-` : ''}registrations.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      // Error bodies arrive as a blob too
+      const errorBody = error.response?.data instanceof Blob
+        ? await error.response.data.text().then(JSON.parse).catch(() => null)
+        : null;
+      toast.error(errorBody?.message || 'Failed to export registrations');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleEditEvent = (event) => {
     console.log('Edit event functionality removed', event);
   };
@@ -91,6 +185,7 @@ const Dashboard = () => {
       case 'approved': return 'badge-success';
       case 'pending': return 'badge-warning';
       case 'rejected': return 'badge-danger';
+      case 'waitlisted': return 'badge-primary';
       default: return 'badge-secondary';
     }
   };
@@ -120,20 +215,33 @@ const Dashboard = () => {
           >
             View
           </Link>
-          <button
-            onClick={() => handleEditEvent(event)}
-            className="btn-secondary btn-sm"
-            title="Edit Event"
-          >
-            <Edit className="h-4 w-4" />
-          </button>
-          <button
-            onClick={() => handleDeleteEvent(event.id, event.title)}
-            className="p-2 rounded-md hover:bg-gray-100 transition-colors duration-200"
-            title="Delete Event"
-          >
-            <Trash2 className="h-4 w-4 text-gray-900" />
-          </button>
+          {!event.cancelled_at && (
+            <>
+              <button
+                onClick={() => handleEditEvent(event)}
+                className="btn-secondary btn-sm"
+                title="Edit Event"
+              >
+                <Edit className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => handleCancelEvent(event)}
+                className="p-2 rounded-md hover:bg-gray-100 transition-colors duration-200"
+                title="Cancel Event"
+              >
+                <Ban className="h-4 w-4 text-gray-900" />
+              </button>
+            </>
+          )}
+          {isAdmin() && (
+            <button
+              onClick={() => handleDeleteEvent(event.id, event.title)}
+              className="p-2 rounded-md hover:bg-gray-100 transition-colors duration-200"
+              title="Delete Event"
+            >
+              <Trash2 className="h-4 w-4 text-gray-900" />
+            </button>
+          )}
         </div>
       </div>
       
@@ -184,9 +292,29 @@ const Dashboard = () => {
         </div>
       </td>
       
+      <td className="px-6 py-4 text-sm max-w-xs">
+        {registration.answers?.length > 0 ? (
+          <dl className="space-y-1">
+            {registration.answers.map(({ question_id, label, answer }) => (
+              <div key={question_id}>
+                <dt className="text-gray-500">{label}</dt>
+                <dd className="text-gray-900 break-words">
+                  {Array.isArray(answer) ? answer.join(', ') : answer || '—'}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        ) : (
+          <span className="text-gray-400">—</span>
+        )}
+      </td>
+      
       <td className="px-6 py-4 whitespace-nowrap">
         <span className={`badge ${getStatusColor(registration.status)}`}>
           {registration.status}
+          {registration.status === 'waitlisted' && registration.waitlist_position && (
+            <span className="ml-1">#{registration.waitlist_position}</span>
+          )}
         </span>
       </td>
       
@@ -196,7 +324,7 @@ const Dashboard = () => {
       
       <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
         <div className="flex items-center space-x-2">
-          {registration.status === 'pending' && (
+          {(registration.status === 'pending' || registration.status === 'waitlisted') && (
             <>
               <button
                 onClick={() => handleUpdateRegistrationStatus(registration.id, 'approved')}
@@ -300,6 +428,28 @@ const Dashboard = () => {
               My Events ({events.length})
             </button>
             
+            <button
+              onClick={() => setActiveTab('drafts')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'drafts'
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Drafts
+            </button>
+            
+            <button
+              onClick={() => setActiveTab('import')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'import'
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Import
+            </button>
+            
             <button
               onClick={() => setActiveTab('registrations')}
               className={`py-2 px-1 border-b-2 font-medium text-sm ${
@@ -310,6 +460,30 @@ const Dashboard = () => {
             >
               Registrations ({registrations.length})
             </button>
+            
+            <button
+              onClick={() => setActiveTab('attendance')}
+              className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                activeTab === 'attendance'
+                  ? 'border-primary-500 text-primary-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+              }`}
+            >
+              Attendance
+            </button>
+            
+            {isAdmin() && (
+              <button
+                onClick={() => setActiveTab('categories')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'categories'
+                    ? 'border-primary-500 text-primary-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Categories
+              </button>
+            )}
           </div>
           
           <button
@@ -356,6 +530,10 @@ const Dashboard = () => {
         </div>
       )}
 
+      {activeTab === 'drafts' && <DraftEvents />}
+
+      {activeTab === 'import' && <EventImport onImported={() => fetchEvents({ limit: 50 })} />}
+
       {activeTab === 'registrations' && (
         <div className="space-y-6">
           {/* Event Filter Header */}
@@ -414,8 +592,28 @@ const Dashboard = () => {
                 <option value="all">All Statuses</option>
                 <option value="pending">Pending</option>
                 <option value="approved">Approved</option>
+                <option value="waitlisted">Waitlisted</option>
                 <option value="rejected">Rejected</option>
               </select>
+
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => handleExport('csv')}
+                  disabled={isExporting}
+                  className="btn-secondary whitespace-nowrap disabled:opacity-50"
+                >
+                  <Download className="h-4 w-4 mr-2" />
+                  Export CSV
+                </button>
+                <button
+                  onClick={() => handleExport('xlsx')}
+                  disabled={isExporting}
+                  className="btn-secondary whitespace-nowrap disabled:opacity-50"
+                >
+                  <FileSpreadsheet className="h-4 w-4 mr-2" />
+                  Export Excel
+                </button>
+              </div>
             </div>
           </div>
 
@@ -452,6 +650,9 @@ const Dashboard = () => {
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Event
                       </th>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        Answers
+                      </th>
                       <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                         Status
                       </th>
@@ -475,6 +676,104 @@ const Dashboard = () => {
         </div>
       )}
 
+      {activeTab === 'attendance' && <AttendanceManager />}
+
+      {activeTab === 'categories' && isAdmin() && (
+        <div className="space-y-6">
+          <form onSubmit={handleCreateCategory} className="card">
+            <div className="flex flex-col sm:flex-row gap-4">
+              <input
+                type="text"
+                placeholder="New category name"
+                value={newCategoryName}
+                onChange={(e) => setNewCategoryName(e.target.value)}
+                maxLength={50}
+                className="input flex-1"
+              />
+              <button
+                type="submit"
+                disabled={!newCategoryName.trim()}
+                className="btn-primary disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Category
+              </button>
+            </div>
+          </form>
+
+          {categories.length === 0 ? (
+            <div className="text-center py-12">
+              <Folder className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No categories yet
+              </h3>
+            </div>
+          ) : (
+            <div className="card divide-y divide-gray-200">
+              {categories.map((category) => (
+                <div key={category.id} className="flex items-center justify-between py-3">
+                  {editingCategory?.id === category.id ? (
+                    <input
+                      type="text"
+                      value={editingCategory.name}
+                      onChange={(e) => setEditingCategory({ ...editingCategory, name: e.target.value })}
+                      maxLength={50}
+                      className="input flex-1 mr-4"
+                      autoFocus
+                    />
+                  ) : (
+                    <div>
+                      <div className="text-sm font-medium text-gray-900">{category.name}</div>
+                      <div className="text-xs text-gray-500">
+                        {category.event_count} event(s)
+                      </div>
+                    </div>
+                  )}
+                  
+                  <div className="flex items-center space-x-2">
+                    {editingCategory?.id === category.id ? (
+                      <>
+                        <button
+                          onClick={handleRenameCategory}
+                          className="btn-secondary btn-sm"
+                          title="Save"
+                        >
+                          <Check className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setEditingCategory(null)}
+                          className="btn-secondary btn-sm"
+                          title="Cancel"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <button
+                          onClick={() => setEditingCategory({ id: category.id, name: category.name })}
+                          className="btn-secondary btn-sm"
+                          title="Rename Category"
+                        >
+                          <Edit className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteCategory(category)}
+                          className="p-2 rounded-md hover:bg-gray-100 transition-colors duration-200"
+                          title="Delete Category"
+                        >
+                          <Trash2 className="h-4 w-4 text-gray-900" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
     </div>
   );
 };
@@ -8,26 +8,44 @@ import {
   ArrowLeft,
   Edit,
   Trash2,
-  Loader2
+  Loader2,
+  Repeat,
+  CalendarPlus,
+  UserCheck,
+  EyeOff,
+  Send,
+  Ban
 } from 'lucide-react';
 import { useEvents } from '../contexts/EventContext';
 import { useAuth } from '../contexts/AuthContext';
+import { eventsAPI } from '../services/api';
+import RegistrationQuestions, { unansweredQuestions } from '../components/RegistrationQuestions';
+import toast from 'react-hot-toast';
 
 const EventDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { user, canManageEvents, isAdmin } = useAuth();
+  const { user, canManageEvents, isAdmin, isEmailVerified } = useAuth();
   const { 
     currentEvent, 
     fetchEvent, 
     deleteEvent, 
     registerForEvent, 
+    fetchMyEventRegistration,
+    publishEvent,
+    unschedulePublish,
+    cancelEvent,
     loading,
     leaveEventRoom 
   } = useEvents();
   
   const [isRegistering, setIsRegistering] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [myRegistration, setMyRegistration] = useState(null);
+  // Answers to the event's registration questions, keyed by question id
+  const [answers, setAnswers] = useState({});
 
   useEffect(() => {
     if (id) {
@@ -41,6 +59,16 @@ const EventDetail = () => {
     };
   }, [id, fetchEvent, leaveEventRoom]);
 
+  useEffect(() => {
+    if (!id || user?.role !== 'student') return;
+
+    fetchMyEventRegistration(id).then((result) => {
+      if (result.success) {
+        setMyRegistration(result.data);
+      }
+    });
+  }, [id, user?.role, fetchMyEventRegistration]);
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return {
@@ -63,6 +91,10 @@ const EventDetail = () => {
     const now = new Date();
     const eventDate = new Date(currentEvent.date);
     
+    if (currentEvent.cancelled_at) {
+      return { status: 'Cancelled', color: 'badge-danger' };
+    }
+    
     if (eventDate <= now) {
       return { status: 'Past Event', color: 'badge-secondary' };
     }
@@ -78,13 +110,24 @@ const EventDetail = () => {
     return { status: 'Available', color: 'badge-secondary' };
   };
 
+  // Required questions are checked here too, so students see which ones are missing
+  const hasAnsweredQuestions = () => {
+    const missing = unansweredQuestions(currentEvent.registration_questions, answers);
+    if (missing.length > 0) {
+      toast.error(`Please answer: ${missing.join(', ')}`);
+      return false;
+    }
+    return true;
+  };
+
   const handleRegister = async () => {
-    if (!currentEvent) return;
+    if (!currentEvent || !hasAnsweredQuestions()) return;
     
     setIsRegistering(true);
     try {
-      const result = await registerForEvent(currentEvent.id);
+      const result = await registerForEvent(currentEvent.id, { answers });
       if (result.success) {
+        setMyRegistration(result.data.registration);
         fetchEvent(currentEvent.id);
       }
     } catch (error) {
@@ -94,6 +137,41 @@ const EventDetail = () => {
     }
   };
 
+  const handleRegisterSeries = async () => {
+    if (!currentEvent || !hasAnsweredQuestions()) return;
+    
+    setIsRegistering(true);
+    try {
+      const result = await registerForEvent(currentEvent.id, { series: true, answers });
+      if (result.success) {
+        const registrationForThisEvent = result.data.registrations.find(
+          registration => registration.event_id === currentEvent.id
+        );
+        if (registrationForThisEvent) {
+          setMyRegistration(registrationForThisEvent);
+        }
+        fetchEvent(currentEvent.id);
+      }
+    } catch (error) {
+      console.error('Series registration error:', error);
+    } finally {
+      setIsRegistering(false);
+    }
+  };
+
+  // e.g. "Repeats every 2 weeks until Mar 1, 2027"
+  const describeRecurrence = (series) => {
+    const units = { daily: 'day', weekly: 'week', monthly: 'month' };
+    const every = series.interval > 1
+      ? `every ${series.interval} ${units[series.frequency]}s`
+      : series.frequency;
+    const end = series.until
+      ? `until ${new Date(series.until).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+      : `${series.count} times`;
+    
+    return `Repeats ${every} ${end}`;
+  };
+
   const handleDelete = async () => {
     if (!currentEvent || !canManageEvents()) return;
     
@@ -116,12 +194,56 @@ const EventDetail = () => {
     }
   };
 
+  const handlePublish = async () => {
+    if (!currentEvent) return;
+    
+    setIsPublishing(true);
+    try {
+      await publishEvent(currentEvent.id);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleUnschedule = async () => {
+    if (!currentEvent) return;
+    
+    setIsPublishing(true);
+    try {
+      await unschedulePublish(currentEvent.id);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!currentEvent) return;
+    
+    const reason = window.prompt(
+      'Cancel this event? Everyone registered will be notified. Please give a reason:'
+    );
+    if (!reason?.trim()) return;
+    
+    // Series can be cancelled from this occurrence onwards in one go
+    const scope = currentEvent.series_id && window.confirm(
+      'Also cancel the following occurrences of this series?'
+    ) ? 'following' : 'this';
+    
+    setIsCancelling(true);
+    try {
+      await cancelEvent(currentEvent.id, reason.trim(), scope);
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
   const canEdit = () => {
     if (!currentEvent || !canManageEvents()) return false;
     return isAdmin() || currentEvent.created_by === user.id;
   };
 
-  const canDelete = canEdit;
+  // Organizers cancel; only admins can remove an event and its registrations for good
+  const canDelete = () => isAdmin();
 
   if (loading) {
     return (
@@ -155,6 +277,13 @@ const EventDetail = () => {
   const eventStatus = getEventStatus();
   const { date, time } = formatDate(currentEvent.date);
   const isPastEvent = new Date(currentEvent.date) <= new Date();
+  const isDraft = !currentEvent.published_at;
+  const isCancelled = Boolean(currentEvent.cancelled_at);
+  // Registration and calendar actions only make sense for events still going ahead
+  const isOpen = !isPastEvent && !isCancelled;
+  const canRegisterForSeries = isOpen && user.role === 'student' && currentEvent.series?.upcoming_count > 1;
+  const showQuestions = isOpen && user.role === 'student' && currentEvent.registration_questions?.length > 0 &&
+    (!myRegistration || canRegisterForSeries);
 
   return (
     <div className="max-w-4xl mx-auto space-y-6">
@@ -164,6 +293,72 @@ const EventDetail = () => {
         Back to Events
       </Link>
 
+      {isCancelled && (
+        <div className="card bg-gray-50 border-gray-200">
+          <div className="flex items-start space-x-3">
+            <Ban className="h-5 w-5 text-gray-600 mt-0.5" />
+            <div>
+              <h3 className="text-sm font-medium text-gray-900">
+                This event has been cancelled
+              </h3>
+              {currentEvent.cancellation_reason && (
+                <p className="text-sm text-gray-600">
+                  Reason: {currentEvent.cancellation_reason}
+                </p>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Draft preview - only the organizer and admins get this far */}
+      {isDraft && !isCancelled && (
+        <div className="card bg-gray-50 border-gray-200">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+            <div className="flex items-start space-x-3">
+              <EyeOff className="h-5 w-5 text-gray-600 mt-0.5" />
+              <div>
+                <h3 className="text-sm font-medium text-gray-900">
+                  Draft preview
+                </h3>
+                <p className="text-sm text-gray-600">
+                  {currentEvent.publish_at
+                    ? `Publishes automatically on ${formatDate(currentEvent.publish_at).date} at ${formatDate(currentEvent.publish_at).time}.`
+                    : 'Only you and admins can see this event until it is published.'}
+                  {currentEvent.series_id && ' The whole series is published together.'}
+                </p>
+              </div>
+            </div>
+            
+            {canEdit() && (
+              <div className="flex items-center space-x-2">
+                {currentEvent.publish_at && (
+                  <button
+                    onClick={handleUnschedule}
+                    disabled={isPublishing}
+                    className="btn-secondary btn-sm disabled:opacity-50"
+                  >
+                    Cancel Schedule
+                  </button>
+                )}
+                <button
+                  onClick={handlePublish}
+                  disabled={isPublishing}
+                  className="btn-primary btn-sm disabled:opacity-50"
+                >
+                  {isPublishing ? (
+                    <Loader2 className="animate-spin h-4 w-4 mr-1" />
+                  ) : (
+                    <Send className="h-4 w-4 mr-1" />
+                  )}
+                  Publish Now
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Event Header */}
       <div className="card">
         <div className="flex flex-col lg:flex-row lg:justify-between lg:items-start space-y-4 lg:space-y-0">
@@ -187,13 +382,38 @@ const EventDetail = () => {
               
               {canEdit() && (
                 <div className="flex items-center space-x-2">
-                  <button
-                    onClick={() => navigate(`/dashboard?edit=${currentEvent.id}`)}
-                    className="btn-secondary btn-sm"
-                  >
-                    <Edit className="h-4 w-4 mr-1" />
-                    Edit
-                  </button>
+                  {!isCancelled && (
+                    <>
+                      <Link
+                        to={`/events/${currentEvent.id}/check-in`}
+                        className="btn-secondary btn-sm"
+                      >
+                        <UserCheck className="h-4 w-4 mr-1" />
+                        Check-in
+                      </Link>
+                      
+                      <button
+                        onClick={() => navigate(`/dashboard?edit=${currentEvent.id}`)}
+                        className="btn-secondary btn-sm"
+                      >
+                        <Edit className="h-4 w-4 mr-1" />
+                        Edit
+                      </button>
+                      
+                      <button
+                        onClick={handleCancel}
+                        disabled={isCancelling}
+                        className="btn-secondary btn-sm disabled:opacity-50"
+                      >
+                        {isCancelling ? (
+                          <Loader2 className="animate-spin h-4 w-4 mr-1" />
+                        ) : (
+                          <Ban className="h-4 w-4 mr-1" />
+                        )}
+                        Cancel Event
+                      </button>
+                    </>
+                  )}
                   
                   {canDelete() && (
                     <button
@@ -213,6 +433,21 @@ const EventDetail = () => {
               )}
             </div>
             
+            {(currentEvent.category_name || currentEvent.tags?.length > 0) && (
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                {currentEvent.category_name && (
+                  <span className="badge badge-primary">
+                    {currentEvent.category_name}
+                  </span>
+                )}
+                {currentEvent.tags?.map(tag => (
+                  <span key={tag} className="text-xs text-gray-600 bg-gray-100 rounded-full px-2 py-0.5">
+                    #{tag}
+                  </span>
+                ))}
+              </div>
+            )}
+            
             {currentEvent.description && (
               <p className="text-gray-700 leading-relaxed">
                 {currentEvent.description}
@@ -272,6 +507,18 @@ const EventDetail = () => {
                 </div>
               </div>
               
+              {currentEvent.series && (
+                <div className="flex items-center space-x-3">
+                  <Repeat className="h-5 w-5 text-primary-600" />
+                  <div>
+                    <div className="font-medium text-gray-900">Recurring Event</div>
+                    <div className="text-sm text-gray-600">
+                      {describeRecurrence(currentEvent.series)} · {currentEvent.series.upcoming_count} upcoming session(s)
+                    </div>
+                  </div>
+                </div>
+              )}
+              
               <div className="flex items-center space-x-3">
                 <Clock className="h-5 w-5 text-primary-600" />
                 <div>
@@ -300,10 +547,45 @@ const EventDetail = () => {
                 </div>
               </div>
               
-              {!isPastEvent && !currentEvent.is_full && user.role === 'student' && (
+              {currentEvent.waitlist_count > 0 && (
+                <div className="text-center text-sm text-gray-600">
+                  {currentEvent.waitlist_count} on the waitlist
+                </div>
+              )}
+              
+              {myRegistration && (
+                <div className="text-center bg-gray-50 rounded-md p-3">
+                  <div className="text-sm text-gray-600">Your registration</div>
+                  <span className="badge badge-secondary capitalize mt-1">
+                    {myRegistration.status}
+                  </span>
+                  {myRegistration.status === 'waitlisted' && myRegistration.waitlist_position && (
+                    <p className="text-sm text-gray-700 mt-2">
+                      You are #{myRegistration.waitlist_position} on the waitlist
+                    </p>
+                  )}
+                </div>
+              )}
+              
+              {isOpen && !myRegistration && user.role === 'student' && !isEmailVerified() && (
+                <p className="text-sm text-gray-600 text-center">
+                  Verify your email address to register for this event.
+                </p>
+              )}
+              
+              {showQuestions && (
+                <RegistrationQuestions
+                  questions={currentEvent.registration_questions}
+                  answers={answers}
+                  onChange={setAnswers}
+                  disabled={isRegistering || !isEmailVerified()}
+                />
+              )}
+              
+              {isOpen && !myRegistration && user.role === 'student' && (
                 <button
                   onClick={handleRegister}
-                  disabled={isRegistering}
+                  disabled={isRegistering || !isEmailVerified()}
                   className="btn-primary w-full"
                 >
                   {isRegistering ? (
@@ -314,12 +596,35 @@ const EventDetail = () => {
                   ) : (
                     <>
                       <span className="text-gray-600 text-lg">✓</span>
-                      <span className="ml-2">Register for Event</span>
+                      <span className="ml-2">
+                        {currentEvent.is_full ? 'Join Waitlist' : 'Register for Event'}
+                      </span>
                     </>
                   )}
                 </button>
               )}
               
+              {canRegisterForSeries && (
+                <button
+                  onClick={handleRegisterSeries}
+                  disabled={isRegistering || !isEmailVerified()}
+                  className="btn-secondary w-full"
+                >
+                  <Repeat className="h-4 w-4 mr-2" />
+                  Register for all {currentEvent.series.upcoming_count} upcoming sessions
+                </button>
+              )}
+              
+              {isOpen && !isDraft && (
+                <a
+                  href={eventsAPI.getCalendarUrl(currentEvent.id)}
+                  className="btn-secondary w-full"
+                >
+                  <CalendarPlus className="h-4 w-4 mr-2" />
+                  Add to Calendar
+                </a>
+              )}
+              
               {isPastEvent && (
                 <div className="text-center text-gray-500">
                   <Clock className="h-8 w-8 mx-auto mb-2" />
@@ -327,10 +632,20 @@ const EventDetail = () => {
                 </div>
               )}
               
-              {currentEvent.is_full && !isPastEvent && (
+              {isCancelled && !isPastEvent && (
+                <div className="text-center text-gray-500">
+                  <Ban className="h-8 w-8 mx-auto mb-2" />
+                  <p>Registration is closed because this event was cancelled</p>
+                </div>
+              )}
+              
+              {currentEvent.is_full && isOpen && (
                 <div className="text-center text-gray-500">
                   <span className="text-gray-600 text-3xl mb-2 block">✗</span>
                   <p>This event is full</p>
+                  {user.role === 'student' && !myRegistration && (
+                    <p className="text-sm mt-1">Join the waitlist to get the next free seat</p>
+                  )}
                 </div>
               )}
               
@@ -368,6 +683,13 @@ const EventDetail = () => {
                     {new Date(currentEvent.updated_at).toLocaleDateString()}
                   </span>
                 </div>
+                
+                <div className="flex justify-between">
+                  <span className="text-gray-600">Checked in:</span>
+                  <span>
+                    {currentEvent.checked_in_count || 0} / {currentEvent.current_attendees}
+                  </span>
+                </div>
               </div>
               
             </div>
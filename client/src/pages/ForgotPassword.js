@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Loader2, Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { authAPI } from '../services/api';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [sentMessage, setSentMessage] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+
+    try {
+      const response = await authAPI.forgotPassword(email);
+      setSentMessage(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.errors?.[0] || error.response?.data?.message || 'Failed to request password reset');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="h-screen flex items-start justify-center pt-32 px-4 sm:px-6 lg:px-8 overflow-hidden">
+      <div className="max-w-md w-full space-y-8">
+        <div className="text-center">
+          <h2 className="text-3xl font-extrabold text-gray-900">
+            Reset your password
+          </h2>
+          <p className="mt-2 text-sm text-gray-600">
+            Enter your account email and we'll send you a link to choose a new password.
+          </p>
+        </div>
+
+        {sentMessage ? (
+          <div className="card text-center space-y-4">
+            <Mail className="h-10 w-10 text-primary-600 mx-auto" />
+            <p className="text-gray-700">{sentMessage}.</p>
+            <p className="text-sm text-gray-500">The link expires in 60 minutes and can be used once.</p>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label htmlFor="email" className="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <input
+                id="email"
+                name="email"
+                type="email"
+                autoComplete="email"
+                required
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                className="input mt-1"
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isSubmitting}
+              className="btn-primary w-full btn-lg"
+            >
+              {isSubmitting ? (
+                <>
+                  <Loader2 className="animate-spin h-4 w-4 mr-2" />
+                  Sending...
+                </>
+              ) : (
+                'Send reset link'
+              )}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-gray-600">
+          <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500">
+            Back to sign in
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -6,17 +6,20 @@ import {
   MapPin, 
   Users, 
   Plus,
-  Loader2
+  Loader2,
+  Tag
 } from 'lucide-react';
 import { useEvents } from '../contexts/EventContext';
 import { useAuth } from '../contexts/AuthContext';
 
 const Home = () => {
-  const { events, fetchEvents, loading, pagination } = useEvents();
+  const { events, facets, fetchEvents, loading, pagination } = useEvents();
   const { canManageEvents } = useAuth();
   
   const [searchTerm, setSearchTerm] = useState('');
   const [upcomingOnly, setUpcomingOnly] = useState(true);
+  const [selectedCategory, setSelectedCategory] = useState('');
+  const [selectedTags, setSelectedTags] = useState([]);
   const [currentPage, setCurrentPage] = useState(1);
   useEffect(() => {
     const searchParams = {
@@ -24,10 +27,12 @@ const Home = () => {
       limit: 9,
       search: searchTerm || undefined,
       upcoming: upcomingOnly,
+      category: selectedCategory || undefined,
+      tags: selectedTags.length > 0 ? selectedTags.join(',') : undefined,
     };
     
     fetchEvents(searchParams);
-  }, [currentPage, searchTerm, upcomingOnly, fetchEvents]);
+  }, [currentPage, searchTerm, upcomingOnly, selectedCategory, selectedTags, fetchEvents]);
 
   const handleSearch = (e) => {
     setSearchTerm(e.target.value);
@@ -39,6 +44,20 @@ const Home = () => {
     setCurrentPage(1);
   };
 
+  const selectCategory = (categorySlug) => {
+    setSelectedCategory(selectedCategory === categorySlug ? '' : categorySlug);
+    setCurrentPage(1);
+  };
+
+  const toggleTag = (tag) => {
+    setSelectedTags(prevTags => 
+      prevTags.includes(tag) 
+        ? prevTags.filter(selectedTag => selectedTag !== tag)
+        : [...prevTags, tag]
+    );
+    setCurrentPage(1);
+  };
+
   const formatDate = (dateString) => {
     const eventDate = new Date(dateString);
     return eventDate.toLocaleDateString('en-US', {
@@ -55,6 +74,10 @@ const Home = () => {
     const now = new Date();
     const eventDate = new Date(event.date);
     
+    if (event.cancelled_at) {
+      return { status: 'Cancelled', color: 'badge-danger' };
+    }
+    
     if (eventDate <= now) {
       return { status: 'past', color: 'badge-secondary' };
     }
@@ -85,6 +108,12 @@ const Home = () => {
           )}
         </div>
         
+        {event.category_name && (
+          <span className="badge badge-primary mb-3">
+            {event.category_name}
+          </span>
+        )}
+        
         <p className="text-gray-600 text-sm mb-4 line-clamp-3">
           {event.description || 'No description available'}
         </p>
@@ -111,6 +140,16 @@ const Home = () => {
             <span className="text-xs text-gray-400 mr-2">by</span>
             {event.created_by_username}
           </div>
+          
+          {event.tags?.length > 0 && (
+            <div className="flex flex-wrap gap-1 pt-1">
+              {event.tags.map(tag => (
+                <span key={tag} className="inline-flex items-center text-xs text-gray-600 bg-gray-100 rounded-full px-2 py-0.5">
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
         </div>
         
         <div className="flex justify-between items-center">
@@ -197,6 +236,55 @@ const Home = () => {
             <span>{upcomingOnly ? 'Upcoming Only' : 'All Events'}</span>
           </button>
         </div>
+
+        {/* Category chips */}
+        {facets.categories.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            <button
+              onClick={() => selectCategory('')}
+              className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                !selectedCategory 
+                  ? 'bg-primary-600 text-white' 
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              All
+            </button>
+            {facets.categories.map(category => (
+              <button
+                key={category.id}
+                onClick={() => selectCategory(category.slug)}
+                className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                  selectedCategory === category.slug 
+                    ? 'bg-primary-600 text-white' 
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {category.name} ({category.count})
+              </button>
+            ))}
+          </div>
+        )}
+
+        {/* Tag chips */}
+        {facets.tags.length > 0 && (
+          <div className="flex flex-wrap items-center gap-2 mt-3">
+            <Tag className="h-4 w-4 text-gray-400" />
+            {facets.tags.map(({ tag, count }) => (
+              <button
+                key={tag}
+                onClick={() => toggleTag(tag)}
+                className={`px-2 py-0.5 rounded-full text-xs font-medium transition-colors ${
+                  selectedTags.includes(tag) 
+                    ? 'bg-primary-100 text-primary-800 ring-1 ring-primary-600' 
+                    : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                }`}
+              >
+                #{tag} ({count})
+              </button>
+            ))}
+          </div>
+        )}
       </div>
 
       {/* Events Grid */}
@@ -214,8 +302,8 @@ const Home = () => {
             No events found
           </h3>
           <p className="text-gray-600">
-            {searchTerm 
-              ? 'Try adjusting your search terms'
+            {searchTerm || selectedCategory || selectedTags.length > 0
+              ? 'Try adjusting your search terms or filters'
               : 'Check back later for new events'
             }
           </p>
@@ -11,6 +11,10 @@ import {
   EyeOff
 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import CalendarFeed from '../components/CalendarFeed';
+import NotificationPreferences from '../components/NotificationPreferences';
+import ActiveSessions from '../components/ActiveSessions';
+import OrganizerRequestCard from '../components/OrganizerRequestCard';
 
 const Profile = () => {
   const { user, updateProfile, changePassword, loading } = useAuth();
@@ -512,6 +516,14 @@ const Profile = () => {
           </div>
         </div>
       </div>
+
+      {user?.role === 'student' && <OrganizerRequestCard />}
+
+      <NotificationPreferences />
+
+      <CalendarFeed />
+
+      <ActiveSessions />
     </div>
   );
 };
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { Eye, EyeOff, Loader2 } from 'lucide-react';
 import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../services/api';
 
 const Register = () => {
   const { register, isAuthenticated, loading } = useAuth();
@@ -13,12 +14,18 @@ const Register = () => {
     email: '',
     password: '',
     confirmPassword: '',
-    role: 'student',
   });
   const [showPassword, setShowPassword] = useState(false);
   const [showConfirmPassword, setShowConfirmPassword] = useState(false);
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
+  const [allowedDomains, setAllowedDomains] = useState([]);
+
+  useEffect(() => {
+    authAPI.getEmailDomains()
+      .then(response => setAllowedDomains(response.data.data.allowed_domains))
+      .catch(() => setAllowedDomains([]));
+  }, []);
 
   useEffect(() => {
     if (isAuthenticated()) {
@@ -51,6 +58,11 @@ const Register = () => {
 
     if (!/\S+@\S+\.\S+/.test(formData.email)) {
       newErrors.email = 'Please enter a valid email address';
+    } else if (
+      allowedDomains.length > 0 &&
+      !allowedDomains.includes(formData.email.split('@').pop().toLowerCase())
+    ) {
+      newErrors.email = `Please use your campus email address (${allowedDomains.map(domain => `@${domain}`).join(', ')})`;
     }
 
     if (formData.password.length < 6) {
@@ -113,6 +125,9 @@ const Register = () => {
               sign in to your existing account
             </Link>
           </p>
+          <p className="mt-2 text-xs text-gray-500">
+            Running events for a club? Request organizer access from your profile once you've signed up.
+          </p>
         </div>
 
         <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
@@ -150,29 +165,17 @@ const Register = () => {
                 value={formData.email}
                 onChange={handleChange}
                 className={`input mt-1 ${errors.email ? 'input-error' : ''}`}
-                placeholder="Enter your email"
+                placeholder={allowedDomains.length > 0 ? `you@${allowedDomains[0]}` : 'Enter your email'}
               />
-              {errors.email && (
+              {errors.email ? (
                 <p className="mt-1 text-sm text-red-600">{errors.email}</p>
+              ) : allowedDomains.length > 0 && (
+                <p className="mt-1 text-sm text-gray-500">
+                  Use your campus email ({allowedDomains.map(domain => `@${domain}`).join(', ')}). We'll send you a link to verify it.
+                </p>
               )}
             </div>
 
-            <div>
-              <label htmlFor="role" className="block text-sm font-medium text-gray-700">
-                Role
-              </label>
-              <select
-                id="role"
-                name="role"
-                value={formData.role}
-                onChange={handleChange}
-                className="input mt-1"
-              >
-                <option value="student">Student</option>
-                <option value="organizer">Organizer</option>
-              </select>
-            </div>
-
             <div>
               <label htmlFor="password" className="block text-sm font-medium text-gray-700">
                 Password
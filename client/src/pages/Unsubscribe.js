@@ -0,0 +1,69 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { notificationsAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+
+// Landing page for the unsubscribe link at the bottom of notification emails
+const Unsubscribe = () => {
+  const [searchParams] = useSearchParams();
+  const { isAuthenticated } = useAuth();
+  const unsubscribeToken = searchParams.get('token') || '';
+
+  const [result, setResult] = useState(null);
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    if (!unsubscribeToken) {
+      setResult({ success: false, error: 'This unsubscribe link is incomplete.' });
+      return;
+    }
+
+    notificationsAPI.unsubscribe(unsubscribeToken)
+      .then(response => setResult({ success: true, message: response.data.message }))
+      .catch(error => setResult({
+        success: false,
+        error: error.response?.data?.message || 'Something went wrong. Please try again later.'
+      }));
+  }, [unsubscribeToken]);
+
+  return (
+    <div className="h-screen flex items-start justify-center pt-32 px-4 sm:px-6 lg:px-8 overflow-hidden">
+      <div className="max-w-md w-full text-center space-y-4">
+        {!result ? (
+          <div className="flex items-center justify-center text-gray-600">
+            <Loader2 className="animate-spin h-6 w-6 mr-2" />
+            Unsubscribing...
+          </div>
+        ) : result.success ? (
+          <>
+            <CheckCircle className="h-12 w-12 text-green-600 mx-auto" />
+            <h2 className="text-3xl font-extrabold text-gray-900">Unsubscribed</h2>
+            <p className="text-gray-600">
+              {result.message}. You can turn it back on from your profile at any time.
+            </p>
+          </>
+        ) : (
+          <>
+            <XCircle className="h-12 w-12 text-red-600 mx-auto" />
+            <h2 className="text-3xl font-extrabold text-gray-900">Unsubscribe failed</h2>
+            <p className="text-gray-600">
+              {result.error} You can still change your notification settings from your profile.
+            </p>
+          </>
+        )}
+
+        {result && (
+          <Link to={isAuthenticated() ? '/profile' : '/login'} className="btn-primary">
+            {isAuthenticated() ? 'Notification settings' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Unsubscribe;
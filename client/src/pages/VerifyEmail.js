@@ -0,0 +1,61 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { CheckCircle, XCircle, Loader2 } from 'lucide-react';
+import { useAuth } from '../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const verificationToken = searchParams.get('token') || '';
+
+  const [result, setResult] = useState(null);
+  // Tokens are single-use, so make sure the request is only sent once
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (requestedRef.current) return;
+    requestedRef.current = true;
+
+    if (!verificationToken) {
+      setResult({ success: false, error: 'This verification link is incomplete.' });
+      return;
+    }
+
+    verifyEmail(verificationToken).then(setResult);
+  }, [verificationToken, verifyEmail]);
+
+  return (
+    <div className="h-screen flex items-start justify-center pt-32 px-4 sm:px-6 lg:px-8 overflow-hidden">
+      <div className="max-w-md w-full text-center space-y-4">
+        {!result ? (
+          <div className="flex items-center justify-center text-gray-600">
+            <Loader2 className="animate-spin h-6 w-6 mr-2" />
+            Verifying your email...
+          </div>
+        ) : result.success ? (
+          <>
+            <CheckCircle className="h-12 w-12 text-green-600 mx-auto" />
+            <h2 className="text-3xl font-extrabold text-gray-900">Email verified</h2>
+            <p className="text-gray-600">{result.message}</p>
+          </>
+        ) : (
+          <>
+            <XCircle className="h-12 w-12 text-red-600 mx-auto" />
+            <h2 className="text-3xl font-extrabold text-gray-900">Verification failed</h2>
+            <p className="text-gray-600">
+              {result.error} Sign in and use "Resend link" to get a new one.
+            </p>
+          </>
+        )}
+
+        {result && (
+          <Link to={isAuthenticated() ? '/' : '/login'} className="btn-primary">
+            {isAuthenticated() ? 'Browse events' : 'Sign in'}
+          </Link>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -4,11 +4,53 @@ const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
 
 const api = axios.create({
   baseURL: API_URL,
+  // Sends the httpOnly refresh cookie to /auth endpoints
+  withCredentials: true,
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+// Failing credentials on these mean a wrong password or an ended session, not an expired access token
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+// Requests that fail together while the access token is expired share one refresh
+let refreshPromise = null;
+
+const requestNewAccessToken = async () => {
+  try {
+    return await axios.post(`${API_URL}/auth/refresh`, null, { withCredentials: true });
+  } catch (error) {
+    // Another tab rotated the refresh cookie a moment ago; the browser now holds the new one
+    if (error.response?.status === 409) {
+      return axios.post(`${API_URL}/auth/refresh`, null, { withCredentials: true });
+    }
+    throw error;
+  }
+};
+
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestNewAccessToken()
+      .then((response) => {
+        const { token: newToken, user } = response.data.data;
+        localStorage.setItem('token', newToken);
+        localStorage.setItem('user', JSON.stringify(user));
+        return newToken;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+export const endSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('user');
+  window.location.href = '/login';
+};
+
 api.interceptors.request.use(
   (config) => {
     const authToken = localStorage.getItem('token');
@@ -26,13 +68,29 @@ api.interceptors.response.use(
   (response) => {
     return response;
   },
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const originalRequest = error.config;
+    const skipRefresh = !originalRequest || NO_REFRESH_ENDPOINTS.some(endpoint => originalRequest.url?.startsWith(endpoint));
+
+    if (error.response?.status !== 401 || skipRefresh) {
+      return Promise.reject(error);
+    }
+
+    // Already retried with a fresh token, so the session itself is gone
+    if (originalRequest.retriedAfterRefresh) {
+      endSession();
+      return Promise.reject(error);
+    }
+
+    try {
+      const newToken = await refreshAccessToken();
+      originalRequest.retriedAfterRefresh = true;
+      originalRequest.headers.Authorization = `Bearer ${newToken}`;
+      return api(originalRequest);
+    } catch (refreshError) {
+      endSession();
+      return Promise.reject(error);
     }
-    return Promise.reject(error);
   }
 );
 
@@ -42,6 +100,15 @@ export const authAPI = {
   getProfile: () => api.get('/auth/me'),
   updateProfile: (profileData) => api.put('/auth/profile', profileData),
   changePassword: (passwordData) => api.put('/auth/change-password', passwordData),
+  logout: () => api.post('/auth/logout'),
+  logoutEverywhere: () => api.post('/auth/logout-all'),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (sessionId) => api.delete(`/auth/sessions/${sessionId}`),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (resetToken, newPassword) => api.post('/auth/reset-password', { token: resetToken, password: newPassword }),
+  getEmailDomains: () => api.get('/auth/email-domains'),
+  verifyEmail: (verificationToken) => api.post('/auth/verify-email', { token: verificationToken }),
+  resendVerification: () => api.post('/auth/resend-verification'),
 };
 
 export const eventsAPI = {
@@ -51,16 +118,71 @@ export const eventsAPI = {
   update: (eventId, eventData) => api.put(`/events/${eventId}`, eventData),
   delete: (eventId) => api.delete(`/events/${eventId}`),
   getMyEvents: (searchParams = {}) => api.get('/events/my-events', { params: searchParams }),
+  // Publishes now, or at publishAt when given
+  publish: (eventId, publishAt = null) => api.post(`/events/${eventId}/publish`, { publish_at: publishAt }),
+  unschedule: (eventId) => api.post(`/events/${eventId}/unschedule`),
+  cancel: (eventId, reason, scope = 'this') => api.post(`/events/${eventId}/cancel`, { reason, scope }),
+  // Plain URL so the browser downloads the .ics file directly
+  getCalendarUrl: (eventId) => `${API_URL}/events/${eventId}/ics`,
+  // format is 'csv' or 'ics'; dry runs only return the row-by-row preview
+  importEvents: (format, content, { dryRun = true, skipInvalid = false } = {}) =>
+    api.post('/events/import', { format, content, dry_run: dryRun, skip_invalid: skipInvalid }),
+  getImportTemplateUrl: () => `${API_URL}/events/import/template`,
+};
+
+export const calendarAPI = {
+  getFeedToken: () => api.get('/calendar/token'),
+  regenerateFeedToken: () => api.post('/calendar/token'),
+  getFeedUrl: (feedToken) => `${API_URL}/calendar/${feedToken}.ics`,
+};
+
+export const categoriesAPI = {
+  getAll: () => api.get('/categories'),
+  create: (categoryData) => api.post('/categories', categoryData),
+  update: (categoryId, categoryData) => api.put(`/categories/${categoryId}`, categoryData),
+  delete: (categoryId) => api.delete(`/categories/${categoryId}`),
 };
 
 export const registrationsAPI = {
   getAll: (searchParams = {}) => api.get('/registrations', { params: searchParams }),
-  create: (eventId) => api.post('/registrations', { event_id: eventId }),
+  getForEvent: (eventId) => api.get(`/registrations/event/${eventId}`),
+  create: (eventId, registrationOptions = {}) => api.post('/registrations', { event_id: eventId, ...registrationOptions }),
   cancel: (registrationId) => api.delete(`/registrations/${registrationId}`),
   getManage: (searchParams = {}) => api.get('/registrations/manage', { params: searchParams }),
+  exportManage: (searchParams = {}) =>
+    api.get('/registrations/manage/export', { params: searchParams, responseType: 'blob' }),
   updateStatus: (registrationId, newStatus) => api.put(`/registrations/${registrationId}/status`, { status: newStatus }),
   bulkUpdateStatus: (registrationIds, newStatus) => 
     api.put('/registrations/bulk-status', { registration_ids: registrationIds, status: newStatus }),
+  checkIn: (eventId, ticket) => api.post('/registrations/check-in', { event_id: eventId, ticket }),
+  getAttendance: (eventId) => api.get(`/registrations/attendance/${eventId}`),
+  updateAttendance: (eventId, attendanceData) => api.put(`/registrations/attendance/${eventId}`, attendanceData),
+};
+
+export const adminAPI = {
+  getUsers: (searchParams = {}) => api.get('/admin/users', { params: searchParams }),
+  changeRole: (userId, role) => api.put(`/admin/users/${userId}/role`, { role }),
+  suspendUser: (userId, reason) => api.post(`/admin/users/${userId}/suspend`, { reason }),
+  reactivateUser: (userId) => api.post(`/admin/users/${userId}/reactivate`),
+  forcePasswordReset: (userId) => api.post(`/admin/users/${userId}/force-password-reset`),
+  deleteUser: (userId) => api.delete(`/admin/users/${userId}`),
+  getOrganizerRequests: (searchParams = {}) => api.get('/admin/organizer-requests', { params: searchParams }),
+  approveOrganizerRequest: (requestId, note) => api.post(`/admin/organizer-requests/${requestId}/approve`, { note }),
+  rejectOrganizerRequest: (requestId, note) => api.post(`/admin/organizer-requests/${requestId}/reject`, { note }),
+};
+
+export const organizerRequestsAPI = {
+  getMine: () => api.get('/organizer-requests/mine'),
+  create: (requestData) => api.post('/organizer-requests', requestData),
+};
+
+export const notificationsAPI = {
+  getAll: (searchParams = {}) => api.get('/notifications', { params: searchParams }),
+  markRead: (notificationId) => api.post(`/notifications/${notificationId}/read`),
+  markAllRead: () => api.post('/notifications/read-all'),
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (preferences) => api.put('/notifications/preferences', { preferences }),
+  unsubscribe: (token) => api.post('/notifications/unsubscribe', { token }),
 };
 
 export default api;
@@ -1,13 +1,43 @@
 import { io } from 'socket.io-client';
+import { refreshAccessToken, endSession } from './api';
 
 const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
 
+// How long to wait for the server to accept or refuse a room join
+const JOIN_TIMEOUT_MS = 5000;
+
 class SocketService {
   constructor() {
     this.socket = null;
     this.isConnected = false;
     this.connectionAttempts = 0;
     this.maxConnectionAttempts = 3;
+    // One token refresh per failed connection, so a token the server keeps refusing cannot loop
+    this.refreshedSinceConnect = false;
+    // Rooms are per connection, so they are joined again after every reconnect
+    this.joinedEvents = new Set();
+  }
+
+  // The server refused or dropped the connection over the access token or the session.
+  // Refreshing tells which: a live session gets a new token and reconnects, an ended one signs out.
+  async refreshAndReconnect(socket) {
+    if (this.refreshedSinceConnect) {
+      console.warn('Socket still refused after refreshing the token');
+      return;
+    }
+    this.refreshedSinceConnect = true;
+
+    try {
+      await refreshAccessToken();
+    } catch (refreshError) {
+      endSession();
+      return;
+    }
+
+    // disconnect() may have replaced or closed this socket while the refresh was in flight
+    if (this.socket === socket) {
+      socket.connect();
+    }
   }
 
   connect(authToken) {
@@ -27,10 +57,9 @@ class SocketService {
 
     this.connectionAttempts++;
 
-    this.socket = io(SOCKET_URL, {
-      auth: {
-        token: authToken
-      },
+    const socket = io(SOCKET_URL, {
+      // Read on every (re)connect so a refreshed access token is picked up
+      auth: (setAuth) => setAuth({ token: localStorage.getItem('token') || authToken }),
       transports: ['polling', 'websocket'],
       timeout: 10000,
       forceNew: true,
@@ -43,16 +72,27 @@ class SocketService {
       upgrade: true,
       rememberUpgrade: true
     });
+    this.socket = socket;
 
     this.socket.on('connect', () => {
       console.log('Connected to server:', this.socket?.id || 'unknown');
       this.isConnected = true;
       this.connectionAttempts = 0;
+      this.refreshedSinceConnect = false;
+
+      // The server settles organizer access again on every join
+      this.joinedEvents.forEach((eventId) => this.requestJoin(eventId));
     });
 
     this.socket.on('disconnect', (disconnectReason) => {
       console.log('Disconnected from server:', disconnectReason);
       this.isConnected = false;
+
+      // The server closes sockets when their session is revoked or the user's access changes,
+      // and Socket.IO does not reconnect on its own after that
+      if (disconnectReason === 'io server disconnect') {
+        this.refreshAndReconnect(socket);
+      }
     });
 
     this.socket.on('connect_error', (connectionError) => {
@@ -62,8 +102,12 @@ class SocketService {
       // Log specific error types for debugging
       if (connectionError.type === 'TransportError') {
         console.warn('Transport error - will retry with fallback transport');
-      } else if (connectionError.type === 'UnauthorizedError') {
-        console.error('Authentication failed - check token validity');
+      }
+
+      // Refused by the server's auth check, which Socket.IO does not retry by itself
+      const refusal = connectionError.data?.code;
+      if (refusal === 'TOKEN_EXPIRED' || refusal === 'SESSION_ENDED') {
+        this.refreshAndReconnect(socket);
       }
     });
 
@@ -95,6 +139,7 @@ class SocketService {
       this.socket.disconnect();
       this.socket = null;
       this.isConnected = false;
+      this.joinedEvents.clear();
     }
   }
 
@@ -122,47 +167,70 @@ class SocketService {
     }
   }
 
-  onError(callback) {
+  onCheckInUpdate(callback) {
     if (this.socket) {
-      this.socket.on('error', callback);
+      this.socket.on('check_in_update', callback);
     }
   }
 
-  // Event emitters for sending data to server
-  joinEvent(eventId) {
+  onEventCancelled(callback) {
     if (this.socket) {
-      this.socket.emit('join_event', eventId);
+      this.socket.on('event_cancelled', callback);
     }
   }
 
-  leaveEvent(eventId) {
+  onOrganizerRequestUpdate(callback) {
     if (this.socket) {
-      this.socket.emit('leave_event', eventId);
+      this.socket.on('organizer_request_update', callback);
     }
   }
 
-  emitRegistrationUpdate(eventId, registrationId, newStatus) {
+  onNotification(callback) {
     if (this.socket) {
-      this.socket.emit('registration_update', {
-        eventId,
-        registrationId,
-        status: newStatus
-      });
+      this.socket.on('notification', callback);
     }
   }
 
-  emitEventCreated(newEventData) {
+  onNotificationsRead(callback) {
     if (this.socket) {
-      this.socket.emit('event_created', newEventData);
+      this.socket.on('notifications_read', callback);
     }
   }
 
-  emitNewRegistration(eventId, userId) {
+  onError(callback) {
     if (this.socket) {
-      this.socket.emit('new_registration', {
-        eventId,
-        userId
+      this.socket.on('error', callback);
+    }
+  }
+
+  // Room subscriptions; every broadcast comes from the server.
+  // Resolves with the server's answer: { success, data: { eventId, organizer } } or { success: false, message }
+  joinEvent(eventId) {
+    if (!this.socket) {
+      return Promise.resolve({ success: false, message: 'Not connected to live updates' });
+    }
+
+    this.joinedEvents.add(eventId);
+    return this.requestJoin(eventId);
+  }
+
+  requestJoin(eventId) {
+    return new Promise((resolve) => {
+      this.socket.timeout(JOIN_TIMEOUT_MS).emit('join_event', eventId, (timeoutError, response) => {
+        if (response && !response.success) {
+          this.joinedEvents.delete(eventId);
+        }
+        resolve(timeoutError
+          ? { success: false, message: 'Live updates did not respond' }
+          : response);
       });
+    });
+  }
+
+  leaveEvent(eventId) {
+    this.joinedEvents.delete(eventId);
+    if (this.socket) {
+      this.socket.emit('leave_event', eventId);
     }
   }
 
@@ -1,5 +1,6 @@
 const { Pool } = require('pg');
-const { neon } = require('@neondatabase/serverless');
+const { neon, neonConfig, Pool: NeonPool } = require('@neondatabase/serverless');
+const ws = require('ws');
 require('dotenv').config();
 
 const isNeonDatabase = process.env.DATABASE_URL && process.env.DATABASE_URL.includes('neon.tech');
@@ -9,6 +10,10 @@ let pool, sql;
 if (isNeonDatabase) {
   console.log('Using Neon serverless database');
   sql = neon(process.env.DATABASE_URL);
+
+  // One-shot queries go over HTTP; interactive transactions need a WebSocket session
+  neonConfig.webSocketConstructor = ws;
+  pool = new NeonPool({ connectionString: process.env.DATABASE_URL });
 } else {
   console.log('Using local PostgreSQL database');
   
@@ -52,6 +57,16 @@ async function testConnection() {
   }
 }
 
+// DB_LOG_QUERIES=false turns this off, e.g. for tests that run thousands of queries
+const logQueries = process.env.DB_LOG_QUERIES !== 'false';
+
+function logQuery(queryText, start, result) {
+  if (!logQueries) return;
+
+  const duration = Date.now() - start;
+  console.log('Executed query', { text: queryText.substring(0, 100) + '...', duration, rows: result.rowCount });
+}
+
 async function query(queryText, queryParams = []) {
   const start = Date.now();
   try {
@@ -77,8 +92,7 @@ async function query(queryText, queryParams = []) {
       result = await pool.query(queryText, queryParams);
     }
     
-    const duration = Date.now() - start;
-    console.log('Executed query', { text: queryText.substring(0, 100) + '...', duration, rows: result.rowCount });
+    logQuery(queryText, start, result);
     return result;
   } catch (error) {
     console.error('Database query error:', error);
@@ -86,19 +100,61 @@ async function query(queryText, queryParams = []) {
   }
 }
 
+// Both the pg Pool and the Neon WebSocket Pool hand out pg-compatible clients
 async function getClient() {
-  if (isNeonDatabase) {
-    throw new Error('getClient() not supported with Neon serverless. Use query() instead.');
-  }
   return await pool.connect();
 }
 
+/**
+ * Runs callback(tx) inside BEGIN/COMMIT, rolling back if it throws.
+ * tx.query has the same signature and result shape as query();
+ * tx.afterCommit(fn) runs fn once the transaction has committed.
+ */
+async function withTransaction(callback) {
+  const client = await getClient();
+  const afterCommitCallbacks = [];
+
+  const tx = {
+    query: async (queryText, queryParams = []) => {
+      const start = Date.now();
+      try {
+        const result = await client.query(queryText, queryParams);
+        logQuery(queryText, start, result);
+        return result;
+      } catch (error) {
+        console.error('Database query error:', error);
+        throw error;
+      }
+    },
+    afterCommit: (fn) => {
+      afterCommitCallbacks.push(fn);
+    }
+  };
+
+  let result;
+  try {
+    await client.query('BEGIN');
+    result = await callback(tx);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch((rollbackError) => {
+      console.error('Transaction rollback failed:', rollbackError);
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const fn of afterCommitCallbacks) {
+    fn();
+  }
+  return result;
+}
+
 async function closePool() {
   if (pool) {
     await pool.end();
     console.log('Database connection pool closed');
-  } else {
-    console.log('No connection pool to close (using Neon serverless)');
   }
 }
 
@@ -107,6 +163,7 @@ module.exports = {
   sql,
   query,
   getClient,
+  withTransaction,
   testConnection,
   closePool,
   isNeonDatabase
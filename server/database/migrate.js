@@ -0,0 +1,162 @@
+/**
+ * Schema migration runner
+ * Applies the numbered files in database/migrations (NNN_name.js exporting
+ * up(tx) and down(tx)) in order and records them in schema_migrations.
+ *
+ * Usage: node database/migrate.js [up|down|status]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { query, withTransaction, closePool, isNeonDatabase } = require('./connection');
+require('dotenv').config();
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_xact_lock so two servers never migrate at once
+const MIGRATION_LOCK_KEY = 72417;
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(/^(\d+)_(.+)\.js$/))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version),
+      name,
+      file,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+}
+
+// Under the lock as well: CREATE TABLE IF NOT EXISTS is not safe against a
+// concurrent create, so instances starting together on a new database would race
+async function ensureMigrationsTable() {
+  await withTransaction(async (tx) => {
+    await tx.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+    await tx.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  });
+}
+
+async function getAppliedVersions(tx = { query }) {
+  const result = await tx.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+}
+
+async function migrate() {
+  await ensureMigrationsTable();
+  const migrations = loadMigrations();
+  let appliedCount = 0;
+
+  for (const migration of migrations) {
+    const applied = await withTransaction(async (tx) => {
+      await tx.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+      // Re-check under the lock in case another instance just applied it
+      const appliedVersions = await getAppliedVersions(tx);
+      if (appliedVersions.has(migration.version)) {
+        return false;
+      }
+
+      console.log(`Applying migration ${migration.file}`);
+      await migration.up(tx);
+      await tx.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+      return true;
+    });
+
+    if (applied) appliedCount++;
+  }
+
+  console.log(appliedCount > 0
+    ? `Applied ${appliedCount} migration(s)`
+    : 'Database schema is up to date');
+
+  return appliedCount;
+}
+
+async function rollback() {
+  await ensureMigrationsTable();
+  const migrations = loadMigrations();
+
+  const rolledBack = await withTransaction(async (tx) => {
+    await tx.query('SELECT pg_advisory_xact_lock($1)', [MIGRATION_LOCK_KEY]);
+
+    const result = await tx.query(
+      'SELECT version, name FROM schema_migrations ORDER BY version DESC LIMIT 1'
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const { version } = result.rows[0];
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${version} not found`);
+    }
+
+    console.log(`Rolling back migration ${migration.file}`);
+    await migration.down(tx);
+    await tx.query('DELETE FROM schema_migrations WHERE version = $1', [version]);
+    return migration;
+  });
+
+  console.log(rolledBack
+    ? `Rolled back ${rolledBack.file}`
+    : 'No migrations to roll back');
+
+  return rolledBack;
+}
+
+async function status() {
+  await ensureMigrationsTable();
+  const migrations = loadMigrations();
+
+  const result = await query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+  const rows = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    status: appliedAt.has(migration.version) ? 'applied' : 'pending',
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+
+  for (const row of rows) {
+    const when = row.applied_at ? new Date(row.applied_at).toISOString() : '';
+    console.log(`${String(row.version).padStart(3, '0')}  ${row.status.padEnd(8)} ${row.name}  ${when}`);
+  }
+
+  return rows;
+}
+
+const commands = { up: migrate, down: rollback, status };
+
+if (require.main === module) {
+  const command = process.argv[2] || 'up';
+
+  if (!commands[command]) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exit(1);
+  }
+
+  console.log(`Using ${isNeonDatabase ? 'Neon serverless' : 'traditional PostgreSQL'} database`);
+
+  commands[command]()
+    .then(() => closePool())
+    .catch((error) => {
+      console.error(`Migration ${command} failed:`, error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrate, rollback, status };
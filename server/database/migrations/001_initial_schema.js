@@ -0,0 +1,141 @@
+/**
+ * Initial schema: users, events and registrations, including the waitlist
+ * columns and the approved seat counter trigger.
+ * Uses IF NOT EXISTS throughout so databases created by the old setup script
+ * can be brought under migrations without losing data.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) UNIQUE NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('student', 'organizer', 'admin')),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS events (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      date TIMESTAMP NOT NULL,
+      location VARCHAR(200),
+      max_attendees INTEGER DEFAULT 100,
+      approved_count INTEGER NOT NULL DEFAULT 0,
+      created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE TABLE IF NOT EXISTS registrations (
+      id SERIAL PRIMARY KEY,
+      event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+      user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'waitlisted')),
+      registered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      waitlisted_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(event_id, user_id)
+    )
+  `);
+
+  // Bring registrations tables created before the waitlist existed up to date
+  await tx.query(`
+    ALTER TABLE registrations ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMP
+  `);
+
+  await tx.query(`
+    ALTER TABLE registrations DROP CONSTRAINT IF EXISTS registrations_status_check
+  `);
+
+  await tx.query(`
+    ALTER TABLE registrations ADD CONSTRAINT registrations_status_check
+      CHECK (status IN ('pending', 'approved', 'rejected', 'waitlisted'))
+  `);
+
+  // Approved seats are counted on the event row so capacity can be enforced atomically
+  await tx.query(`
+    ALTER TABLE events ADD COLUMN IF NOT EXISTS approved_count INTEGER NOT NULL DEFAULT 0
+  `);
+
+  await tx.query(`
+    UPDATE events e
+    SET approved_count = (
+      SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'approved'
+    )
+  `);
+
+  // Taking a seat locks the event row, so concurrent approvals serialize and cannot overshoot
+  await tx.query(`
+    CREATE OR REPLACE FUNCTION sync_event_approved_count() RETURNS TRIGGER AS $$
+    BEGIN
+      IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.status = 'approved' THEN
+        UPDATE events SET approved_count = approved_count - 1 WHERE id = OLD.event_id;
+      END IF;
+
+      IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.status = 'approved' THEN
+        UPDATE events
+        SET approved_count = approved_count + 1
+        WHERE id = NEW.event_id AND approved_count < max_attendees;
+
+        IF NOT FOUND THEN
+          RAISE EXCEPTION 'Event % is full', NEW.event_id
+            USING ERRCODE = 'check_violation', CONSTRAINT = 'events_capacity_check';
+        END IF;
+      END IF;
+
+      RETURN NULL;
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await tx.query(`
+    DROP TRIGGER IF EXISTS registrations_approved_count ON registrations
+  `);
+
+  await tx.query(`
+    CREATE TRIGGER registrations_approved_count
+      AFTER INSERT OR UPDATE OF status OR DELETE ON registrations
+      FOR EACH ROW EXECUTE FUNCTION sync_event_approved_count()
+  `);
+
+  await tx.query(`
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+  `);
+
+  await tx.query(`
+    CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+  `);
+
+  await tx.query(`
+    CREATE INDEX IF NOT EXISTS idx_events_date ON events(date);
+  `);
+
+  await tx.query(`
+    CREATE INDEX IF NOT EXISTS idx_registrations_event_id ON registrations(event_id);
+  `);
+
+  await tx.query(`
+    CREATE INDEX IF NOT EXISTS idx_registrations_user_id ON registrations(user_id);
+  `);
+
+  await tx.query(`
+    CREATE INDEX IF NOT EXISTS idx_registrations_waitlist ON registrations(event_id, waitlisted_at) WHERE status = 'waitlisted';
+  `);
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS registrations');
+  await tx.query('DROP FUNCTION IF EXISTS sync_event_approved_count()');
+  await tx.query('DROP TABLE IF EXISTS events');
+  await tx.query('DROP TABLE IF EXISTS users');
+}
+
+module.exports = { up, down };
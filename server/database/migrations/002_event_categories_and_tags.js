@@ -0,0 +1,43 @@
+/**
+ * Admin-managed event categories and free-form event tags
+ */
+
+const DEFAULT_CATEGORIES = [
+  ['Academic', 'academic'],
+  ['Sports', 'sports'],
+  ['Cultural', 'cultural'],
+  ['Career', 'career'],
+  ['Social', 'social']
+];
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE categories (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(50) UNIQUE NOT NULL,
+      slug VARCHAR(60) UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const [name, slug] of DEFAULT_CATEGORIES) {
+    await tx.query('INSERT INTO categories (name, slug) VALUES ($1, $2)', [name, slug]);
+  }
+
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+      ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}'
+  `);
+
+  await tx.query('CREATE INDEX idx_events_category_id ON events(category_id)');
+  await tx.query('CREATE INDEX idx_events_tags ON events USING GIN (tags)');
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE events DROP COLUMN IF EXISTS tags, DROP COLUMN IF EXISTS category_id');
+  await tx.query('DROP TABLE IF EXISTS categories');
+}
+
+module.exports = { up, down };
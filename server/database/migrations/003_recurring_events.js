@@ -0,0 +1,34 @@
+/**
+ * Recurring events: a series holds the rule, its occurrences are events rows
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE event_series (
+      id SERIAL PRIMARY KEY,
+      frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly')),
+      interval INTEGER NOT NULL DEFAULT 1 CHECK (interval >= 1),
+      until TIMESTAMP,
+      count INTEGER CHECK (count >= 1),
+      exception_dates DATE[] NOT NULL DEFAULT '{}',
+      created_by INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      CHECK (until IS NOT NULL OR count IS NOT NULL)
+    )
+  `);
+
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN series_id INTEGER REFERENCES event_series(id) ON DELETE SET NULL
+  `);
+
+  await tx.query('CREATE INDEX idx_events_series_id ON events(series_id, date)');
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE events DROP COLUMN IF EXISTS series_id');
+  await tx.query('DROP TABLE IF EXISTS event_series');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,36 @@
+/**
+ * iCalendar export: per-user feed tokens, event revision numbers and
+ * tombstones so subscribed calendars see cancellations
+ */
+
+async function up(tx) {
+  await tx.query('ALTER TABLE users ADD COLUMN calendar_token VARCHAR(64) UNIQUE');
+
+  // Bumped on every edit and used as the VEVENT SEQUENCE
+  await tx.query('ALTER TABLE events ADD COLUMN sequence INTEGER NOT NULL DEFAULT 0');
+
+  // Snapshot of events that dropped out of a user's calendar (event deleted or
+  // registration no longer approved), served as STATUS:CANCELLED in the feed.
+  // event_id has no foreign key because the event row may be gone.
+  await tx.query(`
+    CREATE TABLE calendar_cancellations (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      event_id INTEGER NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      date TIMESTAMP NOT NULL,
+      location VARCHAR(200),
+      sequence INTEGER NOT NULL,
+      cancelled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(user_id, event_id)
+    )
+  `);
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS calendar_cancellations');
+  await tx.query('ALTER TABLE events DROP COLUMN IF EXISTS sequence');
+  await tx.query('ALTER TABLE users DROP COLUMN IF EXISTS calendar_token');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Ticket check-in: when and by whom an approved registration was scanned
+ */
+
+async function up(tx) {
+  await tx.query(`
+    ALTER TABLE registrations
+      ADD COLUMN checked_in_at TIMESTAMP,
+      ADD COLUMN checked_in_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  `);
+
+  await tx.query(`
+    CREATE INDEX idx_registrations_checked_in
+    ON registrations(event_id)
+    WHERE checked_in_at IS NOT NULL
+  `);
+}
+
+async function down(tx) {
+  await tx.query('DROP INDEX IF EXISTS idx_registrations_checked_in');
+  await tx.query('ALTER TABLE registrations DROP COLUMN IF EXISTS checked_in_by, DROP COLUMN IF EXISTS checked_in_at');
+}
+
+module.exports = { up, down };
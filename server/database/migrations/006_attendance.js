@@ -0,0 +1,24 @@
+/**
+ * Attendance records for approved registrations once an event has passed
+ */
+
+async function up(tx) {
+  await tx.query(`
+    ALTER TABLE registrations
+      ADD COLUMN attendance_status VARCHAR(20) CHECK (attendance_status IN ('attended', 'no_show', 'excused')),
+      ADD COLUMN attendance_recorded_at TIMESTAMP
+  `);
+
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN attendance_finalized_at TIMESTAMP,
+      ADD COLUMN attendance_finalized_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  `);
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE events DROP COLUMN IF EXISTS attendance_finalized_by, DROP COLUMN IF EXISTS attendance_finalized_at');
+  await tx.query('ALTER TABLE registrations DROP COLUMN IF EXISTS attendance_recorded_at, DROP COLUMN IF EXISTS attendance_status');
+}
+
+module.exports = { up, down };
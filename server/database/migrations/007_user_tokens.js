@@ -0,0 +1,26 @@
+/**
+ * One-time tokens emailed to users (password reset, and later other purposes).
+ * Only a SHA-256 hash of each token is stored.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE user_tokens (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      purpose VARCHAR(30) NOT NULL,
+      token_hash CHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query('CREATE INDEX idx_user_tokens_user_purpose ON user_tokens(user_id, purpose)');
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS user_tokens');
+}
+
+module.exports = { up, down };
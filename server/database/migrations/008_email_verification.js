@@ -0,0 +1,16 @@
+/**
+ * Email verification: accounts created from now on start unverified
+ */
+
+async function up(tx) {
+  await tx.query('ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP');
+
+  // Accounts that existed before verification was introduced are trusted as-is
+  await tx.query('UPDATE users SET email_verified_at = created_at');
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at');
+}
+
+module.exports = { up, down };
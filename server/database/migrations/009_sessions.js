@@ -0,0 +1,32 @@
+/**
+ * Server-side sessions: one row per signed-in device, holding the hash of its
+ * current refresh token. Access tokens carry the session id, so revoking the
+ * row logs that device out.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE sessions (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      refresh_token_hash CHAR(64) NOT NULL UNIQUE,
+      previous_token_hash CHAR(64),
+      rotated_at TIMESTAMP,
+      user_agent VARCHAR(500),
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL,
+      revoked_at TIMESTAMP
+    )
+  `);
+
+  await tx.query('CREATE INDEX idx_sessions_user_id ON sessions(user_id) WHERE revoked_at IS NULL');
+  await tx.query('CREATE INDEX idx_sessions_previous_token ON sessions(previous_token_hash)');
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS sessions');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,42 @@
+/**
+ * Admin user management: suspension, admin-forced password resets and an
+ * audit log of the actions taken
+ */
+
+async function up(tx) {
+  await tx.query(`
+    ALTER TABLE users
+      ADD COLUMN suspended_at TIMESTAMP,
+      ADD COLUMN suspension_reason VARCHAR(500),
+      ADD COLUMN password_reset_required_at TIMESTAMP
+  `);
+
+  // Rows outlive the admin who acted and the user they acted on
+  await tx.query(`
+    CREATE TABLE audit_log (
+      id SERIAL PRIMARY KEY,
+      actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      action VARCHAR(50) NOT NULL,
+      target_type VARCHAR(30) NOT NULL,
+      target_id INTEGER,
+      details JSONB NOT NULL DEFAULT '{}',
+      ip_address VARCHAR(64),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query('CREATE INDEX idx_audit_log_target ON audit_log(target_type, target_id)');
+  await tx.query('CREATE INDEX idx_audit_log_created_at ON audit_log(created_at)');
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS audit_log');
+  await tx.query(`
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS suspended_at,
+      DROP COLUMN IF EXISTS suspension_reason,
+      DROP COLUMN IF EXISTS password_reset_required_at
+  `);
+}
+
+module.exports = { up, down };
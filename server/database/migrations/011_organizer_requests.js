@@ -0,0 +1,33 @@
+/**
+ * Organizer access is granted by an admin instead of chosen at sign-up.
+ * A student may only have one request waiting for review at a time.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE organizer_requests (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      club_name VARCHAR(100) NOT NULL,
+      justification TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected')),
+      review_note VARCHAR(500),
+      reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE UNIQUE INDEX idx_organizer_requests_one_pending
+    ON organizer_requests(user_id) WHERE status = 'pending'
+  `);
+  await tx.query('CREATE INDEX idx_organizer_requests_status ON organizer_requests(status, created_at)');
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS organizer_requests');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,57 @@
+/**
+ * Audit log for every state-changing route: adds the user agent and a
+ * field-by-field diff, and makes the table append-only.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    ALTER TABLE audit_log
+      ADD COLUMN user_agent VARCHAR(500),
+      ADD COLUMN changes JSONB NOT NULL DEFAULT '{}'
+  `);
+
+  // ON DELETE SET NULL would be an UPDATE, which the trigger below forbids;
+  // entries keep the id of an actor who has since been deleted
+  await tx.query('ALTER TABLE audit_log DROP CONSTRAINT IF EXISTS audit_log_actor_id_fkey');
+
+  await tx.query('CREATE INDEX idx_audit_log_actor ON audit_log(actor_id, created_at)');
+
+  await tx.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+
+  await tx.query(`
+    CREATE TRIGGER audit_log_no_update_or_delete
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_append_only()
+  `);
+
+  await tx.query(`
+    CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_log_append_only()
+  `);
+}
+
+async function down(tx) {
+  await tx.query('DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log');
+  await tx.query('DROP TRIGGER IF EXISTS audit_log_no_update_or_delete ON audit_log');
+  await tx.query('DROP FUNCTION IF EXISTS audit_log_append_only()');
+  await tx.query('DROP INDEX IF EXISTS idx_audit_log_actor');
+  await tx.query(`
+    ALTER TABLE audit_log
+      DROP COLUMN IF EXISTS user_agent,
+      DROP COLUMN IF EXISTS changes
+  `);
+  await tx.query(`
+    ALTER TABLE audit_log
+      ADD CONSTRAINT audit_log_actor_id_fkey
+      FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL NOT VALID
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+/**
+ * Draft events and scheduled publishing. An event is public once
+ * published_at is set; drafts may carry a publish_at time at which the
+ * server publishes them.
+ */
+
+async function up(tx) {
+  // Defaults to published so existing inserts (and the seed data) stay public
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ADD COLUMN publish_at TIMESTAMP
+  `);
+
+  await tx.query('UPDATE events SET published_at = created_at');
+
+  await tx.query(`
+    CREATE INDEX idx_events_publish_due
+    ON events(publish_at) WHERE published_at IS NULL
+  `);
+}
+
+async function down(tx) {
+  await tx.query('DROP INDEX IF EXISTS idx_events_publish_due');
+  await tx.query(`
+    ALTER TABLE events
+      DROP COLUMN IF EXISTS publish_at,
+      DROP COLUMN IF EXISTS published_at
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+/**
+ * Cancelled events stay in place with a reason, so registered students can
+ * see what happened to them instead of the event disappearing
+ */
+
+async function up(tx) {
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN cancelled_at TIMESTAMP,
+      ADD COLUMN cancellation_reason VARCHAR(500),
+      ADD COLUMN cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL
+  `);
+}
+
+async function down(tx) {
+  await tx.query(`
+    ALTER TABLE events
+      DROP COLUMN IF EXISTS cancelled_by,
+      DROP COLUMN IF EXISTS cancellation_reason,
+      DROP COLUMN IF EXISTS cancelled_at
+  `);
+}
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+/**
+ * Organizer-defined registration questions. The questions live on the event
+ * and each registration keeps the answers keyed by question id.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN registration_questions JSONB NOT NULL DEFAULT '[]'
+  `);
+
+  await tx.query(`
+    ALTER TABLE registrations
+      ADD COLUMN answers JSONB NOT NULL DEFAULT '{}'
+  `);
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE registrations DROP COLUMN IF EXISTS answers');
+  await tx.query('ALTER TABLE events DROP COLUMN IF EXISTS registration_questions');
+}
+
+module.exports = { up, down };
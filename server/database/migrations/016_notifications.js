@@ -0,0 +1,29 @@
+/**
+ * In-app notifications, kept so users who were offline still see them.
+ * Unread notifications have no read_at.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE notifications (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      title VARCHAR(200) NOT NULL,
+      message TEXT NOT NULL,
+      event_id INTEGER REFERENCES events(id) ON DELETE CASCADE,
+      data JSONB NOT NULL DEFAULT '{}',
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query('CREATE INDEX idx_notifications_user ON notifications(user_id, created_at DESC, id DESC)');
+  await tx.query('CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL');
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS notifications');
+}
+
+module.exports = { up, down };
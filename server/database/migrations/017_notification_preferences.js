@@ -0,0 +1,34 @@
+/**
+ * Per-user notification preferences. Only choices that differ from the role
+ * defaults in utils/notificationPreferences.js are stored. Notifications that
+ * are only wanted in the digest are kept out of the in-app list.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE notification_preferences (
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      channel VARCHAR(20) NOT NULL CHECK (channel IN ('in_app', 'email', 'digest')),
+      enabled BOOLEAN NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (user_id, type, channel)
+    )
+  `);
+
+  await tx.query(`
+    ALTER TABLE notifications
+      ADD COLUMN in_app BOOLEAN NOT NULL DEFAULT TRUE,
+      ADD COLUMN digest_pending BOOLEAN NOT NULL DEFAULT FALSE
+  `);
+
+  await tx.query('CREATE INDEX idx_notifications_digest ON notifications(user_id, created_at) WHERE digest_pending');
+}
+
+async function down(tx) {
+  await tx.query('DROP INDEX IF EXISTS idx_notifications_digest');
+  await tx.query('ALTER TABLE notifications DROP COLUMN IF EXISTS digest_pending, DROP COLUMN IF EXISTS in_app');
+  await tx.query('DROP TABLE IF EXISTS notification_preferences');
+}
+
+module.exports = { up, down };
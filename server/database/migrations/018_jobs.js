@@ -0,0 +1,55 @@
+/**
+ * Background jobs (utils/jobs.js) and per-event reminder offsets. A job's
+ * unique_key stops the same work from being queued twice while it is pending
+ * or running. Reminders for events that are already upcoming are queued here.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE jobs (
+      id SERIAL PRIMARY KEY,
+      type VARCHAR(50) NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}',
+      unique_key VARCHAR(200),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed')),
+      run_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 5,
+      last_error TEXT,
+      locked_by VARCHAR(100),
+      locked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  await tx.query(`
+    CREATE UNIQUE INDEX idx_jobs_unique_key
+    ON jobs(unique_key) WHERE status IN ('pending', 'running')
+  `);
+  await tx.query(`CREATE INDEX idx_jobs_due ON jobs(run_at) WHERE status = 'pending'`);
+
+  // Minutes before the event; 24 hours and 1 hour unless the organizer changes them
+  await tx.query(`
+    ALTER TABLE events
+      ADD COLUMN reminder_offsets INTEGER[] NOT NULL DEFAULT '{1440,60}'
+  `);
+
+  await tx.query(`
+    INSERT INTO jobs (type, payload, unique_key, run_at)
+    SELECT 'event_reminder',
+           jsonb_build_object('eventId', e.id, 'offsetMinutes', o.offset_minutes, 'date', e.date),
+           'event_reminder:' || e.id || ':' || o.offset_minutes,
+           e.date - o.offset_minutes * INTERVAL '1 minute'
+    FROM events e
+    CROSS JOIN UNNEST(e.reminder_offsets) AS o(offset_minutes)
+    WHERE e.cancelled_at IS NULL AND e.date - o.offset_minutes * INTERVAL '1 minute' > NOW()
+  `);
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE events DROP COLUMN IF EXISTS reminder_offsets');
+  await tx.query('DROP TABLE IF EXISTS jobs');
+}
+
+module.exports = { up, down };
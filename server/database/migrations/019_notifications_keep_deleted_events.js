@@ -0,0 +1,25 @@
+/**
+ * Notifications outlive the event they mention: deleting an event used to
+ * take its notifications with it, so an attendee could lose the message that
+ * it was cancelled. Now they stay, without the link to the event.
+ */
+
+async function up(tx) {
+  await tx.query('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_event_id_fkey');
+  await tx.query(`
+    ALTER TABLE notifications
+      ADD CONSTRAINT notifications_event_id_fkey
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE SET NULL
+  `);
+}
+
+async function down(tx) {
+  await tx.query('ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_event_id_fkey');
+  await tx.query(`
+    ALTER TABLE notifications
+      ADD CONSTRAINT notifications_event_id_fkey
+      FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE
+  `);
+}
+
+module.exports = { up, down };
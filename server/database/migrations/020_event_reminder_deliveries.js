@@ -0,0 +1,24 @@
+/**
+ * One row per reminder an attendee has been sent, for the event's date at the
+ * time, so a reminder job that runs twice does not notify anyone twice.
+ * Moving the event makes its reminders due again.
+ */
+
+async function up(tx) {
+  await tx.query(`
+    CREATE TABLE event_reminder_deliveries (
+      event_id INTEGER NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+      event_date TIMESTAMP NOT NULL,
+      offset_minutes INTEGER NOT NULL,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (event_id, event_date, offset_minutes, user_id)
+    )
+  `);
+}
+
+async function down(tx) {
+  await tx.query('DROP TABLE IF EXISTS event_reminder_deliveries');
+}
+
+module.exports = { up, down };
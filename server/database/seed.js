@@ -34,14 +34,14 @@ async function seedDatabase() {
 
     // Insert sample users
     const usersResult = await pool.query(`
-      INSERT INTO users (username, email, password_hash, role) VALUES
-      ('admin', 'admin@campus.edu', $1, 'admin'),
-      ('organizer1', 'organizer1@campus.edu', $1, 'organizer'),
-      ('organizer2', 'organizer2@campus.edu', $1, 'organizer'),
-      ('student1', 'student1@campus.edu', $1, 'student'),
-      ('student2', 'student2@campus.edu', $1, 'student'),
-      ('student3', 'student3@campus.edu', $1, 'student'),
-      ('student4', 'student4@campus.edu', $1, 'student')
+      INSERT INTO users (username, email, password_hash, role, email_verified_at) VALUES
+      ('admin', 'admin@campus.edu', $1, 'admin', CURRENT_TIMESTAMP),
+      ('organizer1', 'organizer1@campus.edu', $1, 'organizer', CURRENT_TIMESTAMP),
+      ('organizer2', 'organizer2@campus.edu', $1, 'organizer', CURRENT_TIMESTAMP),
+      ('student1', 'student1@campus.edu', $1, 'student', CURRENT_TIMESTAMP),
+      ('student2', 'student2@campus.edu', $1, 'student', CURRENT_TIMESTAMP),
+      ('student3', 'student3@campus.edu', $1, 'student', CURRENT_TIMESTAMP),
+      ('student4', 'student4@campus.edu', $1, 'student', CURRENT_TIMESTAMP)
       RETURNING id, username, role
     `, [hashedPassword]);
 
@@ -49,12 +49,17 @@ async function seedDatabase() {
 
     // Insert sample events
     const eventsResult = await pool.query(`
-      INSERT INTO events (title, description, date, location, max_attendees, created_by) VALUES
-      ('Tech Conference 2024', 'Annual technology conference featuring the latest innovations in AI, web development, and cybersecurity.', '2024-03-15 09:00:00', 'Main Auditorium', 200, 2),
-      ('Career Fair', 'Connect with top companies and explore career opportunities in various fields.', '2024-03-20 10:00:00', 'Student Center', 500, 2),
-      ('Hackathon', '48-hour coding competition with prizes for the best projects.', '2024-03-25 18:00:00', 'Computer Lab', 50, 3),
-      ('Art Exhibition', 'Student artwork showcase featuring paintings, sculptures, and digital art.', '2024-03-28 14:00:00', 'Art Gallery', 100, 3),
-      ('Sports Tournament', 'Annual inter-college sports tournament featuring basketball, football, and volleyball.', '2024-04-01 08:00:00', 'Sports Complex', 300, 2)
+      INSERT INTO events (title, description, date, location, max_attendees, created_by, category_id, tags)
+      SELECT e.title, e.description, e.date::timestamp, e.location, e.max_attendees, e.created_by, c.id, e.tags::text[]
+      FROM (VALUES
+        ('Tech Conference 2024', 'Annual technology conference featuring the latest innovations in AI, web development, and cybersecurity.', '2024-03-15 09:00:00', 'Main Auditorium', 200, 2, 'academic', '{ai,web,security}'),
+        ('Career Fair', 'Connect with top companies and explore career opportunities in various fields.', '2024-03-20 10:00:00', 'Student Center', 500, 2, 'career', '{networking,internships}'),
+        ('Hackathon', '48-hour coding competition with prizes for the best projects.', '2024-03-25 18:00:00', 'Computer Lab', 50, 3, 'academic', '{coding,prizes,free food}'),
+        ('Art Exhibition', 'Student artwork showcase featuring paintings, sculptures, and digital art.', '2024-03-28 14:00:00', 'Art Gallery', 100, 3, 'cultural', '{art,exhibition}'),
+        ('Sports Tournament', 'Annual inter-college sports tournament featuring basketball, football, and volleyball.', '2024-04-01 08:00:00', 'Sports Complex', 300, 2, 'sports', '{basketball,football,volleyball}')
+      ) AS e (title, description, date, location, max_attendees, created_by, category_slug, tags)
+      LEFT JOIN categories c ON c.slug = e.category_slug
+      ORDER BY e.date
       RETURNING id, title
     `);
 
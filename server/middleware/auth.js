@@ -15,19 +15,24 @@ const authenticateToken = async (req, res, next) => {
 
     const decodedToken = jwt.verify(authToken, process.env.JWT_SECRET);
     
+    // The session has to be live too, so logging out elsewhere takes effect immediately
     const userResult = await query(
-      'SELECT id, username, email, role FROM users WHERE id = $1',
-      [decodedToken.userId]
+      `SELECT u.id, u.username, u.email, u.role, u.email_verified_at
+       FROM users u
+       JOIN sessions s ON s.user_id = u.id
+       WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND u.suspended_at IS NULL`,
+      [decodedToken.userId, decodedToken.sessionId || null]
     );
 
     if (userResult.rows.length === 0) {
       return res.status(401).json({ 
         success: false, 
-        message: 'Invalid token - user not found' 
+        message: 'Session has ended - please sign in again' 
       });
     }
 
     req.user = userResult.rows[0];
+    req.sessionId = decodedToken.sessionId;
     next();
 
   } catch (error) {
@@ -53,6 +58,16 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+// For public routes that show more to some users: anonymous requests pass
+// straight through, while a bad or expired token still gets a 401
+const optionalAuth = (req, res, next) => {
+  if (!req.headers['authorization']) {
+    return next();
+  }
+
+  return authenticateToken(req, res, next);
+};
+
 const requireRole = (...allowedRoles) => {
   return (req, res, next) => {
     if (!req.user) {
@@ -77,6 +92,18 @@ const requireAdmin = requireRole('admin');
 const requireOrganizer = requireRole('organizer', 'admin');
 const requireStudent = requireRole('student', 'organizer', 'admin');
 
+// Unverified accounts can browse but not take part until they confirm their email
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.email_verified_at) {
+    return res.status(403).json({
+      success: false,
+      message: 'Please verify your email address before registering for events'
+    });
+  }
+
+  next();
+};
+
 const requireOwnershipOrAdmin = (resourceIdParam = 'id', resourceTable = 'events', userIdColumn = 'created_by') => {
   return async (req, res, next) => {
     try {
@@ -118,9 +145,11 @@ const requireOwnershipOrAdmin = (resourceIdParam = 'id', resourceTable = 'events
 
 module.exports = {
   authenticateToken,
+  optionalAuth,
   requireRole,
   requireAdmin,
   requireOrganizer,
   requireStudent,
+  requireVerifiedEmail,
   requireOwnershipOrAdmin
 };
@@ -0,0 +1,697 @@
+const express = require('express');
+const { query, withTransaction } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const {
+  validate,
+  validateQuery,
+  adminUserQuerySchema,
+  userRoleSchema,
+  suspendUserSchema,
+  organizerRequestQuerySchema,
+  organizerRequestReviewSchema,
+  auditLogQuerySchema
+} = require('../utils/validation');
+const { TOKEN_PURPOSES, createUserToken, revokeUserTokens } = require('../utils/userTokens');
+const { revokeUserSessions } = require('../utils/sessions');
+const { recordAudit } = require('../utils/audit');
+const { recordCalendarCancellations } = require('../utils/calendar');
+const { DOMAIN_EVENTS, publish } = require('../utils/eventBus');
+const { sendMail } = require('../utils/mailer');
+const { forcedPasswordResetEmail } = require('../utils/emailTemplates');
+
+const router = express.Router();
+
+// The user cannot sign in until they follow the link, so it stays valid longer
+// than a self-service reset link
+const FORCED_RESET_TOKEN_TTL_MINUTES = 24 * 60;
+
+const USER_COLUMNS = `
+  id, username, email, role, email_verified_at, suspended_at, suspension_reason,
+  password_reset_required_at, created_at, updated_at
+`;
+
+router.use(authenticateToken, requireAdmin);
+
+// Locks the user an action targets. Answers 404 for unknown users and 400 when
+// admins try it on their own account, so nobody can lock themselves out.
+async function lockTargetUser(tx, req, res) {
+  const userId = parseInt(req.params.id);
+
+  const result = Number.isInteger(userId) ? await tx.query(
+    `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 FOR UPDATE`,
+    [userId]
+  ) : { rows: [] };
+
+  if (result.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found'
+    });
+    return null;
+  }
+
+  if (result.rows[0].id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot perform this action on your own account'
+    });
+    return null;
+  }
+
+  return result.rows[0];
+}
+
+router.get('/users', validateQuery(adminUserQuerySchema), async (req, res) => {
+  try {
+    const { search, role, status, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (search) {
+      conditions.push(`(u.username ILIKE $${paramCount} OR u.email ILIKE $${paramCount})`);
+      params.push(`%${search}%`);
+      paramCount++;
+    }
+
+    if (role) {
+      conditions.push(`u.role = $${paramCount++}`);
+      params.push(role);
+    }
+
+    if (status === 'active') {
+      conditions.push('u.suspended_at IS NULL');
+    } else if (status === 'suspended') {
+      conditions.push('u.suspended_at IS NOT NULL');
+    } else if (status === 'unverified') {
+      conditions.push('u.email_verified_at IS NULL');
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM users u ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const usersResult = await query(`
+      SELECT
+        u.id,
+        u.username,
+        u.email,
+        u.role,
+        u.email_verified_at,
+        u.suspended_at,
+        u.suspension_reason,
+        u.password_reset_required_at,
+        u.created_at,
+        (SELECT COUNT(*) FROM events e WHERE e.created_by = u.id) as events_count,
+        (SELECT COUNT(*) FROM registrations r WHERE r.user_id = u.id) as registrations_count,
+        (SELECT MAX(s.last_used_at) FROM sessions s WHERE s.user_id = u.id) as last_active_at
+      FROM users u
+      ${whereClause}
+      ORDER BY u.created_at DESC, u.id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, [...params, limit, offset]);
+
+    const users = usersResult.rows.map(user => ({
+      ...user,
+      events_count: parseInt(user.events_count),
+      registrations_count: parseInt(user.registrations_count)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching users'
+    });
+  }
+});
+
+router.put('/users/:id/role', validate(userRoleSchema), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const user = await withTransaction(async (tx) => {
+      const target = await lockTargetUser(tx, req, res);
+      if (!target) return null;
+
+      if (target.role === role) {
+        return target;
+      }
+
+      const result = await tx.query(
+        `UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+        [role, target.id]
+      );
+
+      await recordAudit(tx, req, {
+        action: 'user.role_changed',
+        targetType: 'user',
+        targetId: target.id,
+        before: target,
+        after: result.rows[0]
+      });
+
+      publish(tx, DOMAIN_EVENTS.USER_ACCESS_CHANGED, { userId: target.id });
+
+      return result.rows[0];
+    });
+
+    if (!user) return;
+
+    res.json({
+      success: true,
+      message: `${user.username}'s role is now ${user.role}`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin change role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while changing role'
+    });
+  }
+});
+
+router.post('/users/:id/suspend', validate(suspendUserSchema), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const user = await withTransaction(async (tx) => {
+      const target = await lockTargetUser(tx, req, res);
+      if (!target) return null;
+
+      if (target.suspended_at) {
+        res.status(409).json({
+          success: false,
+          message: 'User is already suspended'
+        });
+        return null;
+      }
+
+      const result = await tx.query(
+        `UPDATE users
+         SET suspended_at = CURRENT_TIMESTAMP, suspension_reason = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2
+         RETURNING ${USER_COLUMNS}`,
+        [reason || null, target.id]
+      );
+
+      // Signs the user out of every device straight away
+      const revokedSessions = await revokeUserSessions(tx, target.id);
+
+      await recordAudit(tx, req, {
+        action: 'user.suspended',
+        targetType: 'user',
+        targetId: target.id,
+        before: target,
+        after: result.rows[0],
+        details: { revoked_sessions: revokedSessions }
+      });
+
+      publish(tx, DOMAIN_EVENTS.USER_ACCESS_CHANGED, { userId: target.id });
+
+      return result.rows[0];
+    });
+
+    if (!user) return;
+
+    res.json({
+      success: true,
+      message: `${user.username} has been suspended`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin suspend user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while suspending user'
+    });
+  }
+});
+
+router.post('/users/:id/reactivate', async (req, res) => {
+  try {
+    const user = await withTransaction(async (tx) => {
+      const target = await lockTargetUser(tx, req, res);
+      if (!target) return null;
+
+      if (!target.suspended_at) {
+        res.status(409).json({
+          success: false,
+          message: 'User is not suspended'
+        });
+        return null;
+      }
+
+      const result = await tx.query(
+        `UPDATE users
+         SET suspended_at = NULL, suspension_reason = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+        [target.id]
+      );
+
+      await recordAudit(tx, req, {
+        action: 'user.reactivated',
+        targetType: 'user',
+        targetId: target.id,
+        before: target,
+        after: result.rows[0]
+      });
+
+      return result.rows[0];
+    });
+
+    if (!user) return;
+
+    res.json({
+      success: true,
+      message: `${user.username} has been reactivated`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin reactivate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reactivating user'
+    });
+  }
+});
+
+// Blocks sign-in with the current password and emails a link to choose a new one
+router.post('/users/:id/force-password-reset', async (req, res) => {
+  try {
+    const outcome = await withTransaction(async (tx) => {
+      const target = await lockTargetUser(tx, req, res);
+      if (!target) return null;
+
+      const result = await tx.query(
+        `UPDATE users
+         SET password_reset_required_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${USER_COLUMNS}`,
+        [target.id]
+      );
+
+      const revokedSessions = await revokeUserSessions(tx, target.id);
+
+      // Only the link in the new email works from here on
+      await revokeUserTokens(tx, target.id, TOKEN_PURPOSES.PASSWORD_RESET);
+      const token = await createUserToken(
+        tx, target.id, TOKEN_PURPOSES.PASSWORD_RESET, FORCED_RESET_TOKEN_TTL_MINUTES
+      );
+
+      await recordAudit(tx, req, {
+        action: 'user.password_reset_forced',
+        targetType: 'user',
+        targetId: target.id,
+        before: target,
+        after: result.rows[0],
+        details: { revoked_sessions: revokedSessions }
+      });
+
+      return { user: result.rows[0], token };
+    });
+
+    if (!outcome) return;
+
+    const { user, token } = outcome;
+
+    sendMail({
+      to: user.email,
+      ...forcedPasswordResetEmail({
+        username: user.username,
+        token,
+        expiresInMinutes: FORCED_RESET_TOKEN_TTL_MINUTES
+      })
+    }).catch(error => console.error('Forced password reset email error:', error));
+
+    res.json({
+      success: true,
+      message: `${user.username} has been signed out and sent a password reset link`,
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Admin force password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while forcing password reset'
+    });
+  }
+});
+
+// Also removes the user's events and registrations (ON DELETE CASCADE). An
+// organizer's upcoming events have to be cancelled first, which notifies the
+// registered students; deleting would drop them silently.
+router.delete('/users/:id', async (req, res) => {
+  try {
+    const user = await withTransaction(async (tx) => {
+      const target = await lockTargetUser(tx, req, res);
+      if (!target) return null;
+
+      // Locked so no registration is approved after the calendars are updated
+      const eventsResult = await tx.query(
+        `SELECT id, date > NOW() AND cancelled_at IS NULL as upcoming
+         FROM events
+         WHERE created_by = $1
+         ORDER BY id
+         FOR UPDATE`,
+        [target.id]
+      );
+
+      const upcomingCount = eventsResult.rows.filter(event => event.upcoming).length;
+      if (upcomingCount > 0) {
+        res.status(409).json({
+          success: false,
+          message: `${target.username} still has ${upcomingCount} upcoming event(s); cancel them before deleting the account`
+        });
+        return null;
+      }
+
+      // Subscribed calendars of approved attendees show the deleted events as cancelled
+      for (const event of eventsResult.rows) {
+        const attendeesResult = await tx.query(
+          `SELECT user_id FROM registrations WHERE event_id = $1 AND status = 'approved'`,
+          [event.id]
+        );
+        await recordCalendarCancellations(tx, event.id, attendeesResult.rows.map(row => row.user_id));
+      }
+
+      await tx.query('DELETE FROM users WHERE id = $1', [target.id]);
+
+      await recordAudit(tx, req, {
+        action: 'user.deleted',
+        targetType: 'user',
+        targetId: target.id,
+        before: target,
+        details: { deleted_events: eventsResult.rows.length }
+      });
+
+      return target;
+    });
+
+    if (!user) return;
+
+    res.json({
+      success: true,
+      message: `${user.username} has been deleted`
+    });
+
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting user'
+    });
+  }
+});
+
+router.get('/organizer-requests', validateQuery(organizerRequestQuerySchema), async (req, res) => {
+  try {
+    const { status, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM organizer_requests WHERE status = $1',
+      [status]
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    // Oldest first while waiting, most recently reviewed first afterwards
+    const result = await query(`
+      SELECT
+        r.id,
+        r.club_name,
+        r.justification,
+        r.status,
+        r.review_note,
+        r.reviewed_at,
+        r.created_at,
+        json_build_object(
+          'id', u.id,
+          'username', u.username,
+          'email', u.email,
+          'role', u.role,
+          'created_at', u.created_at
+        ) as user,
+        reviewer.username as reviewed_by_username
+      FROM organizer_requests r
+      JOIN users u ON r.user_id = u.id
+      LEFT JOIN users reviewer ON r.reviewed_by = reviewer.id
+      WHERE r.status = $1
+      ORDER BY ${status === 'pending' ? 'r.created_at ASC' : 'r.reviewed_at DESC'}, r.id
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    res.json({
+      success: true,
+      data: {
+        requests: result.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get organizer requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching organizer requests'
+    });
+  }
+});
+
+// Approving upgrades a student to organizer; either way the requester is told
+// through their notification preferences
+const reviewOrganizerRequest = (decision) => async (req, res) => {
+  try {
+    const { note } = req.body;
+    const requestId = parseInt(req.params.id);
+    const approved = decision === 'approved';
+
+    const reviewed = await withTransaction(async (tx) => {
+      const requestResult = Number.isInteger(requestId) ? await tx.query(
+        `SELECT r.id, r.user_id, r.club_name, r.status, u.username, u.email, u.role
+         FROM organizer_requests r
+         JOIN users u ON r.user_id = u.id
+         WHERE r.id = $1
+         FOR UPDATE OF r, u`,
+        [requestId]
+      ) : { rows: [] };
+
+      if (requestResult.rows.length === 0) {
+        res.status(404).json({
+          success: false,
+          message: 'Organizer request not found'
+        });
+        return null;
+      }
+
+      const request = requestResult.rows[0];
+      if (request.status !== 'pending') {
+        res.status(409).json({
+          success: false,
+          message: `This request was already ${request.status}`
+        });
+        return null;
+      }
+
+      const updateResult = await tx.query(
+        `UPDATE organizer_requests
+         SET status = $1, review_note = $2, reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING id, club_name, justification, status, review_note, reviewed_at, created_at`,
+        [decision, note || null, req.user.id, request.id]
+      );
+
+      await recordAudit(tx, req, {
+        action: `organizer_request.${decision}`,
+        targetType: 'organizer_request',
+        targetId: request.id,
+        before: { status: request.status, review_note: null },
+        after: { status: decision, review_note: note || null },
+        details: { user_id: request.user_id, username: request.username, club_name: request.club_name }
+      });
+
+      // Admins keep their role
+      const promoted = approved && request.role === 'student';
+      if (promoted) {
+        await tx.query(
+          `UPDATE users SET role = 'organizer', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+          [request.user_id]
+        );
+
+        await recordAudit(tx, req, {
+          action: 'user.role_changed',
+          targetType: 'user',
+          targetId: request.user_id,
+          before: { role: request.role },
+          after: { role: 'organizer' },
+          details: { organizer_request_id: request.id }
+        });
+      }
+
+      publish(tx, DOMAIN_EVENTS.ORGANIZER_REQUEST_REVIEWED, {
+        userId: request.user_id,
+        requestId: request.id,
+        status: decision,
+        note: note || null,
+        clubName: request.club_name
+      });
+
+      // After the review is announced, so it still reaches the requester's open sockets
+      if (promoted) {
+        publish(tx, DOMAIN_EVENTS.USER_ACCESS_CHANGED, { userId: request.user_id });
+      }
+
+      return { request: updateResult.rows[0], requester: request };
+    });
+
+    if (!reviewed) return;
+
+    const { request, requester } = reviewed;
+
+    res.json({
+      success: true,
+      message: approved
+        ? `${requester.username} is now an organizer`
+        : `Request from ${requester.username} rejected`,
+      data: { request }
+    });
+
+  } catch (error) {
+    console.error('Admin review organizer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reviewing organizer request'
+    });
+  }
+};
+
+router.post('/organizer-requests/:id/approve', validate(organizerRequestReviewSchema), reviewOrganizerRequest('approved'));
+router.post('/organizer-requests/:id/reject', validate(organizerRequestReviewSchema), reviewOrganizerRequest('rejected'));
+
+// Newest first. `to` is inclusive, so a bare date covers that whole day
+router.get('/audit', validateQuery(auditLogQuerySchema), async (req, res) => {
+  try {
+    const { actor_id, target_type, target_id, action, from, to, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+
+    const conditions = [];
+    const params = [];
+    let paramCount = 1;
+
+    if (actor_id !== undefined) {
+      conditions.push(`a.actor_id = $${paramCount++}`);
+      params.push(actor_id);
+    }
+
+    if (target_type) {
+      conditions.push(`a.target_type = $${paramCount++}`);
+      params.push(target_type);
+    }
+
+    if (target_id !== undefined) {
+      conditions.push(`a.target_id = $${paramCount++}`);
+      params.push(target_id);
+    }
+
+    // "event" and "event." both match every event.* action; compared as plain
+    // text, so % and _ in the filter are not wildcards
+    const actionPrefix = action && action.replace(/\.+$/, '');
+    if (actionPrefix) {
+      conditions.push(`(a.action = $${paramCount} OR starts_with(a.action, $${paramCount} || '.'))`);
+      params.push(actionPrefix);
+      paramCount++;
+    }
+
+    if (from) {
+      conditions.push(`a.created_at >= $${paramCount++}`);
+      params.push(from);
+    }
+
+    if (to) {
+      conditions.push(typeof to === 'string'
+        ? `a.created_at < $${paramCount++}::date + INTERVAL '1 day'`
+        : `a.created_at <= $${paramCount++}`);
+      params.push(to);
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM audit_log a ${whereClause}`,
+      params
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const entriesResult = await query(`
+      SELECT
+        a.id,
+        a.actor_id,
+        u.username as actor_username,
+        a.action,
+        a.target_type,
+        a.target_id,
+        a.changes,
+        a.details,
+        a.ip_address,
+        a.user_agent,
+        a.created_at
+      FROM audit_log a
+      LEFT JOIN users u ON a.actor_id = u.id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $${paramCount} OFFSET $${paramCount + 1}
+    `, [...params, limit, offset]);
+
+    res.json({
+      success: true,
+      data: {
+        entries: entriesResult.rows,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Admin get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching audit log'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,15 +1,72 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
-const { query } = require('../database/connection');
+const { query, withTransaction } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
-const { validate, registerSchema, loginSchema } = require('../utils/validation');
+const {
+  validate,
+  registerSchema,
+  loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
+  getAllowedEmailDomains,
+  isAllowedEmailDomain
+} = require('../utils/validation');
+const {
+  TOKEN_PURPOSES,
+  createUserToken,
+  consumeUserToken,
+  countRecentUserTokens,
+  revokeUserTokens
+} = require('../utils/userTokens');
+const { sendMail } = require('../utils/mailer');
+const { passwordResetEmail, emailVerificationEmail } = require('../utils/emailTemplates');
+const { recordAudit } = require('../utils/audit');
+const {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  readRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie
+} = require('../utils/sessions');
 
 const router = express.Router();
 
+const RESET_TOKEN_TTL_MINUTES = 60;
+// Reset emails per account per hour; further requests are silently dropped
+const RESET_REQUESTS_PER_HOUR = 3;
+const VERIFICATION_TOKEN_TTL_MINUTES = 24 * 60;
+const VERIFICATION_REQUESTS_PER_HOUR = 3;
+
+// Opens a session for this device: the refresh token goes into an httpOnly
+// cookie and the short-lived access token is returned for the response body
+async function startSession(req, res, user) {
+  const { sessionId, refreshToken } = await createSession({ query }, user.id, req);
+  setRefreshCookie(res, refreshToken);
+  return signAccessToken(user, sessionId);
+}
+
+// Replaces any outstanding verification link, so only the newest one (for the
+// current email address) works
+async function sendVerificationEmail(user) {
+  await revokeUserTokens({ query }, user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+  const token = await createUserToken(
+    { query }, user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION, VERIFICATION_TOKEN_TTL_MINUTES
+  );
+
+  sendMail({
+    to: user.email,
+    ...emailVerificationEmail({ username: user.username, token })
+  }).catch(error => console.error('Verification email error:', error));
+}
+
 router.post('/register', validate(registerSchema), async (req, res) => {
   try {
-    const { username, email, password, role } = req.body;
+    const { username, email, password } = req.body;
 
     const existingUser = await query(
       'SELECT id FROM users WHERE username = $1 OR email = $2',
@@ -26,27 +83,38 @@ router.post('/register', validate(registerSchema), async (req, res) => {
     const saltRounds = 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
 
+    // Everyone starts as a student; organizer access goes through an admin-reviewed request
     const result = await query(
-      'INSERT INTO users (username, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, username, email, role, created_at',
-      [username, email, passwordHash, role]
+      `INSERT INTO users (username, email, password_hash, role)
+       VALUES ($1, $2, $3, 'student')
+       RETURNING id, username, email, role, email_verified_at, created_at`,
+      [username, email, passwordHash]
     );
 
     const newUser = result.rows[0];
 
-    const authToken = jwt.sign(
-      { userId: newUser.id, username: newUser.username, role: newUser.role },
-      process.env.JWT_SECRET,
-    );
+    await recordAudit({ query }, req, {
+      action: 'user.registered',
+      targetType: 'user',
+      targetId: newUser.id,
+      actorId: newUser.id,
+      after: newUser
+    });
+
+    await sendVerificationEmail(newUser);
+
+    const authToken = await startSession(req, res, newUser);
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your account.',
       data: {
         user: {
           id: newUser.id,
           username: newUser.username,
           email: newUser.email,
           role: newUser.role,
+          email_verified_at: newUser.email_verified_at,
           created_at: newUser.created_at
         },
         token: authToken
@@ -67,7 +135,9 @@ router.post('/login', validate(loginSchema), async (req, res) => {
     const { email, password } = req.body;
 
     const result = await query(
-      'SELECT id, username, email, password_hash, role FROM users WHERE email = $1',
+      `SELECT id, username, email, password_hash, role, email_verified_at,
+              suspended_at, password_reset_required_at
+       FROM users WHERE email = $1`,
       [email]
     );
 
@@ -88,10 +158,29 @@ router.post('/login', validate(loginSchema), async (req, res) => {
       });
     }
 
-    const authToken = jwt.sign(
-      { userId: user.id, username: user.username, role: user.role },
-      process.env.JWT_SECRET,
-    );
+    // Only revealed to someone who knows the password
+    if (user.suspended_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'This account has been suspended. Contact an administrator.'
+      });
+    }
+
+    if (user.password_reset_required_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'An administrator has reset your password. Use the link we emailed you, or request a new one with "Forgot password?".'
+      });
+    }
+
+    const authToken = await startSession(req, res, user);
+
+    await recordAudit({ query }, req, {
+      action: 'user.logged_in',
+      targetType: 'user',
+      targetId: user.id,
+      actorId: user.id
+    });
 
     res.json({
       success: true,
@@ -101,7 +190,8 @@ router.post('/login', validate(loginSchema), async (req, res) => {
           id: user.id,
           username: user.username,
           email: user.email,
-          role: user.role
+          role: user.role,
+          email_verified_at: user.email_verified_at
         },
         token: authToken
       }
@@ -145,6 +235,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
       });
     }
 
+    if (email && email !== req.user.email && !isAllowedEmailDomain(email)) {
+      return res.status(400).json({
+        success: false,
+        message: `Please use your campus email address (${getAllowedEmailDomains().map(domain => `@${domain}`).join(', ')})`
+      });
+    }
+
     if (username || email) {
       let checkQuery = 'SELECT id FROM users WHERE (';
       const checkParams = [];
@@ -179,9 +276,12 @@ router.put('/profile', authenticateToken, async (req, res) => {
       updates.push(`username = $${paramCount++}`);
       updateParams.push(username);
     }
-    if (email) {
+    // A new address has to be verified again
+    const emailChanged = email && email !== req.user.email;
+    if (emailChanged) {
       updates.push(`email = $${paramCount++}`);
       updateParams.push(email);
+      updates.push('email_verified_at = NULL');
     }
 
     updates.push(`updated_at = CURRENT_TIMESTAMP`);
@@ -191,15 +291,29 @@ router.put('/profile', authenticateToken, async (req, res) => {
       UPDATE users 
       SET ${updates.join(', ')} 
       WHERE id = $${paramCount}
-      RETURNING id, username, email, role, created_at, updated_at
+      RETURNING id, username, email, role, email_verified_at, created_at, updated_at
     `;
 
     const result = await query(updateQuery, updateParams);
     const updatedUser = result.rows[0];
 
+    await recordAudit({ query }, req, {
+      action: 'user.profile_updated',
+      targetType: 'user',
+      targetId: userId,
+      before: req.user,
+      after: updatedUser
+    });
+
+    if (emailChanged) {
+      await sendVerificationEmail(updatedUser);
+    }
+
     res.json({
       success: true,
-      message: 'Profile updated successfully',
+      message: emailChanged
+        ? 'Profile updated. Check your new email address to verify it.'
+        : 'Profile updated successfully',
       data: {
         user: updatedUser
       }
@@ -261,6 +375,18 @@ router.put('/change-password', authenticateToken, async (req, res) => {
       [newPasswordHash, userId]
     );
 
+    // Other devices have to sign in again with the new password
+    const revokedSessions = await revokeUserSessions({ query }, userId, { exceptSessionId: req.sessionId });
+
+    await recordAudit({ query }, req, {
+      action: 'user.password_changed',
+      targetType: 'user',
+      targetId: userId,
+      before: { password_hash: result.rows[0].password_hash },
+      after: { password_hash: newPasswordHash },
+      details: { revoked_sessions: revokedSessions }
+    });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -275,4 +401,411 @@ router.put('/change-password', authenticateToken, async (req, res) => {
   }
 });
 
+// Lets the sign-up form show which email addresses are accepted
+router.get('/email-domains', (req, res) => {
+  res.json({
+    success: true,
+    data: { allowed_domains: getAllowedEmailDomains() }
+  });
+});
+
+router.post('/verify-email', validate(verifyEmailSchema), async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const user = await withTransaction(async (tx) => {
+      const userId = await consumeUserToken(tx, token, TOKEN_PURPOSES.EMAIL_VERIFICATION);
+      if (!userId) {
+        res.status(400).json({
+          success: false,
+          message: 'Verification link is invalid or has expired'
+        });
+        return null;
+      }
+
+      const result = await tx.query(
+        `UPDATE users
+         SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+         WHERE id = $1
+         RETURNING id, username, email, role, email_verified_at`,
+        [userId]
+      );
+
+      await recordAudit(tx, req, {
+        action: 'user.email_verified',
+        targetType: 'user',
+        targetId: userId,
+        actorId: userId,
+        details: { email: result.rows[0].email }
+      });
+
+      return result.rows[0];
+    });
+
+    if (!user) return;
+
+    res.json({
+      success: true,
+      message: 'Email verified. You can now register for events.',
+      data: { user }
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during email verification'
+    });
+  }
+});
+
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const recentRequests = await countRecentUserTokens(
+      { query }, req.user.id, TOKEN_PURPOSES.EMAIL_VERIFICATION, 60
+    );
+
+    if (recentRequests >= VERIFICATION_REQUESTS_PER_HOUR) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many verification emails requested. Please try again later.'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    await recordAudit({ query }, req, {
+      action: 'user.verification_email_sent',
+      targetType: 'user',
+      targetId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${req.user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending verification email'
+    });
+  }
+});
+
+// Always answers the same way so the endpoint cannot be used to discover accounts
+router.post('/forgot-password', validate(forgotPasswordSchema), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const result = await query(
+      'SELECT id, username, email FROM users WHERE email = $1',
+      [email]
+    );
+
+    const user = result.rows[0];
+    if (user) {
+      const recentRequests = await countRecentUserTokens(
+        { query }, user.id, TOKEN_PURPOSES.PASSWORD_RESET, 60
+      );
+
+      if (recentRequests < RESET_REQUESTS_PER_HOUR) {
+        const token = await createUserToken(
+          { query }, user.id, TOKEN_PURPOSES.PASSWORD_RESET, RESET_TOKEN_TTL_MINUTES
+        );
+
+        // Anyone can ask, so there is no actor
+        await recordAudit({ query }, req, {
+          action: 'user.password_reset_requested',
+          targetType: 'user',
+          targetId: user.id,
+          actorId: null
+        });
+
+        // Not awaited, so response time does not reveal whether the account exists
+        sendMail({
+          to: user.email,
+          ...passwordResetEmail({
+            username: user.username,
+            token,
+            expiresInMinutes: RESET_TOKEN_TTL_MINUTES
+          })
+        }).catch(error => console.error('Password reset email error:', error));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while requesting password reset'
+    });
+  }
+});
+
+router.post('/reset-password', validate(resetPasswordSchema), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    const userId = await withTransaction(async (tx) => {
+      const tokenUserId = await consumeUserToken(tx, token, TOKEN_PURPOSES.PASSWORD_RESET);
+      if (!tokenUserId) {
+        res.status(400).json({
+          success: false,
+          message: 'Reset link is invalid or has expired'
+        });
+        return null;
+      }
+
+      await tx.query(
+        `UPDATE users
+         SET password_hash = $1, password_reset_required_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [passwordHash, tokenUserId]
+      );
+
+      // Any other reset links still in the user's inbox stop working too,
+      // and whoever knew the old password is signed out
+      await revokeUserTokens(tx, tokenUserId, TOKEN_PURPOSES.PASSWORD_RESET);
+      const revokedSessions = await revokeUserSessions(tx, tokenUserId);
+
+      await recordAudit(tx, req, {
+        action: 'user.password_reset',
+        targetType: 'user',
+        targetId: tokenUserId,
+        actorId: tokenUserId,
+        details: { revoked_sessions: revokedSessions }
+      });
+
+      return tokenUserId;
+    });
+
+    if (!userId) return;
+
+    res.json({
+      success: true,
+      message: 'Password has been reset. You can now sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during password reset'
+    });
+  }
+});
+
+// Swaps the refresh cookie for a new one and returns a fresh access token.
+// Not audited: it runs every few minutes per device and changes nothing the
+// user did; reuse of a stolen token shows up as the session being revoked.
+router.post('/refresh', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    if (!refreshToken) {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token required'
+      });
+    }
+
+    const rotated = await withTransaction((tx) => rotateSession(tx, refreshToken, req));
+
+    if (rotated?.superseded) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session was refreshed by another request - retry'
+      });
+    }
+
+    if (!rotated) {
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended - please sign in again'
+      });
+    }
+
+    const userResult = await query(
+      'SELECT id, username, email, role, email_verified_at FROM users WHERE id = $1 AND suspended_at IS NULL',
+      [rotated.userId]
+    );
+    const user = userResult.rows[0];
+
+    if (!user) {
+      await revokeSession({ query }, rotated.sessionId);
+      clearRefreshCookie(res);
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended - please sign in again'
+      });
+    }
+
+    setRefreshCookie(res, rotated.refreshToken);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        token: signAccessToken(user, rotated.sessionId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while refreshing session'
+    });
+  }
+});
+
+// Works without a valid access token, since it may already have expired
+router.post('/logout', async (req, res) => {
+  try {
+    const refreshToken = readRefreshToken(req);
+    const session = refreshToken ? await revokeSessionByToken({ query }, refreshToken) : null;
+
+    if (session) {
+      await recordAudit({ query }, req, {
+        action: 'session.revoked',
+        targetType: 'session',
+        targetId: session.id,
+        actorId: session.user_id,
+        details: { reason: 'logout' }
+      });
+    }
+
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedCount = await revokeUserSessions({ query }, req.user.id);
+
+    await recordAudit({ query }, req, {
+      action: 'user.logged_out_everywhere',
+      targetType: 'user',
+      targetId: req.user.id,
+      details: { revoked_sessions: revokedCount }
+    });
+
+    clearRefreshCookie(res);
+
+    res.json({
+      success: true,
+      message: `Logged out of ${revokedCount} session(s)`,
+      data: { revoked_count: revokedCount }
+    });
+
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [req.user.id]
+    );
+
+    const sessions = result.rows.map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    }));
+
+    res.json({
+      success: true,
+      data: { sessions }
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching sessions'
+    });
+  }
+});
+
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+
+    const result = Number.isInteger(sessionId) ? await query(
+      'SELECT id FROM sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+      [sessionId, req.user.id]
+    ) : { rows: [] };
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession({ query }, sessionId);
+
+    await recordAudit({ query }, req, {
+      action: 'session.revoked',
+      targetType: 'session',
+      targetId: sessionId,
+      details: { reason: sessionId === req.sessionId ? 'logout' : 'revoked_from_other_device' }
+    });
+
+    if (sessionId === req.sessionId) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while revoking session'
+    });
+  }
+});
+
 module.exports = router;
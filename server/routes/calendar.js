@@ -0,0 +1,138 @@
+const express = require('express');
+const crypto = require('crypto');
+const { query, withTransaction } = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+const { buildEvent, buildCalendar, sendCalendar } = require('../utils/ical');
+const { CANCELLATION_RETENTION_DAYS } = require('../utils/calendar');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const generateCalendarToken = () => crypto.randomBytes(24).toString('hex');
+
+// Returns the user's feed token, creating one on first use
+router.get('/token', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const result = await query(
+      `UPDATE users
+       SET calendar_token = COALESCE(calendar_token, $1)
+       WHERE id = $2
+       RETURNING calendar_token`,
+      [generateCalendarToken(), userId]
+    );
+
+    res.json({
+      success: true,
+      data: { token: result.rows[0].calendar_token }
+    });
+
+  } catch (error) {
+    console.error('Get calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching calendar feed'
+    });
+  }
+});
+
+// Replaces the token, so previously shared feed URLs stop working
+router.post('/token', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const calendarToken = await withTransaction(async (tx) => {
+      const result = await tx.query(
+        'UPDATE users SET calendar_token = $1 WHERE id = $2 RETURNING calendar_token',
+        [generateCalendarToken(), userId]
+      );
+
+      // The token is a credential, so only the fact that it changed is logged
+      await recordAudit(tx, req, {
+        action: 'user.calendar_token_regenerated',
+        targetType: 'user',
+        targetId: userId
+      });
+
+      return result.rows[0].calendar_token;
+    });
+
+    res.json({
+      success: true,
+      message: 'Calendar feed link regenerated. Update any calendars subscribed to the old link.',
+      data: { token: calendarToken }
+    });
+
+  } catch (error) {
+    console.error('Regenerate calendar token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while regenerating calendar feed'
+    });
+  }
+});
+
+// Public feed; the secret token in the URL is the only credential
+router.get('/:token.ics', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const userResult = await query(
+      'SELECT id, username, role FROM users WHERE calendar_token = $1',
+      [token]
+    );
+
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found'
+      });
+    }
+
+    const user = userResult.rows[0];
+    const managesEvents = user.role === 'organizer' || user.role === 'admin';
+
+    // Approved registrations, plus the events organizers created themselves
+    const eventsResult = await query(
+      `SELECT e.id, e.title, e.description, e.date, e.location, e.sequence, e.updated_at, e.cancelled_at
+       FROM events e
+       WHERE e.id IN (
+         SELECT event_id FROM registrations WHERE user_id = $1 AND status = 'approved'
+       )
+       OR ($2 AND e.created_by = $1)
+       ORDER BY e.date ASC`,
+      [user.id, managesEvents]
+    );
+
+    const cancellationsResult = await query(
+      `SELECT event_id, title, date, location, sequence
+       FROM calendar_cancellations
+       WHERE user_id = $1
+         AND cancelled_at > NOW() - $2 * INTERVAL '1 day'
+       ORDER BY date ASC`,
+      [user.id, CANCELLATION_RETENTION_DAYS]
+    );
+
+    const confirmedIds = new Set(eventsResult.rows.map(event => event.id));
+
+    const calendar = buildCalendar([
+      ...eventsResult.rows.map(event => buildEvent(event, event.cancelled_at ? { status: 'CANCELLED' } : {})),
+      // Re-approved registrations are live again, so their tombstone is skipped
+      ...cancellationsResult.rows
+        .filter(cancellation => !confirmedIds.has(cancellation.event_id))
+        .map(cancellation => buildEvent(cancellation, { status: 'CANCELLED' }))
+    ], { name: `EventHive - ${user.username}` });
+
+    sendCalendar(res, calendar);
+
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while building calendar feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const { query, withTransaction } = require('../database/connection');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validate, categorySchema } = require('../utils/validation');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+router.get('/', async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        c.id,
+        c.name,
+        c.slug,
+        COUNT(e.id) as event_count
+      FROM categories c
+      LEFT JOIN events e ON e.category_id = c.id
+      GROUP BY c.id
+      ORDER BY c.name ASC
+    `);
+
+    const categories = result.rows.map(category => ({
+      ...category,
+      event_count: parseInt(category.event_count)
+    }));
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching categories'
+    });
+  }
+});
+
+router.post('/', authenticateToken, requireAdmin, validate(categorySchema), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const category = await withTransaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO categories (name, slug)
+         VALUES ($1, $2)
+         RETURNING id, name, slug, created_at, updated_at`,
+        [name, slugify(name)]
+      );
+
+      await recordAudit(tx, req, {
+        action: 'category.created',
+        targetType: 'category',
+        targetId: result.rows[0].id,
+        after: result.rows[0]
+      });
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    console.error('Create category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating category'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, requireAdmin, validate(categorySchema), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    const category = await withTransaction(async (tx) => {
+      const existingResult = await tx.query(
+        'SELECT id, name, slug, created_at, updated_at FROM categories WHERE id = $1 FOR UPDATE',
+        [id]
+      );
+
+      if (existingResult.rows.length === 0) {
+        res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+        return null;
+      }
+
+      const result = await tx.query(
+        `UPDATE categories
+         SET name = $1, slug = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING id, name, slug, created_at, updated_at`,
+        [name, slugify(name), id]
+      );
+
+      await recordAudit(tx, req, {
+        action: 'category.updated',
+        targetType: 'category',
+        targetId: result.rows[0].id,
+        before: existingResult.rows[0],
+        after: result.rows[0]
+      });
+
+      return result.rows[0];
+    });
+
+    if (!category) return;
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category }
+    });
+
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+
+    console.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating category'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deleted = await withTransaction(async (tx) => {
+      // Events keep existing without a category (ON DELETE SET NULL)
+      const result = await tx.query(
+        'DELETE FROM categories WHERE id = $1 RETURNING id, name, slug, created_at, updated_at',
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        res.status(404).json({
+          success: false,
+          message: 'Category not found'
+        });
+        return false;
+      }
+
+      await recordAudit(tx, req, {
+        action: 'category.deleted',
+        targetType: 'category',
+        targetId: result.rows[0].id,
+        before: result.rows[0]
+      });
+
+      return true;
+    });
+
+    if (!deleted) return;
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting category'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,138 @@
 const express = require('express');
-const { query } = require('../database/connection');
-const { authenticateToken, requireOrganizer, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validate, validateParams, eventSchema } = require('../utils/validation');
+const { query, withTransaction } = require('../database/connection');
+const { authenticateToken, optionalAuth, requireAdmin, requireOrganizer, requireOwnershipOrAdmin } = require('../middleware/auth');
+const {
+  validate,
+  validateParams,
+  eventSchema,
+  eventUpdateSchema,
+  publishEventSchema,
+  cancelEventSchema,
+  eventImportSchema
+} = require('../utils/validation');
+const { lockEvent, promoteFromWaitlist, recordPromotions } = require('../utils/waitlist');
+const { MAX_OCCURRENCES, generateOccurrences, toDateKey } = require('../utils/recurrence');
+const { buildEvent, buildCalendar, sendCalendar } = require('../utils/ical');
+const { recordCalendarCancellations } = require('../utils/calendar');
+const { recordAudit } = require('../utils/audit');
+const { publishEvents } = require('../utils/publishing');
+const { DOMAIN_EVENTS, publish } = require('../utils/eventBus');
+const { scheduleEventReminders } = require('../utils/reminders');
+const { assignQuestionIds } = require('../utils/registrationQuestions');
+const { buildImportTemplate, readImportFile, buildImportPreview } = require('../utils/eventImport');
+const { CSV_CONTENT_TYPE, CSV_BOM } = require('../utils/spreadsheet');
 
 const router = express.Router();
 
+const EVENT_COLUMNS = `
+  id, title, description, date, location, max_attendees, category_id, tags,
+  registration_questions, reminder_offsets, series_id, sequence, created_by, created_at, updated_at,
+  published_at, publish_at, cancelled_at, cancellation_reason
+`;
+
+// Edits to these fields are announced to registered students
+const NOTIFIED_EVENT_FIELDS = ['title', 'date', 'location'];
+
+// my-events filter on where an event is in the draft -> published workflow
+const PUBLICATION_CONDITIONS = {
+  draft: 'e.published_at IS NULL AND e.publish_at IS NULL',
+  scheduled: 'e.published_at IS NULL AND e.publish_at IS NOT NULL',
+  published: 'e.published_at IS NOT NULL'
+};
+
+// Events may be uncategorised; otherwise the category has to exist
+async function categoryExists(categoryId) {
+  if (categoryId === null || categoryId === undefined) return true;
+
+  const result = await query('SELECT id FROM categories WHERE id = $1', [categoryId]);
+  return result.rows.length > 0;
+}
+
+// Cancelled events are kept for the record but can no longer change
+async function findEditableEvent(tx, res, id) {
+  const existingResult = await tx.query(
+    'SELECT id, date, series_id, published_at, cancelled_at FROM events WHERE id = $1',
+    [id]
+  );
+
+  if (existingResult.rows.length === 0) {
+    res.status(404).json({
+      success: false,
+      message: 'Event not found'
+    });
+    return null;
+  }
+
+  if (existingResult.rows[0].cancelled_at) {
+    res.status(409).json({
+      success: false,
+      message: 'This event has been cancelled'
+    });
+    return null;
+  }
+
+  return existingResult.rows[0];
+}
+
+// "following" and "all" fan out to the other live occurrences of the series
+async function scopeEventIds(tx, existingEvent, scope) {
+  if (!existingEvent.series_id || scope === 'this') {
+    return [existingEvent.id];
+  }
+
+  const occurrencesResult = await tx.query(
+    `SELECT id FROM events
+     WHERE series_id = $1 AND cancelled_at IS NULL AND ($2::varchar = 'all' OR date >= $3)
+     ORDER BY id`,
+    [existingEvent.series_id, scope, existingEvent.date]
+  );
+  return occurrencesResult.rows.map(row => row.id);
+}
+
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 10, search, upcoming } = req.query;
+    const { page = 1, limit = 10, search, upcoming, category, tags } = req.query;
     const offset = (page - 1) * limit;
 
-    let whereClause = '';
+    // Drafts never show up in the public list
+    const conditions = ['e.published_at IS NOT NULL'];
     const params = [];
     let paramCount = 1;
 
-    // Build WHERE clause based on query parameters
+    // Build WHERE conditions based on query parameters
     if (search) {
-      whereClause += ` WHERE (e.title ILIKE $${paramCount} OR e.description ILIKE $${paramCount})`;
+      conditions.push(`(e.title ILIKE $${paramCount} OR e.description ILIKE $${paramCount})`);
       params.push(`%${search}%`);
       paramCount++;
     }
 
     if (upcoming === 'true') {
-      const condition = whereClause ? ' AND' : ' WHERE';
-      whereClause += `${condition} e.date > NOW()`;
+      conditions.push('e.date > NOW()');
+    }
+
+    // tags=a,b matches events carrying all of the listed tags
+    const tagList = (Array.isArray(tags) ? tags : String(tags || '').split(','))
+      .map(tag => tag.trim().toLowerCase())
+      .filter(Boolean);
+
+    if (tagList.length > 0) {
+      conditions.push(`e.tags @> $${paramCount}::text[]`);
+      params.push(tagList);
+      paramCount++;
+    }
+
+    // Facet counts apply every filter except the category being faceted on
+    const facetConditions = [...conditions];
+    const facetParams = [...params];
+
+    if (category) {
+      conditions.push(`e.category_id IN (SELECT id FROM categories WHERE slug = $${paramCount})`);
+      params.push(category);
+      paramCount++;
     }
 
+    const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
     // Get total count for pagination
     const countQuery = `
       SELECT COUNT(*) as total
@@ -44,21 +151,31 @@ router.get('/', async (req, res) => {
         e.date,
         e.location,
         e.max_attendees,
+        e.category_id,
+        c.name as category_name,
+        c.slug as category_slug,
+        e.tags,
+        e.series_id,
+        e.attendance_finalized_at,
+        e.cancelled_at,
+        e.cancellation_reason,
         e.created_by,
         e.created_at,
         e.updated_at,
         u.username as created_by_username,
         COUNT(r.id) as current_attendees,
         CASE 
+          WHEN e.cancelled_at IS NOT NULL THEN 'cancelled'
           WHEN e.date > NOW() THEN 'upcoming'
           WHEN e.date <= NOW() THEN 'past'
           ELSE 'unknown'
         END as status
       FROM events e
       LEFT JOIN users u ON e.created_by = u.id
+      LEFT JOIN categories c ON e.category_id = c.id
       LEFT JOIN registrations r ON e.id = r.event_id AND r.status = 'approved'
       ${whereClause}
-      GROUP BY e.id, u.username
+      GROUP BY e.id, u.username, c.id
       ORDER BY e.date ASC
       LIMIT $${paramCount} OFFSET $${paramCount + 1}
     `;
@@ -73,10 +190,35 @@ router.get('/', async (req, res) => {
       is_full: parseInt(event.current_attendees) >= parseInt(event.max_attendees)
     }));
 
+    // Per-category counts for the filter chips
+    const categoryFacetsResult = await query(`
+      SELECT c.id, c.name, c.slug, COUNT(e.id) as count
+      FROM categories c
+      LEFT JOIN events e ON ${['e.category_id = c.id', ...facetConditions].join(' AND ')}
+      GROUP BY c.id
+      ORDER BY c.name ASC
+    `, facetParams);
+
+    // Most used tags among the matching events
+    const tagFacetsResult = await query(`
+      SELECT tag, COUNT(*) as count
+      FROM events e, unnest(e.tags) as tag
+      ${whereClause}
+      GROUP BY tag
+      ORDER BY count DESC, tag ASC
+      LIMIT 20
+    `, params.slice(0, paramCount - 1));
+
+    const facets = {
+      categories: categoryFacetsResult.rows.map(facet => ({ ...facet, count: parseInt(facet.count) })),
+      tags: tagFacetsResult.rows.map(facet => ({ ...facet, count: parseInt(facet.count) }))
+    };
+
     res.json({
       success: true,
       data: {
         events,
+        facets,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -95,7 +237,127 @@ router.get('/', async (req, res) => {
   }
 });
 
-router.get('/:id', async (req, res) => {
+router.get('/my-events', authenticateToken, requireOrganizer, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, publication } = req.query;
+    const offset = (page - 1) * limit;
+    const userId = req.user.id;
+
+    const publicationCondition = PUBLICATION_CONDITIONS[publication]
+      ? `AND ${PUBLICATION_CONDITIONS[publication]}`
+      : '';
+
+    // Get total count
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM events e WHERE e.created_by = $1 ${publicationCondition}`,
+      [userId]
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    // Get events with registration counts
+    const eventsQuery = `
+      SELECT 
+        e.id,
+        e.title,
+        e.description,
+        e.date,
+        e.location,
+        e.max_attendees,
+        e.category_id,
+        c.name as category_name,
+        c.slug as category_slug,
+        e.tags,
+        e.registration_questions,
+        e.reminder_offsets,
+        e.series_id,
+        e.attendance_finalized_at,
+        e.published_at,
+        e.publish_at,
+        e.cancelled_at,
+        e.cancellation_reason,
+        e.created_by,
+        e.created_at,
+        e.updated_at,
+        COUNT(r.id) as current_attendees,
+        CASE 
+          WHEN e.cancelled_at IS NOT NULL THEN 'cancelled'
+          WHEN e.date > NOW() THEN 'upcoming'
+          WHEN e.date <= NOW() THEN 'past'
+          ELSE 'unknown'
+        END as status
+      FROM events e
+      LEFT JOIN categories c ON e.category_id = c.id
+      LEFT JOIN registrations r ON e.id = r.event_id AND r.status = 'approved'
+      WHERE e.created_by = $1 ${publicationCondition}
+      GROUP BY e.id, c.id
+      ORDER BY e.date ASC
+      LIMIT $2 OFFSET $3
+    `;
+
+    const eventsResult = await query(eventsQuery, [userId, limit, offset]);
+
+    const events = eventsResult.rows.map(event => ({
+      ...event,
+      current_attendees: parseInt(event.current_attendees),
+      max_attendees: parseInt(event.max_attendees),
+      is_full: parseInt(event.current_attendees) >= parseInt(event.max_attendees)
+    }));
+
+    res.json({
+      success: true,
+      data: {
+        events,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching your events'
+    });
+  }
+});
+
+router.get('/:id/ics', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await query(
+      `SELECT id, title, description, date, location, sequence, updated_at, cancelled_at
+       FROM events
+       WHERE id = $1 AND published_at IS NOT NULL`,
+      [id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const event = result.rows[0];
+    const calendarEvent = buildEvent(event, event.cancelled_at ? { status: 'CANCELLED' } : {});
+    sendCalendar(res, buildCalendar([calendarEvent]), `event-${event.id}.ics`);
+
+  } catch (error) {
+    console.error('Export event calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while exporting event'
+    });
+  }
+});
+
+// Drafts can be previewed by their organizer and admins
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -107,36 +369,83 @@ router.get('/:id', async (req, res) => {
         e.date,
         e.location,
         e.max_attendees,
+        e.category_id,
+        c.name as category_name,
+        c.slug as category_slug,
+        e.tags,
+        e.registration_questions,
+        e.reminder_offsets,
+        e.series_id,
+        e.attendance_finalized_at,
+        e.published_at,
+        e.publish_at,
+        e.cancelled_at,
+        e.cancellation_reason,
         e.created_by,
         e.created_at,
         e.updated_at,
         u.username as created_by_username,
         COUNT(r.id) as current_attendees,
+        (SELECT COUNT(*) FROM registrations w WHERE w.event_id = e.id AND w.status = 'waitlisted') as waitlist_count,
+        COUNT(r.checked_in_at) as checked_in_count,
         CASE 
+          WHEN e.cancelled_at IS NOT NULL THEN 'cancelled'
           WHEN e.date > NOW() THEN 'upcoming'
           WHEN e.date <= NOW() THEN 'past'
           ELSE 'unknown'
         END as status
       FROM events e
       LEFT JOIN users u ON e.created_by = u.id
+      LEFT JOIN categories c ON e.category_id = c.id
       LEFT JOIN registrations r ON e.id = r.event_id AND r.status = 'approved'
       WHERE e.id = $1
-      GROUP BY e.id, u.username
+      GROUP BY e.id, u.username, c.id
     `;
 
     const result = await query(eventQuery, [id]);
+    const event = result.rows[0];
+    const canPreview = event && req.user && (req.user.role === 'admin' || req.user.id === event.created_by);
 
-    if (result.rows.length === 0) {
+    if (!event || (!event.published_at && !canPreview)) {
       return res.status(404).json({
         success: false,
         message: 'Event not found'
       });
     }
 
-    const event = result.rows[0];
     event.current_attendees = parseInt(event.current_attendees);
     event.max_attendees = parseInt(event.max_attendees);
+    event.waitlist_count = parseInt(event.waitlist_count);
+    event.checked_in_count = parseInt(event.checked_in_count);
     event.is_full = event.current_attendees >= event.max_attendees;
+    event.series = null;
+
+    if (event.series_id) {
+      const seriesResult = await query(`
+        SELECT 
+          s.id,
+          s.frequency,
+          s.interval,
+          s.until,
+          s.count,
+          s.exception_dates,
+          COUNT(o.id) as occurrence_count,
+          COUNT(o.id) FILTER (WHERE o.date > NOW()) as upcoming_count
+        FROM event_series s
+        LEFT JOIN events o ON o.series_id = s.id
+        WHERE s.id = $1
+        GROUP BY s.id
+      `, [event.series_id]);
+
+      const series = seriesResult.rows[0];
+      if (series) {
+        event.series = {
+          ...series,
+          occurrence_count: parseInt(series.occurrence_count),
+          upcoming_count: parseInt(series.upcoming_count)
+        };
+      }
+    }
 
     res.json({
       success: true,
@@ -152,24 +461,130 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// Inserts an events row from validated eventSchema fields and audits it.
+// `date` overrides fields.date for series occurrences.
+async function insertEvent(tx, req, fields, { date = fields.date, seriesId = null, details = {} } = {}) {
+  const publishNow = !fields.draft && !fields.publish_at;
+
+  const result = await tx.query(
+    `INSERT INTO events (title, description, date, location, max_attendees, category_id, tags, registration_questions, reminder_offsets, series_id, created_by, published_at, publish_at) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CASE WHEN $12 THEN CURRENT_TIMESTAMP END, $13) 
+     RETURNING ${EVENT_COLUMNS}`,
+    [
+      fields.title,
+      fields.description,
+      date,
+      fields.location,
+      fields.max_attendees,
+      fields.category_id,
+      fields.tags,
+      JSON.stringify(fields.registration_questions),
+      fields.reminder_offsets,
+      seriesId,
+      req.user.id,
+      publishNow,
+      fields.publish_at
+    ]
+  );
+
+  await recordAudit(tx, req, {
+    action: 'event.created',
+    targetType: 'event',
+    targetId: result.rows[0].id,
+    after: result.rows[0],
+    details
+  });
+
+  await scheduleEventReminders(tx, result.rows);
+
+  return result.rows[0];
+}
+
 router.post('/', authenticateToken, requireOrganizer, validate(eventSchema), async (req, res) => {
   try {
-    const { title, description, date, location, max_attendees } = req.body;
+    const { date, category_id, recurrence, draft, publish_at } = req.body;
     const createdBy = req.user.id;
+    // Every occurrence shares the question ids, so series answers line up
+    const fields = { ...req.body, registration_questions: assignQuestionIds(req.body.registration_questions) };
+    const publishNow = !draft && !publish_at;
 
-    const result = await query(
-      `INSERT INTO events (title, description, date, location, max_attendees, created_by) 
-       VALUES ($1, $2, $3, $4, $5, $6) 
-       RETURNING id, title, description, date, location, max_attendees, created_by, created_at, updated_at`,
-      [title, description, date, location, max_attendees, createdBy]
-    );
+    if (!(await categoryExists(category_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
 
-    const event = result.rows[0];
+    // A recurring event is stored as one events row per occurrence
+    let dates = [date];
+    if (recurrence) {
+      const occurrences = generateOccurrences(date, recurrence);
+
+      if (occurrences.truncated) {
+        return res.status(400).json({
+          success: false,
+          message: `A series can have at most ${MAX_OCCURRENCES} occurrences`
+        });
+      }
+
+      if (occurrences.dates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurrence rule does not produce any occurrences'
+        });
+      }
+
+      dates = occurrences.dates;
+    }
+
+    const { series, events } = await withTransaction(async (tx) => {
+      let series = null;
+
+      if (recurrence) {
+        const seriesResult = await tx.query(
+          `INSERT INTO event_series (frequency, interval, until, count, exception_dates, created_by)
+           VALUES ($1, $2, $3, $4, $5::date[], $6)
+           RETURNING id, frequency, interval, until, count, exception_dates`,
+          [
+            recurrence.frequency,
+            recurrence.interval,
+            recurrence.until || null,
+            recurrence.count || null,
+            recurrence.exception_dates.map(toDateKey),
+            createdBy
+          ]
+        );
+        series = seriesResult.rows[0];
+      }
+
+      const events = [];
+      for (const occurrenceDate of dates) {
+        events.push(await insertEvent(tx, req, fields, {
+          date: occurrenceDate,
+          seriesId: series?.id || null,
+          details: series ? { series_id: series.id } : {}
+        }));
+      }
+
+      if (publishNow) {
+        publish(tx, DOMAIN_EVENTS.EVENTS_PUBLISHED, {
+          events: events.map(event => ({ ...event, created_by_username: req.user.username }))
+        });
+      }
+
+      return { series, events };
+    });
+
+    const createdAs = publishNow ? '' : publish_at ? ' and scheduled for publishing' : ' as a draft';
 
     res.status(201).json({
       success: true,
-      message: 'Event created successfully',
-      data: { event }
+      message: series
+        ? `Event series created with ${events.length} occurrences${createdAs}`
+        : `Event created successfully${createdAs}`,
+      data: series
+        ? { event: events[0], series, occurrences: events }
+        : { event: events[0] }
     });
 
   } catch (error) {
@@ -181,39 +596,181 @@ router.post('/', authenticateToken, requireOrganizer, validate(eventSchema), asy
   }
 });
 
+router.get('/import/template', (req, res) => {
+  res.set('Content-Type', CSV_CONTENT_TYPE);
+  res.set('Content-Disposition', 'attachment; filename="event-import-template.csv"');
+  res.send(CSV_BOM + buildImportTemplate());
+});
+
+// Checks a CSV or .ics file row by row. A dry run only returns the preview;
+// otherwise the events are created together, or not at all.
+router.post('/import', authenticateToken, requireOrganizer, validate(eventImportSchema), async (req, res) => {
+  try {
+    const { format, content, dry_run, skip_invalid } = req.body;
+
+    const file = readImportFile(format, content);
+    if (file.error) {
+      return res.status(400).json({
+        success: false,
+        message: file.error
+      });
+    }
+
+    const categoriesResult = await query('SELECT id, name, slug FROM categories');
+    const rows = buildImportPreview(file.rows, categoriesResult.rows);
+    const validRows = rows.filter(row => row.event);
+    const preview = {
+      rows,
+      valid_count: validRows.length,
+      invalid_count: rows.length - validRows.length
+    };
+
+    if (dry_run) {
+      return res.json({
+        success: true,
+        message: `${preview.valid_count} of ${rows.length} events are ready to import`,
+        data: preview
+      });
+    }
+
+    if (validRows.length === 0 || (preview.invalid_count > 0 && !skip_invalid)) {
+      return res.status(400).json({
+        success: false,
+        message: validRows.length === 0
+          ? 'None of the events in the file can be imported'
+          : `${preview.invalid_count} row(s) have errors; fix them or skip them to import the rest`,
+        data: preview
+      });
+    }
+
+    const events = await withTransaction(async (tx) => {
+      const created = [];
+      for (const row of validRows) {
+        created.push(await insertEvent(tx, req, row.event, {
+          details: { imported_from: format, row: row.row }
+        }));
+      }
+
+      publish(tx, DOMAIN_EVENTS.EVENTS_PUBLISHED, {
+        events: created
+          .filter(event => event.published_at)
+          .map(event => ({ ...event, created_by_username: req.user.username }))
+      });
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${events.length} event(s)`,
+      data: {
+        events,
+        skipped_rows: rows.filter(row => !row.event).map(row => row.row)
+      }
+    });
+
+  } catch (error) {
+    console.error('Import events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while importing events'
+    });
+  }
+});
+
 router.put('/:id', 
   authenticateToken, 
   requireOrganizer, 
   requireOwnershipOrAdmin('id', 'events', 'created_by'),
-  validate(eventSchema), 
+  validate(eventUpdateSchema), 
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { title, description, date, location, max_attendees } = req.body;
+      const { title, description, date, location, max_attendees, category_id, tags, reminder_offsets, scope } = req.body;
+      const questions = JSON.stringify(assignQuestionIds(req.body.registration_questions));
 
-      // Check if event exists
-      const existingEvent = await query('SELECT id FROM events WHERE id = $1', [id]);
-      if (existingEvent.rows.length === 0) {
-        return res.status(404).json({
+      if (!(await categoryExists(category_id))) {
+        return res.status(400).json({
           success: false,
-          message: 'Event not found'
+          message: 'Category not found'
         });
       }
 
-      const result = await query(
-        `UPDATE events 
-         SET title = $1, description = $2, date = $3, location = $4, max_attendees = $5, updated_at = CURRENT_TIMESTAMP
-         WHERE id = $6 
-         RETURNING id, title, description, date, location, max_attendees, created_by, created_at, updated_at`,
-        [title, description, date, location, max_attendees, id]
-      );
+      const events = await withTransaction(async (tx) => {
+        const existingEvent = await findEditableEvent(tx, res, id);
+        if (!existingEvent) return null;
+
+        const eventIds = await scopeEventIds(tx, existingEvent, scope);
+
+        // Lock in id order so seat counts stay put while capacity changes
+        for (const eventId of eventIds) {
+          await lockEvent(tx, eventId);
+        }
+
+        const beforeResult = await tx.query(
+          `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ANY($1::int[])`,
+          [eventIds]
+        );
+        const eventsBefore = new Map(beforeResult.rows.map(event => [event.id, event]));
+
+        // Moving one occurrence moves the others by the same amount
+        const shiftMs = new Date(date).getTime() - new Date(existingEvent.date).getTime();
+
+        const result = await tx.query(
+          `UPDATE events 
+           SET title = $1, description = $2, location = $3, max_attendees = $4,
+               category_id = $5, tags = $6, registration_questions = $7, reminder_offsets = $8,
+               date = CASE WHEN id = $9 THEN $10 ELSE date + $11 * INTERVAL '1 millisecond' END,
+               sequence = sequence + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ANY($12::int[])
+           RETURNING ${EVENT_COLUMNS}`,
+          [title, description, location, max_attendees, category_id, tags, questions, reminder_offsets, existingEvent.id, date, shiftMs, eventIds]
+        );
+
+        await scheduleEventReminders(tx, result.rows);
+
+        for (const updatedEvent of result.rows) {
+          await recordAudit(tx, req, {
+            action: 'event.updated',
+            targetType: 'event',
+            targetId: updatedEvent.id,
+            before: eventsBefore.get(updatedEvent.id),
+            after: updatedEvent,
+            details: existingEvent.series_id ? { scope } : {}
+          });
+        }
+
+        // Raising capacity lets waitlisted students in
+        for (const eventId of eventIds) {
+          await recordPromotions(tx, req, await promoteFromWaitlist(tx, eventId));
+        }
+
+        // Registered students hear about the changes that affect whether they can attend
+        const changes = NOTIFIED_EVENT_FIELDS.filter(field => result.rows.some(updatedEvent =>
+          String(eventsBefore.get(updatedEvent.id)[field]) !== String(updatedEvent[field])
+        ));
+        if (existingEvent.published_at && changes.length > 0) {
+          publish(tx, DOMAIN_EVENTS.EVENT_UPDATED, {
+            eventIds,
+            title,
+            changes,
+            updatedBy: req.user.username
+          });
+        }
+
+        return result.rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+      });
+
+      if (!events) return;
 
-      const event = result.rows[0];
+      const event = events.find(updated => updated.id === parseInt(id));
 
       res.json({
         success: true,
-        message: 'Event updated successfully',
-        data: { event }
+        message: events.length > 1
+          ? `Updated ${events.length} occurrences of the series`
+          : 'Event updated successfully',
+        data: { event, events }
       });
 
     } catch (error) {
@@ -226,109 +783,331 @@ router.put('/:id',
   }
 );
 
-router.delete('/:id', 
-  authenticateToken, 
-  requireOrganizer, 
+// A series is published (or scheduled) as a whole, from any of its occurrences
+async function lockSeriesDrafts(tx, res, id) {
+  const existingEvent = await findEditableEvent(tx, res, id);
+  if (!existingEvent) return null;
+
+  if (existingEvent.published_at) {
+    res.status(409).json({
+      success: false,
+      message: 'Event is already published'
+    });
+    return null;
+  }
+
+  const draftsResult = await tx.query(
+    `SELECT ${EVENT_COLUMNS}
+     FROM events
+     WHERE (id = $1 OR series_id = $2) AND published_at IS NULL AND cancelled_at IS NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [existingEvent.id, existingEvent.series_id]
+  );
+
+  return draftsResult.rows;
+}
+
+// Publishes a draft now, or schedules it when publish_at is given
+router.post('/:id/publish',
+  authenticateToken,
+  requireOrganizer,
   requireOwnershipOrAdmin('id', 'events', 'created_by'),
+  validate(publishEventSchema),
   async (req, res) => {
     try {
       const { id } = req.params;
+      const { publish_at } = req.body;
 
-      // Check if event exists
-      const existingEvent = await query('SELECT id FROM events WHERE id = $1', [id]);
-      if (existingEvent.rows.length === 0) {
-        return res.status(404).json({
-          success: false,
-          message: 'Event not found'
-        });
-      }
+      const events = await withTransaction(async (tx) => {
+        const drafts = await lockSeriesDrafts(tx, res, id);
+        if (!drafts) return null;
+
+        if (!publish_at) {
+          return publishEvents(tx, req, drafts.map(draft => draft.id));
+        }
+
+        const firstDate = Math.min(...drafts.map(draft => new Date(draft.date).getTime()));
+        if (new Date(publish_at).getTime() >= firstDate) {
+          res.status(400).json({
+            success: false,
+            message: 'Publish time must be before the event starts'
+          });
+          return null;
+        }
+
+        const result = await tx.query(
+          `UPDATE events
+           SET publish_at = $1
+           WHERE id = ANY($2::int[])
+           RETURNING ${EVENT_COLUMNS}`,
+          [publish_at, drafts.map(draft => draft.id)]
+        );
 
-      // Delete event (cascade will handle related registrations)
-      await query('DELETE FROM events WHERE id = $1', [id]);
+        const draftsById = new Map(drafts.map(draft => [draft.id, draft]));
+        for (const event of result.rows) {
+          await recordAudit(tx, req, {
+            action: 'event.publish_scheduled',
+            targetType: 'event',
+            targetId: event.id,
+            before: draftsById.get(event.id),
+            after: event
+          });
+        }
+
+        return result.rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+      });
+
+      if (!events) return;
+
+      const event = events.find(published => published.id === parseInt(id));
 
       res.json({
         success: true,
-        message: 'Event deleted successfully'
+        message: publish_at
+          ? 'Event scheduled for publishing'
+          : events.length > 1
+            ? `Published ${events.length} occurrences of the series`
+            : 'Event published successfully',
+        data: { event, events }
       });
 
     } catch (error) {
-      console.error('Delete event error:', error);
+      console.error('Publish event error:', error);
       res.status(500).json({
         success: false,
-        message: 'Internal server error while deleting event'
+        message: 'Internal server error while publishing event'
       });
     }
   }
 );
 
-router.get('/my-events', authenticateToken, requireOrganizer, async (req, res) => {
-  try {
-    const { page = 1, limit = 10 } = req.query;
-    const offset = (page - 1) * limit;
-    const userId = req.user.id;
+// Cancels a scheduled publish, leaving the event as a plain draft
+router.post('/:id/unschedule',
+  authenticateToken,
+  requireOrganizer,
+  requireOwnershipOrAdmin('id', 'events', 'created_by'),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    // Get total count
-    const countResult = await query(
-      'SELECT COUNT(*) as total FROM events WHERE created_by = $1',
-      [userId]
-    );
-    const total = parseInt(countResult.rows[0].total);
+      const events = await withTransaction(async (tx) => {
+        const drafts = await lockSeriesDrafts(tx, res, id);
+        if (!drafts) return null;
 
-    // Get events with registration counts
-    const eventsQuery = `
-      SELECT 
-        e.id,
-        e.title,
-        e.description,
-        e.date,
-        e.location,
-        e.max_attendees,
-        e.created_by,
-        e.created_at,
-        e.updated_at,
-        COUNT(r.id) as current_attendees,
-        CASE 
-          WHEN e.date > NOW() THEN 'upcoming'
-          WHEN e.date <= NOW() THEN 'past'
-          ELSE 'unknown'
-        END as status
-      FROM events e
-      LEFT JOIN registrations r ON e.id = r.event_id AND r.status = 'approved'
-      WHERE e.created_by = $1
-      GROUP BY e.id
-      ORDER BY e.date ASC
-      LIMIT $2 OFFSET $3
-    `;
+        const scheduled = drafts.filter(draft => draft.publish_at);
+        if (scheduled.length === 0) {
+          res.status(409).json({
+            success: false,
+            message: 'Event is not scheduled for publishing'
+          });
+          return null;
+        }
 
-    const eventsResult = await query(eventsQuery, [userId, limit, offset]);
+        const result = await tx.query(
+          `UPDATE events
+           SET publish_at = NULL
+           WHERE id = ANY($1::int[])
+           RETURNING ${EVENT_COLUMNS}`,
+          [scheduled.map(draft => draft.id)]
+        );
 
-    const events = eventsResult.rows.map(event => ({
-      ...event,
-      current_attendees: parseInt(event.current_attendees),
-      max_attendees: parseInt(event.max_attendees),
-      is_full: parseInt(event.current_attendees) >= parseInt(event.max_attendees)
-    }));
+        const draftsById = new Map(scheduled.map(draft => [draft.id, draft]));
+        for (const event of result.rows) {
+          await recordAudit(tx, req, {
+            action: 'event.publish_unscheduled',
+            targetType: 'event',
+            targetId: event.id,
+            before: draftsById.get(event.id),
+            after: event
+          });
+        }
 
-    res.json({
-      success: true,
-      data: {
-        events,
-        pagination: {
-          page: parseInt(page),
-          limit: parseInt(limit),
-          total,
-          pages: Math.ceil(total / limit)
+        return drafts.map(draft => result.rows.find(updated => updated.id === draft.id) || draft)
+          .sort((a, b) => new Date(a.date) - new Date(b.date));
+      });
+
+      if (!events) return;
+
+      const event = events.find(unscheduled => unscheduled.id === parseInt(id));
+
+      res.json({
+        success: true,
+        message: 'Scheduled publishing cancelled - the event is a draft again',
+        data: { event, events }
+      });
+
+    } catch (error) {
+      console.error('Unschedule event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while cancelling scheduled publishing'
+      });
+    }
+  }
+);
+
+// Cancelling keeps the event and its registrations; only admins can delete outright
+router.post('/:id/cancel',
+  authenticateToken,
+  requireOrganizer,
+  requireOwnershipOrAdmin('id', 'events', 'created_by'),
+  validate(cancelEventSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { reason, scope } = req.body;
+
+      const cancelled = await withTransaction(async (tx) => {
+        const existingEvent = await findEditableEvent(tx, res, id);
+        if (!existingEvent) return null;
+
+        const eventIds = await scopeEventIds(tx, existingEvent, scope);
+
+        // Locked so no registration slips in while the event is being cancelled
+        for (const eventId of eventIds) {
+          await lockEvent(tx, eventId);
         }
-      }
-    });
 
-  } catch (error) {
-    console.error('Get my events error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error while fetching your events'
-    });
+        const beforeResult = await tx.query(
+          `SELECT ${EVENT_COLUMNS} FROM events WHERE id = ANY($1::int[])`,
+          [eventIds]
+        );
+        const eventsBefore = new Map(beforeResult.rows.map(event => [event.id, event]));
+
+        // The sequence bump makes subscribed calendars pick up the cancellation
+        const result = await tx.query(
+          `UPDATE events
+           SET cancelled_at = CURRENT_TIMESTAMP, cancellation_reason = $1, cancelled_by = $2,
+               publish_at = NULL, sequence = sequence + 1, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ANY($3::int[])
+           RETURNING ${EVENT_COLUMNS}`,
+          [reason, req.user.id, eventIds]
+        );
+
+        // Drops the reminders that have not gone out yet
+        await scheduleEventReminders(tx, result.rows);
+
+        const registrantsResult = await tx.query(
+          `SELECT r.event_id, r.user_id
+           FROM registrations r
+           WHERE r.event_id = ANY($1::int[]) AND r.status IN ('approved', 'pending', 'waitlisted')`,
+          [eventIds]
+        );
+
+        for (const event of result.rows) {
+          await recordAudit(tx, req, {
+            action: 'event.cancelled',
+            targetType: 'event',
+            targetId: event.id,
+            before: eventsBefore.get(event.id),
+            after: event,
+            details: {
+              notified_students: registrantsResult.rows.filter(registrant => registrant.event_id === event.id).length,
+              ...(existingEvent.series_id ? { scope } : {})
+            }
+          });
+        }
+
+        publish(tx, DOMAIN_EVENTS.EVENT_CANCELLED, {
+          eventIds,
+          title: result.rows[0].title,
+          reason,
+          cancelledBy: req.user.username,
+          studentIds: [...new Set(registrantsResult.rows.map(registrant => registrant.user_id))]
+        });
+
+        return {
+          events: result.rows.sort((a, b) => new Date(a.date) - new Date(b.date)),
+          registrants: registrantsResult.rows
+        };
+      });
+
+      if (!cancelled) return;
+
+      const { events, registrants } = cancelled;
+
+      const event = events.find(cancelledEvent => cancelledEvent.id === parseInt(id));
+      const studentCount = new Set(registrants.map(registrant => registrant.user_id)).size;
+
+      res.json({
+        success: true,
+        message: `${events.length > 1 ? `Cancelled ${events.length} occurrences of the series` : 'Event cancelled'}. ` +
+          `${studentCount} registered student(s) have been notified.`,
+        data: { event, events }
+      });
+
+    } catch (error) {
+      console.error('Cancel event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while cancelling event'
+      });
+    }
   }
-});
+);
+
+// Permanently removes the event and its registrations without notifying anyone
+router.delete('/:id', 
+  authenticateToken, 
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const deleted = await withTransaction(async (tx) => {
+        const event = await lockEvent(tx, id);
+        if (!event) {
+          res.status(404).json({
+            success: false,
+            message: 'Event not found'
+          });
+          return false;
+        }
+
+        // Subscribed calendars of the organizer and approved attendees show it as cancelled
+        const attendeesResult = await tx.query(
+          `SELECT user_id FROM registrations WHERE event_id = $1 AND status = 'approved'`,
+          [id]
+        );
+        await recordCalendarCancellations(tx, event.id, [
+          event.created_by,
+          ...attendeesResult.rows.map(row => row.user_id)
+        ]);
+
+        const deletedResult = await tx.query(
+          `SELECT ${EVENT_COLUMNS} FROM events WHERE id = $1`,
+          [id]
+        );
+
+        // Delete event (cascade will handle related registrations)
+        await tx.query('DELETE FROM events WHERE id = $1', [id]);
+
+        await recordAudit(tx, req, {
+          action: 'event.deleted',
+          targetType: 'event',
+          targetId: event.id,
+          before: deletedResult.rows[0],
+          details: { approved_attendees: attendeesResult.rows.length }
+        });
+        return true;
+      });
+
+      if (!deleted) return;
+
+      res.json({
+        success: true,
+        message: 'Event deleted successfully'
+      });
+
+    } catch (error) {
+      console.error('Delete event error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while deleting event'
+      });
+    }
+  }
+);
 
 module.exports = router;
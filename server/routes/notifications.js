@@ -0,0 +1,285 @@
+const express = require('express');
+const { query, withTransaction } = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  notificationQuerySchema,
+  notificationIdSchema,
+  notificationPreferencesSchema,
+  unsubscribeSchema
+} = require('../utils/validation');
+const { NOTIFICATION_COLUMNS } = require('../utils/notifications');
+const {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPE_LABELS,
+  loadPreferenceOverrides,
+  resolveChannels,
+  describePreferences,
+  verifyUnsubscribeToken
+} = require('../utils/notificationPreferences');
+const { recordAudit } = require('../utils/audit');
+const { DOMAIN_EVENTS, publish } = require('../utils/eventBus');
+
+const router = express.Router();
+
+async function countUnread(userId) {
+  const result = await query(
+    'SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND in_app AND read_at IS NULL',
+    [userId]
+  );
+  return parseInt(result.rows[0].count);
+}
+
+// Stores { type: { channel: enabled } } for the user and returns their preferences
+async function savePreferences(tx, req, user, changes, actorId) {
+  const before = (await loadPreferenceOverrides(tx, [user.id])).get(user.id) || {};
+
+  const rows = Object.entries(changes).flatMap(([type, channels]) =>
+    Object.entries(channels).map(([channel, enabled]) => ({ type, channel, enabled })));
+
+  await tx.query(
+    `INSERT INTO notification_preferences (user_id, type, channel, enabled)
+     SELECT $1, * FROM UNNEST($2::varchar[], $3::varchar[], $4::boolean[])
+     ON CONFLICT (user_id, type, channel)
+     DO UPDATE SET enabled = EXCLUDED.enabled, updated_at = CURRENT_TIMESTAMP`,
+    [user.id, rows.map(row => row.type), rows.map(row => row.channel), rows.map(row => row.enabled)]
+  );
+
+  const after = (await loadPreferenceOverrides(tx, [user.id])).get(user.id) || {};
+
+  // Whatever was waiting for a digest the user no longer wants is dropped
+  const noDigestTypes = Object.keys(changes)
+    .filter(type => !resolveChannels(user.role, type, after).digest);
+  if (noDigestTypes.length > 0) {
+    await tx.query(
+      `UPDATE notifications SET digest_pending = FALSE
+       WHERE user_id = $1 AND digest_pending AND type = ANY($2::varchar[])`,
+      [user.id, noDigestTypes]
+    );
+  }
+
+  const effective = (overrides) => Object.fromEntries(Object.keys(changes)
+    .map(type => [type, resolveChannels(user.role, type, overrides)]));
+
+  await recordAudit(tx, req, {
+    action: 'user.notification_preferences_changed',
+    targetType: 'user',
+    targetId: user.id,
+    before: effective(before),
+    after: effective(after),
+    actorId
+  });
+
+  return describePreferences(user.role, after);
+}
+
+router.get('/preferences', authenticateToken, async (req, res) => {
+  try {
+    const overrides = await loadPreferenceOverrides({ query }, [req.user.id]);
+
+    res.json({
+      success: true,
+      data: {
+        preferences: describePreferences(req.user.role, overrides.get(req.user.id)),
+        channels: NOTIFICATION_CHANNELS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching notification preferences'
+    });
+  }
+});
+
+router.put('/preferences', authenticateToken, validate(notificationPreferencesSchema), async (req, res) => {
+  try {
+    const preferences = await withTransaction(tx =>
+      savePreferences(tx, req, req.user, req.body.preferences));
+
+    res.json({
+      success: true,
+      message: 'Notification preferences saved',
+      data: { preferences, channels: NOTIFICATION_CHANNELS }
+    });
+
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while saving notification preferences'
+    });
+  }
+});
+
+// The one-click link from an email, so no login is needed; the signed token
+// says whose emails and which ones
+router.post('/unsubscribe', validate(unsubscribeSchema), async (req, res) => {
+  try {
+    const unsubscribe = verifyUnsubscribeToken(req.body.token);
+    if (!unsubscribe) {
+      return res.status(400).json({
+        success: false,
+        message: 'This unsubscribe link is invalid'
+      });
+    }
+
+    const { userId, channel, type } = unsubscribe;
+
+    const unsubscribed = await withTransaction(async (tx) => {
+      const userResult = await tx.query('SELECT id, role FROM users WHERE id = $1', [userId]);
+      if (userResult.rows.length === 0) {
+        res.status(404).json({
+          success: false,
+          message: 'Account not found'
+        });
+        return null;
+      }
+
+      const user = userResult.rows[0];
+      const types = type ? [type] : describePreferences(user.role).map(preference => preference.type);
+      const changes = Object.fromEntries(types.map(changedType => [changedType, { [channel]: false }]));
+
+      return savePreferences(tx, req, user, changes, user.id);
+    });
+
+    if (!unsubscribed) return;
+
+    res.json({
+      success: true,
+      message: type
+        ? `You will no longer get emails for "${NOTIFICATION_TYPE_LABELS[type]}"`
+        : 'You will no longer get the daily digest',
+      data: { channel, type }
+    });
+
+  } catch (error) {
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while unsubscribing'
+    });
+  }
+});
+
+// Newest first; `unread=true` leaves out the ones already read
+router.get('/', authenticateToken, validateQuery(notificationQuerySchema), async (req, res) => {
+  try {
+    const { unread, page, limit } = req.query;
+    const offset = (page - 1) * limit;
+    const unreadCondition = unread ? 'AND read_at IS NULL' : '';
+
+    const countResult = await query(
+      `SELECT COUNT(*) as total FROM notifications WHERE user_id = $1 AND in_app ${unreadCondition}`,
+      [req.user.id]
+    );
+    const total = parseInt(countResult.rows[0].total);
+
+    const result = await query(
+      `SELECT ${NOTIFICATION_COLUMNS}
+       FROM notifications
+       WHERE user_id = $1 AND in_app ${unreadCondition}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [req.user.id, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        notifications: result.rows,
+        unread_count: unread ? total : await countUnread(req.user.id),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching notifications'
+    });
+  }
+});
+
+router.post('/read-all', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE notifications
+       SET read_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND in_app AND read_at IS NULL
+       RETURNING id`,
+      [req.user.id]
+    );
+
+    publish(null, DOMAIN_EVENTS.NOTIFICATIONS_READ, {
+      userId: req.user.id,
+      notificationIds: result.rows.map(row => row.id),
+      unreadCount: 0
+    });
+
+    res.json({
+      success: true,
+      message: `Marked ${result.rows.length} notification(s) as read`,
+      data: { updated: result.rows.length, unread_count: 0 }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating notifications'
+    });
+  }
+});
+
+// Marking a notification read again keeps its first read time
+router.post('/:id/read', authenticateToken, validateParams(notificationIdSchema), async (req, res) => {
+  try {
+    const result = await query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+       WHERE id = $1 AND user_id = $2 AND in_app
+       RETURNING ${NOTIFICATION_COLUMNS}`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    const unreadCount = await countUnread(req.user.id);
+
+    publish(null, DOMAIN_EVENTS.NOTIFICATIONS_READ, {
+      userId: req.user.id,
+      notificationIds: [result.rows[0].id],
+      unreadCount
+    });
+
+    res.json({
+      success: true,
+      data: { notification: result.rows[0], unread_count: unreadCount }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating notification'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,110 @@
+const express = require('express');
+const { query, withTransaction } = require('../database/connection');
+const { authenticateToken } = require('../middleware/auth');
+const { validate, organizerRequestSchema } = require('../utils/validation');
+const { recordAudit } = require('../utils/audit');
+
+const router = express.Router();
+
+const REQUEST_COLUMNS = `
+  id, club_name, justification, status, review_note, reviewed_at, created_at
+`;
+
+// The signed-in user's most recent request, or null if they never asked
+router.get('/mine', authenticateToken, async (req, res) => {
+  try {
+    const result = await query(
+      `SELECT ${REQUEST_COLUMNS}
+       FROM organizer_requests
+       WHERE user_id = $1
+       ORDER BY created_at DESC, id DESC
+       LIMIT 1`,
+      [req.user.id]
+    );
+
+    res.json({
+      success: true,
+      data: { request: result.rows[0] || null }
+    });
+
+  } catch (error) {
+    console.error('Get organizer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching organizer request'
+    });
+  }
+});
+
+router.post('/', authenticateToken, validate(organizerRequestSchema), async (req, res) => {
+  try {
+    const { club_name, justification } = req.body;
+
+    if (req.user.role !== 'student') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have organizer access'
+      });
+    }
+
+    if (!req.user.email_verified_at) {
+      return res.status(403).json({
+        success: false,
+        message: 'Please verify your email address before requesting organizer access'
+      });
+    }
+
+    const pendingResult = await query(
+      `SELECT id FROM organizer_requests WHERE user_id = $1 AND status = 'pending'`,
+      [req.user.id]
+    );
+
+    if (pendingResult.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a request waiting for review'
+      });
+    }
+
+    const request = await withTransaction(async (tx) => {
+      const result = await tx.query(
+        `INSERT INTO organizer_requests (user_id, club_name, justification)
+         VALUES ($1, $2, $3)
+         RETURNING ${REQUEST_COLUMNS}`,
+        [req.user.id, club_name, justification]
+      );
+
+      await recordAudit(tx, req, {
+        action: 'organizer_request.created',
+        targetType: 'organizer_request',
+        targetId: result.rows[0].id,
+        after: result.rows[0]
+      });
+
+      return result.rows[0];
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Request submitted. An admin will review it shortly.',
+      data: { request }
+    });
+
+  } catch (error) {
+    // Two submissions racing past the pending check
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a request waiting for review'
+      });
+    }
+
+    console.error('Create organizer request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting organizer request'
+    });
+  }
+});
+
+module.exports = router;
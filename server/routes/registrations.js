@@ -1,7 +1,36 @@
 const express = require('express');
-const { query } = require('../database/connection');
-const { authenticateToken, requireStudent, requireOrganizer, requireOwnershipOrAdmin } = require('../middleware/auth');
-const { validate, validateParams, registrationStatusSchema } = require('../utils/validation');
+const { query, withTransaction } = require('../database/connection');
+const {
+  authenticateToken,
+  requireStudent,
+  requireOrganizer,
+  requireVerifiedEmail,
+  requireOwnershipOrAdmin
+} = require('../middleware/auth');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  registrationStatusSchema,
+  checkInSchema,
+  attendanceSchema,
+  registrationExportQuerySchema
+} = require('../utils/validation');
+const {
+  waitlistPositionSql,
+  lockEvent,
+  hasFreeSeat,
+  getWaitlistPosition,
+  setRegistrationStatus,
+  promoteFromWaitlist,
+  recordPromotions
+} = require('../utils/waitlist');
+const { recordCalendarCancellations } = require('../utils/calendar');
+const { issueTicket, verifyTicket } = require('../utils/tickets');
+const { recordAudit } = require('../utils/audit');
+const { DOMAIN_EVENTS, publish } = require('../utils/eventBus');
+const { validateAnswers, describeAnswers } = require('../utils/registrationQuestions');
+const { CSV_CONTENT_TYPE, XLSX_CONTENT_TYPE, CSV_BOM, toCsvRow, buildXlsx } = require('../utils/spreadsheet');
 
 const router = express.Router();
 
@@ -37,12 +66,18 @@ router.get('/', authenticateToken, requireStudent, async (req, res) => {
         r.status,
         r.registered_at,
         r.updated_at,
+        r.checked_in_at,
+        r.attendance_status,
+        ${waitlistPositionSql('r')} as waitlist_position,
         e.id as event_id,
         e.title as event_title,
         e.description as event_description,
         e.date as event_date,
         e.location as event_location,
         e.max_attendees,
+        e.attendance_finalized_at,
+        e.cancelled_at,
+        e.cancellation_reason,
         u.username as organizer_username
       FROM registrations r
       JOIN events e ON r.event_id = e.id
@@ -55,11 +90,32 @@ router.get('/', authenticateToken, requireStudent, async (req, res) => {
     params.push(limit, offset);
     const registrationsResult = await query(registrationsQuery, params);
 
+    // Attendance history covers every registration, not just this page
+    const attendanceResult = await query(
+      `SELECT 
+        COUNT(*) FILTER (WHERE attendance_status = 'attended') as attended,
+        COUNT(*) FILTER (WHERE attendance_status = 'no_show') as no_show,
+        COUNT(*) FILTER (WHERE attendance_status = 'excused') as excused
+       FROM registrations
+       WHERE user_id = $1`,
+      [userId]
+    );
+    const attendanceSummary = {
+      attended: parseInt(attendanceResult.rows[0].attended),
+      no_show: parseInt(attendanceResult.rows[0].no_show),
+      excused: parseInt(attendanceResult.rows[0].excused)
+    };
+
     const registrations = registrationsResult.rows.map(reg => ({
       id: reg.id,
       status: reg.status,
       registered_at: reg.registered_at,
       updated_at: reg.updated_at,
+      waitlist_position: reg.waitlist_position ? parseInt(reg.waitlist_position) : null,
+      checked_in_at: reg.checked_in_at,
+      attendance_status: reg.attendance_status,
+      // Only approved registrations get a ticket to show at the door
+      ticket: reg.status === 'approved' ? issueTicket({ id: reg.id, event_id: reg.event_id }) : null,
       event: {
         id: reg.event_id,
         title: reg.event_title,
@@ -67,6 +123,9 @@ router.get('/', authenticateToken, requireStudent, async (req, res) => {
         date: reg.event_date,
         location: reg.event_location,
         max_attendees: parseInt(reg.max_attendees),
+        attendance_finalized_at: reg.attendance_finalized_at,
+        cancelled_at: reg.cancelled_at,
+        cancellation_reason: reg.cancellation_reason,
         organizer_username: reg.organizer_username
       }
     }));
@@ -75,6 +134,7 @@ router.get('/', authenticateToken, requireStudent, async (req, res) => {
       success: true,
       data: {
         registrations,
+        attendance_summary: attendanceSummary,
         pagination: {
           page: parseInt(page),
           limit: parseInt(limit),
@@ -93,9 +153,103 @@ router.get('/', authenticateToken, requireStudent, async (req, res) => {
   }
 });
 
-router.post('/', authenticateToken, requireStudent, async (req, res) => {
+router.get('/event/:eventId', authenticateToken, requireStudent, async (req, res) => {
   try {
-    const { event_id } = req.body;
+    const { eventId } = req.params;
+
+    const result = await query(
+      `SELECT 
+        r.id,
+        r.event_id,
+        r.status,
+        r.registered_at,
+        r.updated_at,
+        r.checked_in_at,
+        r.attendance_status,
+        r.answers,
+        ${waitlistPositionSql('r')} as waitlist_position
+       FROM registrations r
+       WHERE r.event_id = $1 AND r.user_id = $2`,
+      [eventId, req.user.id]
+    );
+
+    const registration = result.rows[0] || null;
+    if (registration) {
+      registration.waitlist_position = registration.waitlist_position
+        ? parseInt(registration.waitlist_position)
+        : null;
+      registration.ticket = registration.status === 'approved' ? issueTicket(registration) : null;
+    }
+
+    res.json({
+      success: true,
+      data: { registration }
+    });
+
+  } catch (error) {
+    console.error('Get event registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching registration'
+    });
+  }
+});
+
+// Checks the student's answers against the event's registration questions,
+// responding 400 when they do not fit
+function answerQuestions(res, event, submitted) {
+  const { errors, answers } = validateAnswers(event.registration_questions, submitted);
+
+  if (errors.length > 0) {
+    res.status(400).json({
+      success: false,
+      message: 'Please check your answers to the registration questions',
+      errors
+    });
+    return null;
+  }
+
+  return answers;
+}
+
+// Inserts a pending registration for a locked event, or a waitlisted one when it is full
+async function createRegistration(tx, req, event, userId, answers) {
+  // Join the waitlist instead once all seats are approved
+  const status = hasFreeSeat(event) ? 'pending' : 'waitlisted';
+
+  const result = await tx.query(
+    `INSERT INTO registrations (event_id, user_id, status, waitlisted_at, answers) 
+     VALUES ($1, $2, $3::varchar, CASE WHEN $3::varchar = 'waitlisted' THEN CURRENT_TIMESTAMP END, $4) 
+     RETURNING id, event_id, user_id, status, registered_at, answers`,
+    [event.id, userId, status, JSON.stringify(answers)]
+  );
+
+  const registration = result.rows[0];
+
+  await recordAudit(tx, req, {
+    action: 'registration.created',
+    targetType: 'registration',
+    targetId: registration.id,
+    after: registration,
+    details: { event_id: event.id }
+  });
+
+  publish(tx, DOMAIN_EVENTS.REGISTRATION_CREATED, {
+    eventId: event.id,
+    organizerId: event.created_by,
+    registrationId: registration.id,
+    userId,
+    username: req.user.username,
+    status: registration.status
+  });
+
+  registration.waitlist_position = await getWaitlistPosition(tx, registration.id);
+  return registration;
+}
+
+router.post('/', authenticateToken, requireStudent, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { event_id, series } = req.body;
     const userId = req.user.id;
 
     if (!event_id) {
@@ -105,102 +259,228 @@ router.post('/', authenticateToken, requireStudent, async (req, res) => {
       });
     }
 
-    // Check if event exists and is upcoming
-    const eventResult = await query(
-      'SELECT id, title, date, max_attendees FROM events WHERE id = $1',
+    if (series) {
+      await registerForSeries(req, res);
+      return;
+    }
+
+    const registration = await withTransaction(async (tx) => {
+      // Lock the event so the seat count read here holds until the insert commits
+      const event = await lockEvent(tx, event_id);
+
+      // Drafts are invisible to students, so they are not found either
+      if (!event || !event.published_at) {
+        res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+        return null;
+      }
+
+      if (event.cancelled_at) {
+        res.status(409).json({
+          success: false,
+          message: 'This event has been cancelled'
+        });
+        return null;
+      }
+
+      // Check if event is in the past
+      if (new Date(event.date) <= new Date()) {
+        res.status(400).json({
+          success: false,
+          message: 'Cannot register for past events'
+        });
+        return null;
+      }
+
+      // Check if user is already registered
+      const existingRegistration = await tx.query(
+        'SELECT id, status FROM registrations WHERE event_id = $1 AND user_id = $2',
+        [event_id, userId]
+      );
+
+      if (existingRegistration.rows.length > 0) {
+        const reg = existingRegistration.rows[0];
+        res.status(409).json({
+          success: false,
+          message: `Already registered for this event with status: ${reg.status}`
+        });
+        return null;
+      }
+
+      const answers = answerQuestions(res, event, req.body.answers);
+      if (!answers) return null;
+
+      return createRegistration(tx, req, event, userId, answers);
+    });
+
+    if (!registration) return;
+
+    const eventFull = registration.status === 'waitlisted';
+
+    res.status(201).json({
+      success: true,
+      message: eventFull
+        ? `Event is full - you are #${registration.waitlist_position} on the waitlist`
+        : 'Successfully registered for the event',
+      data: { registration }
+    });
+
+  } catch (error) {
+    console.error('Registration error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during registration'
+    });
+  }
+});
+
+// Registers the student for every upcoming occurrence of the event's series,
+// skipping occurrences they are already registered for
+async function registerForSeries(req, res) {
+  const { event_id } = req.body;
+  const userId = req.user.id;
+
+  const registrations = await withTransaction(async (tx) => {
+    const eventResult = await tx.query(
+      'SELECT id, series_id FROM events WHERE id = $1 AND published_at IS NOT NULL',
       [event_id]
     );
 
     if (eventResult.rows.length === 0) {
-      return res.status(404).json({
+      res.status(404).json({
         success: false,
         message: 'Event not found'
       });
+      return null;
     }
 
-    const event = eventResult.rows[0];
-
-    // Check if event is in the past
-    if (new Date(event.date) <= new Date()) {
-      return res.status(400).json({
+    const { series_id } = eventResult.rows[0];
+    if (!series_id) {
+      res.status(400).json({
         success: false,
-        message: 'Cannot register for past events'
+        message: 'Event is not part of a series'
       });
+      return null;
     }
 
-    // Check if user is already registered
-    const existingRegistration = await query(
-      'SELECT id, status FROM registrations WHERE event_id = $1 AND user_id = $2',
-      [event_id, userId]
+    const occurrencesResult = await tx.query(
+      `SELECT id FROM events
+       WHERE series_id = $1 AND date > NOW() AND published_at IS NOT NULL AND cancelled_at IS NULL
+       ORDER BY id`,
+      [series_id]
     );
 
-    if (existingRegistration.rows.length > 0) {
-      const reg = existingRegistration.rows[0];
-      return res.status(409).json({
+    const pending = [];
+    // Locked in id order, like every other multi-event write
+    for (const { id } of occurrencesResult.rows) {
+      const event = await lockEvent(tx, id);
+
+      const existingRegistration = await tx.query(
+        'SELECT id FROM registrations WHERE event_id = $1 AND user_id = $2',
+        [id, userId]
+      );
+
+      if (existingRegistration.rows.length === 0) {
+        pending.push(event);
+      }
+    }
+
+    if (pending.length === 0) {
+      res.status(409).json({
         success: false,
-        message: `Already registered for this event with status: ${reg.status}`
+        message: 'Already registered for every upcoming occurrence of this series'
       });
+      return null;
     }
 
-    // Check if event is full
-    const attendeesCount = await query(
-      'SELECT COUNT(*) as count FROM registrations WHERE event_id = $1 AND status = $2',
-      [event_id, 'approved']
-    );
+    // Every answer is checked before anything is inserted, so a rejected
+    // answer leaves no partial series registration behind
+    const answersByEvent = new Map();
+    for (const event of pending) {
+      const answers = answerQuestions(res, event, req.body.answers);
+      if (!answers) return null;
+      answersByEvent.set(event.id, answers);
+    }
 
-    const currentAttendees = parseInt(attendeesCount.rows[0].count);
-    if (currentAttendees >= event.max_attendees) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event is full'
-      });
+    const created = [];
+    for (const event of pending) {
+      created.push(await createRegistration(tx, req, event, userId, answersByEvent.get(event.id)));
     }
 
-    // Create registration
-    const result = await query(
-      `INSERT INTO registrations (event_id, user_id, status) 
-       VALUES ($1, $2, 'pending') 
-       RETURNING id, event_id, user_id, status, registered_at`,
-      [event_id, userId]
-    );
+    return created;
+  });
 
-    const registration = result.rows[0];
+  if (!registrations) return;
 
-    res.status(201).json({
-      success: true,
-      message: 'Successfully registered for the event',
-      data: { registration }
-    });
+  const waitlistedCount = registrations.filter(registration => registration.status === 'waitlisted').length;
 
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during registration'
-    });
-  }
-});
+  res.status(201).json({
+    success: true,
+    message: waitlistedCount > 0
+      ? `Registered for ${registrations.length} occurrences (${waitlistedCount} on the waitlist)`
+      : `Registered for ${registrations.length} occurrences of the series`,
+    data: { registrations }
+  });
+}
 
 router.delete('/:id', authenticateToken, requireStudent, async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user.id;
 
-    // Check if registration exists and belongs to user
-    const registrationResult = await query(
-      'SELECT id FROM registrations WHERE id = $1 AND user_id = $2',
-      [id, userId]
-    );
+    const registration = await withTransaction(async (tx) => {
+      // Check if registration exists and belongs to user
+      const registrationResult = await tx.query(
+        'SELECT id, event_id FROM registrations WHERE id = $1 AND user_id = $2',
+        [id, userId]
+      );
 
-    if (registrationResult.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: 'Registration not found'
+      if (registrationResult.rows.length === 0) {
+        res.status(404).json({
+          success: false,
+          message: 'Registration not found'
+        });
+        return null;
+      }
+
+      await lockEvent(tx, registrationResult.rows[0].event_id);
+
+      // Delete registration
+      const deleteResult = await tx.query(
+        'DELETE FROM registrations WHERE id = $1 RETURNING id, event_id, user_id, status, registered_at, checked_in_at',
+        [id]
+      );
+
+      const deletedRegistration = deleteResult.rows[0];
+
+      await recordAudit(tx, req, {
+        action: 'registration.cancelled',
+        targetType: 'registration',
+        targetId: deletedRegistration.id,
+        before: deletedRegistration,
+        details: { event_id: deletedRegistration.event_id }
       });
-    }
 
-    // Delete registration
-    await query('DELETE FROM registrations WHERE id = $1', [id]);
+      publish(tx, DOMAIN_EVENTS.REGISTRATION_WITHDRAWN, {
+        eventId: deletedRegistration.event_id,
+        registrationId: deletedRegistration.id,
+        userId,
+        previousStatus: deletedRegistration.status,
+        updatedBy: req.user.username
+      });
+
+      // A freed seat goes to the next student on the waitlist
+      if (deletedRegistration.status === 'approved') {
+        await recordCalendarCancellations(tx, deletedRegistration.event_id, [userId]);
+        await recordPromotions(tx, req, await promoteFromWaitlist(tx, deletedRegistration.event_id));
+      }
+
+      return deletedRegistration;
+    });
+
+    if (!registration) return;
 
     res.json({
       success: true,
@@ -256,8 +536,13 @@ router.get('/manage', authenticateToken, requireOrganizer, async (req, res) => {
         r.registered_at,
         r.updated_at,
         r.event_id,
+        r.checked_in_at,
+        r.attendance_status,
+        ${waitlistPositionSql('r')} as waitlist_position,
+        r.answers,
         e.title as event_title,
         e.date as event_date,
+        e.registration_questions,
         u.id as user_id,
         u.username as user_username,
         u.email as user_email
@@ -277,9 +562,13 @@ router.get('/manage', authenticateToken, requireOrganizer, async (req, res) => {
       status: reg.status,
       registered_at: reg.registered_at,
       updated_at: reg.updated_at,
+      waitlist_position: reg.waitlist_position ? parseInt(reg.waitlist_position) : null,
+      checked_in_at: reg.checked_in_at,
+      attendance_status: reg.attendance_status,
       event_id: reg.event_id,
       event_title: reg.event_title,
       event_date: reg.event_date,
+      answers: describeAnswers(reg.registration_questions, reg.answers),
       user: {
         id: reg.user_id,
         username: reg.user_username,
@@ -309,78 +598,289 @@ router.get('/manage', authenticateToken, requireOrganizer, async (req, res) => {
   }
 });
 
-router.put('/:id/status', 
-  authenticateToken, 
-  requireOrganizer, 
-  validate(registrationStatusSchema),
+// Exports are read in batches of this size rather than all at once
+const EXPORT_BATCH_SIZE = 500;
+
+// A workbook is built in memory before it is zipped, so larger exports have to use CSV
+const XLSX_EXPORT_MAX_ROWS = 10000;
+
+const EXPORT_HEADERS = [
+  'Registration ID', 'Event', 'Event Date', 'Username', 'Email', 'Status', 'Waitlist Position',
+  'Registered At', 'Updated At', 'Checked In At', 'Attendance'
+];
+
+// The next batch of the organizer's matching registrations after `afterId`, in
+// id order, for the given events only: an event created mid-export has no
+// answer columns
+async function fetchExportBatch(organizerId, { eventIds, status }, afterId) {
+  const conditions = ['e.created_by = $1', 'r.id > $2', 'r.event_id = ANY($3::int[])'];
+  const params = [organizerId, afterId, eventIds];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+
+  params.push(EXPORT_BATCH_SIZE);
+  const result = await query(
+    `SELECT 
+      r.id,
+      r.event_id,
+      r.status,
+      r.registered_at,
+      r.updated_at,
+      r.checked_in_at,
+      r.attendance_status,
+      r.answers,
+      ${waitlistPositionSql('r')} as waitlist_position,
+      e.title as event_title,
+      e.date as event_date,
+      u.username,
+      u.email
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     JOIN users u ON r.user_id = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY r.id
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows;
+}
+
+// One column per distinct question label, so the same question asked across
+// a series (or reused between events) lines up in a single column
+function buildAnswerColumns(events) {
+  const labels = [];
+  const questionIdsByEvent = new Map();
+
+  for (const event of events) {
+    const questionIds = new Map();
+    for (const question of event.registration_questions) {
+      if (!labels.includes(question.label)) {
+        labels.push(question.label);
+      }
+      if (!questionIds.has(question.label)) {
+        questionIds.set(question.label, question.id);
+      }
+    }
+    questionIdsByEvent.set(event.id, questionIds);
+  }
+
+  return { labels, questionIdsByEvent };
+}
+
+router.get('/manage/export',
+  authenticateToken,
+  requireOrganizer,
+  validateQuery(registrationExportQuerySchema),
   async (req, res) => {
     try {
-      const { id } = req.params;
-      const { status } = req.body;
+      const { event_id, status, format } = req.query;
+      const userId = req.user.id;
 
-      // Get registration with event details
-      const registrationResult = await query(
-        `SELECT r.id, r.event_id, r.user_id, r.status, e.created_by, e.title as event_title
-         FROM registrations r
-         JOIN events e ON r.event_id = e.id
-         WHERE r.id = $1`,
-        [id]
+      const eventsResult = await query(
+        `SELECT id, registration_questions
+         FROM events
+         WHERE created_by = $1 ${event_id ? 'AND id = $2' : ''}
+         ORDER BY date, id`,
+        event_id ? [userId, event_id] : [userId]
       );
 
-      if (registrationResult.rows.length === 0) {
+      if (event_id && eventsResult.rows.length === 0) {
         return res.status(404).json({
           success: false,
-          message: 'Registration not found'
+          message: 'Event not found'
         });
       }
 
-      const registration = registrationResult.rows[0];
+      const { labels, questionIdsByEvent } = buildAnswerColumns(eventsResult.rows);
+      const eventIds = eventsResult.rows.map(event => event.id);
 
-      // Check if user can manage this registration
-      if (req.user.role !== 'admin' && registration.created_by !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only manage registrations for your own events'
-        });
+      const toRow = (reg) => {
+        const questionIds = questionIdsByEvent.get(reg.event_id);
+
+        return [
+          reg.id,
+          reg.event_title,
+          reg.event_date,
+          reg.username,
+          reg.email,
+          reg.status,
+          reg.waitlist_position ? parseInt(reg.waitlist_position) : null,
+          reg.registered_at,
+          reg.updated_at,
+          reg.checked_in_at,
+          reg.attendance_status,
+          ...labels.map(label => {
+            const answer = reg.answers[questionIds.get(label)];
+            return Array.isArray(answer) ? answer.join('; ') : answer ?? null;
+          })
+        ];
+      };
+
+      const filename = `${event_id ? `event-${event_id}-` : ''}registrations.${format}`;
+      const header = [...EXPORT_HEADERS, ...labels];
+
+      // CSV goes out batch by batch; a workbook has to be zipped as a whole, so it is capped
+      if (format === 'csv') {
+        res.set('Content-Type', CSV_CONTENT_TYPE);
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.write(CSV_BOM + toCsvRow(header));
       }
 
-      // Check if event is full (only for approval)
-      if (status === 'approved') {
-        const attendeesCount = await query(
-          'SELECT COUNT(*) as count FROM registrations WHERE event_id = $1 AND status = $2',
-          [registration.event_id, 'approved']
-        );
+      const rows = [header];
+      let lastId = 0;
+      let batch;
+      do {
+        batch = await fetchExportBatch(userId, { eventIds, status }, lastId);
+
+        if (format === 'csv') {
+          res.write(batch.map(reg => toCsvRow(toRow(reg))).join(''));
+        } else {
+          rows.push(...batch.map(toRow));
+
+          if (rows.length - 1 > XLSX_EXPORT_MAX_ROWS) {
+            return res.status(400).json({
+              success: false,
+              message: `Excel exports are limited to ${XLSX_EXPORT_MAX_ROWS} registrations; export as CSV or filter by event or status`
+            });
+          }
+        }
+
+        if (batch.length > 0) {
+          lastId = batch[batch.length - 1].id;
+        }
+      } while (batch.length === EXPORT_BATCH_SIZE);
+
+      if (format === 'csv') {
+        res.end();
+        return;
+      }
+
+      res.set('Content-Type', XLSX_CONTENT_TYPE);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buildXlsx(rows, 'Registrations'));
+
+    } catch (error) {
+      console.error('Export registrations error:', error);
+
+      // Part of the file has gone out already; drop the connection so the
+      // download fails instead of looking complete
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while exporting registrations'
+      });
+    }
+  }
+);
+
+router.put('/:id/status', 
+  authenticateToken, 
+  requireOrganizer, 
+  validate(registrationStatusSchema),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status } = req.body;
 
-        const eventResult = await query(
-          'SELECT max_attendees FROM events WHERE id = $1',
-          [registration.event_id]
+      const updatedRegistration = await withTransaction(async (tx) => {
+        // Get registration with event details
+        const registrationResult = await tx.query(
+          `SELECT r.id, r.event_id, r.user_id, e.created_by, e.title as event_title
+           FROM registrations r
+           JOIN events e ON r.event_id = e.id
+           WHERE r.id = $1`,
+          [id]
         );
 
-        const currentAttendees = parseInt(attendeesCount.rows[0].count);
-        const maxAttendees = parseInt(eventResult.rows[0].max_attendees);
+        if (registrationResult.rows.length === 0) {
+          res.status(404).json({
+            success: false,
+            message: 'Registration not found'
+          });
+          return null;
+        }
+
+        const registration = registrationResult.rows[0];
 
-        if (currentAttendees >= maxAttendees) {
-          return res.status(400).json({
+        // Check if user can manage this registration
+        if (req.user.role !== 'admin' && registration.created_by !== req.user.id) {
+          res.status(403).json({
             success: false,
-            message: 'Event is full, cannot approve more registrations'
+            message: 'You can only manage registrations for your own events'
           });
+          return null;
         }
-      }
 
-      // Update registration status
-      const updateResult = await query(
-        `UPDATE registrations 
-         SET status = $1, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $2 
-         RETURNING id, event_id, user_id, status, registered_at, updated_at`,
-        [status, id]
-      );
+        const event = await lockEvent(tx, registration.event_id);
+
+        if (event.cancelled_at) {
+          res.status(409).json({
+            success: false,
+            message: 'This event has been cancelled'
+          });
+          return null;
+        }
+
+        // Re-read the status now that seats for this event cannot move
+        const currentResult = await tx.query(
+          'SELECT status FROM registrations WHERE id = $1 FOR UPDATE',
+          [id]
+        );
+        const previousStatus = currentResult.rows[0].status;
+
+        // Approvals past capacity go to the waitlist instead
+        const newStatus = status === 'approved' && previousStatus !== 'approved' && !hasFreeSeat(event)
+          ? 'waitlisted'
+          : status;
 
-      const updatedRegistration = updateResult.rows[0];
+        const updated = await setRegistrationStatus(tx, id, newStatus);
+
+        await recordAudit(tx, req, {
+          action: 'registration.status_changed',
+          targetType: 'registration',
+          targetId: updated.id,
+          before: { status: previousStatus },
+          after: { status: updated.status },
+          details: { event_id: updated.event_id, user_id: updated.user_id, requested_status: status }
+        });
+
+        publish(tx, DOMAIN_EVENTS.REGISTRATION_STATUS_CHANGED, {
+          eventId: updated.event_id,
+          registrationId: updated.id,
+          userId: updated.user_id,
+          previousStatus,
+          status: updated.status,
+          updatedBy: req.user.username
+        });
+
+        updated.waitlist_position = await getWaitlistPosition(tx, id);
+
+        // A freed seat goes to the next student on the waitlist
+        if (previousStatus === 'approved' && newStatus !== 'approved') {
+          await recordCalendarCancellations(tx, registration.event_id, [registration.user_id]);
+          await recordPromotions(tx, req, await promoteFromWaitlist(tx, registration.event_id));
+        }
+
+        return updated;
+      });
+
+      if (!updatedRegistration) return;
+
+      const newStatus = updatedRegistration.status;
 
       res.json({
         success: true,
-        message: `Registration ${status} successfully`,
+        message: newStatus === status
+          ? `Registration ${status} successfully`
+          : `Event is full, registration added to the waitlist at #${updatedRegistration.waitlist_position}`,
         data: { registration: updatedRegistration }
       });
 
@@ -408,27 +908,23 @@ router.put('/bulk-status',
         });
       }
 
-      if (!['pending', 'approved', 'rejected'].includes(status)) {
+      if (!['pending', 'approved', 'rejected', 'waitlisted'].includes(status)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid status. Must be pending, approved, or rejected'
+          message: 'Invalid status. Must be pending, approved, rejected, or waitlisted'
         });
       }
 
-      const client = await query.getClient();
-      
-      try {
-        await client.query('BEGIN');
-
+      const updatedRegistrations = await withTransaction(async (tx) => {
         // Verify all registrations belong to events created by the user (or admin)
         const verifyQuery = `
           SELECT r.id, r.event_id, e.created_by
           FROM registrations r
           JOIN events e ON r.event_id = e.id
-          WHERE r.id = ANY($1)
+          WHERE r.id = ANY($1::int[])
         `;
         
-        const verifyResult = await client.query(verifyQuery, [registration_ids]);
+        const verifyResult = await tx.query(verifyQuery, [registration_ids]);
         
         if (req.user.role !== 'admin') {
           const unauthorizedRegs = verifyResult.rows.filter(
@@ -436,41 +932,105 @@ router.put('/bulk-status',
           );
           
           if (unauthorizedRegs.length > 0) {
-            await client.query('ROLLBACK');
-            return res.status(403).json({
+            res.status(403).json({
               success: false,
               message: 'You can only manage registrations for your own events'
             });
+            return null;
           }
         }
 
-        // Update all registrations
-        const updateResult = await client.query(
-          `UPDATE registrations 
-           SET status = $1, updated_at = CURRENT_TIMESTAMP 
-           WHERE id = ANY($2) 
-           RETURNING id, event_id, user_id, status`,
-          [status, registration_ids]
+        // Lock events in id order so overlapping bulk updates cannot deadlock
+        const eventIds = [...new Set(verifyResult.rows.map(reg => reg.event_id))].sort((a, b) => a - b);
+        const events = {};
+        for (const eventId of eventIds) {
+          events[eventId] = await lockEvent(tx, eventId);
+        }
+
+        const cancelledEvent = Object.values(events).find(event => event.cancelled_at);
+        if (cancelledEvent) {
+          res.status(409).json({
+            success: false,
+            message: `${cancelledEvent.title} has been cancelled`
+          });
+          return null;
+        }
+
+        const currentResult = await tx.query(
+          `SELECT id, event_id, user_id, status
+           FROM registrations
+           WHERE id = ANY($1::int[])
+           ORDER BY registered_at, id
+           FOR UPDATE`,
+          [registration_ids]
         );
 
-        await client.query('COMMIT');
+        // Apply in registration order so earlier sign-ups get the remaining seats
+        const updated = [];
+        const eventsWithFreedSeats = new Set();
 
-        res.json({
-          success: true,
-          message: `${updateResult.rows.length} registration(s) updated successfully`,
-          data: {
-            updated_count: updateResult.rows.length,
-            status,
-            registrations: updateResult.rows
+        for (const reg of currentResult.rows) {
+          const event = events[reg.event_id];
+          const newStatus = status === 'approved' && reg.status !== 'approved' && !hasFreeSeat(event)
+            ? 'waitlisted'
+            : status;
+
+          if (newStatus === 'approved' && reg.status !== 'approved') {
+            event.approved_count++;
+          } else if (reg.status === 'approved' && newStatus !== 'approved') {
+            event.approved_count--;
+            eventsWithFreedSeats.add(reg.event_id);
+            await recordCalendarCancellations(tx, reg.event_id, [reg.user_id]);
           }
-        });
 
-      } catch (error) {
-        await client.query('ROLLBACK');
-        throw error;
-      } finally {
-        client.release();
-      }
+          const updatedRegistration = await setRegistrationStatus(tx, reg.id, newStatus);
+          updated.push(updatedRegistration);
+
+          await recordAudit(tx, req, {
+            action: 'registration.status_changed',
+            targetType: 'registration',
+            targetId: reg.id,
+            before: { status: reg.status },
+            after: { status: updatedRegistration.status },
+            details: { event_id: reg.event_id, user_id: reg.user_id, requested_status: status, bulk: true }
+          });
+
+          publish(tx, DOMAIN_EVENTS.REGISTRATION_STATUS_CHANGED, {
+            eventId: reg.event_id,
+            registrationId: reg.id,
+            userId: reg.user_id,
+            previousStatus: reg.status,
+            status: updatedRegistration.status,
+            updatedBy: req.user.username
+          });
+        }
+
+        // A freed seat goes to the next student on the waitlist
+        for (const eventId of eventsWithFreedSeats) {
+          await recordPromotions(tx, req, await promoteFromWaitlist(tx, eventId));
+        }
+
+        return updated;
+      });
+
+      if (!updatedRegistrations) return;
+
+      const waitlistedCount = status === 'approved'
+        ? updatedRegistrations.filter(reg => reg.status === 'waitlisted').length
+        : 0;
+
+      res.json({
+        success: true,
+        message: waitlistedCount > 0
+          ? `${updatedRegistrations.length} registration(s) updated, ${waitlistedCount} added to the waitlist because the event is full`
+          : `${updatedRegistrations.length} registration(s) updated successfully`,
+        data: {
+          updated_count: updatedRegistrations.length,
+          waitlisted_count: waitlistedCount,
+          status,
+          registrations: updatedRegistrations
+        }
+      });
 
     } catch (error) {
       console.error('Bulk update registration status error:', error);
@@ -482,4 +1042,336 @@ router.put('/bulk-status',
   }
 );
 
+router.post('/check-in',
+  authenticateToken,
+  requireOrganizer,
+  validate(checkInSchema),
+  async (req, res) => {
+    try {
+      const { event_id, ticket } = req.body;
+
+      const eventResult = await query('SELECT id, title, created_by, cancelled_at FROM events WHERE id = $1', [event_id]);
+      if (eventResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      const event = eventResult.rows[0];
+      if (req.user.role !== 'admin' && event.created_by !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only check in attendees for your own events'
+        });
+      }
+
+      if (event.cancelled_at) {
+        return res.status(409).json({
+          success: false,
+          message: 'This event has been cancelled'
+        });
+      }
+
+      const registrationId = verifyTicket(ticket);
+      if (!registrationId) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid ticket'
+        });
+      }
+
+      const registrationResult = await query(
+        `SELECT r.id, r.event_id, r.status, r.checked_in_at, u.username, e.title as event_title
+         FROM registrations r
+         JOIN users u ON r.user_id = u.id
+         JOIN events e ON r.event_id = e.id
+         WHERE r.id = $1`,
+        [registrationId]
+      );
+
+      if (registrationResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'Ticket no longer valid - the registration was cancelled'
+        });
+      }
+
+      const registration = registrationResult.rows[0];
+
+      if (registration.event_id !== event.id) {
+        return res.status(409).json({
+          success: false,
+          message: `Ticket is for a different event: ${registration.event_title}`
+        });
+      }
+
+      if (registration.status !== 'approved') {
+        return res.status(409).json({
+          success: false,
+          message: `Registration is not approved (status: ${registration.status})`
+        });
+      }
+
+      // The IS NULL guard also catches two scans of one ticket racing each other
+      const updateResult = registration.checked_in_at ? { rows: [] } : await query(
+        `UPDATE registrations
+         SET checked_in_at = CURRENT_TIMESTAMP, checked_in_by = $2
+         WHERE id = $1 AND checked_in_at IS NULL
+         RETURNING checked_in_at`,
+        [registration.id, req.user.id]
+      );
+
+      if (updateResult.rows.length === 0) {
+        return res.status(409).json({
+          success: false,
+          message: `${registration.username} is already checked in`,
+          data: { checked_in_at: registration.checked_in_at }
+        });
+      }
+
+      await recordAudit({ query }, req, {
+        action: 'registration.checked_in',
+        targetType: 'registration',
+        targetId: registration.id,
+        before: { checked_in_at: null },
+        after: { checked_in_at: updateResult.rows[0].checked_in_at },
+        details: { event_id: event.id }
+      });
+
+      const countsResult = await query(
+        `SELECT 
+          COUNT(*) FILTER (WHERE checked_in_at IS NOT NULL) as checked_in_count,
+          COUNT(*) as approved_count
+         FROM registrations
+         WHERE event_id = $1 AND status = 'approved'`,
+        [event.id]
+      );
+
+      const checkedInCount = parseInt(countsResult.rows[0].checked_in_count);
+      const approvedCount = parseInt(countsResult.rows[0].approved_count);
+
+      publish(null, DOMAIN_EVENTS.REGISTRATION_CHECKED_IN, {
+        eventId: event.id,
+        registrationId: registration.id,
+        username: registration.username,
+        checkedInCount,
+        approvedCount
+      });
+
+      res.json({
+        success: true,
+        message: `${registration.username} checked in`,
+        data: {
+          registration: {
+            id: registration.id,
+            username: registration.username,
+            checked_in_at: updateResult.rows[0].checked_in_at
+          },
+          checked_in_count: checkedInCount,
+          approved_count: approvedCount
+        }
+      });
+
+    } catch (error) {
+      console.error('Check-in error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during check-in'
+      });
+    }
+  }
+);
+
+// Approved attendees of an event with their check-in and attendance records
+async function getAttendance(db, eventId) {
+  const eventResult = await db.query(
+    `SELECT id, title, date, attendance_finalized_at
+     FROM events
+     WHERE id = $1`,
+    [eventId]
+  );
+
+  const attendeesResult = await db.query(
+    `SELECT 
+      r.id,
+      r.checked_in_at,
+      r.attendance_status,
+      r.attendance_recorded_at,
+      u.id as user_id,
+      u.username,
+      u.email
+     FROM registrations r
+     JOIN users u ON r.user_id = u.id
+     WHERE r.event_id = $1 AND r.status = 'approved'
+     ORDER BY u.username ASC`,
+    [eventId]
+  );
+
+  const attendees = attendeesResult.rows;
+  const countStatus = (status) => attendees.filter(reg => reg.attendance_status === status).length;
+
+  return {
+    event: eventResult.rows[0],
+    attendees,
+    summary: {
+      approved: attendees.length,
+      checked_in: attendees.filter(reg => reg.checked_in_at).length,
+      attended: countStatus('attended'),
+      no_show: countStatus('no_show'),
+      excused: countStatus('excused'),
+      unrecorded: countStatus(null)
+    }
+  };
+}
+
+// Flattened to one field per registration so the audit diff lists what changed
+const attendanceSnapshot = ({ event, attendees }) => ({
+  attendance_finalized_at: event.attendance_finalized_at,
+  ...Object.fromEntries(attendees.map(attendee => [`registration_${attendee.id}`, attendee.attendance_status]))
+});
+
+router.get('/attendance/:eventId',
+  authenticateToken,
+  requireOrganizer,
+  requireOwnershipOrAdmin('eventId', 'events', 'created_by'),
+  async (req, res) => {
+    try {
+      const attendance = await getAttendance({ query }, req.params.eventId);
+
+      if (!attendance.event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: attendance
+      });
+
+    } catch (error) {
+      console.error('Get attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while fetching attendance'
+      });
+    }
+  }
+);
+
+// Records attendance for approved registrations once the event has started.
+// Finalizing fills in everyone still unrecorded from their check-in: checked
+// in means attended, otherwise no-show. Records stay editable afterwards.
+router.put('/attendance/:eventId',
+  authenticateToken,
+  requireOrganizer,
+  requireOwnershipOrAdmin('eventId', 'events', 'created_by'),
+  validate(attendanceSchema),
+  async (req, res) => {
+    try {
+      const { eventId } = req.params;
+      const { records, finalize } = req.body;
+
+      const attendance = await withTransaction(async (tx) => {
+        const eventResult = await tx.query(
+          'SELECT id, date FROM events WHERE id = $1 FOR UPDATE',
+          [eventId]
+        );
+        const event = eventResult.rows[0];
+
+        if (!event) {
+          res.status(404).json({
+            success: false,
+            message: 'Event not found'
+          });
+          return null;
+        }
+
+        if (new Date(event.date) > new Date()) {
+          res.status(409).json({
+            success: false,
+            message: 'Attendance can only be recorded once the event has started'
+          });
+          return null;
+        }
+
+        const attendanceBefore = await getAttendance(tx, event.id);
+
+        if (records.length > 0) {
+          const registrationIds = records.map(record => record.registration_id);
+
+          const verifyResult = await tx.query(
+            `SELECT id FROM registrations
+             WHERE id = ANY($1::int[]) AND event_id = $2 AND status = 'approved'`,
+            [registrationIds, event.id]
+          );
+
+          if (verifyResult.rows.length !== new Set(registrationIds).size) {
+            res.status(400).json({
+              success: false,
+              message: 'Attendance can only be recorded for approved registrations of this event'
+            });
+            return null;
+          }
+
+          await tx.query(
+            `UPDATE registrations r
+             SET attendance_status = a.attendance_status, attendance_recorded_at = CURRENT_TIMESTAMP
+             FROM unnest($1::int[], $2::varchar[]) AS a(registration_id, attendance_status)
+             WHERE r.id = a.registration_id`,
+            [registrationIds, records.map(record => record.attendance_status)]
+          );
+        }
+
+        if (finalize) {
+          await tx.query(
+            `UPDATE registrations
+             SET attendance_status = CASE WHEN checked_in_at IS NOT NULL THEN 'attended' ELSE 'no_show' END,
+                 attendance_recorded_at = CURRENT_TIMESTAMP
+             WHERE event_id = $1 AND status = 'approved' AND attendance_status IS NULL`,
+            [event.id]
+          );
+
+          await tx.query(
+            `UPDATE events
+             SET attendance_finalized_at = COALESCE(attendance_finalized_at, CURRENT_TIMESTAMP),
+                 attendance_finalized_by = COALESCE(attendance_finalized_by, $2)
+             WHERE id = $1`,
+            [event.id, req.user.id]
+          );
+        }
+
+        const attendanceAfter = await getAttendance(tx, event.id);
+
+        await recordAudit(tx, req, {
+          action: finalize ? 'event.attendance_finalized' : 'event.attendance_recorded',
+          targetType: 'event',
+          targetId: event.id,
+          before: attendanceSnapshot(attendanceBefore),
+          after: attendanceSnapshot(attendanceAfter)
+        });
+
+        return attendanceAfter;
+      });
+
+      if (!attendance) return;
+
+      res.json({
+        success: true,
+        message: finalize ? 'Attendance finalized' : 'Attendance saved',
+        data: attendance
+      });
+
+    } catch (error) {
+      console.error('Update attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error while recording attendance'
+      });
+    }
+  }
+);
+
 module.exports = router;
@@ -3,14 +3,27 @@ const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
+const cookieParser = require('cookie-parser');
 const { Server } = require('socket.io');
 require('dotenv').config();
 
-const { testConnection } = require('./database/connection');
+const { query, testConnection } = require('./database/connection');
+const { migrate } = require('./database/migrate');
 const authRoutes = require('./routes/auth');
 const eventsRoutes = require('./routes/events');
 const registrationsRoutes = require('./routes/registrations');
+const categoriesRoutes = require('./routes/categories');
+const calendarRoutes = require('./routes/calendar');
+const adminRoutes = require('./routes/admin');
+const organizerRequestsRoutes = require('./routes/organizerRequests');
+const notificationsRoutes = require('./routes/notifications');
 const { authenticateToken } = require('./middleware/auth');
+const { startPublishScheduler } = require('./utils/publishing');
+const { registerRealtimeHandlers } = require('./utils/realtime');
+const { registerNotificationHandlers, startDigestScheduler } = require('./utils/notifications');
+const { startJobRunner } = require('./utils/jobs');
+const { registerReminderJobs } = require('./utils/reminders');
+const { getTransport } = require('./utils/mailer');
 
 const app = express();
 const server = http.createServer(app);
@@ -49,6 +62,7 @@ app.use(cors({
 app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+app.use(cookieParser());
 
 app.get('/health', (req, res) => {
   res.json({
@@ -62,6 +76,11 @@ app.get('/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/events', eventsRoutes);
 app.use('/api/registrations', registrationsRoutes);
+app.use('/api/categories', categoriesRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/organizer-requests', organizerRequestsRoutes);
+app.use('/api/notifications', notificationsRoutes);
 
 app.use('*', (req, res) => {
   res.status(404).json({
@@ -80,7 +99,10 @@ app.use((error, req, res, next) => {
   });
 });
 
-io.use((socket, next) => {
+// Same checks as authenticateToken: a valid signature is not enough, the
+// session must still be live and the user not suspended. The error's data.code
+// tells the client whether refreshing the access token can help.
+io.use(async (socket, next) => {
   const authToken = socket.handshake.auth.token || socket.handshake.headers.authorization?.split(' ')[1];
   
   if (!authToken) {
@@ -88,90 +110,123 @@ io.use((socket, next) => {
     return next(new Error('Authentication token required'));
   }
 
+  const refuse = (message, code) => {
+    const authError = new Error(message);
+    authError.data = { code };
+    return next(authError);
+  };
+
   try {
     const jwt = require('jsonwebtoken');
     const decodedToken = jwt.verify(authToken, process.env.JWT_SECRET);
-    socket.userId = decodedToken.userId;
-    socket.userRole = decodedToken.role;
-    socket.username = decodedToken.username;
-    console.log(`Socket authentication successful for user: ${decodedToken.username}`);
+
+    // The role is read here rather than from the token, which keeps a stale one for up to its lifetime
+    const sessionResult = await query(
+      `SELECT u.id, u.username, u.role
+       FROM users u
+       JOIN sessions s ON s.user_id = u.id
+       WHERE u.id = $1 AND s.id = $2 AND s.revoked_at IS NULL AND u.suspended_at IS NULL`,
+      [decodedToken.userId, decodedToken.sessionId || null]
+    );
+
+    if (sessionResult.rows.length === 0) {
+      console.warn(`Socket authentication refused for ended session of user: ${decodedToken.username}`);
+      return refuse('Session has ended - please sign in again', 'SESSION_ENDED');
+    }
+
+    const user = sessionResult.rows[0];
+    socket.userId = user.id;
+    socket.userRole = user.role;
+    socket.username = user.username;
+    socket.sessionId = decodedToken.sessionId;
+    console.log(`Socket authentication successful for user: ${user.username}`);
     next();
   } catch (error) {
-    console.warn('Socket authentication failed:', error.message);
-    next(new Error('Invalid authentication token'));
+    if (error.name === 'TokenExpiredError') {
+      return refuse('Token expired', 'TOKEN_EXPIRED');
+    }
+    if (error.name === 'JsonWebTokenError') {
+      console.warn('Socket authentication failed:', error.message);
+      return refuse('Invalid authentication token', 'INVALID_TOKEN');
+    }
+
+    console.error('Socket authentication error:', error);
+    next(new Error('Authentication error'));
   }
 });
 
+const eventRoom = (eventId) => `event_${eventId}`;
+const eventOrganizersRoom = (eventId) => `event_${eventId}_organizers`;
+
+// Anyone may follow a published event; drafts only reach their organizer and
+// admins, and registered students keep access either way. The role is read
+// from the database so a demoted organizer loses the organizers room at once.
+async function authorizeEventRoom(socket, eventId) {
+  const result = await query(
+    `SELECT e.created_by, e.published_at, u.role,
+            EXISTS (SELECT 1 FROM registrations r WHERE r.event_id = e.id AND r.user_id = u.id) AS is_registered
+     FROM events e
+     JOIN users u ON u.id = $2 AND u.suspended_at IS NULL
+     WHERE e.id = $1`,
+    [eventId, socket.userId]
+  );
+
+  const access = result.rows[0];
+  if (!access) return { allowed: false, isOrganizer: false };
+
+  const isOrganizer = access.role === 'admin' || access.created_by === socket.userId;
+  return {
+    allowed: isOrganizer || access.is_registered || access.published_at !== null,
+    isOrganizer
+  };
+}
+
 io.on('connection', (socket) => {
   console.log(`User ${socket.username} (${socket.userRole}) connected with socket ID: ${socket.id}`);
 
   socket.join(`user_${socket.userId}`);
+  // Lets a revoked session's sockets be closed without touching the user's other devices
+  socket.join(`session_${socket.sessionId}`);
 
   if (socket.userRole === 'organizer' || socket.userRole === 'admin') {
     socket.join('organizers');
   }
 
-  socket.on('join_event', (eventId) => {
-    socket.join(`event_${eventId}`);
-    console.log(`User ${socket.username} joined event room: event_${eventId}`);
-  });
+  // The acknowledgement is { success, data: { eventId, organizer } } or { success: false, message }
+  socket.on('join_event', async (eventId, acknowledge) => {
+    const reply = typeof acknowledge === 'function' ? acknowledge : () => {};
+    const id = Number(eventId);
 
-  socket.on('leave_event', (eventId) => {
-    socket.leave(`event_${eventId}`);
-    console.log(`User ${socket.username} left event room: event_${eventId}`);
-  });
+    if (!Number.isInteger(id) || id < 1) {
+      return reply({ success: false, message: 'Invalid event ID' });
+    }
 
-  socket.on('registration_update', async (updateData) => {
     try {
-      const { eventId, registrationId, status } = updateData;
-      
-      if (socket.userRole !== 'organizer' && socket.userRole !== 'admin') {
-        socket.emit('error', { message: 'Unauthorized to update registrations' });
-        return;
-      }
+      const { allowed, isOrganizer } = await authorizeEventRoom(socket, id);
 
-      const { query } = require('./database/connection');
-      const result = await query(
-        'SELECT COUNT(*) as count FROM registrations WHERE event_id = $1 AND status = $2',
-        [eventId, 'approved']
-      );
-
-      const attendeeCount = parseInt(result.rows[0].count);
-
-      io.to(`event_${eventId}`).emit('attendee_update', {
-        eventId,
-        attendeeCount,
-        registrationId,
-        status,
-        updatedBy: socket.username,
-        timestamp: new Date().toISOString()
-      });
+      if (!allowed) {
+        console.warn(`User ${socket.username} was refused event room: ${eventRoom(id)}`);
+        return reply({ success: false, message: 'Event not found' });
+      }
 
-      console.log(`Attendee count updated for event ${eventId}: ${attendeeCount}`);
+      socket.join(eventRoom(id));
+      if (isOrganizer) {
+        socket.join(eventOrganizersRoom(id));
+      }
 
+      console.log(`User ${socket.username} joined event room: ${eventRoom(id)}${isOrganizer ? ' (organizer)' : ''}`);
+      reply({ success: true, data: { eventId: id, organizer: isOrganizer } });
     } catch (error) {
-      console.error('Error handling registration update:', error);
-      socket.emit('error', { message: 'Error updating registration' });
+      console.error('Join event room error:', error);
+      reply({ success: false, message: 'Could not subscribe to event updates' });
     }
   });
 
-  socket.on('event_created', (newEventData) => {
-    io.emit('new_event', {
-      event: newEventData,
-      createdBy: socket.username,
-      timestamp: new Date().toISOString()
-    });
-  });
-
-  socket.on('new_registration', (registrationData) => {
-    const { eventId, userId } = registrationData;
-    
-    io.to('organizers').emit('registration_notification', {
-      eventId,
-      userId,
-      registeredBy: socket.username,
-      timestamp: new Date().toISOString()
-    });
+  socket.on('leave_event', (eventId) => {
+    const id = Number(eventId);
+    socket.leave(eventRoom(id));
+    socket.leave(eventOrganizersRoom(id));
+    console.log(`User ${socket.username} left event room: ${eventRoom(id)}`);
   });
 
   socket.on('disconnect', (disconnectReason) => {
@@ -180,7 +235,16 @@ io.on('connection', (socket) => {
 });
 
 const emitEventUpdate = (eventId, updateType, updateData) => {
-  io.to(`event_${eventId}`).emit(updateType, {
+  io.to(eventRoom(eventId)).emit(updateType, {
+    eventId,
+    ...updateData,
+    timestamp: new Date().toISOString()
+  });
+};
+
+// For registration details only the event's organizer and admins may see
+const emitOrganizerUpdate = (eventId, updateType, updateData) => {
+  io.to(eventOrganizersRoom(eventId)).emit(updateType, {
     eventId,
     ...updateData,
     timestamp: new Date().toISOString()
@@ -189,15 +253,28 @@ const emitEventUpdate = (eventId, updateType, updateData) => {
 
 app.set('io', io);
 app.set('emitEventUpdate', emitEventUpdate);
+app.set('emitOrganizerUpdate', emitOrganizerUpdate);
+
+// Sockets only subscribe; broadcasts and stored notifications come from domain events raised by the routes
+registerRealtimeHandlers({ io, emitEventUpdate, emitOrganizerUpdate });
+registerNotificationHandlers();
+registerReminderJobs();
 
 async function startServer() {
   try {
+    // A mail misconfiguration stops the start instead of the first password reset
+    getTransport();
+
     const dbConnected = await testConnection();
     if (!dbConnected) {
       console.error('Failed to connect to database. Exiting...');
       process.exit(1);
     }
 
+    // Brings the schema up to date before serving; an advisory lock keeps
+    // several instances starting together from migrating twice
+    await migrate();
+
     server.listen(PORT, () => {
       console.log('EventHive Server Started');
       console.log(`Server running on port ${PORT}`);
@@ -206,6 +283,15 @@ async function startServer() {
       console.log(`Health check: http://localhost:${PORT}/health`);
     });
 
+    // Publishes drafts once their scheduled time passes
+    startPublishScheduler();
+
+    // Emails the daily digest to users who want notifications collected
+    startDigestScheduler();
+
+    // Runs queued background jobs such as event reminders
+    startJobRunner();
+
     process.on('SIGTERM', () => {
       console.log('SIGTERM received, shutting down gracefully');
       server.close(() => {
@@ -0,0 +1,62 @@
+/**
+ * iCalendar parsing for imports (utils/ical.js): line unfolding, parameters
+ * and the conversion of local times with a TZID, across DST changes
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCalendar, parseCalendarDate, unescapeText } = require('../utils/ical');
+
+const parse = (value, TZID) => parseCalendarDate({ value, params: TZID ? { TZID } : {} });
+const iso = (value, TZID) => parse(value, TZID).date.toISOString();
+
+test('UTC times, floating times and all-day dates are read as UTC', () => {
+  assert.equal(iso('20250115T090000Z'), '2025-01-15T09:00:00.000Z');
+  assert.equal(iso('20250115T090000'), '2025-01-15T09:00:00.000Z');
+  assert.equal(iso('20250115'), '2025-01-15T00:00:00.000Z');
+});
+
+test('a TZID time uses the offset in force on that date', () => {
+  assert.equal(iso('20250115T090000', 'America/New_York'), '2025-01-15T14:00:00.000Z');
+  assert.equal(iso('20250715T090000', 'America/New_York'), '2025-07-15T13:00:00.000Z');
+  assert.equal(iso('20250115T190000', 'Europe/Berlin'), '2025-01-15T18:00:00.000Z');
+});
+
+test('times on the day of a DST change get the offset after the change', () => {
+  // The offset at the wall-clock instant read as UTC is still the old one here
+  assert.equal(iso('20250309T090000', 'America/New_York'), '2025-03-09T13:00:00.000Z');
+  assert.equal(iso('20251102T090000', 'America/New_York'), '2025-11-02T14:00:00.000Z');
+  assert.equal(iso('20250330T120000', 'Europe/Berlin'), '2025-03-30T10:00:00.000Z');
+});
+
+test('times before the change on the same day keep the old offset', () => {
+  assert.equal(iso('20250309T000000', 'America/New_York'), '2025-03-09T05:00:00.000Z');
+});
+
+test('unknown zones and malformed values are reported, not thrown', () => {
+  assert.deepEqual(parse('20250115T090000', 'Mars/Olympus'), { error: 'Unknown time zone "Mars/Olympus"' });
+  assert.deepEqual(parse('2025-01-15'), { error: 'Unrecognised date "2025-01-15"' });
+});
+
+test('parseCalendar unfolds lines and reads parameters of each VEVENT', () => {
+  const events = parseCalendar([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'SUMMARY:Quiz\\, night',
+    'DESCRIPTION:a long',
+    '  line',
+    'DTSTART;TZID=Europe/Berlin:20250115T190000',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+  ].join('\r\n'));
+
+  assert.equal(events.length, 1);
+  assert.equal(unescapeText(events[0].SUMMARY.value), 'Quiz, night');
+  assert.equal(events[0].DESCRIPTION.value, 'a long line');
+  assert.deepEqual(events[0].DTSTART, { value: '20250115T190000', params: { TZID: 'Europe/Berlin' } });
+});
+
+test('unescapeText undoes RFC 5545 text escapes', () => {
+  assert.equal(unescapeText('a\\, b\\; c\\nnext \\\\ back'), 'a, b; c\nnext \\ back');
+});
@@ -0,0 +1,106 @@
+/**
+ * The job runner (utils/jobs.js): handlers, retries with backoff and giving
+ * up after max_attempts. The database module is replaced by a recorder, so
+ * these check what the runner asks of the jobs table rather than the SQL itself.
+ */
+
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const connectionPath = path.join(__dirname, '..', 'database', 'connection.js');
+const statements = [];
+let claimable = [];
+
+require.cache[connectionPath] = {
+  id: connectionPath,
+  filename: connectionPath,
+  loaded: true,
+  exports: {
+    async query(text, params) {
+      statements.push({ text, params });
+      if (text.includes("SET status = 'running'")) {
+        const jobs = claimable.slice(0, params[2]);
+        claimable = claimable.slice(jobs.length);
+        return { rows: jobs, rowCount: jobs.length };
+      }
+      return { rows: [], rowCount: 1 };
+    }
+  }
+};
+
+const { registerJobHandler, runDueJobs } = require('../utils/jobs');
+
+const job = (overrides) => ({ id: 1, type: 'test', payload: {}, attempts: 1, max_attempts: 3, ...overrides });
+const outcomes = () => statements.filter(({ text }) => text.includes("locked_by = NULL"));
+
+beforeEach(() => {
+  statements.length = 0;
+  claimable = [];
+  // Failed attempts are logged, which is expected here
+  mock.method(console, 'error', () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+test('a job whose handler resolves is completed by the attempt that holds it', async () => {
+  const payloads = [];
+  const unregister = registerJobHandler('test', async (payload) => payloads.push(payload));
+  claimable = [job({ payload: { eventId: 4 }, attempts: 2 })];
+
+  assert.equal(await runDueJobs(), 1);
+  unregister();
+
+  assert.deepEqual(payloads, [{ eventId: 4 }]);
+  const [completion] = outcomes();
+  assert.match(completion.text, /SET status = 'completed'/);
+  assert.match(completion.text, /status = 'running' AND locked_by = \$2 AND attempts = \$3/);
+  assert.equal(completion.params[0], 1);
+  assert.equal(completion.params[2], 2);
+});
+
+test('a failed attempt goes back to pending with a doubling delay', async () => {
+  const unregister = registerJobHandler('test', async () => { throw new Error('boom'); });
+  claimable = [job({ id: 1, attempts: 1 }), job({ id: 2, attempts: 2 })];
+
+  await runDueJobs();
+  unregister();
+
+  const [first, second] = outcomes();
+  assert.deepEqual(first.params.slice(0, 4), [1, 'pending', 'boom', 30 * 1000]);
+  assert.deepEqual(second.params.slice(0, 4), [2, 'pending', 'boom', 60 * 1000]);
+});
+
+test('the last allowed attempt marks the job failed and keeps its run time', async () => {
+  const unregister = registerJobHandler('test', async () => { throw new Error('still broken'); });
+  claimable = [job({ attempts: 3, max_attempts: 3 })];
+
+  await runDueJobs();
+  unregister();
+
+  const [failure] = outcomes();
+  assert.deepEqual(failure.params.slice(0, 4), [1, 'failed', 'still broken', null]);
+});
+
+test('a job without a handler fails its attempt instead of stopping the runner', async () => {
+  claimable = [job({ type: 'unknown' }), job({ id: 2 })];
+  const ran = [];
+  const unregister = registerJobHandler('test', async () => ran.push(2));
+
+  assert.equal(await runDueJobs(), 2);
+  unregister();
+
+  const [missing] = outcomes();
+  assert.match(missing.params[2], /No handler registered for job type "unknown"/);
+  assert.deepEqual(ran, [2]);
+});
+
+test('due jobs are claimed in batches until a short batch', async () => {
+  const unregister = registerJobHandler('test', async () => {});
+  claimable = Array.from({ length: 23 }, (_, index) => job({ id: index + 1 }));
+
+  assert.equal(await runDueJobs(), 23);
+  unregister();
+
+  assert.equal(statements.filter(({ text }) => text.includes("SET status = 'running'")).length, 3);
+});
@@ -0,0 +1,63 @@
+/**
+ * Channel defaults per role and signed unsubscribe tokens
+ * (utils/notificationPreferences.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_LABELS,
+  resolveChannels,
+  describePreferences,
+  issueUnsubscribeToken,
+  verifyUnsubscribeToken
+} = require('../utils/notificationPreferences');
+
+test('an unsubscribe token names the user, channel and type it was issued for', () => {
+  const token = issueUnsubscribeToken(7, 'email', NOTIFICATION_TYPES.EVENT_UPDATED);
+  assert.deepEqual(verifyUnsubscribeToken(token), { userId: 7, channel: 'email', type: 'event_updated' });
+});
+
+test('a digest token covers every type', () => {
+  assert.deepEqual(verifyUnsubscribeToken(issueUnsubscribeToken(7, 'digest')), { userId: 7, channel: 'digest', type: null });
+});
+
+test('tokens for the wrong channel, an unknown type or no type outside the digest are refused', () => {
+  assert.equal(verifyUnsubscribeToken(issueUnsubscribeToken(7, 'in_app', 'event_updated')), null);
+  assert.equal(verifyUnsubscribeToken(issueUnsubscribeToken(7, 'email', 'not_a_type')), null);
+  assert.equal(verifyUnsubscribeToken(issueUnsubscribeToken(7, 'email')), null);
+});
+
+test('login tokens, tampered tokens and garbage are refused', () => {
+  const loginToken = jwt.sign({ userId: 7, channel: 'digest', type: null }, process.env.JWT_SECRET);
+  const [header, , signature] = issueUnsubscribeToken(7, 'digest').split('.');
+  const forgedPayload = Buffer.from(JSON.stringify({ userId: 8, channel: 'digest', type: null, aud: 'eventhive-unsubscribe' })).toString('base64url');
+
+  assert.equal(verifyUnsubscribeToken(loginToken), null);
+  assert.equal(verifyUnsubscribeToken(`${header}.${forgedPayload}.${signature}`), null);
+  assert.equal(verifyUnsubscribeToken('garbage'), null);
+  assert.equal(verifyUnsubscribeToken(undefined), null);
+});
+
+test('stored overrides apply on top of the role defaults', () => {
+  assert.deepEqual(resolveChannels('student', 'event_updated'), { in_app: true, email: true, digest: false });
+  assert.deepEqual(
+    resolveChannels('student', 'event_updated', { event_updated: { email: false, digest: true } }),
+    { in_app: true, email: false, digest: true }
+  );
+});
+
+test('organizers and admins see every type, students all but new registrations', () => {
+  const allTypes = Object.keys(NOTIFICATION_TYPE_LABELS).sort();
+  const typesOf = (role) => describePreferences(role).map(preference => preference.type).sort();
+
+  assert.deepEqual(typesOf('organizer'), allTypes);
+  assert.deepEqual(typesOf('admin'), allTypes);
+  assert.deepEqual(typesOf('student'), allTypes.filter(type => type !== 'registration_received'));
+  assert.deepEqual(resolveChannels('organizer', 'registration_received'), { in_app: true, email: false, digest: true });
+});
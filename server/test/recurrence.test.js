@@ -0,0 +1,48 @@
+/**
+ * Expansion of series rules into occurrence dates (utils/recurrence.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_OCCURRENCES, generateOccurrences, toDateKey } = require('../utils/recurrence');
+
+const keys = ({ dates }) => dates.map(toDateKey);
+
+test('weekly rules step by the interval and stop after count', () => {
+  const result = generateOccurrences('2025-01-06T18:00:00Z', { frequency: 'weekly', interval: 2, count: 3 });
+
+  assert.deepEqual(keys(result), ['2025-01-06', '2025-01-20', '2025-02-03']);
+  assert.equal(result.dates[2].toISOString(), '2025-02-03T18:00:00.000Z');
+  assert.equal(result.truncated, false);
+});
+
+test('until is inclusive', () => {
+  const result = generateOccurrences('2025-01-01T09:00:00Z', { frequency: 'daily', until: '2025-01-03T09:00:00Z' });
+  assert.deepEqual(keys(result), ['2025-01-01', '2025-01-02', '2025-01-03']);
+});
+
+test('monthly rules on the 31st fall on the last day of shorter months without drifting', () => {
+  const result = generateOccurrences('2025-01-31T12:00:00Z', { frequency: 'monthly', count: 4 });
+  assert.deepEqual(keys(result), ['2025-01-31', '2025-02-28', '2025-03-31', '2025-04-30']);
+});
+
+test('exception dates are skipped and still use up the count', () => {
+  const result = generateOccurrences('2025-01-01T09:00:00Z', {
+    frequency: 'daily',
+    count: 4,
+    exception_dates: ['2025-01-02']
+  });
+
+  assert.deepEqual(keys(result), ['2025-01-01', '2025-01-03', '2025-01-04']);
+});
+
+test('open-ended rules stop at the cap and say so', () => {
+  const result = generateOccurrences('2025-01-01T09:00:00Z', { frequency: 'daily' });
+
+  assert.equal(result.dates.length, MAX_OCCURRENCES);
+  assert.equal(result.truncated, true);
+});
+
+test('unknown frequencies are refused', () => {
+  assert.throws(() => generateOccurrences('2025-01-01', { frequency: 'yearly', count: 2 }), /Unsupported recurrence frequency/);
+});
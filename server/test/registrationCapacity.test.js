@@ -0,0 +1,178 @@
+/**
+ * Seat capacity under concurrent approvals
+ * Fires hundreds of parallel single and bulk approvals at one event and checks
+ * that approved_count never passes max_attendees and always matches the
+ * approved rows. Needs a real PostgreSQL database: it uses the DB_* settings
+ * with DB_NAME taken from TEST_DB_NAME (default campus_events_test), applies
+ * the migrations there and leaves its rows behind under unique names. The
+ * suite is skipped when that database cannot be reached.
+ */
+
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.DB_NAME = process.env.TEST_DB_NAME || 'campus_events_test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.DB_LOG_QUERIES = 'false';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { query, testConnection, closePool } = require('../database/connection');
+const { migrate } = require('../database/migrate');
+const registrationRoutes = require('../routes/registrations');
+
+const STUDENT_COUNT = 300;
+const MAX_ATTENDEES = 40;
+
+let server;
+let baseUrl;
+let organizerToken;
+let eventId;
+let registrationIds;
+
+async function createUser(role, label) {
+  const name = `${label}_${crypto.randomBytes(6).toString('hex')}`;
+  const userResult = await query(
+    `INSERT INTO users (username, email, password_hash, role, email_verified_at)
+     VALUES ($1, $2, 'not-a-real-hash', $3, CURRENT_TIMESTAMP)
+     RETURNING id`,
+    [name, `${name}@example.com`, role]
+  );
+  const userId = userResult.rows[0].id;
+
+  const sessionResult = await query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, expires_at)
+     VALUES ($1, $2, NOW() + INTERVAL '1 day')
+     RETURNING id`,
+    [userId, crypto.randomBytes(32).toString('hex')]
+  );
+
+  return {
+    id: userId,
+    token: jwt.sign(
+      { userId, username: name, role, sessionId: sessionResult.rows[0].id },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h' }
+    )
+  };
+}
+
+const request = async (method, path, body) => {
+  const response = await fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${organizerToken}` },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+async function readCounts() {
+  const result = await query(
+    `SELECT e.max_attendees, e.approved_count,
+            (SELECT COUNT(*) FROM registrations r WHERE r.event_id = e.id AND r.status = 'approved')::int AS approved_rows
+     FROM events e
+     WHERE e.id = $1`,
+    [eventId]
+  );
+  return result.rows[0];
+}
+
+const assertSeatsConsistent = (counts) => {
+  assert.ok(counts.approved_count <= counts.max_attendees,
+    `approved_count ${counts.approved_count} is over max_attendees ${counts.max_attendees}`);
+  assert.equal(counts.approved_rows, counts.approved_count);
+};
+
+async function setUp() {
+  await migrate();
+
+  const organizer = await createUser('organizer', 'organizer');
+  organizerToken = organizer.token;
+
+  const eventResult = await query(
+    `INSERT INTO events (title, description, date, location, max_attendees, created_by)
+     VALUES ('Capacity test', '', NOW() + INTERVAL '7 days', 'Hall', $1, $2)
+     RETURNING id`,
+    [MAX_ATTENDEES, organizer.id]
+  );
+  eventId = eventResult.rows[0].id;
+
+  const students = [];
+  for (let i = 0; i < STUDENT_COUNT; i++) {
+    students.push(await createUser('student', 'student'));
+  }
+
+  const registrationResult = await query(
+    `INSERT INTO registrations (event_id, user_id, status)
+     SELECT $1, UNNEST($2::int[]), 'pending'
+     RETURNING id`,
+    [eventId, students.map(student => student.id)]
+  );
+  registrationIds = registrationResult.rows.map(row => row.id);
+
+  const app = express();
+  app.use(express.json());
+  app.use('/api/registrations', registrationRoutes);
+  server = await new Promise(resolve => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/registrations`;
+}
+
+async function tearDown() {
+  if (server) server.close();
+  await closePool();
+}
+
+// Suites can only be skipped when they are declared, so the database is tried first
+testConnection().then(async (connected) => {
+  if (!connected) await closePool();
+
+  describe('seat capacity', { skip: !connected && `no test database ${process.env.DB_NAME} to connect to` }, () => {
+    before(setUp);
+    after(tearDown);
+
+    test('parallel single and bulk approvals never pass the seat limit', async () => {
+      // Every registration is approved one by one, and overlapping slices in bulk
+      const bulkSlices = [];
+      for (let start = 0; start < STUDENT_COUNT; start += 25) {
+        bulkSlices.push(registrationIds.slice(start, start + 50));
+      }
+
+      const responses = await Promise.all([
+        ...registrationIds.map(id => request('PUT', `/${id}/status`, { status: 'approved' })),
+        ...bulkSlices.map(ids => request('PUT', '/bulk-status', { registration_ids: ids, status: 'approved' }))
+      ]);
+
+      assert.deepEqual(responses.filter(response => response.status !== 200), []);
+
+      const counts = await readCounts();
+      assertSeatsConsistent(counts);
+      assert.equal(counts.approved_count, MAX_ATTENDEES);
+    });
+
+    test('rejections racing approvals keep the count in step with the rows', async () => {
+      const approvedResult = await query(
+        `SELECT id FROM registrations WHERE event_id = $1 AND status = 'approved' ORDER BY id`,
+        [eventId]
+      );
+      const approvedIds = approvedResult.rows.map(row => row.id);
+      const otherIds = registrationIds.filter(id => !approvedIds.includes(id));
+
+      // Freed seats are promoted from the waitlist while other approvals compete for them
+      const responses = await Promise.all([
+        ...approvedIds.slice(0, 20).map(id => request('PUT', `/${id}/status`, { status: 'rejected' })),
+        request('PUT', '/bulk-status', { registration_ids: approvedIds.slice(20, 30), status: 'rejected' }),
+        ...otherIds.map(id => request('PUT', `/${id}/status`, { status: 'approved' })),
+        request('PUT', '/bulk-status', { registration_ids: otherIds.slice(0, 100), status: 'approved' })
+      ]);
+
+      assert.deepEqual(responses.filter(response => response.status !== 200), []);
+
+      const counts = await readCounts();
+      assertSeatsConsistent(counts);
+      assert.equal(counts.approved_count, MAX_ATTENDEES);
+    });
+  });
+});
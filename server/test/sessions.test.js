@@ -0,0 +1,138 @@
+/**
+ * Refresh token rotation and reuse detection (utils/sessions.js), against an
+ * in-memory stand-in for the sessions table
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const { signAccessToken, createSession, rotateSession, revokeUserSessions } = require('../utils/sessions');
+const { DOMAIN_EVENTS, subscribe } = require('../utils/eventBus');
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const req = { ip: '127.0.0.1', get: () => 'test-agent' };
+
+// Answers the handful of statements sessions.js sends, keyed on their shape
+function fakeSessionsTable() {
+  const sessions = [];
+  let nextId = 1;
+  let now = Date.now();
+
+  const db = {
+    sessions,
+    advance: (seconds) => { now += seconds * 1000; },
+    async query(text, params) {
+      if (text.startsWith('INSERT INTO sessions')) {
+        const session = { id: nextId++, user_id: params[0], refresh_token_hash: params[1], previous_token_hash: null, rotated_at: null, revoked_at: null };
+        sessions.push(session);
+        return { rows: [{ id: session.id }], rowCount: 1 };
+      }
+      if (text.includes('WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()')) {
+        const rows = sessions.filter(s => s.refresh_token_hash === params[0] && !s.revoked_at);
+        return { rows, rowCount: rows.length };
+      }
+      if (text.includes('WHERE previous_token_hash = $1 AND revoked_at IS NULL')) {
+        const rows = sessions
+          .filter(s => s.previous_token_hash === params[0] && !s.revoked_at)
+          .map(s => ({ id: s.id, within_grace: now - s.rotated_at <= params[1] * 1000 }));
+        return { rows, rowCount: rows.length };
+      }
+      if (text.includes('SET previous_token_hash = refresh_token_hash')) {
+        const session = sessions.find(s => s.id === params[0]);
+        Object.assign(session, { previous_token_hash: session.refresh_token_hash, refresh_token_hash: params[1], rotated_at: now });
+        return { rows: [], rowCount: 1 };
+      }
+      if (text.includes('SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1')) {
+        const rows = sessions.filter(s => s.id === params[0] && !s.revoked_at);
+        rows.forEach(s => { s.revoked_at = now; });
+        return { rows: rows.map(s => ({ id: s.id })), rowCount: rows.length };
+      }
+      if (text.includes('WHERE user_id = $1 AND revoked_at IS NULL')) {
+        const rows = sessions.filter(s => s.user_id === params[0] && !s.revoked_at && s.id !== params[1]);
+        rows.forEach(s => { s.revoked_at = now; });
+        return { rows: rows.map(s => ({ id: s.id })), rowCount: rows.length };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    }
+  };
+
+  return db;
+}
+
+test('access tokens name the user and their session', () => {
+  const payload = jwt.verify(signAccessToken({ id: 3, username: 'ada', role: 'student' }, 12), process.env.JWT_SECRET);
+  assert.equal(payload.userId, 3);
+  assert.equal(payload.sessionId, 12);
+  assert.equal(payload.role, 'student');
+});
+
+test('only the hash of a refresh token is stored', async () => {
+  const db = fakeSessionsTable();
+  const { refreshToken } = await createSession(db, 3, req);
+
+  assert.equal(db.sessions[0].refresh_token_hash, hash(refreshToken));
+});
+
+test('each refresh swaps the token and the new one works', async () => {
+  const db = fakeSessionsTable();
+  const { sessionId, refreshToken } = await createSession(db, 3, req);
+
+  const first = await rotateSession(db, refreshToken, req);
+  assert.equal(first.sessionId, sessionId);
+  assert.equal(first.userId, 3);
+  assert.notEqual(first.refreshToken, refreshToken);
+
+  const second = await rotateSession(db, first.refreshToken, req);
+  assert.equal(second.sessionId, sessionId);
+  assert.equal(db.sessions[0].revoked_at, null);
+});
+
+test('the replaced token used again within the grace period is told to retry', async () => {
+  const db = fakeSessionsTable();
+  const { refreshToken } = await createSession(db, 3, req);
+  await rotateSession(db, refreshToken, req);
+
+  db.advance(5);
+  assert.deepEqual(await rotateSession(db, refreshToken, req), { superseded: true });
+  assert.equal(db.sessions[0].revoked_at, null);
+});
+
+test('the replaced token used again later is taken as stolen and ends the session', async () => {
+  const db = fakeSessionsTable();
+  const { sessionId, refreshToken } = await createSession(db, 3, req);
+  const rotated = await rotateSession(db, refreshToken, req);
+
+  const revoked = [];
+  const unsubscribe = subscribe(DOMAIN_EVENTS.SESSIONS_REVOKED, ({ sessionIds }) => revoked.push(...sessionIds));
+
+  db.advance(60);
+  assert.equal(await rotateSession(db, refreshToken, req), null);
+  assert.notEqual(db.sessions[0].revoked_at, null);
+  assert.equal(await rotateSession(db, rotated.refreshToken, req), null);
+
+  await new Promise(resolve => setImmediate(resolve));
+  unsubscribe();
+  assert.deepEqual(revoked, [sessionId]);
+});
+
+test('unknown tokens are refused without touching any session', async () => {
+  const db = fakeSessionsTable();
+  await createSession(db, 3, req);
+
+  assert.equal(await rotateSession(db, 'not-a-token', req), null);
+  assert.equal(db.sessions[0].revoked_at, null);
+});
+
+test('signing out everywhere can keep the current session', async () => {
+  const db = fakeSessionsTable();
+  const current = await createSession(db, 3, req);
+  await createSession(db, 3, req);
+  await createSession(db, 4, req);
+
+  assert.equal(await revokeUserSessions(db, 3, { exceptSessionId: current.sessionId }), 1);
+  assert.deepEqual(db.sessions.map(s => s.revoked_at !== null), [false, true, false]);
+});
@@ -0,0 +1,65 @@
+/**
+ * CSV writing and parsing, and the XLSX zip container (utils/spreadsheet.js)
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { toCsvRow, parseCsv, buildXlsx } = require('../utils/spreadsheet');
+
+test('text that starts like a formula is prefixed so spreadsheets do not evaluate it', () => {
+  assert.equal(
+    toCsvRow(['=SUM(A1:A9)', '+1', '-2', '@cmd', '\tx', '\rx']),
+    "'=SUM(A1:A9),'+1,'-2,'@cmd,'\tx,\"'\rx\"\r\n"
+  );
+});
+
+test('numbers are written as they are, negative ones included', () => {
+  assert.equal(toCsvRow([-5, 0, 3.5]), '-5,0,3.5\r\n');
+});
+
+test('commas, quotes and line breaks are quoted; null is empty and dates are ISO', () => {
+  assert.equal(
+    toCsvRow(['a,b', 'he said "hi"', 'line\nbreak', null, undefined, new Date(0)]),
+    '"a,b","he said ""hi""","line\nbreak",,,1970-01-01T00:00:00.000Z\r\n'
+  );
+});
+
+test('parseCsv reads quoted fields, doubled quotes, mixed line endings and a byte order mark', () => {
+  assert.deepEqual(
+    parseCsv('﻿a,"b,c","d""e"\r\n"multi\nline",x\nlast,'),
+    [['a', 'b,c', 'd"e'], ['multi\nline', 'x'], ['last', '']]
+  );
+});
+
+test('parseCsv reads back what toCsvRow writes', () => {
+  const rows = [['name', 'note'], ['Ada', 'likes "quotes", commas\r\nand lines']];
+  assert.deepEqual(parseCsv(rows.map(toCsvRow).join('')), rows);
+});
+
+// Finds an entry in the zip by walking its local headers
+function readZipEntry(zip, name) {
+  let offset = 0;
+  while (zip.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = zip.readUInt32LE(offset + 18);
+    const nameLength = zip.readUInt16LE(offset + 26);
+    const entryName = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const dataStart = offset + 30 + nameLength;
+
+    if (entryName === name) {
+      return zlib.inflateRawSync(zip.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+    }
+    offset = dataStart + compressedSize;
+  }
+  return null;
+}
+
+test('buildXlsx zips a sheet with numbers, escaped inline strings and no control characters', () => {
+  const zip = buildXlsx([['Name', 'Seats'], ['<Tom & "Jerry">\u0007', 12], [null, 3]]);
+  const sheet = readZipEntry(zip, 'xl/worksheets/sheet1.xml');
+
+  assert.ok(sheet, 'the workbook has a first sheet');
+  assert.match(sheet, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">&lt;Tom &amp; &quot;Jerry&quot;&gt;<\/t><\/is><\/c>/);
+  assert.match(sheet, /<c r="B2"><v>12<\/v><\/c>/);
+  assert.match(sheet, /<row r="3"><c r="B3"><v>3<\/v><\/c><\/row>/);
+});
@@ -0,0 +1,81 @@
+/**
+ * Waitlist promotion (utils/waitlist.js): who moves up and how each promotion
+ * is logged and announced. The transaction is an in-memory recorder.
+ */
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { hasFreeSeat, promoteFromWaitlist, recordPromotions } = require('../utils/waitlist');
+const { DOMAIN_EVENTS, subscribe } = require('../utils/eventBus');
+
+function fakeTransaction(rows = []) {
+  const afterCommit = [];
+  const tx = {
+    statements: [],
+    async query(text, params) {
+      tx.statements.push({ text, params });
+      return { rows, rowCount: rows.length };
+    },
+    afterCommit: (fn) => afterCommit.push(fn),
+    commit: () => afterCommit.forEach(fn => fn())
+  };
+  return tx;
+}
+
+const req = { user: { id: 9, username: 'organizer' }, ip: '127.0.0.1', get: () => 'test-agent' };
+
+test('an event has a free seat until approvals reach max_attendees', () => {
+  assert.equal(hasFreeSeat({ approved_count: 9, max_attendees: 10 }), true);
+  assert.equal(hasFreeSeat({ approved_count: 10, max_attendees: 10 }), false);
+  assert.equal(hasFreeSeat({ approved_count: 11, max_attendees: 10 }), false);
+});
+
+test('promotion takes the oldest waitlisted first, only as many as there are free seats', async () => {
+  const tx = fakeTransaction([{ id: 5, event_id: 2, user_id: 30, status: 'approved' }]);
+
+  const promoted = await promoteFromWaitlist(tx, 2);
+
+  assert.deepEqual(promoted, [{ id: 5, event_id: 2, user_id: 30, status: 'approved' }]);
+  const [{ text, params }] = tx.statements;
+  assert.deepEqual(params, [2]);
+  assert.match(text, /ORDER BY waitlisted_at, id/);
+  assert.match(text, /GREATEST\(\(SELECT max_attendees - approved_count FROM events WHERE id = \$1 AND cancelled_at IS NULL\), 0\)/);
+});
+
+test('each promotion is audited under the request that caused it and announced after commit', async () => {
+  const tx = fakeTransaction();
+  const announced = [];
+  const unsubscribe = subscribe(DOMAIN_EVENTS.REGISTRATION_STATUS_CHANGED, (change) => announced.push(change));
+
+  await recordPromotions(tx, req, [
+    { id: 5, event_id: 2, user_id: 30, status: 'approved' },
+    { id: 6, event_id: 2, user_id: 31, status: 'approved' }
+  ]);
+
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(announced, [], 'nothing is announced before the transaction commits');
+
+  tx.commit();
+  await new Promise(resolve => setImmediate(resolve));
+  unsubscribe();
+
+  assert.deepEqual(announced.map(({ registrationId, userId, previousStatus, status, updatedBy }) =>
+    ({ registrationId, userId, previousStatus, status, updatedBy })), [
+    { registrationId: 5, userId: 30, previousStatus: 'waitlisted', status: 'approved', updatedBy: 'organizer' },
+    { registrationId: 6, userId: 31, previousStatus: 'waitlisted', status: 'approved', updatedBy: 'organizer' }
+  ]);
+
+  const audits = tx.statements.map(({ params }) => params);
+  assert.deepEqual(audits.map(params => params.slice(0, 4)), [
+    [9, 'registration.promoted', 'registration', 5],
+    [9, 'registration.promoted', 'registration', 6]
+  ]);
+  assert.deepEqual(JSON.parse(audits[0][4]), { status: { from: 'waitlisted', to: 'approved' } });
+});
+
+test('promotions made outside a request have no actor', async () => {
+  const tx = fakeTransaction();
+  await recordPromotions(tx, null, [{ id: 5, event_id: 2, user_id: 30, status: 'approved' }]);
+
+  assert.equal(tx.statements[0].params[0], null);
+});
@@ -0,0 +1,76 @@
+/**
+ * Audit log
+ * Records who did what to which record, with a field-by-field diff of the
+ * change. Pass the transaction that makes the change so the entry is only
+ * kept if the change is. The table itself rejects updates and deletes.
+ */
+
+// Never copied into the log, only noted as changed
+const REDACTED_FIELDS = new Set(['password_hash', 'token_hash', 'refresh_token_hash', 'previous_token_hash']);
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+// JSON round-trip so dates and nested values compare the way they are stored
+const normalize = (value) => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * { field: { from, to } } for every field that differs between two versions of
+ * a record. `before` is null for creations and `after` is null for deletions;
+ * when both are given only the fields they share are compared, so either may
+ * be a partial snapshot.
+ */
+function diffRecords(before, after) {
+  const changes = {};
+  const fields = before && after
+    ? Object.keys(before).filter(field => field in after)
+    : Object.keys(before || after || {});
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.has(field)
+      ? { from: '[redacted]', to: '[redacted]' }
+      : { from, to };
+  }
+
+  return changes;
+}
+
+/**
+ * `actorId` defaults to the signed-in user; routes without one (login,
+ * password reset) pass the account the action was taken for. Work the server
+ * does on its own, such as scheduled publishing, passes req as null.
+ */
+async function recordAudit(db, req, {
+  action,
+  targetType,
+  targetId = null,
+  before = null,
+  after = null,
+  details = {},
+  actorId
+}) {
+  const actor = actorId !== undefined ? actorId : (req && req.user ? req.user.id : null);
+
+  await db.query(
+    `INSERT INTO audit_log (actor_id, action, target_type, target_id, changes, details, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      actor,
+      action,
+      targetType,
+      targetId,
+      JSON.stringify(diffRecords(before, after)),
+      JSON.stringify(details),
+      req ? req.ip : null,
+      req ? (req.get('user-agent') || '').slice(0, 500) || null : null
+    ]
+  );
+}
+
+module.exports = { recordAudit };
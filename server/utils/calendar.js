@@ -0,0 +1,34 @@
+/**
+ * Calendar feed helpers
+ * When an event leaves someone's feed (deleted, or their registration is no
+ * longer approved) a tombstone is kept so the feed can publish it as
+ * STATUS:CANCELLED with a bumped SEQUENCE instead of silently dropping it.
+ */
+
+// How long cancelled events keep appearing in feeds
+const CANCELLATION_RETENTION_DAYS = 90;
+
+// Call before deleting the event or changing the registrations
+async function recordCalendarCancellations(tx, eventId, userIds) {
+  if (userIds.length === 0) return;
+
+  await tx.query(
+    `INSERT INTO calendar_cancellations (user_id, event_id, title, date, location, sequence)
+     SELECT u.user_id, e.id, e.title, e.date, e.location, e.sequence + 1
+     FROM events e
+     CROSS JOIN unnest($2::int[]) AS u(user_id)
+     WHERE e.id = $1
+     ON CONFLICT (user_id, event_id) DO UPDATE
+     SET title = EXCLUDED.title,
+         date = EXCLUDED.date,
+         location = EXCLUDED.location,
+         sequence = EXCLUDED.sequence,
+         cancelled_at = CURRENT_TIMESTAMP`,
+    [eventId, userIds]
+  );
+}
+
+module.exports = {
+  CANCELLATION_RETENTION_DAYS,
+  recordCalendarCancellations
+};
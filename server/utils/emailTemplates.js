@@ -0,0 +1,221 @@
+/**
+ * Subject and bodies of the emails the server sends
+ * Each template returns { subject, text, html } for utils/mailer.
+ */
+
+const CLIENT_URL = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+function passwordResetEmail({ username, token, expiresInMinutes }) {
+  const resetUrl = `${CLIENT_URL}/reset-password?token=${token}`;
+
+  return {
+    subject: 'Reset your EventHive password',
+    text: [
+      `Hi ${username},`,
+      '',
+      'Someone asked to reset the password for your EventHive account.',
+      `Open this link within ${expiresInMinutes} minutes to choose a new password:`,
+      '',
+      resetUrl,
+      '',
+      'If this was not you, ignore this email - your password will not change.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Someone asked to reset the password for your EventHive account.
+      Open this link within ${expiresInMinutes} minutes to choose a new password:</p>
+      <p><a href="${resetUrl}">Reset password</a></p>
+      <p>If this was not you, ignore this email - your password will not change.</p>
+    `
+  };
+}
+
+// Sent when an administrator requires a new password; the old one no longer works
+function forcedPasswordResetEmail({ username, token, expiresInMinutes }) {
+  const resetUrl = `${CLIENT_URL}/reset-password?token=${token}`;
+  const expiresInHours = Math.round(expiresInMinutes / 60);
+
+  return {
+    subject: 'Choose a new EventHive password',
+    text: [
+      `Hi ${username},`,
+      '',
+      'An EventHive administrator has reset your password, and you have been signed out everywhere.',
+      `Open this link within ${expiresInHours} hours to choose a new password:`,
+      '',
+      resetUrl,
+      '',
+      'If the link has expired, use "Forgot password?" on the sign-in page to get a new one.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>An EventHive administrator has reset your password, and you have been signed out everywhere.
+      Open this link within ${expiresInHours} hours to choose a new password:</p>
+      <p><a href="${resetUrl}">Choose a new password</a></p>
+      <p>If the link has expired, use "Forgot password?" on the sign-in page to get a new one.</p>
+    `
+  };
+}
+
+function emailVerificationEmail({ username, token }) {
+  const verifyUrl = `${CLIENT_URL}/verify-email?token=${token}`;
+
+  return {
+    subject: 'Verify your EventHive email address',
+    text: [
+      `Hi ${username},`,
+      '',
+      'Welcome to EventHive! Confirm your email address to start registering for events:',
+      '',
+      verifyUrl,
+      '',
+      'The link is valid for 24 hours.'
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Welcome to EventHive! Confirm your email address to start registering for events:</p>
+      <p><a href="${verifyUrl}">Verify email address</a></p>
+      <p>The link is valid for 24 hours.</p>
+    `
+  };
+}
+
+function organizerRequestDecisionEmail({ username, clubName, approved, note }) {
+  const outcome = approved
+    ? `Your request to organize events for ${clubName} has been approved. You can now create events from your dashboard:`
+    : `Your request to organize events for ${clubName} was not approved.`;
+  const dashboardUrl = `${CLIENT_URL}/dashboard`;
+
+  return {
+    subject: approved ? 'You are now an EventHive organizer' : 'Your EventHive organizer request',
+    text: [
+      `Hi ${username},`,
+      '',
+      outcome,
+      ...(approved ? ['', dashboardUrl] : []),
+      ...(note ? ['', `Note from the reviewer: ${note}`] : [])
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>${escapeHtml(outcome)}</p>
+      ${approved ? `<p><a href="${dashboardUrl}">Open your dashboard</a></p>` : ''}
+      ${note ? `<p>Note from the reviewer: ${escapeHtml(note)}</p>` : ''}
+    `
+  };
+}
+
+// One email per student, covering every occurrence of theirs that was cancelled
+function eventCancelledEmail({ username, title, dates, reason }) {
+  const formattedDates = dates.map(date => new Date(date).toLocaleString('en-US', {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }));
+  const registrationsUrl = `${CLIENT_URL}/my-registrations`;
+
+  return {
+    subject: `Cancelled: ${title}`,
+    text: [
+      `Hi ${username},`,
+      '',
+      `"${title}" has been cancelled by the organizer. You were registered for:`,
+      '',
+      ...formattedDates.map(date => `- ${date}`),
+      '',
+      `Reason: ${reason}`,
+      '',
+      `Your registrations: ${registrationsUrl}`
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>"${escapeHtml(title)}" has been cancelled by the organizer. You were registered for:</p>
+      <ul>${formattedDates.map(date => `<li>${escapeHtml(date)}</li>`).join('')}</ul>
+      <p>Reason: ${escapeHtml(reason)}</p>
+      <p><a href="${registrationsUrl}">View your registrations</a></p>
+    `
+  };
+}
+
+// Any notification without an email of its own
+function notificationEmail({ username, title, message, eventId }) {
+  const linkUrl = eventId ? `${CLIENT_URL}/events/${eventId}` : CLIENT_URL;
+
+  return {
+    subject: title,
+    text: [
+      `Hi ${username},`,
+      '',
+      message,
+      '',
+      linkUrl
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>${escapeHtml(message)}</p>
+      <p><a href="${linkUrl}">${eventId ? 'View event' : 'Open EventHive'}</a></p>
+    `
+  };
+}
+
+// One email with everything collected for the digest, oldest first
+function notificationDigestEmail({ username, notifications }) {
+  return {
+    subject: `Your EventHive digest: ${notifications.length} update${notifications.length === 1 ? '' : 's'}`,
+    text: [
+      `Hi ${username},`,
+      '',
+      'Here is what happened since your last digest:',
+      '',
+      ...notifications.map(notification => `- ${notification.message}`)
+    ].join('\n'),
+    html: `
+      <p>Hi ${escapeHtml(username)},</p>
+      <p>Here is what happened since your last digest:</p>
+      <ul>${notifications.map(notification => `<li>${escapeHtml(notification.message)}</li>`).join('')}</ul>
+    `
+  };
+}
+
+// Appends the unsubscribe link and a pointer to the preferences page
+function withUnsubscribeLink(email, { token, reason }) {
+  const unsubscribeUrl = `${CLIENT_URL}/unsubscribe?token=${encodeURIComponent(token)}`;
+  const preferencesUrl = `${CLIENT_URL}/profile`;
+
+  return {
+    ...email,
+    text: [
+      email.text,
+      '',
+      '--',
+      `${reason} Unsubscribe: ${unsubscribeUrl}`,
+      `All notification settings: ${preferencesUrl}`
+    ].join('\n'),
+    html: `${email.html}
+      <hr>
+      <p style="font-size: 12px; color: #6b7280;">
+        ${escapeHtml(reason)} <a href="${unsubscribeUrl}">Unsubscribe</a>
+        or <a href="${preferencesUrl}">change your notification settings</a>.
+      </p>
+    `
+  };
+}
+
+module.exports = {
+  passwordResetEmail,
+  forcedPasswordResetEmail,
+  emailVerificationEmail,
+  organizerRequestDecisionEmail,
+  eventCancelledEmail,
+  notificationEmail,
+  notificationDigestEmail,
+  withUnsubscribeLink
+};
@@ -0,0 +1,66 @@
+/**
+ * Domain event bus
+ * Routes publish what happened (an event was published, a registration was
+ * approved, ...) and subscribers decide who hears about it; utils/realtime.js
+ * turns these into Socket.IO messages. Clients never publish here.
+ */
+
+const { EventEmitter } = require('events');
+
+const DOMAIN_EVENTS = {
+  EVENTS_PUBLISHED: 'events.published',
+  EVENT_UPDATED: 'event.updated',
+  EVENT_CANCELLED: 'event.cancelled',
+  REGISTRATION_CREATED: 'registration.created',
+  REGISTRATION_STATUS_CHANGED: 'registration.status_changed',
+  REGISTRATION_WITHDRAWN: 'registration.withdrawn',
+  REGISTRATION_CHECKED_IN: 'registration.checked_in',
+  ORGANIZER_REQUEST_REVIEWED: 'organizer_request.reviewed',
+  NOTIFICATIONS_CREATED: 'notifications.created',
+  NOTIFICATIONS_READ: 'notifications.read',
+  SESSIONS_REVOKED: 'sessions.revoked',
+  USER_ACCESS_CHANGED: 'user.access_changed'
+};
+
+const bus = new EventEmitter();
+
+function emitSafely(name, payload) {
+  try {
+    bus.emit(name, payload);
+  } catch (error) {
+    console.error(`Domain event ${name} error:`, error);
+  }
+}
+
+// Inside withTransaction pass tx, so nothing is announced unless the
+// transaction commits; otherwise pass null to publish straight away.
+function publish(db, name, payload) {
+  const event = { ...payload, occurredAt: new Date().toISOString() };
+
+  if (db && db.afterCommit) {
+    db.afterCommit(() => emitSafely(name, event));
+  } else {
+    emitSafely(name, event);
+  }
+}
+
+// Async handlers are allowed; their failures are logged rather than thrown.
+// Returns a function that unsubscribes the handler.
+function subscribe(name, handler) {
+  const listener = (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch(error => {
+        console.error(`Domain event ${name} handler error:`, error);
+      });
+  };
+
+  bus.on(name, listener);
+  return () => bus.off(name, listener);
+}
+
+module.exports = {
+  DOMAIN_EVENTS,
+  publish,
+  subscribe
+};
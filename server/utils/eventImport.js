@@ -0,0 +1,197 @@
+/**
+ * Event imports
+ * A CSV file (one event per row, headed by IMPORT_COLUMNS) or an .ics file is
+ * read into rows of text values, which are then validated one by one against
+ * eventSchema so the preview can list every problem in the file at once.
+ */
+
+const { eventSchema } = require('./validation');
+const { parseCsv, toCsvRow } = require('./spreadsheet');
+const { unescapeText, parseCalendar, parseCalendarDate } = require('./ical');
+
+const IMPORT_COLUMNS = [
+  'title', 'description', 'date', 'location', 'max_attendees', 'category', 'tags', 'draft', 'publish_at'
+];
+const REQUIRED_COLUMNS = ['title', 'date'];
+
+const MAX_IMPORT_ROWS = 200;
+
+// The example row is dated a month ahead so it passes validation as is
+function buildImportTemplate() {
+  const exampleDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  exampleDate.setUTCHours(18, 0, 0, 0);
+
+  return toCsvRow(IMPORT_COLUMNS) + toCsvRow([
+    'Welcome Week Social',
+    'Meet the student union committee',
+    exampleDate.toISOString(),
+    'Student Union Hall',
+    '150',
+    'Social',
+    'welcome week; free food',
+    'no',
+    ''
+  ]);
+}
+
+// Rows are numbered as a spreadsheet shows them, so the header is row 1
+function readCsvRows(content) {
+  const [header, ...records] = parseCsv(content);
+  if (!header) {
+    return { error: 'The file is empty' };
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    return { error: `The file is missing the ${missing.join(' and ')} column${missing.length > 1 ? 's' : ''}` };
+  }
+
+  const rows = [];
+  records.forEach((record, index) => {
+    if (record.every(field => field.trim() === '')) return;
+
+    const values = {};
+    columns.forEach((column, columnIndex) => {
+      if (IMPORT_COLUMNS.includes(column)) {
+        values[column] = (record[columnIndex] || '').trim();
+      }
+    });
+
+    rows.push({ row: index + 2, values, errors: [] });
+  });
+
+  return { rows };
+}
+
+// Rows are numbered by the event's position in the calendar
+function readIcsRows(content) {
+  const rows = parseCalendar(content).map((properties, index) => {
+    const text = (name) => (properties[name] ? unescapeText(properties[name].value).trim() : '');
+    const values = {
+      title: text('SUMMARY'),
+      description: text('DESCRIPTION'),
+      location: text('LOCATION'),
+      tags: text('CATEGORIES')
+    };
+    const errors = [];
+
+    if (!properties.DTSTART) {
+      errors.push('The event has no start time (DTSTART)');
+    } else {
+      const { date, error } = parseCalendarDate(properties.DTSTART);
+      if (error) {
+        errors.push(error);
+      } else {
+        values.date = date.toISOString();
+      }
+    }
+
+    if (properties.RRULE) {
+      errors.push('Recurring events cannot be imported; create them as a series instead');
+    }
+
+    if (text('STATUS').toUpperCase() === 'CANCELLED') {
+      errors.push('The event is cancelled in the calendar');
+    }
+
+    return { row: index + 1, values, errors };
+  });
+
+  return { rows };
+}
+
+// Reads `content` as `format` ('csv' or 'ics') into { rows } or { error }
+function readImportFile(format, content) {
+  const file = format === 'ics' ? readIcsRows(content) : readCsvRows(content);
+  if (file.error) return file;
+
+  if (file.rows.length === 0) {
+    return { error: 'The file does not contain any events' };
+  }
+
+  if (file.rows.length > MAX_IMPORT_ROWS) {
+    return { error: `A file can import at most ${MAX_IMPORT_ROWS} events` };
+  }
+
+  return file;
+}
+
+// Categories may be given by name, slug or id
+function findCategory(categories, value) {
+  const wanted = value.toLowerCase();
+  return categories.find(category =>
+    category.name.toLowerCase() === wanted ||
+    category.slug === wanted ||
+    String(category.id) === value
+  );
+}
+
+// Turns a row's text values into eventSchema input; blank cells fall back to the schema defaults
+function toEventInput(values, categories) {
+  const input = {};
+  const errors = [];
+
+  for (const [column, value] of Object.entries(values)) {
+    if (value === '') continue;
+
+    switch (column) {
+      case 'category': {
+        const category = findCategory(categories, value);
+        if (category) {
+          input.category_id = category.id;
+        } else {
+          errors.push(`Category "${value}" not found`);
+        }
+        break;
+      }
+      case 'tags':
+        input.tags = value.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+        break;
+      case 'draft':
+        // Spreadsheets say yes/no; anything else goes to Joi as is and is reported there
+        input.draft = /^(yes|y)$/i.test(value) ? true : /^(no|n)$/i.test(value) ? false : value;
+        break;
+      default:
+        input[column] = value;
+    }
+  }
+
+  return { input, errors };
+}
+
+/**
+ * Validates every row. Rows come back as { row, title, date, errors, event },
+ * where `event` holds the validated eventSchema fields when there are no errors.
+ */
+function buildImportPreview(rows, categories) {
+  return rows.map(({ row, values, errors: readErrors }) => {
+    const { input, errors: inputErrors } = toEventInput(values, categories);
+    const { error, value } = eventSchema.validate(input, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    const errors = [
+      ...readErrors,
+      ...inputErrors,
+      ...(error ? error.details.map(detail => detail.message) : [])
+    ];
+
+    return {
+      row,
+      title: values.title || null,
+      date: values.date || null,
+      errors,
+      event: errors.length === 0 ? value : null
+    };
+  });
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  MAX_IMPORT_ROWS,
+  buildImportTemplate,
+  readImportFile,
+  buildImportPreview
+};
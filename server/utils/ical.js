@@ -0,0 +1,218 @@
+/**
+ * iCalendar (RFC 5545) serialization, plus the parsing needed to import events
+ * Events have no end time, so each VEVENT lasts DEFAULT_DURATION_MINUTES.
+ */
+
+const DEFAULT_DURATION_MINUTES = 60;
+const PRODUCT_ID = '-//EventHive//Campus Events//EN';
+
+const CLIENT_URL = process.env.CLIENT_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// TEXT values escape backslashes, separators and newlines (RFC 5545 3.3.11)
+const escapeText = (value = '') => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// UTC date-time form, e.g. 20250314T090000Z
+const formatDateTime = (date) => new Date(date)
+  .toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let currentBytes = 0;
+
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char);
+    const limit = chunks.length === 0 ? 75 : 74;
+
+    if (currentBytes + charBytes > limit) {
+      chunks.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+
+    current += char;
+    currentBytes += charBytes;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+}
+
+const eventUid = (eventId) => `event-${eventId}@eventhive`;
+
+/**
+ * Builds the VEVENT lines for an events row (or a calendar_cancellations row
+ * with `event_id`). Pass status 'CANCELLED' for events that were removed or cancelled.
+ */
+function buildEvent(event, { status = 'CONFIRMED' } = {}) {
+  const eventId = event.event_id || event.id;
+  const start = new Date(event.date);
+  const end = new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60 * 1000);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${eventUid(eventId)}`,
+    `DTSTAMP:${formatDateTime(new Date())}`,
+    `DTSTART:${formatDateTime(start)}`,
+    `DTEND:${formatDateTime(end)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${status}`,
+    `SUMMARY:${escapeText(event.title)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+
+  if (event.updated_at) {
+    lines.push(`LAST-MODIFIED:${formatDateTime(event.updated_at)}`);
+  }
+
+  lines.push(`URL:${CLIENT_URL}/events/${eventId}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+}
+
+// Wraps VEVENT line groups in a VCALENDAR document with CRLF line endings
+function buildCalendar(eventLines, { name } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+
+  for (const event of eventLines) {
+    lines.push(...event);
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+const unescapeText = (value = '') => value
+  .replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+
+// Reads the top-level VEVENTs of a document as { NAME: { value, params } } maps.
+// Nested components such as VALARM are skipped; the first of a repeated property wins.
+function parseCalendar(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  for (const line of lines) {
+    if (!current) {
+      if (line.trim() === 'BEGIN:VEVENT') {
+        current = {};
+        nestedDepth = 0;
+      }
+      continue;
+    }
+
+    if (nestedDepth === 0 && line.trim() === 'END:VEVENT') {
+      events.push(current);
+      current = null;
+    } else if (line.startsWith('BEGIN:')) {
+      nestedDepth++;
+    } else if (line.startsWith('END:')) {
+      nestedDepth--;
+    } else if (nestedDepth === 0) {
+      const match = line.match(/^([A-Za-z0-9-]+)((?:;(?:"[^"]*"|[^:;"])*)*):(.*)$/);
+      if (!match) continue;
+
+      const name = match[1].toUpperCase();
+      if (current[name]) continue;
+
+      const params = {};
+      for (const [, key, value] of match[2].matchAll(/;([A-Za-z0-9-]+)=("[^"]*"|[^;]*)/g)) {
+        params[key.toUpperCase()] = value.replace(/^"|"$/g, '');
+      }
+      current[name] = { value: match[3], params };
+    }
+  }
+
+  return events;
+}
+
+// Milliseconds `timeZone` is ahead of UTC at the instant `utcMs`
+function zoneOffset(timeZone, utcMs) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(new Date(utcMs));
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+
+  return Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second')) - utcMs;
+}
+
+/**
+ * Reads a DATE or DATE-TIME property (e.g. DTSTART) as { date } or { error }.
+ * TZID must be an IANA zone name; floating times and all-day dates are taken as UTC.
+ */
+function parseCalendarDate({ value, params }) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    return { error: `Unrecognised date "${value}"` };
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  const wallClock = Date.UTC(+year, month - 1, +day, +hour, +minute, +second);
+
+  if (utc || !params.TZID) {
+    return { date: new Date(wallClock) };
+  }
+
+  try {
+    // The second pass corrects the offset when the first guess crosses a DST change
+    const guess = wallClock - zoneOffset(params.TZID, wallClock);
+    return { date: new Date(wallClock - zoneOffset(params.TZID, guess)) };
+  } catch (error) {
+    return { error: `Unknown time zone "${params.TZID}"` };
+  }
+}
+
+// Sends an iCalendar document; `filename` makes browsers download it
+function sendCalendar(res, calendar, filename) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  }
+  res.send(calendar);
+}
+
+module.exports = {
+  escapeText,
+  formatDateTime,
+  foldLine,
+  buildEvent,
+  buildCalendar,
+  sendCalendar,
+  unescapeText,
+  parseCalendar,
+  parseCalendarDate
+};
@@ -0,0 +1,161 @@
+/**
+ * Background jobs
+ * A queue in the jobs table, so work survives restarts. Every server instance
+ * runs a poller that claims due jobs with FOR UPDATE SKIP LOCKED, so each job
+ * runs on one instance only. A failed job is retried with exponential backoff
+ * until max_attempts, then kept as failed for inspection. A job whose instance
+ * died mid-run is picked up again once its lock is stale.
+ *
+ * Handlers should be safe to run twice: a retry repeats the whole job.
+ */
+
+const os = require('os');
+const { query } = require('../database/connection');
+
+const POLL_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 10;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+const LOCK_TIMEOUT_MINUTES = 10;
+const COMPLETED_RETENTION_DAYS = 7;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+// One handler per type; returns a function that removes it
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+  return () => {
+    if (handlers.get(type) === handler) handlers.delete(type);
+  };
+}
+
+/**
+ * Queues a job; pass a transaction to queue it only if the transaction commits.
+ * While a job with the same uniqueKey is pending or running nothing is added
+ * and null is returned.
+ */
+async function enqueueJob(db, type, payload = {}, { runAt = null, uniqueKey = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  const result = await db.query(
+    `INSERT INTO jobs (type, payload, unique_key, run_at, max_attempts)
+     VALUES ($1, $2, $3, COALESCE($4, CURRENT_TIMESTAMP), $5)
+     ON CONFLICT (unique_key) WHERE status IN ('pending', 'running') DO NOTHING
+     RETURNING id, type, payload, unique_key, run_at`,
+    [type, JSON.stringify(payload), uniqueKey, runAt, maxAttempts]
+  );
+
+  return result.rows[0] || null;
+}
+
+// 30s, 1m, 2m, ... capped at an hour
+const retryDelayMs = (attempts) =>
+  Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+
+async function claimDueJobs(limit) {
+  const result = await query(
+    `UPDATE jobs
+     SET status = 'running', attempts = attempts + 1, locked_by = $1,
+         locked_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (
+       SELECT id FROM jobs
+       WHERE (status = 'pending' AND run_at <= NOW())
+          OR (status = 'running' AND locked_at < NOW() - $2 * INTERVAL '1 minute')
+       ORDER BY run_at
+       LIMIT $3
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, type, payload, attempts, max_attempts`,
+    [WORKER_ID, LOCK_TIMEOUT_MINUTES, limit]
+  );
+
+  return result.rows;
+}
+
+// The outcome is only recorded while this attempt still holds the job; once its
+// lock went stale another claim may have taken it over, and that attempt decides
+async function runJob(job) {
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+
+    await handler(job.payload, job);
+
+    await query(
+      `UPDATE jobs
+       SET status = 'completed', locked_by = NULL, locked_at = NULL, last_error = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'running' AND locked_by = $2 AND attempts = $3`,
+      [job.id, WORKER_ID, job.attempts]
+    );
+  } catch (error) {
+    const failed = job.attempts >= job.max_attempts;
+    console.error(`Job ${job.id} (${job.type}) attempt ${job.attempts} error:`, error);
+
+    await query(
+      `UPDATE jobs
+       SET status = $2, last_error = $3, locked_by = NULL, locked_at = NULL,
+           run_at = COALESCE(NOW() + $4 * INTERVAL '1 millisecond', run_at),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'running' AND locked_by = $5 AND attempts = $6`,
+      [job.id, failed ? 'failed' : 'pending', String(error.message || error).slice(0, 1000), failed ? null : retryDelayMs(job.attempts), WORKER_ID, job.attempts]
+    );
+  }
+}
+
+// Runs everything that is due, a batch at a time; returns how many jobs ran
+async function runDueJobs() {
+  let processed = 0;
+
+  for (;;) {
+    const jobs = await claimDueJobs(BATCH_SIZE);
+    for (const job of jobs) {
+      await runJob(job);
+    }
+
+    processed += jobs.length;
+    if (jobs.length < BATCH_SIZE) return processed;
+  }
+}
+
+async function pruneCompletedJobs() {
+  await query(
+    `DELETE FROM jobs
+     WHERE status = 'completed' AND updated_at < NOW() - $1 * INTERVAL '1 day'`,
+    [COMPLETED_RETENTION_DAYS]
+  );
+}
+
+// Polls until the process exits; a slow run is never overlapped by the next one
+function startJobRunner() {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      await runDueJobs();
+      await pruneCompletedJobs();
+    } catch (error) {
+      console.error('Job runner error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  run();
+  const timer = setInterval(run, POLL_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  registerJobHandler,
+  enqueueJob,
+  runDueJobs,
+  startJobRunner
+};
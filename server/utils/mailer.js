@@ -0,0 +1,97 @@
+/**
+ * Outgoing mail through a pluggable transport, chosen with MAIL_TRANSPORT:
+ *   smtp    - SMTP_HOST / SMTP_PORT (plus SMTP_USER / SMTP_PASSWORD if needed);
+ *             in development point it at a catcher such as MailHog
+ *   file    - writes each message as JSON into MAIL_DIR (default server/tmp/mail)
+ *   console - logs each message (the default outside production)
+ * Messages carry password reset and verification links, so production refuses
+ * to log them: there MAIL_TRANSPORT has to be set, to smtp or file.
+ * A transport is any object with an async `send(message)` method.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'EventHive <no-reply@eventhive.local>';
+
+function createSmtpTransport() {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT || '1025'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+
+  return {
+    send: (message) => transporter.sendMail(message)
+  };
+}
+
+function createFileTransport(directory = process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail')) {
+  return {
+    async send(message) {
+      await fs.promises.mkdir(directory, { recursive: true });
+
+      const filename = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+      await fs.promises.writeFile(
+        path.join(directory, filename),
+        JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+      );
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    async send(message) {
+      console.log(`Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (isProduction ? null : 'console');
+    if (!name) {
+      throw new Error('MAIL_TRANSPORT must be set in production (smtp or file)');
+    }
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}" (expected ${Object.keys(TRANSPORTS).join(', ')})`);
+    }
+    if (isProduction && name === 'console') {
+      throw new Error('MAIL_TRANSPORT=console would log reset and verification links; use smtp or file in production');
+    }
+    transport = TRANSPORTS[name]();
+  }
+
+  return transport;
+}
+
+// Swaps in another transport, e.g. one that collects messages in tests
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  await getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+}
+
+module.exports = {
+  createFileTransport,
+  getTransport,
+  setTransport,
+  sendMail
+};
@@ -0,0 +1,139 @@
+/**
+ * Notification preferences
+ * Every notification type can go to three channels: the in-app list, an email
+ * straight away, or the daily digest email. Each role has its own defaults and
+ * users only store the choices where they differ (notification_preferences).
+ * Emails carry a signed unsubscribe token: one from a notification email turns
+ * that type's emails off, one from a digest turns the digest off altogether.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const NOTIFICATION_TYPES = {
+  REGISTRATION_RECEIVED: 'registration_received',
+  REGISTRATION_APPROVED: 'registration_approved',
+  REGISTRATION_REJECTED: 'registration_rejected',
+  REGISTRATION_WAITLISTED: 'registration_waitlisted',
+  EVENT_UPDATED: 'event_updated',
+  EVENT_CANCELLED: 'event_cancelled',
+  EVENT_REMINDER: 'event_reminder',
+  ORGANIZER_REQUEST_REVIEWED: 'organizer_request_reviewed'
+};
+
+const NOTIFICATION_CHANNELS = ['in_app', 'email', 'digest'];
+
+const NOTIFICATION_TYPE_LABELS = {
+  registration_received: 'New registrations for my events',
+  registration_approved: 'My registration is approved',
+  registration_rejected: 'My registration is rejected',
+  registration_waitlisted: 'I am put on a waitlist',
+  event_updated: 'An event I registered for changes',
+  event_cancelled: 'An event I registered for is cancelled',
+  event_reminder: 'An event I am attending is coming up',
+  organizer_request_reviewed: 'My organizer request is reviewed'
+};
+
+const channels = (in_app, email, digest) => ({ in_app, email, digest });
+
+// Students hear about their own registrations right away. Organizers and
+// admins can register for events and request roles like anyone else, so they
+// get the same types, plus new registrations for their own events; an email
+// per registration would be too many, so those go to the digest instead.
+const ATTENDEE_PREFERENCES = {
+  registration_approved: channels(true, true, false),
+  registration_rejected: channels(true, true, false),
+  registration_waitlisted: channels(true, false, false),
+  event_updated: channels(true, true, false),
+  event_cancelled: channels(true, true, false),
+  event_reminder: channels(true, true, false),
+  organizer_request_reviewed: channels(true, true, false)
+};
+
+const ORGANIZER_PREFERENCES = {
+  registration_received: channels(true, false, true),
+  ...ATTENDEE_PREFERENCES
+};
+
+const DEFAULT_PREFERENCES = {
+  student: ATTENDEE_PREFERENCES,
+  organizer: ORGANIZER_PREFERENCES,
+  admin: ORGANIZER_PREFERENCES
+};
+
+// A role without defaults of its own is treated as a student
+const defaultChannels = (role, type) =>
+  (DEFAULT_PREFERENCES[role] || DEFAULT_PREFERENCES.student)[type] || channels(true, false, false);
+
+/**
+ * Stored overrides for the users, as Map(userId -> { type: { channel: enabled } }).
+ * Users without any overrides are left out.
+ */
+async function loadPreferenceOverrides(db, userIds) {
+  const result = await db.query(
+    `SELECT user_id, type, channel, enabled
+     FROM notification_preferences
+     WHERE user_id = ANY($1::int[])`,
+    [userIds]
+  );
+
+  const overrides = new Map();
+  for (const { user_id: userId, type, channel, enabled } of result.rows) {
+    if (!overrides.has(userId)) overrides.set(userId, {});
+    const userOverrides = overrides.get(userId);
+    userOverrides[type] = { ...userOverrides[type], [channel]: enabled };
+  }
+
+  return overrides;
+}
+
+// { in_app, email, digest } for one type, defaults first and overrides on top
+const resolveChannels = (role, type, overrides = {}) => ({
+  ...defaultChannels(role, type),
+  ...overrides[type]
+});
+
+// The preferences page: the role's types with their effective channels
+function describePreferences(role, overrides = {}) {
+  return Object.keys(DEFAULT_PREFERENCES[role] || DEFAULT_PREFERENCES.student).map(type => ({
+    type,
+    label: NOTIFICATION_TYPE_LABELS[type],
+    channels: resolveChannels(role, type, overrides),
+    defaults: defaultChannels(role, type)
+  }));
+}
+
+const UNSUBSCRIBE_AUDIENCE = 'eventhive-unsubscribe';
+
+// Separate audience and key derivation keep these apart from login tokens
+const unsubscribeSecret = () => `${process.env.JWT_SECRET}:unsubscribe`;
+
+// Unsubscribe links do not expire, so old emails keep working.
+// Pass type as null with the digest channel to cover every type.
+function issueUnsubscribeToken(userId, channel, type = null) {
+  return jwt.sign({ userId, channel, type }, unsubscribeSecret(), {
+    audience: UNSUBSCRIBE_AUDIENCE,
+    noTimestamp: true
+  });
+}
+
+// Returns { userId, channel, type } for a valid token, otherwise null
+function verifyUnsubscribeToken(token) {
+  try {
+    const { userId, channel, type } = jwt.verify(String(token || ''), unsubscribeSecret(), { audience: UNSUBSCRIBE_AUDIENCE });
+    const validType = type === null ? channel === 'digest' : Boolean(NOTIFICATION_TYPE_LABELS[type]);
+    return ['email', 'digest'].includes(channel) && validType ? { userId, channel, type } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TYPE_LABELS,
+  loadPreferenceOverrides,
+  resolveChannels,
+  describePreferences,
+  issueUnsubscribeToken,
+  verifyUnsubscribeToken
+};
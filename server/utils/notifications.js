@@ -0,0 +1,344 @@
+/**
+ * Notifications
+ * Kept per user so nobody misses one while offline. The handlers below turn
+ * domain events into notifications once the change has committed. Each
+ * recipient's preferences decide where a notification goes: the in-app list
+ * (pushed through notifications.created by utils/realtime.js), an email right
+ * away, and/or the daily digest email.
+ */
+
+const { query } = require('../database/connection');
+const { DOMAIN_EVENTS, publish, subscribe } = require('./eventBus');
+const { sendMail } = require('./mailer');
+const {
+  notificationEmail,
+  notificationDigestEmail,
+  eventCancelledEmail,
+  organizerRequestDecisionEmail,
+  withUnsubscribeLink
+} = require('./emailTemplates');
+const {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_LABELS,
+  loadPreferenceOverrides,
+  resolveChannels,
+  issueUnsubscribeToken
+} = require('./notificationPreferences');
+
+const NOTIFICATION_COLUMNS = 'id, type, title, message, event_id, data, read_at, created_at';
+
+const DIGEST_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+function sendNotificationEmail(recipient, notification) {
+  const email = notification.email
+    ? notification.email(recipient)
+    : notificationEmail({ username: recipient.username, ...notification });
+
+  sendMail({
+    to: recipient.email,
+    ...withUnsubscribeLink(email, {
+      token: issueUnsubscribeToken(recipient.id, 'email', notification.type),
+      reason: `You are getting this because emails for "${NOTIFICATION_TYPE_LABELS[notification.type]}" are on.`
+    })
+  }).catch(error => console.error('Notification email error:', error));
+}
+
+/**
+ * Delivers { userId, type, title, message, eventId, data } entries on the
+ * channels each recipient has on. An optional email(recipient) replaces the
+ * generic email. Inside withTransaction pass tx, so the rows are stored with
+ * it and nothing is emailed or pushed unless it commits. Returns the stored rows.
+ */
+async function createNotifications(notifications, tx = null) {
+  if (notifications.length === 0) return [];
+
+  const db = tx || { query };
+  const userIds = [...new Set(notifications.map(notification => notification.userId))];
+  const recipientsResult = await db.query(
+    'SELECT id, username, email, role FROM users WHERE id = ANY($1::int[])',
+    [userIds]
+  );
+  const recipients = new Map(recipientsResult.rows.map(recipient => [recipient.id, recipient]));
+  const overrides = await loadPreferenceOverrides(db, userIds);
+
+  const emails = [];
+  const stored = [];
+  for (const notification of notifications) {
+    const recipient = recipients.get(notification.userId);
+    if (!recipient) continue;
+
+    const channels = resolveChannels(recipient.role, notification.type, overrides.get(recipient.id));
+
+    if (channels.email) {
+      emails.push([recipient, notification]);
+    }
+    if (channels.in_app || channels.digest) {
+      stored.push({ ...notification, inApp: channels.in_app, digest: channels.digest });
+    }
+  }
+
+  const sendEmails = () => emails.forEach(([recipient, notification]) => sendNotificationEmail(recipient, notification));
+  if (tx) {
+    tx.afterCommit(sendEmails);
+  } else {
+    sendEmails();
+  }
+
+  if (stored.length === 0) return [];
+
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, type, title, message, event_id, data, in_app, digest_pending)
+     SELECT * FROM UNNEST($1::int[], $2::varchar[], $3::varchar[], $4::text[], $5::int[], $6::jsonb[], $7::boolean[], $8::boolean[])
+     RETURNING user_id, in_app, ${NOTIFICATION_COLUMNS}`,
+    [
+      stored.map(notification => notification.userId),
+      stored.map(notification => notification.type),
+      stored.map(notification => notification.title),
+      stored.map(notification => notification.message),
+      stored.map(notification => notification.eventId || null),
+      stored.map(notification => JSON.stringify(notification.data || {})),
+      stored.map(notification => notification.inApp),
+      stored.map(notification => notification.digest)
+    ]
+  );
+
+  const inApp = result.rows.filter(row => row.in_app);
+
+  if (inApp.length > 0) {
+    publish(tx, DOMAIN_EVENTS.NOTIFICATIONS_CREATED, { notifications: inApp });
+  }
+  return result.rows;
+}
+
+async function getEventTitle(eventId) {
+  const result = await query('SELECT title FROM events WHERE id = $1', [eventId]);
+  return result.rows[0]?.title || null;
+}
+
+// Students with a live registration, once each, with the first of the events they hold
+async function findRegistrants(eventIds) {
+  const result = await query(
+    `SELECT DISTINCT ON (r.user_id) r.user_id, r.event_id
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     WHERE r.event_id = ANY($1::int[]) AND r.status IN ('approved', 'pending', 'waitlisted')
+     ORDER BY r.user_id, e.date`,
+    [eventIds]
+  );
+
+  return result.rows;
+}
+
+// Each affected student with all of their cancelled occurrences, earliest first
+async function findCancelledRegistrations(eventIds) {
+  const result = await query(
+    `SELECT r.user_id,
+            array_agg(e.id ORDER BY e.date) AS event_ids,
+            array_agg(e.date ORDER BY e.date) AS dates
+     FROM registrations r
+     JOIN events e ON r.event_id = e.id
+     WHERE r.event_id = ANY($1::int[]) AND r.status IN ('approved', 'pending', 'waitlisted')
+     GROUP BY r.user_id`,
+    [eventIds]
+  );
+
+  return result.rows;
+}
+
+const STATUS_NOTIFICATIONS = {
+  approved: (title, previousStatus) => ({
+    type: NOTIFICATION_TYPES.REGISTRATION_APPROVED,
+    title: 'Registration approved',
+    message: previousStatus === 'waitlisted'
+      ? `A seat opened up - your registration for "${title}" has been approved`
+      : `Your registration for "${title}" has been approved`
+  }),
+  rejected: (title) => ({
+    type: NOTIFICATION_TYPES.REGISTRATION_REJECTED,
+    title: 'Registration rejected',
+    message: `Your registration for "${title}" has been rejected`
+  }),
+  waitlisted: (title) => ({
+    type: NOTIFICATION_TYPES.REGISTRATION_WAITLISTED,
+    title: 'Added to the waitlist',
+    message: `"${title}" is full, so you are on the waitlist`
+  })
+};
+
+const CHANGE_LABELS = { title: 'title', date: 'time', location: 'location' };
+
+// ['a', 'b', 'c'] -> 'a, b and c'
+const listText = (items) => (items.length > 1
+  ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+  : items[0]);
+
+// Wires the bus to notifications; returns a function that removes the subscriptions
+function registerNotificationHandlers() {
+  const subscriptions = [
+    // The organizer hears about registrations even when they were offline
+    subscribe(DOMAIN_EVENTS.REGISTRATION_CREATED, async ({ eventId, organizerId, registrationId, username, status }) => {
+      const title = await getEventTitle(eventId);
+      if (!title) return;
+
+      await createNotifications([{
+        userId: organizerId,
+        type: NOTIFICATION_TYPES.REGISTRATION_RECEIVED,
+        title: 'New registration',
+        message: status === 'waitlisted'
+          ? `${username} joined the waitlist for "${title}"`
+          : `${username} registered for "${title}"`,
+        eventId,
+        data: { registration_id: registrationId }
+      }]);
+    }),
+
+    subscribe(DOMAIN_EVENTS.REGISTRATION_STATUS_CHANGED, async ({ eventId, registrationId, userId, previousStatus, status }) => {
+      const describe = STATUS_NOTIFICATIONS[status];
+      if (!describe || status === previousStatus) return;
+
+      const title = await getEventTitle(eventId);
+      if (!title) return;
+
+      await createNotifications([{
+        userId,
+        ...describe(title, previousStatus),
+        eventId,
+        data: { registration_id: registrationId, status }
+      }]);
+    }),
+
+    subscribe(DOMAIN_EVENTS.EVENT_UPDATED, async ({ eventIds, title, changes }) => {
+      const registrants = await findRegistrants(eventIds);
+      const changed = listText(changes.map(field => CHANGE_LABELS[field]));
+
+      await createNotifications(registrants.map(registrant => ({
+        userId: registrant.user_id,
+        type: NOTIFICATION_TYPES.EVENT_UPDATED,
+        title: 'Event updated',
+        message: `"${title}" has a new ${changed}`,
+        eventId: registrant.event_id,
+        data: { changes }
+      })));
+    }),
+
+    // One notification per student, however many of their occurrences were cancelled
+    subscribe(DOMAIN_EVENTS.EVENT_CANCELLED, async ({ eventIds, title, reason }) => {
+      const registrants = await findCancelledRegistrations(eventIds);
+
+      await createNotifications(registrants.map(registrant => ({
+        userId: registrant.user_id,
+        type: NOTIFICATION_TYPES.EVENT_CANCELLED,
+        title: 'Event cancelled',
+        message: `"${title}" has been cancelled: ${reason}`,
+        eventId: registrant.event_ids[0],
+        data: { event_ids: eventIds },
+        email: (recipient) => eventCancelledEmail({
+          username: recipient.username,
+          title,
+          dates: registrant.dates,
+          reason
+        })
+      })));
+    }),
+
+    subscribe(DOMAIN_EVENTS.ORGANIZER_REQUEST_REVIEWED, async ({ userId, requestId, status, note, clubName }) => {
+      const approved = status === 'approved';
+
+      await createNotifications([{
+        userId,
+        type: NOTIFICATION_TYPES.ORGANIZER_REQUEST_REVIEWED,
+        title: approved ? 'Organizer request approved' : 'Organizer request rejected',
+        message: approved
+          ? `You can now organize events for ${clubName}`
+          : `Your request to organize events for ${clubName} was not approved`,
+        data: { organizer_request_id: requestId, status },
+        email: (recipient) => organizerRequestDecisionEmail({
+          username: recipient.username,
+          clubName,
+          approved,
+          note
+        })
+      }]);
+    })
+  ];
+
+  return () => subscriptions.forEach(unsubscribe => unsubscribe());
+}
+
+// Claims the pending items of everyone whose oldest one has waited a day and
+// emails each of them a single digest. The claim keeps other instances from
+// sending it too; items whose email fails are released again. Returns how many were sent.
+async function sendDueDigests() {
+  const result = await query(
+    `UPDATE notifications
+     SET digest_pending = FALSE
+     WHERE digest_pending AND user_id IN (
+       SELECT user_id FROM notifications
+       WHERE digest_pending
+       GROUP BY user_id
+       HAVING MIN(created_at) <= NOW() - INTERVAL '1 day'
+     )
+     RETURNING id, user_id, message, created_at`
+  );
+  if (result.rows.length === 0) return 0;
+
+  const digests = new Map();
+  for (const notification of result.rows) {
+    if (!digests.has(notification.user_id)) digests.set(notification.user_id, []);
+    digests.get(notification.user_id).push(notification);
+  }
+
+  const usersResult = await query(
+    'SELECT id, username, email FROM users WHERE id = ANY($1::int[])',
+    [[...digests.keys()]]
+  );
+
+  let sent = 0;
+  for (const user of usersResult.rows) {
+    const notifications = digests.get(user.id)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    try {
+      await sendMail({
+        to: user.email,
+        ...withUnsubscribeLink(notificationDigestEmail({ username: user.username, notifications }), {
+          token: issueUnsubscribeToken(user.id, 'digest'),
+          reason: 'You are getting this because the daily digest is on.'
+        })
+      });
+      sent++;
+    } catch (error) {
+      console.error('Notification digest email error:', error);
+
+      // Handed back so the next run tries this user's digest again
+      await query(
+        'UPDATE notifications SET digest_pending = TRUE WHERE id = ANY($1::int[])',
+        [notifications.map(notification => notification.id)]
+      );
+    }
+  }
+
+  return sent;
+}
+
+function startDigestScheduler() {
+  const run = () => {
+    sendDueDigests().catch(error => {
+      console.error('Notification digest error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, DIGEST_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_COLUMNS,
+  createNotifications,
+  registerNotificationHandlers,
+  sendDueDigests,
+  startDigestScheduler
+};
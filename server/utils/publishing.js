@@ -0,0 +1,94 @@
+/**
+ * Event publishing
+ * Events created as drafts are only visible to their organizer and admins
+ * until published_at is set. A draft with a publish_at time is published by
+ * the scheduler below, so it can go live up to a minute late.
+ *
+ * Publishing raises events.published on the event bus once the transaction
+ * commits; nothing else may announce an event, or drafts would leak.
+ */
+
+const { withTransaction } = require('../database/connection');
+const { recordAudit } = require('./audit');
+const { DOMAIN_EVENTS, publish } = require('./eventBus');
+
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+
+const PUBLISHED_COLUMNS = `
+  id, title, description, date, location, max_attendees, category_id, tags,
+  series_id, sequence, created_by, created_at, updated_at, published_at, publish_at,
+  (SELECT username FROM users WHERE users.id = events.created_by) AS created_by_username
+`;
+
+// Publishes whichever of the events are still drafts and returns them by date.
+// Pass req as null when the scheduler publishes.
+async function publishEvents(tx, req, eventIds) {
+  const draftsResult = await tx.query(
+    `SELECT id, published_at, publish_at
+     FROM events
+     WHERE id = ANY($1::int[]) AND published_at IS NULL AND cancelled_at IS NULL
+     ORDER BY id
+     FOR UPDATE`,
+    [eventIds]
+  );
+
+  if (draftsResult.rows.length === 0) return [];
+
+  const drafts = new Map(draftsResult.rows.map(draft => [draft.id, draft]));
+
+  const result = await tx.query(
+    `UPDATE events
+     SET published_at = CURRENT_TIMESTAMP, publish_at = NULL
+     WHERE id = ANY($1::int[])
+     RETURNING ${PUBLISHED_COLUMNS}`,
+    [[...drafts.keys()]]
+  );
+
+  for (const event of result.rows) {
+    const draft = drafts.get(event.id);
+
+    await recordAudit(tx, req, {
+      action: 'event.published',
+      targetType: 'event',
+      targetId: event.id,
+      before: draft,
+      after: event,
+      details: draft.publish_at ? { scheduled_for: draft.publish_at } : {}
+    });
+  }
+
+  const events = result.rows.sort((a, b) => new Date(a.date) - new Date(b.date));
+  publish(tx, DOMAIN_EVENTS.EVENTS_PUBLISHED, { events });
+
+  return events;
+}
+
+async function publishDueEvents() {
+  return withTransaction(async (tx) => {
+    const dueResult = await tx.query(
+      `SELECT id FROM events WHERE published_at IS NULL AND publish_at <= NOW()`
+    );
+
+    return publishEvents(tx, null, dueResult.rows.map(row => row.id));
+  });
+}
+
+// Catches up on anything that fell due while the server was down, then polls
+function startPublishScheduler() {
+  const run = () => {
+    publishDueEvents().catch(error => {
+      console.error('Scheduled publishing error:', error);
+    });
+  };
+
+  run();
+  const timer = setInterval(run, PUBLISH_CHECK_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  publishEvents,
+  publishDueEvents,
+  startPublishScheduler
+};
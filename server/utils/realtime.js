@@ -0,0 +1,134 @@
+/**
+ * Real-time updates
+ * Subscribes to the domain event bus and pushes the matching Socket.IO
+ * messages. Sockets only join and leave rooms; every broadcast starts here,
+ * after the change that caused it has been committed.
+ *
+ * Anyone following an event hears emitEventUpdate messages, so they carry
+ * counts only; who registered or checked in goes through emitOrganizerUpdate.
+ */
+
+const { query } = require('../database/connection');
+const { DOMAIN_EVENTS, subscribe } = require('./eventBus');
+
+async function emitAttendeeUpdate(emitEventUpdate, { eventId }) {
+  const result = await query('SELECT approved_count FROM events WHERE id = $1', [eventId]);
+  if (result.rows.length === 0) return;
+
+  emitEventUpdate(eventId, 'attendee_update', {
+    attendeeCount: result.rows[0].approved_count
+  });
+}
+
+// Wires the bus to io; returns a function that removes the subscriptions
+function registerRealtimeHandlers({ io, emitEventUpdate, emitOrganizerUpdate }) {
+  const subscriptions = [
+    // A series is announced once, by its first occurrence
+    subscribe(DOMAIN_EVENTS.EVENTS_PUBLISHED, ({ events, occurredAt }) => {
+      const announcedSeries = new Set();
+      for (const event of events) {
+        if (event.series_id) {
+          if (announcedSeries.has(event.series_id)) continue;
+          announcedSeries.add(event.series_id);
+        }
+
+        io.emit('new_event', {
+          event,
+          createdBy: event.created_by_username,
+          timestamp: occurredAt
+        });
+      }
+    }),
+
+    // One broadcast over all the rooms, so nobody hears about it twice
+    subscribe(DOMAIN_EVENTS.EVENT_CANCELLED, ({ eventIds, studentIds, title, reason, cancelledBy, occurredAt }) => {
+      let rooms = io;
+      for (const eventId of eventIds) {
+        rooms = rooms.to(`event_${eventId}`);
+      }
+      for (const studentId of studentIds) {
+        rooms = rooms.to(`user_${studentId}`);
+      }
+
+      rooms.emit('event_cancelled', {
+        eventIds,
+        title,
+        reason,
+        cancelledBy,
+        timestamp: occurredAt
+      });
+    }),
+
+    subscribe(DOMAIN_EVENTS.REGISTRATION_CREATED, async (registration) => {
+      io.to(`user_${registration.organizerId}`).emit('registration_notification', {
+        eventId: registration.eventId,
+        registrationId: registration.registrationId,
+        userId: registration.userId,
+        status: registration.status,
+        registeredBy: registration.username,
+        timestamp: registration.occurredAt
+      });
+
+      await emitAttendeeUpdate(emitEventUpdate, registration);
+    }),
+
+    subscribe(DOMAIN_EVENTS.REGISTRATION_STATUS_CHANGED, (change) =>
+      emitAttendeeUpdate(emitEventUpdate, change)
+    ),
+
+    subscribe(DOMAIN_EVENTS.REGISTRATION_WITHDRAWN, (withdrawal) =>
+      emitAttendeeUpdate(emitEventUpdate, withdrawal)
+    ),
+
+    subscribe(DOMAIN_EVENTS.REGISTRATION_CHECKED_IN, ({ eventId, registrationId, username, checkedInCount, approvedCount }) => {
+      emitOrganizerUpdate(eventId, 'check_in_update', {
+        registrationId,
+        username,
+        checkedInCount,
+        approvedCount
+      });
+    }),
+
+    subscribe(DOMAIN_EVENTS.ORGANIZER_REQUEST_REVIEWED, ({ userId, requestId, status, note, occurredAt }) => {
+      io.to(`user_${userId}`).emit('organizer_request_update', {
+        requestId,
+        status,
+        note,
+        timestamp: occurredAt
+      });
+    }),
+
+    subscribe(DOMAIN_EVENTS.NOTIFICATIONS_CREATED, ({ notifications }) => {
+      for (const { user_id: userId, ...notification } of notifications) {
+        io.to(`user_${userId}`).emit('notification', { notification });
+      }
+    }),
+
+    // Keeps the unread count in step across the user's other tabs and devices
+    subscribe(DOMAIN_EVENTS.NOTIFICATIONS_READ, ({ userId, notificationIds, unreadCount, occurredAt }) => {
+      io.to(`user_${userId}`).emit('notifications_read', {
+        notificationIds,
+        unreadCount,
+        timestamp: occurredAt
+      });
+    }),
+
+    // A signed-out device stops hearing anything at once, not when its access token expires
+    subscribe(DOMAIN_EVENTS.SESSIONS_REVOKED, ({ sessionIds }) => {
+      for (const sessionId of sessionIds) {
+        io.in(`session_${sessionId}`).disconnectSockets(true);
+      }
+    }),
+
+    // Room membership was settled at connect time from the old role; reconnecting settles it again
+    subscribe(DOMAIN_EVENTS.USER_ACCESS_CHANGED, ({ userId }) => {
+      io.in(`user_${userId}`).disconnectSockets(true);
+    })
+  ];
+
+  return () => subscriptions.forEach(unsubscribe => unsubscribe());
+}
+
+module.exports = {
+  registerRealtimeHandlers
+};
@@ -0,0 +1,75 @@
+/**
+ * Recurrence helpers
+ * A series rule ({ frequency, interval, until, count, exception_dates }) is
+ * expanded into the start dates of its occurrences. Each occurrence is stored
+ * as a normal events row pointing at its event_series row.
+ */
+
+// Hard cap so a long-running rule cannot flood the events table
+const MAX_OCCURRENCES = 100;
+
+const toDateKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Adds `months` to `start`, clamping to the last day of shorter months
+// (a series on the 31st falls on the 30th in April)
+function addMonths(start, months) {
+  const date = new Date(start);
+  const day = date.getUTCDate();
+
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date;
+}
+
+// The n-th step of the rule, always computed from the first start to avoid drift
+function nthOccurrence(start, frequency, interval, n) {
+  switch (frequency) {
+    case 'daily':
+      return new Date(start.getTime() + n * interval * 24 * 60 * 60 * 1000);
+    case 'weekly':
+      return new Date(start.getTime() + n * interval * 7 * 24 * 60 * 60 * 1000);
+    case 'monthly':
+      return addMonths(start, n * interval);
+    default:
+      throw new Error(`Unsupported recurrence frequency: ${frequency}`);
+  }
+}
+
+/**
+ * Expands a rule into occurrence start dates.
+ * `count` counts steps of the rule, so exception dates reduce the number of
+ * occurrences instead of pushing the series further out (as in RFC 5545).
+ * Returns { dates, truncated } where truncated means the cap was hit.
+ */
+function generateOccurrences(startDate, rule) {
+  const start = new Date(startDate);
+  const interval = rule.interval || 1;
+  const until = rule.until ? new Date(rule.until) : null;
+  const exceptions = new Set((rule.exception_dates || []).map(toDateKey));
+
+  const dates = [];
+  for (let n = 0; ; n++) {
+    if (rule.count && n >= rule.count) break;
+
+    const occurrence = nthOccurrence(start, rule.frequency, interval, n);
+    if (until && occurrence > until) break;
+
+    if (!exceptions.has(toDateKey(occurrence))) {
+      if (dates.length === MAX_OCCURRENCES) {
+        return { dates, truncated: true };
+      }
+      dates.push(occurrence);
+    }
+  }
+
+  return { dates, truncated: false };
+}
+
+module.exports = {
+  MAX_OCCURRENCES,
+  generateOccurrences,
+  toDateKey
+};
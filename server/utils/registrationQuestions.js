@@ -0,0 +1,102 @@
+/**
+ * Registration questions
+ * Organizers attach questions to an event (events.registration_questions) and
+ * students answer them when registering (registrations.answers, keyed by
+ * question id). Question ids survive edits, so renaming a question keeps the
+ * answers already given to it.
+ */
+
+const crypto = require('crypto');
+
+const QUESTION_TYPES = ['short_text', 'long_text', 'single_choice', 'multiple_choice'];
+const CHOICE_TYPES = ['single_choice', 'multiple_choice'];
+
+const MAX_ANSWER_LENGTH = {
+  short_text: 200,
+  long_text: 2000
+};
+
+// Gives new questions an id; questions that already have one keep it
+function assignQuestionIds(questions = []) {
+  return questions.map(question => ({
+    id: question.id || `q_${crypto.randomBytes(4).toString('hex')}`,
+    ...question
+  }));
+}
+
+const isBlank = (answer) =>
+  answer === undefined || answer === null ||
+  (typeof answer === 'string' && answer.trim() === '') ||
+  (Array.isArray(answer) && answer.length === 0);
+
+function checkAnswer(question, answer) {
+  if (CHOICE_TYPES.includes(question.type)) {
+    const chosen = question.type === 'multiple_choice' ? answer : [answer];
+
+    if (question.type === 'multiple_choice' && !Array.isArray(answer)) {
+      return { error: `"${question.label}" must be a list of options` };
+    }
+    if (!chosen.every(option => question.options.includes(option))) {
+      return { error: `"${question.label}" must be one of the listed options` };
+    }
+    return { value: question.type === 'multiple_choice' ? [...new Set(chosen)] : answer };
+  }
+
+  if (typeof answer !== 'string') {
+    return { error: `"${question.label}" must be text` };
+  }
+
+  const value = answer.trim();
+  if (value.length > MAX_ANSWER_LENGTH[question.type]) {
+    return { error: `"${question.label}" must be at most ${MAX_ANSWER_LENGTH[question.type]} characters` };
+  }
+  return { value };
+}
+
+// Checks the submitted answers against the event's questions. Answers to
+// unknown questions are dropped; blank answers to optional ones are omitted.
+function validateAnswers(questions = [], submitted) {
+  const errors = [];
+  const answers = {};
+  const given = submitted && typeof submitted === 'object' && !Array.isArray(submitted) ? submitted : {};
+
+  for (const question of questions) {
+    const answer = given[question.id];
+
+    if (isBlank(answer)) {
+      if (question.required) {
+        errors.push(`"${question.label}" is required`);
+      }
+      continue;
+    }
+
+    const { value, error } = checkAnswer(question, answer);
+    if (error) {
+      errors.push(error);
+    } else {
+      answers[question.id] = value;
+    }
+  }
+
+  return { errors, answers };
+}
+
+// Pairs stored answers with the current wording of their questions, in
+// question order, for the organizer's views and exports
+function describeAnswers(questions = [], answers = {}) {
+  return questions.map(question => ({
+    question_id: question.id,
+    label: question.label,
+    type: question.type,
+    answer: answers[question.id] !== undefined ? answers[question.id] : null
+  }));
+}
+
+module.exports = {
+  QUESTION_TYPES,
+  CHOICE_TYPES,
+  MAX_ANSWER_LENGTH,
+  assignQuestionIds,
+  validateAnswers,
+  describeAnswers
+};
@@ -0,0 +1,103 @@
+/**
+ * Event reminders
+ * Every event carries reminder_offsets, in minutes before it starts. Each
+ * offset is an event_reminder job due at that moment; saving an event queues
+ * them afresh. The job checks the event again when it runs, so a reminder for
+ * a date or offset that has since changed, or for a cancelled event, is
+ * dropped. Approved attendees are notified through their preferences, each
+ * once: deliveries are recorded in event_reminder_deliveries in the same
+ * transaction as the notifications, so a retry after a failure sends again
+ * and a job that runs twice skips whoever already had the reminder.
+ */
+
+const { query, withTransaction } = require('../database/connection');
+const { registerJobHandler, enqueueJob } = require('./jobs');
+const { createNotifications } = require('./notifications');
+const { NOTIFICATION_TYPES } = require('./notificationPreferences');
+
+const EVENT_REMINDER_JOB = 'event_reminder';
+
+// 1440 -> '1 day', 90 -> '90 minutes'
+function formatOffset(minutes) {
+  const [amount, unit] = minutes % 1440 === 0 ? [minutes / 1440, 'day']
+    : minutes % 60 === 0 ? [minutes / 60, 'hour']
+      : [minutes, 'minute'];
+
+  return `${amount} ${unit}${amount === 1 ? '' : 's'}`;
+}
+
+// Replaces the pending reminders of the events with ones for their current
+// date and offsets. `events` are rows with id, date, reminder_offsets and cancelled_at.
+async function scheduleEventReminders(db, events) {
+  if (events.length === 0) return;
+
+  await db.query(
+    `DELETE FROM jobs
+     WHERE type = $1 AND status = 'pending' AND (payload->>'eventId')::int = ANY($2::int[])`,
+    [EVENT_REMINDER_JOB, events.map(event => event.id)]
+  );
+
+  for (const event of events) {
+    if (event.cancelled_at) continue;
+
+    for (const offsetMinutes of event.reminder_offsets) {
+      const runAt = new Date(new Date(event.date).getTime() - offsetMinutes * 60 * 1000);
+      if (runAt <= new Date()) continue;
+
+      await enqueueJob(db, EVENT_REMINDER_JOB, {
+        eventId: event.id,
+        offsetMinutes,
+        date: new Date(event.date).toISOString()
+      }, {
+        runAt,
+        uniqueKey: `${EVENT_REMINDER_JOB}:${event.id}:${offsetMinutes}`
+      });
+    }
+  }
+}
+
+async function sendEventReminder({ eventId, offsetMinutes, date }) {
+  const eventResult = await query(
+    'SELECT id, title, date, location, reminder_offsets, cancelled_at FROM events WHERE id = $1',
+    [eventId]
+  );
+  const event = eventResult.rows[0];
+
+  const stillDue = event && !event.cancelled_at &&
+    new Date(event.date).getTime() === new Date(date).getTime() &&
+    event.reminder_offsets.includes(offsetMinutes) &&
+    new Date(event.date) > new Date();
+  if (!stillDue) return;
+
+  await withTransaction(async (tx) => {
+    const attendeesResult = await tx.query(
+      `INSERT INTO event_reminder_deliveries (event_id, event_date, offset_minutes, user_id)
+       SELECT r.event_id, e.date, $2, r.user_id
+       FROM registrations r
+       JOIN events e ON e.id = r.event_id
+       WHERE r.event_id = $1 AND r.status = 'approved'
+       ON CONFLICT DO NOTHING
+       RETURNING user_id`,
+      [eventId, offsetMinutes]
+    );
+
+    await createNotifications(attendeesResult.rows.map(attendee => ({
+      userId: attendee.user_id,
+      type: NOTIFICATION_TYPES.EVENT_REMINDER,
+      title: 'Event reminder',
+      message: `"${event.title}" starts in ${formatOffset(offsetMinutes)}${event.location ? ` at ${event.location}` : ''}`,
+      eventId,
+      data: { offset_minutes: offsetMinutes }
+    })), tx);
+  });
+}
+
+function registerReminderJobs() {
+  return registerJobHandler(EVENT_REMINDER_JOB, sendEventReminder);
+}
+
+module.exports = {
+  EVENT_REMINDER_JOB,
+  scheduleEventReminders,
+  registerReminderJobs
+};
@@ -0,0 +1,179 @@
+/**
+ * Login sessions
+ * Access tokens are short-lived JWTs that name their session. Refresh tokens
+ * are random values sent only as an httpOnly cookie; the sessions table keeps
+ * their hash and every refresh swaps in a new one (rotation). A token that
+ * was already rotated away showing up again means it was copied, so the
+ * session is revoked.
+ *
+ * Every revocation is announced on the event bus so open sockets of the
+ * session are closed as well.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { DOMAIN_EVENTS, publish } = require('./eventBus');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+// Requests already in flight (e.g. from a second tab) may still carry the
+// token that was just replaced; they are told to retry instead of being treated as theft
+const ROTATION_GRACE_SECONDS = 30;
+
+const REFRESH_COOKIE = 'refresh_token';
+
+const refreshCookieOptions = () => {
+  const isProduction = process.env.NODE_ENV === 'production';
+
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    // The client and API live on different sites in production
+    sameSite: process.env.REFRESH_COOKIE_SAMESITE || (isProduction ? 'none' : 'lax'),
+    path: '/api/auth'
+  };
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+const generateRefreshToken = () => crypto.randomBytes(32).toString('hex');
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, username: user.username, role: user.role, sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function createSession(db, userId, req) {
+  const refreshToken = generateRefreshToken();
+
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+     VALUES ($1, $2, $3, $4, NOW() + $5 * INTERVAL '1 day')
+     RETURNING id`,
+    [userId, hashToken(refreshToken), (req.get('user-agent') || '').slice(0, 500), req.ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return { sessionId: result.rows[0].id, refreshToken };
+}
+
+/**
+ * Exchanges a refresh token for a new one. Returns
+ * { sessionId, userId, refreshToken } on success, { superseded: true } when
+ * the token was rotated moments ago by a parallel request, or null.
+ */
+async function rotateSession(tx, refreshToken, req) {
+  const tokenHash = hashToken(refreshToken);
+
+  const currentResult = await tx.query(
+    `SELECT id, user_id
+     FROM sessions
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     FOR UPDATE`,
+    [tokenHash]
+  );
+
+  if (currentResult.rows.length === 0) {
+    const previousResult = await tx.query(
+      `SELECT id, rotated_at > NOW() - $2 * INTERVAL '1 second' as within_grace
+       FROM sessions
+       WHERE previous_token_hash = $1 AND revoked_at IS NULL
+       FOR UPDATE`,
+      [tokenHash, ROTATION_GRACE_SECONDS]
+    );
+
+    const previous = previousResult.rows[0];
+    if (previous && previous.within_grace) {
+      return { superseded: true };
+    }
+    if (previous) {
+      await revokeSession(tx, previous.id);
+    }
+    return null;
+  }
+
+  const session = currentResult.rows[0];
+  const newRefreshToken = generateRefreshToken();
+
+  await tx.query(
+    `UPDATE sessions
+     SET previous_token_hash = refresh_token_hash,
+         refresh_token_hash = $2,
+         rotated_at = CURRENT_TIMESTAMP,
+         last_used_at = CURRENT_TIMESTAMP,
+         ip_address = $3,
+         expires_at = NOW() + $4 * INTERVAL '1 day'
+     WHERE id = $1`,
+    [session.id, hashToken(newRefreshToken), req.ip, REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  return { sessionId: session.id, userId: session.user_id, refreshToken: newRefreshToken };
+}
+
+const announceRevoked = (db, sessionIds) => {
+  if (sessionIds.length > 0) {
+    publish(db, DOMAIN_EVENTS.SESSIONS_REVOKED, { sessionIds });
+  }
+};
+
+async function revokeSession(db, sessionId) {
+  const result = await db.query(
+    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [sessionId]
+  );
+
+  announceRevoked(db, result.rows.map(row => row.id));
+}
+
+// Returns the revoked session's { id, user_id }, or null if there was none
+async function revokeSessionByToken(db, refreshToken) {
+  const result = await db.query(
+    `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+     WHERE refresh_token_hash = $1 AND revoked_at IS NULL
+     RETURNING id, user_id`,
+    [hashToken(refreshToken)]
+  );
+
+  announceRevoked(db, result.rows.map(row => row.id));
+  return result.rows[0] || null;
+}
+
+// Revokes every session of a user, optionally keeping the one making the request
+async function revokeUserSessions(db, userId, { exceptSessionId = null } = {}) {
+  const result = await db.query(
+    `UPDATE sessions
+     SET revoked_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($2::int IS NULL OR id != $2)
+     RETURNING id`,
+    [userId, exceptSessionId]
+  );
+
+  announceRevoked(db, result.rows.map(row => row.id));
+  return result.rowCount;
+}
+
+const readRefreshToken = (req) => req.cookies?.[REFRESH_COOKIE] || null;
+
+function setRefreshCookie(res, refreshToken) {
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...refreshCookieOptions(),
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+  });
+}
+
+function clearRefreshCookie(res) {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+}
+
+module.exports = {
+  signAccessToken,
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeSessionByToken,
+  revokeUserSessions,
+  readRefreshToken,
+  setRefreshCookie,
+  clearRefreshCookie
+};
@@ -0,0 +1,57 @@
+/**
+ * Event tickets for approved registrations
+ * The QR code carries a signed JWT; the short code (e.g. "R42-9F3A2C1B") is an
+ * HMAC of the registration id for typing in by hand when a camera is not
+ * available. Both are derived from the registration, so nothing is stored.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const TICKET_AUDIENCE = 'eventhive-ticket';
+
+// Separate audience and key derivation keep tickets and login tokens apart
+const ticketSecret = () => `${process.env.JWT_SECRET}:tickets`;
+
+const shortCodeSignature = (registrationId) => crypto
+  .createHmac('sha256', ticketSecret())
+  .update(String(registrationId))
+  .digest('hex')
+  .slice(0, 8)
+  .toUpperCase();
+
+function issueTicket(registration) {
+  return {
+    token: jwt.sign(
+      { registrationId: registration.id, eventId: registration.event_id },
+      ticketSecret(),
+      { audience: TICKET_AUDIENCE, noTimestamp: true }
+    ),
+    code: `R${registration.id}-${shortCodeSignature(registration.id)}`
+  };
+}
+
+// Returns the registration id for a valid token or short code, otherwise null
+function verifyTicket(ticket) {
+  const value = String(ticket || '').trim();
+
+  const shortCode = value.toUpperCase().match(/^R(\d+)-([0-9A-F]{8})$/);
+  if (shortCode) {
+    const [, registrationId, signature] = shortCode;
+    const expected = shortCodeSignature(registrationId);
+    const matches = crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    return matches ? parseInt(registrationId) : null;
+  }
+
+  try {
+    const payload = jwt.verify(value, ticketSecret(), { audience: TICKET_AUDIENCE });
+    return payload.registrationId;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  issueTicket,
+  verifyTicket
+};
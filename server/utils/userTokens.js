@@ -0,0 +1,71 @@
+/**
+ * Single-use tokens sent to users by email
+ * The raw token only ever exists in the email; the database keeps its hash,
+ * so a leaked table cannot be used to reset anyone's password.
+ */
+
+const crypto = require('crypto');
+
+const TOKEN_PURPOSES = {
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Creates a token for `purpose` that expires after `ttlMinutes` and returns the raw value
+async function createUserToken(db, userId, purpose, ttlMinutes) {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + $4 * INTERVAL '1 minute')`,
+    [userId, purpose, hashToken(token), ttlMinutes]
+  );
+
+  return token;
+}
+
+// Marks a valid token as used and returns its user id, or null if it is
+// unknown, expired, already used or issued for a different purpose
+async function consumeUserToken(db, token, purpose) {
+  const result = await db.query(
+    `UPDATE user_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(token), purpose]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+// Tokens issued for a user and purpose within the last `windowMinutes`
+async function countRecentUserTokens(db, userId, purpose, windowMinutes) {
+  const result = await db.query(
+    `SELECT COUNT(*) as count
+     FROM user_tokens
+     WHERE user_id = $1 AND purpose = $2 AND created_at > NOW() - $3 * INTERVAL '1 minute'`,
+    [userId, purpose, windowMinutes]
+  );
+
+  return parseInt(result.rows[0].count);
+}
+
+// Retires every outstanding token of a purpose, e.g. older reset links once one is used
+async function revokeUserTokens(db, userId, purpose) {
+  await db.query(
+    `UPDATE user_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createUserToken,
+  consumeUserToken,
+  countRecentUserTokens,
+  revokeUserTokens
+};
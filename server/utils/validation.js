@@ -1,4 +1,25 @@
 const Joi = require('joi');
+const { QUESTION_TYPES, CHOICE_TYPES } = require('./registrationQuestions');
+const { NOTIFICATION_CHANNELS, NOTIFICATION_TYPE_LABELS } = require('./notificationPreferences');
+
+// ALLOWED_EMAIL_DOMAINS is a comma-separated list such as "campus.edu,alumni.campus.edu";
+// when it is empty any domain may sign up
+const getAllowedEmailDomains = () => (process.env.ALLOWED_EMAIL_DOMAINS || '')
+  .split(',')
+  .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+  .filter(Boolean);
+
+const isAllowedEmailDomain = (email) => {
+  const allowedDomains = getAllowedEmailDomains();
+  const domain = String(email).split('@').pop().toLowerCase();
+  return allowedDomains.length === 0 || allowedDomains.includes(domain);
+};
+
+const campusEmail = (value, helpers) => (
+  isAllowedEmailDomain(value)
+    ? value
+    : helpers.error('email.domain', { domains: getAllowedEmailDomains().map(domain => `@${domain}`).join(', ') })
+);
 
 const registerSchema = Joi.object({
   username: Joi.string()
@@ -14,9 +35,11 @@ const registerSchema = Joi.object({
     }),
   email: Joi.string()
     .email()
+    .custom(campusEmail)
     .required()
     .messages({
       'string.email': 'Please provide a valid email address',
+      'email.domain': 'Please use your campus email address ({#domains})',
       'any.required': 'Email is required'
     }),
   password: Joi.string()
@@ -27,12 +50,6 @@ const registerSchema = Joi.object({
       'string.min': 'Password must be at least 6 characters long',
       'string.max': 'Password must be at most 100 characters long',
       'any.required': 'Password is required'
-    }),
-  role: Joi.string()
-    .valid('student', 'organizer')
-    .default('student')
-    .messages({
-      'any.only': 'Role must be either student or organizer'
     })
 });
 
@@ -51,6 +68,37 @@ const loginSchema = Joi.object({
     })
 });
 
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .required()
+    .messages({
+      'string.email': 'Please provide a valid email address',
+      'any.required': 'Email is required'
+    })
+});
+
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .pattern(/^[0-9a-f]{64}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Verification link is invalid or has expired',
+      'any.required': 'Verification token is required'
+    })
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string()
+    .pattern(/^[0-9a-f]{64}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Reset link is invalid or has expired',
+      'any.required': 'Reset token is required'
+    }),
+  password: registerSchema.extract('password')
+});
+
 const eventSchema = Joi.object({
   title: Joi.string()
     .min(3)
@@ -89,19 +137,437 @@ const eventSchema = Joi.object({
       'number.min': 'Maximum attendees must be at least 1',
       'number.max': 'Maximum attendees cannot exceed 10000',
       'number.integer': 'Maximum attendees must be a whole number'
+    }),
+  category_id: Joi.number()
+    .integer()
+    .allow(null)
+    .default(null)
+    .messages({
+      'number.base': 'Category must be a valid category id'
+    }),
+  tags: Joi.array()
+    .items(Joi.string().trim().lowercase().min(1).max(30))
+    .max(10)
+    .unique()
+    .default([])
+    .messages({
+      'array.max': 'An event can have at most 10 tags',
+      'array.unique': 'Tags must be unique',
+      'string.max': 'Tags must be at most 30 characters long'
+    }),
+  // Minutes before the event that approved attendees are reminded, 5 minutes to 4 weeks
+  reminder_offsets: Joi.array()
+    .items(Joi.number().integer().min(5).max(4 * 7 * 24 * 60))
+    .max(5)
+    .unique()
+    .default([24 * 60, 60])
+    .messages({
+      'array.max': 'An event can have at most 5 reminders',
+      'array.unique': 'Reminder times must be unique',
+      'number.min': 'Reminders must be at least 5 minutes before the event',
+      'number.max': 'Reminders can be at most 4 weeks before the event'
+    }),
+  // Asked of students when they register; existing questions keep their id
+  registration_questions: Joi.array()
+    .items(Joi.object({
+      id: Joi.string().pattern(/^q_[0-9a-f]{8}$/),
+      label: Joi.string()
+        .trim()
+        .min(1)
+        .max(200)
+        .required()
+        .messages({
+          'string.empty': 'Every registration question needs a label',
+          'string.max': 'Registration questions must be at most 200 characters long',
+          'any.required': 'Every registration question needs a label'
+        }),
+      type: Joi.string()
+        .valid(...QUESTION_TYPES)
+        .required()
+        .messages({
+          'any.only': 'Question type must be short text, long text, single choice or multiple choice'
+        }),
+      required: Joi.boolean()
+        .default(false),
+      options: Joi.when('type', {
+        is: Joi.valid(...CHOICE_TYPES),
+        then: Joi.array()
+          .items(Joi.string().trim().min(1).max(100))
+          .min(2)
+          .max(20)
+          .unique()
+          .required(),
+        otherwise: Joi.forbidden()
+      }).messages({
+        'array.min': 'Choice questions need at least 2 options',
+        'array.max': 'Choice questions can have at most 20 options',
+        'array.unique': 'Question options must be unique',
+        'any.required': 'Choice questions need a list of options',
+        'any.unknown': 'Only choice questions can have options'
+      })
+    }))
+    .max(20)
+    .unique('id', { ignoreUndefined: true })
+    .default([])
+    .messages({
+      'array.max': 'An event can have at most 20 registration questions',
+      'array.unique': 'Registration question ids must be unique'
+    }),
+  recurrence: Joi.object({
+    frequency: Joi.string()
+      .valid('daily', 'weekly', 'monthly')
+      .required()
+      .messages({
+        'any.only': 'Recurrence frequency must be daily, weekly or monthly',
+        'any.required': 'Recurrence frequency is required'
+      }),
+    interval: Joi.number()
+      .integer()
+      .min(1)
+      .max(52)
+      .default(1)
+      .messages({
+        'number.min': 'Recurrence interval must be at least 1',
+        'number.max': 'Recurrence interval cannot exceed 52'
+      }),
+    until: Joi.date()
+      .greater(Joi.ref('...date'))
+      .messages({
+        'date.greater': 'Recurrence end date must be after the first occurrence'
+      }),
+    count: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .messages({
+        'number.min': 'Recurrence count must be at least 1',
+        'number.max': 'A series can have at most 100 occurrences'
+      }),
+    exception_dates: Joi.array()
+      .items(Joi.date())
+      .max(100)
+      .default([])
+  })
+    .xor('until', 'count')
+    .allow(null)
+    .default(null)
+    .messages({
+      'object.xor': 'Recurrence needs either an end date or an occurrence count, not both',
+      'object.missing': 'Recurrence needs either an end date or an occurrence count'
+    }),
+  // Drafts are hidden until published; publish_at saves a draft that publishes itself
+  draft: Joi.boolean()
+    .default(false),
+  publish_at: Joi.date()
+    .greater('now')
+    .less(Joi.ref('date'))
+    .allow(null)
+    .default(null)
+    .messages({
+      'date.greater': 'Publish time must be in the future',
+      'date.less': 'Publish time must be before the event starts'
+    })
+});
+
+// Updates take an edit scope for series occurrences; the rule itself is fixed once created
+const eventUpdateSchema = eventSchema.keys({
+  recurrence: Joi.forbidden().messages({
+    'any.unknown': 'Recurrence rules cannot be changed after the series is created'
+  }),
+  draft: Joi.forbidden().messages({
+    'any.unknown': 'Use the publish endpoints to change when an event goes live'
+  }),
+  publish_at: Joi.forbidden().messages({
+    'any.unknown': 'Use the publish endpoints to change when an event goes live'
+  }),
+  scope: Joi.string()
+    .valid('this', 'following', 'all')
+    .default('this')
+    .messages({
+      'any.only': 'Edit scope must be this, following or all'
+    })
+});
+
+const publishEventSchema = Joi.object({
+  // Omit to publish right away
+  publish_at: Joi.date()
+    .greater('now')
+    .allow(null)
+    .default(null)
+    .messages({
+      'date.greater': 'Publish time must be in the future'
+    })
+});
+
+const cancelEventSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .min(3)
+    .max(500)
+    .required()
+    .messages({
+      'string.min': 'Please give a reason for the cancellation',
+      'string.max': 'Cancellation reason must be at most 500 characters long',
+      'any.required': 'Please give a reason for the cancellation'
+    }),
+  scope: eventUpdateSchema.extract('scope')
+});
+
+// Files are read in the browser and sent as text; dry runs only return the preview
+const eventImportSchema = Joi.object({
+  format: Joi.string()
+    .valid('csv', 'ics')
+    .required()
+    .messages({
+      'any.only': 'Import files must be CSV or iCalendar (.ics)',
+      'any.required': 'Import format is required'
+    }),
+  content: Joi.string()
+    .max(2 * 1024 * 1024)
+    .required()
+    .messages({
+      'string.max': 'Import files can be at most 2 MB',
+      'string.empty': 'The file is empty',
+      'any.required': 'File content is required'
+    }),
+  dry_run: Joi.boolean()
+    .default(true),
+  // Imports the valid rows even when others have errors
+  skip_invalid: Joi.boolean()
+    .default(false)
+});
+
+const categorySchema = Joi.object({
+  name: Joi.string()
+    .trim()
+    .min(2)
+    .max(50)
+    .required()
+    .messages({
+      'string.min': 'Category name must be at least 2 characters long',
+      'string.max': 'Category name must be at most 50 characters long',
+      'any.required': 'Category name is required'
     })
 });
 
 const registrationStatusSchema = Joi.object({
   status: Joi.string()
-    .valid('pending', 'approved', 'rejected')
+    .valid('pending', 'approved', 'rejected', 'waitlisted')
     .required()
     .messages({
-      'any.only': 'Status must be pending, approved, or rejected',
+      'any.only': 'Status must be pending, approved, rejected, or waitlisted',
       'any.required': 'Status is required'
     })
 });
 
+const checkInSchema = Joi.object({
+  event_id: Joi.number()
+    .integer()
+    .required()
+    .messages({
+      'any.required': 'Event ID is required'
+    }),
+  ticket: Joi.string()
+    .trim()
+    .max(1000)
+    .required()
+    .messages({
+      'string.empty': 'Ticket code is required',
+      'any.required': 'Ticket code is required'
+    })
+});
+
+const attendanceSchema = Joi.object({
+  records: Joi.array()
+    .items(Joi.object({
+      registration_id: Joi.number()
+        .integer()
+        .required(),
+      attendance_status: Joi.string()
+        .valid('attended', 'no_show', 'excused')
+        .required()
+        .messages({
+          'any.only': 'Attendance status must be attended, no_show, or excused'
+        })
+    }))
+    .max(1000)
+    .default([]),
+  finalize: Joi.boolean()
+    .default(false)
+});
+
+const adminUserQuerySchema = Joi.object({
+  search: Joi.string()
+    .trim()
+    .max(100)
+    .allow(''),
+  role: Joi.string()
+    .valid('student', 'organizer', 'admin'),
+  status: Joi.string()
+    .valid('active', 'suspended', 'unverified'),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+});
+
+const userRoleSchema = Joi.object({
+  role: Joi.string()
+    .valid('student', 'organizer', 'admin')
+    .required()
+    .messages({
+      'any.only': 'Role must be student, organizer, or admin',
+      'any.required': 'Role is required'
+    })
+});
+
+const suspendUserSchema = Joi.object({
+  reason: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .default('')
+});
+
+const organizerRequestSchema = Joi.object({
+  club_name: Joi.string()
+    .trim()
+    .min(2)
+    .max(100)
+    .required()
+    .messages({
+      'string.min': 'Club name must be at least 2 characters long',
+      'string.max': 'Club name must be at most 100 characters long',
+      'any.required': 'Club name is required'
+    }),
+  justification: Joi.string()
+    .trim()
+    .min(20)
+    .max(2000)
+    .required()
+    .messages({
+      'string.min': 'Please tell us a little more (at least 20 characters) about the events you plan to run',
+      'string.max': 'Justification must be at most 2000 characters long',
+      'any.required': 'Justification is required'
+    })
+});
+
+const organizerRequestQuerySchema = Joi.object({
+  status: Joi.string()
+    .valid('pending', 'approved', 'rejected')
+    .default('pending'),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(100)
+    .default(20)
+});
+
+const organizerRequestReviewSchema = Joi.object({
+  note: Joi.string()
+    .trim()
+    .max(500)
+    .allow('')
+    .default('')
+});
+
+const auditLogQuerySchema = Joi.object({
+  actor_id: Joi.number()
+    .integer(),
+  target_type: Joi.string()
+    .trim()
+    .max(30),
+  target_id: Joi.number()
+    .integer(),
+  action: Joi.string()
+    .trim()
+    .max(50),
+  from: Joi.date()
+    .iso(),
+  // A bare YYYY-MM-DD stays a string so the route can include that whole day
+  to: Joi.alternatives()
+    .try(
+      Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/),
+      Joi.date().iso()
+    )
+    .messages({
+      'alternatives.match': '"to" must be a date (YYYY-MM-DD) or ISO timestamp'
+    }),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(200)
+    .default(50)
+});
+
+const registrationExportQuerySchema = Joi.object({
+  event_id: Joi.number()
+    .integer(),
+  status: registrationStatusSchema.extract('status')
+    .optional(),
+  format: Joi.string()
+    .valid('csv', 'xlsx')
+    .default('csv')
+    .messages({
+      'any.only': 'Export format must be csv or xlsx'
+    })
+});
+
+const notificationQuerySchema = Joi.object({
+  unread: Joi.boolean()
+    .default(false),
+  page: Joi.number()
+    .integer()
+    .min(1)
+    .default(1),
+  limit: Joi.number()
+    .integer()
+    .min(1)
+    .max(50)
+    .default(20)
+});
+
+const notificationIdSchema = Joi.object({
+  id: Joi.number()
+    .integer()
+    .min(1)
+    .required()
+});
+
+// { event_updated: { email: false, digest: true }, ... }; channels left out keep their
+// setting and unknown types or channels are dropped
+const notificationPreferencesSchema = Joi.object({
+  preferences: Joi.object()
+    .pattern(
+      Joi.string().valid(...Object.keys(NOTIFICATION_TYPE_LABELS)),
+      Joi.object(Object.fromEntries(NOTIFICATION_CHANNELS.map(channel => [channel, Joi.boolean()])))
+        .min(1)
+    )
+    .min(1)
+    .required()
+});
+
+const unsubscribeSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'any.required': 'Unsubscribe token is required'
+    })
+});
+
 const validate = (schema) => {
   return (req, res, next) => {
     const { error, value } = schema.validate(req.body, {
@@ -160,9 +626,33 @@ const validateQuery = (schema) => {
 module.exports = {
   registerSchema,
   loginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  verifyEmailSchema,
   eventSchema,
+  eventUpdateSchema,
+  publishEventSchema,
+  cancelEventSchema,
+  eventImportSchema,
+  categorySchema,
   registrationStatusSchema,
+  checkInSchema,
+  attendanceSchema,
+  adminUserQuerySchema,
+  userRoleSchema,
+  suspendUserSchema,
+  organizerRequestSchema,
+  organizerRequestQuerySchema,
+  organizerRequestReviewSchema,
+  auditLogQuerySchema,
+  registrationExportQuerySchema,
+  notificationQuerySchema,
+  notificationIdSchema,
+  notificationPreferencesSchema,
+  unsubscribeSchema,
   validate,
   validateParams,
-  validateQuery
+  validateQuery,
+  getAllowedEmailDomains,
+  isAllowedEmailDomain
 };
@@ -0,0 +1,123 @@
+/**
+ * Waitlist helpers
+ * Registrations that arrive while an event is full are queued as 'waitlisted'
+ * and ordered by waitlisted_at; positions are derived from that order.
+ * Seats are guarded by the registrations_approved_count trigger (see migrations/001),
+ * which raises events_capacity_check instead of approving past max_attendees.
+ *
+ * Helpers that change seats take a transaction from withTransaction() and
+ * expect the caller to have locked the event with lockEvent() first.
+ */
+
+const { recordAudit } = require('./audit');
+const { DOMAIN_EVENTS, publish } = require('./eventBus');
+
+// SQL expression giving the 1-based waitlist position of registration alias `r`
+const waitlistPositionSql = (alias = 'r') => `
+  CASE WHEN ${alias}.status = 'waitlisted' THEN (
+    SELECT COUNT(*)
+    FROM registrations w
+    WHERE w.event_id = ${alias}.event_id
+      AND w.status = 'waitlisted'
+      AND (w.waitlisted_at, w.id) <= (${alias}.waitlisted_at, ${alias}.id)
+  ) END
+`;
+
+// Locks the event row so its seat count cannot change until the transaction ends.
+// Always lock the event before its registrations to keep lock order consistent.
+async function lockEvent(tx, eventId) {
+  const result = await tx.query(
+    `SELECT id, title, date, max_attendees, approved_count, created_by, published_at, cancelled_at,
+            registration_questions
+     FROM events
+     WHERE id = $1
+     FOR UPDATE`,
+    [eventId]
+  );
+
+  return result.rows[0] || null;
+}
+
+const hasFreeSeat = (event) => event.approved_count < event.max_attendees;
+
+async function getWaitlistPosition(tx, registrationId) {
+  const result = await tx.query(
+    `SELECT ${waitlistPositionSql('r')} as waitlist_position
+     FROM registrations r
+     WHERE r.id = $1`,
+    [registrationId]
+  );
+
+  const position = result.rows[0]?.waitlist_position;
+  return position ? parseInt(position) : null;
+}
+
+// Keeps the original waitlist place when a registration is already queued
+async function setRegistrationStatus(tx, registrationId, status) {
+  const result = await tx.query(
+    `UPDATE registrations
+     SET status = $1::varchar,
+         waitlisted_at = CASE WHEN $1::varchar = 'waitlisted' THEN COALESCE(waitlisted_at, CURRENT_TIMESTAMP) END,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING id, event_id, user_id, status, registered_at, updated_at`,
+    [status, registrationId]
+  );
+
+  return result.rows[0];
+}
+
+// Approve waitlisted registrations, oldest first, until the event is full again.
+// Nobody is promoted into a cancelled event.
+async function promoteFromWaitlist(tx, eventId) {
+  const result = await tx.query(
+    `WITH next_in_line AS (
+       SELECT id
+       FROM registrations
+       WHERE event_id = $1 AND status = 'waitlisted'
+       ORDER BY waitlisted_at, id
+       LIMIT GREATEST((SELECT max_attendees - approved_count FROM events WHERE id = $1 AND cancelled_at IS NULL), 0)
+     )
+     UPDATE registrations
+     SET status = 'approved', waitlisted_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id IN (SELECT id FROM next_in_line)
+     RETURNING id, event_id, user_id, status`,
+    [eventId]
+  );
+
+  return result.rows;
+}
+
+// Promotions are a side effect of another change (a cancellation, a rejection,
+// more seats), so they are logged and announced under the request that caused them
+async function recordPromotions(tx, req, promotedRegistrations) {
+  for (const registration of promotedRegistrations) {
+    publish(tx, DOMAIN_EVENTS.REGISTRATION_STATUS_CHANGED, {
+      eventId: registration.event_id,
+      registrationId: registration.id,
+      userId: registration.user_id,
+      previousStatus: 'waitlisted',
+      status: registration.status,
+      updatedBy: req ? req.user.username : null
+    });
+
+    await recordAudit(tx, req, {
+      action: 'registration.promoted',
+      targetType: 'registration',
+      targetId: registration.id,
+      before: { status: 'waitlisted' },
+      after: { status: registration.status },
+      details: { event_id: registration.event_id, user_id: registration.user_id }
+    });
+  }
+}
+
+module.exports = {
+  waitlistPositionSql,
+  lockEvent,
+  hasFreeSeat,
+  getWaitlistPosition,
+  setRegistrationStatus,
+  promoteFromWaitlist,
+  recordPromotions
+};